@@ -0,0 +1,81 @@
+// middleware/authMiddleware.js
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+
+const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET;
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '8h';
+
+if (!ADMIN_JWT_SECRET) {
+    console.error("ADMIN_JWT_SECRET is not set. Admin login will be unavailable and all admin routes will reject requests.");
+}
+
+/**
+ * Issues a signed bearer token for an admin user.
+ * @param {Object} adminUser - AdminUser document.
+ * @returns {{token: string, expiresIn: string}}
+ */
+const issueAdminToken = (adminUser) => {
+    if (!ADMIN_JWT_SECRET) {
+        throw new Error("Admin authentication is not configured.");
+    }
+    const token = jwt.sign(
+        { sub: adminUser._id.toString(), role: adminUser.role },
+        ADMIN_JWT_SECRET,
+        { expiresIn: ADMIN_TOKEN_TTL }
+    );
+    return { token, expiresIn: ADMIN_TOKEN_TTL };
+};
+
+/**
+ * Verifies the `Authorization: Bearer <token>` header and attaches the
+ * current AdminUser as `req.adminUser`. The user is reloaded on every request
+ * so deactivations and role changes take effect immediately.
+ */
+const requireAdminAuth = async (req, res, next) => {
+    if (!ADMIN_JWT_SECRET) {
+        return res.status(503).json({ message: 'Admin authentication is not configured on the server.' });
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Authentication required.' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, ADMIN_JWT_SECRET);
+    } catch (error) {
+        console.warn("Auth: Rejected admin token:", error.message);
+        return res.status(401).json({ message: error.name === 'TokenExpiredError' ? 'Session expired. Please log in again.' : 'Invalid authentication token.' });
+    }
+
+    try {
+        const adminUser = await AdminUser.findById(payload.sub);
+        if (!adminUser || !adminUser.isActive) {
+            return res.status(401).json({ message: 'Admin account is not active.' });
+        }
+        req.adminUser = adminUser;
+        next();
+    } catch (error) {
+        console.error("Auth: Error loading admin user:", error);
+        res.status(500).json({ message: 'Error verifying authentication.' });
+    }
+};
+
+/**
+ * Restricts a route to the given roles. Must run after `requireAdminAuth`.
+ * @param {...string} roles - Allowed AdminUser roles.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.adminUser || !roles.includes(req.adminUser.role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+module.exports = {
+    issueAdminToken,
+    requireAdminAuth,
+    requireRole
+};
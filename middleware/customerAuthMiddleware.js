@@ -0,0 +1,104 @@
+// middleware/customerAuthMiddleware.js
+// Storefront customer sessions. Kept apart from the admin tokens (authMiddleware.js): a different
+// secret, so a customer token can never pass requireAdminAuth.
+const jwt = require('jsonwebtoken');
+const Customer = require('../models/Customer');
+
+const CUSTOMER_JWT_SECRET = process.env.CUSTOMER_JWT_SECRET;
+const CUSTOMER_TOKEN_TTL = process.env.CUSTOMER_TOKEN_TTL || '30d';
+
+if (!CUSTOMER_JWT_SECRET) {
+    console.error("CUSTOMER_JWT_SECRET is not set. Customer accounts will be unavailable; guest checkout still works.");
+}
+
+/**
+ * Issues a signed bearer token for a customer.
+ * @param {Object} customer - Customer document.
+ * @returns {{token: string, expiresIn: string}}
+ */
+const issueCustomerToken = (customer) => {
+    if (!CUSTOMER_JWT_SECRET) {
+        throw new Error("Customer accounts are not configured.");
+    }
+    const token = jwt.sign({ sub: customer._id.toString() }, CUSTOMER_JWT_SECRET, { expiresIn: CUSTOMER_TOKEN_TTL });
+    return { token, expiresIn: CUSTOMER_TOKEN_TTL };
+};
+
+// Returns the active customer for the request's bearer token, or an error message and status.
+const resolveCustomer = async (req) => {
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return { status: 401, message: 'Please log in.' };
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, CUSTOMER_JWT_SECRET);
+    } catch (error) {
+        console.warn("Customer Auth: Rejected customer token:", error.message);
+        return { status: 401, message: error.name === 'TokenExpiredError' ? 'Session expired. Please log in again.' : 'Invalid login. Please log in again.' };
+    }
+
+    const customer = await Customer.findById(payload.sub);
+    if (!customer || !customer.isActive) {
+        return { status: 401, message: 'This account is not active.' };
+    }
+    return { customer };
+};
+
+/**
+ * Verifies the `Authorization: Bearer <token>` header and attaches the current Customer as
+ * `req.customer`. The customer is reloaded on every request so deactivations apply immediately.
+ */
+const requireCustomerAuth = async (req, res, next) => {
+    if (!CUSTOMER_JWT_SECRET) {
+        return res.status(503).json({ message: 'Customer accounts are not configured on the server.' });
+    }
+    try {
+        const { customer, status, message } = await resolveCustomer(req);
+        if (!customer) {
+            return res.status(status).json({ message });
+        }
+        req.customer = customer;
+        next();
+    } catch (error) {
+        console.error("Customer Auth: Error loading customer:", error);
+        res.status(500).json({ message: 'Error verifying your login.' });
+    }
+};
+
+/**
+ * Like requireCustomerAuth, but lets guests through: `req.customer` is set only when a valid
+ * token is sent. A stale token is ignored rather than failing a guest checkout.
+ */
+const optionalCustomerAuth = async (req, res, next) => {
+    if (!CUSTOMER_JWT_SECRET || !req.headers.authorization) {
+        return next();
+    }
+    try {
+        const { customer } = await resolveCustomer(req);
+        if (customer) req.customer = customer;
+    } catch (error) {
+        console.error("Customer Auth: Error loading customer (continuing as guest):", error);
+    }
+    next();
+};
+
+/**
+ * Answers 503 while CUSTOMER_JWT_SECRET is unset, so no login link is used up (or account
+ * created) that could not be turned into a session.
+ */
+const requireCustomerAccountsEnabled = (req, res, next) => {
+    if (!CUSTOMER_JWT_SECRET) {
+        return res.status(503).json({ message: 'Customer accounts are not available right now.' });
+    }
+    next();
+};
+
+module.exports = {
+    issueCustomerToken,
+    requireCustomerAccountsEnabled,
+    requireCustomerAuth,
+    optionalCustomerAuth
+};
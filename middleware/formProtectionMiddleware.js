@@ -0,0 +1,65 @@
+// middleware/formProtectionMiddleware.js
+// Bot checks for the storefront's public forms. The storefront fetches a signed, short-lived form
+// token (routes/formTokenRoutes.js) and sends it back as `formToken` with the submission; scripts
+// posting straight to the API have none. Each form also has a honeypot field that people never see
+// and so leave empty; a filled one is a bot filling in every field.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const FORM_TOKEN_FORMS = ['order', 'quotation', 'inquiry'];
+const FORM_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+
+// Without a configured secret, tokens only verify on the instance that issued them
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.FORM_TOKEN_SECRET) {
+    console.warn("FORM_TOKEN_SECRET is not set. Form tokens will only be accepted by the server instance that issued them, and not after a restart.");
+}
+
+/**
+ * Issues a token for one of the protected forms.
+ * @param {string} form - One of FORM_TOKEN_FORMS.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const issueFormToken = (form) => {
+    const token = jwt.sign({ form }, FORM_TOKEN_SECRET, { expiresIn: FORM_TOKEN_TTL_SECONDS });
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Rejects a submission whose honeypot field is filled in (400) or whose `formToken` is missing,
+ * expired or issued for another form (403). Both fields are removed from `req.body` before the
+ * route sees it. For multipart forms it must run after the body is parsed (after multer).
+ * @param {string} form - One of FORM_TOKEN_FORMS.
+ * @param {Object} options
+ * @param {string} options.honeypotField - Body field of the form's hidden honeypot input.
+ * @returns {Function} Express middleware.
+ */
+const requireFormToken = (form, { honeypotField }) => (req, res, next) => {
+    const body = req.body || {};
+    const honeypot = body[honeypotField];
+    const token = body.formToken;
+    delete body[honeypotField];
+    delete body.formToken;
+
+    if (typeof honeypot === 'string' ? honeypot.trim() !== '' : honeypot !== undefined) {
+        console.warn(`Form Protection: Rejected ${form} submission from ${req.ip}: honeypot field filled in.`);
+        return res.status(400).json({ message: 'Your submission could not be accepted.' });
+    }
+
+    let payload = null;
+    try {
+        payload = jwt.verify(typeof token === 'string' ? token : '', FORM_TOKEN_SECRET);
+    } catch (error) {
+        console.warn(`Form Protection: Rejected ${form} submission from ${req.ip}: ${error.message}`);
+    }
+    if (!payload || payload.form !== form) {
+        return res.status(403).json({ message: 'This form has expired. Please reload the page and try again.' });
+    }
+    next();
+};
+
+module.exports = {
+    FORM_TOKEN_FORMS,
+    issueFormToken,
+    requireFormToken
+};
@@ -0,0 +1,50 @@
+// middleware/rateLimitMiddleware.js
+// Per-client limits for the public endpoints that send email (orders, inquiries). Counts are kept
+// by services/rateLimit (in memory, or in MongoDB when several instances run).
+const { hitRateLimit } = require('../services/rateLimit');
+
+const formatWait = (seconds) => (seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * Answers 429 (with a Retry-After header) once a client has made `limit` requests in the window.
+ * Every request that reaches the middleware counts, including ones that fail later.
+ * @param {Object} options
+ * @param {string} options.name - Names the limit in the counters and logs, e.g. "order-ip".
+ * @param {number} options.limit - Requests allowed per window.
+ * @param {number} options.windowMs
+ * @param {Function} options.identify - `(req) => string|null`, who is counted; null skips the limit.
+ * @param {string} options.message - Why the request was refused, e.g. "Too many orders from your network."
+ * @returns {Function} Express middleware.
+ */
+const rateLimit = ({ name, limit, windowMs, identify, message }) => async (req, res, next) => {
+    const identity = identify(req);
+    if (!identity) return next();
+    const { allowed, count, retryAfterSeconds } = await hitRateLimit(name, identity, { limit, windowMs });
+    if (allowed) return next();
+    console.warn(`Rate Limit: ${name} exceeded by ${identity} (${count} requests, limit ${limit})`);
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ message: `${message} Please try again in ${formatWait(retryAfterSeconds)}.` });
+};
+
+/**
+ * Identifies the client by IP address. Behind a proxy this relies on the app's `trust proxy`
+ * setting (TRUST_PROXY in server.js).
+ */
+const byClientIp = (req) => req.ip || null;
+
+/**
+ * Identifies the client by an email address in the request body, lower-cased. For multipart forms
+ * the middleware must run after the body is parsed (after multer).
+ * @param {string} field - Body field, e.g. "customerEmail".
+ * @returns {Function}
+ */
+const byBodyEmail = (field) => (req) => {
+    const email = req.body && typeof req.body[field] === 'string' ? req.body[field].trim().toLowerCase() : '';
+    return email || null;
+};
+
+module.exports = {
+    rateLimit,
+    byClientIp,
+    byBodyEmail
+};
@@ -0,0 +1,78 @@
+// models/AdminUser.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ADMIN_ROLES = ['owner', 'catalogue_editor'];
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+
+const adminUserSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required.'],
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false // Never returned unless explicitly requested
+    },
+    role: {
+        type: String,
+        enum: { values: ADMIN_ROLES, message: 'Role must be one of: ' + ADMIN_ROLES.join(', ') },
+        default: 'catalogue_editor'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+/**
+ * Hashes and stores a new password. Call `save()` afterwards.
+ * @param {string} plainPassword
+ */
+adminUserSchema.methods.setPassword = async function (plainPassword) {
+    if (typeof plainPassword !== 'string' || plainPassword.length < PASSWORD_MIN_LENGTH) {
+        const error = new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`);
+        error.name = 'ValidationError';
+        error.errors = { password: { message: error.message } };
+        throw error;
+    }
+    this.passwordHash = await bcrypt.hash(plainPassword, BCRYPT_ROUNDS);
+};
+
+/**
+ * Compares a plain password against the stored hash.
+ * The document must have been loaded with `.select('+passwordHash')`.
+ * @param {string} plainPassword
+ * @returns {Promise<boolean>}
+ */
+adminUserSchema.methods.comparePassword = function (plainPassword) {
+    if (!this.passwordHash || typeof plainPassword !== 'string') {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(plainPassword, this.passwordHash);
+};
+
+adminUserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    }
+});
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+
+module.exports = AdminUser;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
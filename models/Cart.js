@@ -0,0 +1,42 @@
+// models/Cart.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const MAX_CART_ITEMS = 100;
+const MAX_ITEM_QUANTITY = 10000;
+const CART_EXPIRY_DAYS = 90; // Carts untouched for this long are removed by MongoDB
+
+// One product dimension in the cart. Only the product, dimension and quantity are stored; names
+// and prices are read from Product every time the cart is shown (see services/cartService.js).
+const cartItemSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    dimension: { type: String, required: true, trim: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1.'],
+        max: [MAX_ITEM_QUANTITY, `Quantity cannot be more than ${MAX_ITEM_QUANTITY}.`],
+        validate: [Number.isInteger, 'Quantity must be a whole number.']
+    }
+});
+
+const cartSchema = new mongoose.Schema({
+    // Random and unguessable: anyone with the id (e.g. from a "share cart" link) can view and edit the cart
+    _id: { type: String, default: () => crypto.randomBytes(18).toString('base64url') },
+    items: {
+        type: [cartItemSchema],
+        validate: [v => v.length <= MAX_CART_ITEMS, `A cart can hold at most ${MAX_CART_ITEMS} items.`]
+    },
+    couponCode: { type: String, trim: true, uppercase: true } // Applied with PUT /api/carts/:cartId/coupon; re-checked on every read
+}, {
+    timestamps: true,
+    optimisticConcurrency: true // Two devices editing a shared cart at once get a VersionError instead of losing a change
+});
+
+cartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: CART_EXPIRY_DAYS * 24 * 60 * 60 });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
+module.exports.MAX_CART_ITEMS = MAX_CART_ITEMS;
+module.exports.MAX_ITEM_QUANTITY = MAX_ITEM_QUANTITY;
@@ -0,0 +1,29 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// One document per named sequence, e.g. { _id: 'order-2026', seq: 123 }
+const counterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+}, {
+    versionKey: false
+});
+
+/**
+ * Atomically increments and returns the next value of a named sequence.
+ * Safe across concurrent requests and multiple server instances.
+ * @param {string} name - Sequence name.
+ * @returns {Promise<number>} The next value, starting at 1.
+ */
+counterSchema.statics.getNextSequence = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
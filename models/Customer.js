@@ -0,0 +1,138 @@
+// models/Customer.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+const MAX_ADDRESSES = 20;
+const LOGIN_LINK_TTL_MINUTES = 30;
+
+// One entry in the customer's address book, in the same shape as Order.shippingAddress
+const savedAddressSchema = new mongoose.Schema({
+    label: { type: String, trim: true, maxlength: [60, 'Label cannot be longer than 60 characters.'] }, // e.g. "Main hospital"
+    address: { type: String, required: [true, 'Address is required.'], trim: true },
+    city: { type: String, required: [true, 'City is required.'], trim: true },
+    state: { type: String, required: [true, 'State is required.'], trim: true },
+    country: { type: String, required: [true, 'Country is required.'], trim: true },
+    pincode: { type: String, required: [true, 'Pincode is required.'], trim: true },
+    isDefault: { type: Boolean, default: false }
+});
+
+const customerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required.'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address.']
+    },
+    passwordHash: {
+        type: String,
+        select: false // Never returned unless explicitly requested; unset for accounts that only use email links
+    },
+    // Set when the customer first opens an email login link. Password login and linking earlier
+    // guest orders (by customerEmail) both wait for it, so nobody can claim someone else's address.
+    emailVerifiedAt: { type: Date },
+
+    // Checkout defaults, in the same shape as the Order customer fields
+    mobileCode: { type: String },
+    mobileNumber: { type: String, trim: true },
+    whatsappCode: { type: String },
+    whatsappNumber: { type: String, trim: true },
+    buyerGstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN format.']
+    },
+    addresses: {
+        type: [savedAddressSchema],
+        validate: [v => v.length <= MAX_ADDRESSES, `You can save at most ${MAX_ADDRESSES} addresses.`]
+    },
+    // Slug of the PriceList an admin put the customer on; unset means retail prices
+    priceList: { type: String, trim: true, lowercase: true },
+
+    // Only the SHA-256 of the emailed login token is stored
+    loginTokenHash: { type: String, select: false },
+    loginTokenExpiresAt: { type: Date, select: false },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: { type: Date }
+}, {
+    timestamps: true,
+    optimisticConcurrency: true // Address book edits from two tabs fail with a VersionError instead of one being lost
+});
+
+customerSchema.index({ loginTokenHash: 1 }, { sparse: true });
+
+/**
+ * Hashes an email login token the way it is stored in `loginTokenHash`.
+ * @param {string} token
+ * @returns {string}
+ */
+const hashLoginToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Hashes and stores a new password. Call `save()` afterwards.
+ * @param {string} plainPassword
+ */
+customerSchema.methods.setPassword = async function (plainPassword) {
+    if (typeof plainPassword !== 'string' || plainPassword.length < PASSWORD_MIN_LENGTH) {
+        const error = new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`);
+        error.name = 'ValidationError';
+        error.errors = { password: { message: error.message } };
+        throw error;
+    }
+    this.passwordHash = await bcrypt.hash(plainPassword, BCRYPT_ROUNDS);
+};
+
+/**
+ * Compares a plain password against the stored hash.
+ * The document must have been loaded with `.select('+passwordHash')`.
+ * @param {string} plainPassword
+ * @returns {Promise<boolean>}
+ */
+customerSchema.methods.comparePassword = function (plainPassword) {
+    if (!this.passwordHash || typeof plainPassword !== 'string') {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(plainPassword, this.passwordHash);
+};
+
+/**
+ * Creates a single-use login token (replacing any earlier one). Call `save()` afterwards and
+ * email the returned token; only its hash is kept.
+ * @returns {string}
+ */
+customerSchema.methods.createLoginToken = function () {
+    const token = crypto.randomBytes(24).toString('base64url');
+    this.loginTokenHash = hashLoginToken(token);
+    this.loginTokenExpiresAt = new Date(Date.now() + LOGIN_LINK_TTL_MINUTES * 60 * 1000);
+    return token;
+};
+
+customerSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.loginTokenHash;
+        delete ret.loginTokenExpiresAt;
+        return ret;
+    }
+});
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
+module.exports.MAX_ADDRESSES = MAX_ADDRESSES;
+module.exports.LOGIN_LINK_TTL_MINUTES = LOGIN_LINK_TTL_MINUTES;
+module.exports.hashLoginToken = hashLoginToken;
@@ -0,0 +1,56 @@
+// models/EmailMessage.js
+const mongoose = require('mongoose');
+
+// pending: waiting for its first or next attempt (see nextAttemptAt)
+// sending: claimed by a worker; reclaimed if the worker dies (see services/emailOutboxService.js)
+// sent:    accepted by the transport
+// dead:    gave up after maxAttempts; can be retried from the admin panel
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Sent messages (and their attachments) are removed after this long
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Either the contents (small generated files such as invoice PDFs) or a reference to an inquiry
+// attachment stored by services/attachmentService.js, read by the worker when it sends. Customer
+// uploads are never copied in: several of them would not fit in a MongoDB document (16 MB).
+const emailAttachmentSchema = new mongoose.Schema({
+    filename: { type: String, required: true },
+    content: { type: Buffer, required: function () { return !this.fileId; } },
+    fileId: { type: mongoose.Schema.Types.ObjectId }, // GridFS file in the "inquiryAttachments" bucket
+    contentType: { type: String }
+}, {_id: false});
+
+// One outgoing email in the outbox. Routes write these through emailService; the worker sends them.
+const emailMessageSchema = new mongoose.Schema({
+    template: { type: String, trim: true },   // templates/emails registry key, for the admin view
+    reference: { type: String, trim: true },  // Order or ticket number the email belongs to
+
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    replyTo: { type: String },
+    subject: { type: String, required: true },
+    html: { type: String },
+    text: { type: String },
+    attachments: [emailAttachmentSchema],
+
+    status: { type: String, enum: EMAIL_STATUSES, default: 'pending', index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    messageId: { type: String } // As returned by the transport
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// The worker's claim query: due messages in order
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Only documents with a sentAt expire, so pending and dead messages are kept
+emailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
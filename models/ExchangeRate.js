@@ -0,0 +1,55 @@
+// models/ExchangeRate.js
+// Currencies, other than INR, that orders can be placed in, with the rate an owner keeps up to
+// date. The catalogue, quotations and promotions are priced in INR; carts and orders in another
+// currency are converted at the rate of the moment, which is stored on the order (see
+// services/currencyService.js).
+//
+// "INR" is built in and has no document. GST is only charged on INR orders; orders in another
+// currency are exports.
+const mongoose = require('mongoose');
+
+const BASE_CURRENCY = 'INR';
+const SUPPORTED_CURRENCIES = Intl.supportedValuesOf('currency');
+
+/**
+ * Digits after the decimal point of a currency's minor unit (2 for INR and USD, 0 for JPY).
+ * @param {string} currency - ISO 4217 code.
+ * @returns {number}
+ */
+const minorUnitDigits = (currency) => new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+const exchangeRateSchema = new mongoose.Schema({
+    currency: { // ISO 4217 code; fixed once created, orders refer to it
+        type: String,
+        required: [true, 'Currency code is required.'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        validate: [
+            { validator: v => SUPPORTED_CURRENCIES.includes(v), message: 'Currency must be an ISO 4217 code, e.g. USD.' },
+            { validator: v => v !== BASE_CURRENCY, message: `${BASE_CURRENCY} is the base currency.` }
+        ]
+    },
+    name: { // Shown in the currency picker, e.g. "US Dollar"
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true
+    },
+    inrPerUnit: { // Rupees for one unit of the currency, e.g. 83.25 for USD
+        type: Number,
+        required: [true, 'Rate is required.'],
+        min: [0.000001, 'Rate must be more than 0.']
+    },
+    // Checkout countries (as in the storefront's country list) whose buyers see this currency by default
+    countries: [{ type: String, trim: true }],
+    isActive: { type: Boolean, default: true }, // Inactive currencies can't be chosen; placed orders keep theirs
+    updatedBy: { type: String, trim: true }     // Admin email of the last change
+}, {
+    timestamps: true
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
+module.exports.BASE_CURRENCY = BASE_CURRENCY;
+module.exports.minorUnitDigits = minorUnitDigits;
@@ -0,0 +1,88 @@
+// models/Inquiry.js
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const TICKET_NUMBER_PREFIX = 'INQ';
+const BUSINESS_TIME_ZONE = 'Asia/Kolkata';
+
+const INQUIRY_CATEGORIES = ['product_related', 'payment_related', 'delivery_related', 'other'];
+const INQUIRY_STATUSES = ['open', 'in_progress', 'resolved'];
+
+// Files uploaded with the contact form, stored privately by services/attachmentService.js.
+// Admins open them through GET /api/admin/inquiries/:id/attachments/:fileId.
+const inquiryAttachmentSchema = new mongoose.Schema({
+    fileName: { type: String, required: true, trim: true },
+    fileId: { type: mongoose.Schema.Types.ObjectId }, // GridFS file in the "inquiryAttachments" bucket
+    url: { type: String }, // Public file storage URL; only on tickets from before attachments were private
+    contentType: { type: String },
+    size: { type: Number } // Bytes
+}, {_id: false});
+
+// One entry per admin reply emailed to the customer
+const inquiryReplySchema = new mongoose.Schema({
+    message: { type: String, required: true, trim: true },
+    author: { type: String, trim: true }, // Admin email
+    authorName: { type: String, trim: true },
+    sentAt: { type: Date, default: Date.now },
+    email: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailMessage' } // Outbox message, for the delivery status
+});
+
+const inquirySchema = new mongoose.Schema({
+    // Human-readable ticket number, e.g. "INQ-2026-000045". Assigned on first save.
+    ticketNumber: { type: String, unique: true, sparse: true, trim: true },
+
+    // Contact details as submitted on the contact form
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    mobile: { type: String, trim: true },     // Includes the country code, e.g. "+91 9876543210"
+    whatsapp: { type: String, trim: true },
+    hospital: { type: String, trim: true },   // Hospital/Clinic (optional)
+    category: { type: String, enum: INQUIRY_CATEGORIES, required: true },
+    message: { type: String, required: true, trim: true },
+    attachments: [inquiryAttachmentSchema],
+
+    // Ticket handling
+    status: { type: String, enum: INQUIRY_STATUSES, default: 'open' },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null },
+    replies: [inquiryReplySchema],
+    resolvedAt: { type: Date }
+
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+inquirySchema.index({ status: 1, createdAt: -1 });
+inquirySchema.index({ assignedTo: 1 });
+inquirySchema.index({ email: 1 });
+
+/**
+ * Formats a human-readable ticket number, e.g. INQ-2026-000045.
+ * @param {number} year
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatTicketNumber = (year, sequence) => `${TICKET_NUMBER_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+
+// Assign the ticket number from an atomic per-year counter before the first save.
+inquirySchema.pre('validate', async function () {
+    if (this.isNew && !this.ticketNumber) {
+        const year = Number(new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric' }).format(new Date()));
+        const sequence = await Counter.getNextSequence(`inquiry-${year}`);
+        this.ticketNumber = formatTicketNumber(year, sequence);
+    }
+});
+
+// Keep resolvedAt in step with the status.
+inquirySchema.pre('save', function (next) {
+    if (this.isModified('status')) {
+        this.resolvedAt = this.status === 'resolved' ? new Date() : undefined;
+    }
+    next();
+});
+
+const Inquiry = mongoose.model('Inquiry', inquirySchema);
+
+module.exports = Inquiry;
+module.exports.INQUIRY_CATEGORIES = INQUIRY_CATEGORIES;
+module.exports.INQUIRY_STATUSES = INQUIRY_STATUSES;
+module.exports.formatTicketNumber = formatTicketNumber;
@@ -1,15 +1,33 @@
 // models/Order.js
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
 const Schema = mongoose.Schema;
 
+const ORDER_NUMBER_PREFIX = 'GOI';
+const BUSINESS_TIME_ZONE = 'Asia/Kolkata';
+
+// Money on an order is a whole number of minor units (paise, cents) of the order's currency
+const minorAmount = (options = {}) => ({
+    type: Number,
+    validate: { validator: Number.isInteger, message: '{PATH} must be a whole number of minor units.' },
+    ...options
+});
+
 // Sub-schema for individual items within an order
 const orderItemVariantSchema = new mongoose.Schema({
     variantId: { type: String, required: true }, // e.g., "P001-2.5mmx4mm"
     dimension: { type: String, required: true },
     quantity: { type: Number, required: true, min: 1 },
-    basePrice: { type: Number, required: true }, // Price per unit before GST
-    gstRate: { type: Number, required: true },   // GST rate applied (e.g., 0.12)
-    priceIncGst: { type: Number, required: true } // Price per unit including GST
+    unitPriceMinor: minorAmount({ required: true, min: 0 }), // Price per unit before GST
+    gstRate: { type: Number, required: true },   // GST rate charged (e.g., 0.12); 0 on orders not in INR
+    taxMinor: minorAmount({ required: true, min: 0 }), // GST on the line (all units, after its coupon discount)
+    hsnCode: { type: String },                   // Snapshot of Product.hsnCode for the tax invoice
+    unitPriceBeforeDiscountMinor: minorAmount(), // Quoted price per unit before discountPercent (orders from a quotation)
+    discountPercent: { type: Number },           // unitPriceMinor is unitPriceBeforeDiscountMinor less this
+    priceTierMinQuantity: { type: Number },       // The unit price is the price list's tier from this many units (absent: the single-unit price)
+    shippingWeightKg: { type: Number },          // Shipping weight of one unit when the order was placed (see services/shippingService.js)
+    promotionDiscountMinor: minorAmount({ min: 0 }), // Coupon discount on this line (all units, before GST); GST is charged on the rest
+    stockReserved: { type: Boolean, default: false } // Stock was taken for this line; restored on cancellation
 }, {_id: false}); // Don't create a separate _id for each variant item in the order
 
 const orderProductGroupSchema = new mongoose.Schema({
@@ -18,11 +36,85 @@ const orderProductGroupSchema = new mongoose.Schema({
     variants: [orderItemVariantSchema]
 }, {_id: false}); // Don't create a separate _id for each product group in the order
 
+const ORDER_STATUSES = ['Pending Confirmation', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+const PAYMENT_STATUSES = ['Pending', 'Paid', 'Failed', 'Refunded'];
+
+// Allowed next statuses for each status. Anything not listed is rejected.
+const ORDER_STATUS_TRANSITIONS = {
+    'Pending Confirmation': ['Confirmed', 'Cancelled'],
+    'Confirmed': ['Processing', 'Cancelled'],
+    'Processing': ['Shipped', 'Cancelled'],
+    'Shipped': ['Delivered'],
+    'Delivered': ['Refunded'],
+    'Cancelled': ['Refunded'],
+    'Refunded': []
+};
+
+// One entry per status change, including the initial status
+const statusHistoryEntrySchema = new mongoose.Schema({
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: String, trim: true }, // Admin email, or 'system' for automatic changes
+    note: { type: String, trim: true }
+}, {_id: false});
+
+const adminNoteSchema = new mongoose.Schema({
+    note: { type: String, required: true, trim: true },
+    author: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now }
+}, {_id: false});
+
+// Filled in by the admin when the order is dispatched; shown on the public tracking page
+const shipmentSchema = new mongoose.Schema({
+    carrier: { type: String, trim: true, maxlength: 100 },         // e.g. "Blue Dart"
+    trackingNumber: { type: String, trim: true, maxlength: 100 },  // The carrier's AWB / consignment number
+    dispatchedAt: { type: Date },
+    expectedDeliveryAt: { type: Date }
+}, {_id: false});
+
+// The rate the order was converted at (see models/ExchangeRate.js); 1 for INR orders
+const exchangeRateSnapshotSchema = new mongoose.Schema({
+    inrPerUnit: { type: Number, required: true, min: 0 },
+    asOf: { type: Date } // When the rate was last set
+}, {_id: false});
+
+// How the freight of a checkout order was worked out (see services/shippingService.js)
+const shippingSnapshotSchema = new mongoose.Schema({
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone', required: true },
+    zoneName: { type: String, required: true },
+    chargeableWeightKg: { type: Number, min: 0 },
+    freeShipping: { type: Boolean, default: false },  // The goods reached the zone's free-shipping threshold
+    codChargeMinor: minorAmount({ default: 0, min: 0 }) // Cash on delivery surcharge, included in freightChargeMinor
+}, {_id: false});
+
+// Snapshot of the coupon at the time of the order; the promotion itself may change later
+const promotionSnapshotSchema = new mongoose.Schema({
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+    code: { type: String, required: true },
+    name: { type: String }
+}, {_id: false});
+
+/**
+ * Error thrown when an order status change is not allowed by ORDER_STATUS_TRANSITIONS.
+ */
+class OrderStatusTransitionError extends Error {
+    constructor(fromStatus, toStatus) {
+        super(`Cannot change order status from '${fromStatus}' to '${toStatus}'.`);
+        this.name = 'OrderStatusTransitionError';
+    }
+}
+
 
 const orderSchema = new mongoose.Schema({
     // Order ID: Mongoose automatically creates an _id. 
-    // You can add a custom human-readable order number if needed.
-    // customOrderId: { type: String, unique: true, required: true },
+    // customOrderId is the human-readable order number shown to customers and admins,
+    // e.g. "GOI-2026-000123". It is assigned once, when the order is first saved.
+    customOrderId: { type: String, unique: true, sparse: true, trim: true },
+
+    // The customer account that placed the order (unset for guest orders until the customer
+    // verifies the same email, see services/customerService.js)
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    priceList: { type: String }, // Slug of the price list the items were priced on (see models/PriceList.js)
 
     // Customer Information (snapshot at the time of order)
     customerName: { type: String, required: true, trim: true },
@@ -31,6 +123,12 @@ const orderSchema = new mongoose.Schema({
     customerMobileNumber: { type: String, required: true, trim: true },
     customerWhatsappCode: { type: String },
     customerWhatsappNumber: { type: String, trim: true },
+    buyerGstin: { // Optional, printed on the tax invoice
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN format.']
+    },
     
     // Shipping Address
     shippingAddress: {
@@ -44,44 +142,123 @@ const orderSchema = new mongoose.Schema({
     // Order Items: An array of product groups, each containing variants
     orderItems: [orderProductGroupSchema], 
 
-    // Order Totals
-    totalOrderValue: { // String like "1344.00 Rs" - consider storing as number for calculations
-        type: String, 
-        required: true 
+    // Order Totals, in minor units of `currency`:
+    // totalMinor = subtotalMinor - discountTotalMinor + freightChargeMinor + taxTotalMinor
+    currency: { type: String, required: true, uppercase: true, default: 'INR' }, // ISO 4217
+    exchangeRate: { type: exchangeRateSnapshotSchema, default: () => ({ inrPerUnit: 1 }) },
+    subtotalMinor: minorAmount({ required: true, min: 0 }), // The lines before coupon discount and GST
+    // Freight is set by the shipping zone at checkout (`shipping`) or quoted by an admin (orders from
+    // a quotation); it is invoiced as its own taxable line
+    freightChargeMinor: minorAmount({ default: 0, min: 0 }), // Before GST
+    freightGstRate: { type: Number, default: 0 },
+    shipping: { type: shippingSnapshotSchema, default: undefined },
+    taxTotalMinor: minorAmount({ required: true, min: 0 }), // GST on the lines and freight
+    totalMinor: minorAmount({ required: true, min: 0 }),
+    totalInrMinor: minorAmount({ required: true, min: 0 }), // totalMinor in paise at exchangeRate, for reports across currencies
+    quotation: { type: mongoose.Schema.Types.ObjectId, ref: 'Quotation' }, // The accepted quotation, if any
+    // Coupon used at checkout (see models/Promotion.js). discountTotalMinor is the sum of the
+    // lines' promotionDiscountMinor, before GST.
+    promotion: { type: promotionSnapshotSchema, default: undefined },
+    discountTotalMinor: minorAmount({ default: 0, min: 0 }),
+    quotationNumber: { type: String },
+    // GST tax invoice, numbered sequentially per financial year (see services/invoiceService.js)
+    invoice: {
+        number: { type: String, unique: true, sparse: true },
+        financialYear: { type: String }, // e.g. "2026-27"
+        issuedAt: { type: Date }
     },
-    // It might be better to store totalOrderValue as a Number and currency separately:
-    // totalAmount: { type: Number, required: true },
-    // currency: { type: String, required: true, default: 'INR' },
-
 
     // Order Status
     status: {
         type: String,
-        enum: ['Pending Confirmation', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'],
+        enum: ORDER_STATUSES,
         default: 'Pending Confirmation'
     },
-    
+    statusHistory: [statusHistoryEntrySchema],
+    shipment: { type: shipmentSchema, default: undefined },
+
     // Payment Details (can be expanded)
     paymentMethod: { type: String }, // e.g., "UPI", "Card", "Net Banking", "Pay Later"
     paymentStatus: {
         type: String,
-        enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
+        enum: PAYMENT_STATUSES,
         default: 'Pending'
     },
     // paymentTransactionId: { type: String }, // If you integrate a payment gateway
 
     // Notes
-    // adminNotes: { type: String },
+    adminNotes: [adminNoteSchema], // Internal notes, never shown to the customer
     // customerNotes: { type: String } // If you add a notes field in the order form
 
 }, {
-    timestamps: true // Adds createdAt and updatedAt
+    timestamps: true, // Adds createdAt and updatedAt
+    optimisticConcurrency: true // Concurrent admin edits fail with a VersionError instead of both applying (e.g. restoring stock twice)
 });
 
 // Index for faster querying by customer email or status
 orderSchema.index({ customerEmail: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ customer: 1, createdAt: -1 }, { sparse: true });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'shippingAddress.state': 1 });
+
+/**
+ * Formats a human-readable order number, e.g. GOI-2026-000123.
+ * @param {number} year
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatOrderNumber = (year, sequence) => `${ORDER_NUMBER_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+
+// Calendar year in the business time zone, so orders placed just after midnight IST on 1 January get the new year.
+const getBusinessYear = (date) => Number(new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric' }).format(date));
+
+// Assign the order number from an atomic per-year counter before the first save.
+orderSchema.pre('validate', async function () {
+    if (this.isNew && !this.customOrderId) {
+        const year = getBusinessYear(new Date());
+        const sequence = await Counter.getNextSequence(`order-${year}`);
+        this.customOrderId = formatOrderNumber(year, sequence);
+    }
+});
+
+// Record the initial status so the history always starts at order creation.
+orderSchema.pre('save', function (next) {
+    if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+        this.statusHistory = [{ status: this.status, changedAt: new Date(), changedBy: 'system', note: 'Order placed' }];
+    }
+    next();
+});
+
+/**
+ * Lists the statuses this order may move to next.
+ * @returns {string[]}
+ */
+orderSchema.methods.getAllowedNextStatuses = function () {
+    return ORDER_STATUS_TRANSITIONS[this.status] || [];
+};
+
+/**
+ * Changes the order status and appends a history entry. Call `save()` afterwards.
+ * @param {string} newStatus - Target status.
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - Who made the change (admin email).
+ * @param {string} [options.note] - Optional admin note stored with the history entry.
+ * @throws {OrderStatusTransitionError} If the transition is not allowed.
+ */
+orderSchema.methods.transitionStatus = function (newStatus, { changedBy, note } = {}) {
+    if (!this.getAllowedNextStatuses().includes(newStatus)) {
+        throw new OrderStatusTransitionError(this.status, newStatus);
+    }
+    this.status = newStatus;
+    this.statusHistory.push({ status: newStatus, changedAt: new Date(), changedBy, note });
+};
 
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.formatOrderNumber = formatOrderNumber;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
+module.exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+module.exports.OrderStatusTransitionError = OrderStatusTransitionError;
@@ -0,0 +1,46 @@
+// models/Payment.js
+// One online payment attempt for an order (see services/paymentService.js). An order can have
+// several: a customer may abandon the gateway checkout and pay again later.
+const mongoose = require('mongoose');
+
+const PAYMENT_ATTEMPT_STATUSES = ['created', 'paid', 'failed', 'partially_refunded', 'refunded'];
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const refundSchema = new mongoose.Schema({
+    gatewayRefundId: { type: String, required: true },
+    amountMinor: { type: Number, required: true, min: 1 }, // In minor units of currency (paise for INR)
+    status: { type: String, enum: REFUND_STATUSES, default: 'pending' },
+    requestedBy: { type: String, trim: true }, // Admin email, or 'gateway' for refunds made in the gateway dashboard
+    note: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now },
+    settledAt: { type: Date }
+}, {_id: false});
+
+const paymentSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, required: true },
+    gateway: { type: String, required: true },           // 'razorpay' or 'mock'
+    gatewayReference: { type: String, required: true },  // The gateway's id for the checkout (e.g. a payment link)
+    gatewayPaymentId: { type: String },                   // The gateway's id for the captured payment; needed for refunds
+    amountMinor: { type: Number, required: true, min: 1 }, // In minor units of currency (paise for INR)
+    currency: { type: String, default: 'INR' },
+    status: { type: String, enum: PAYMENT_ATTEMPT_STATUSES, default: 'created' },
+    paidAt: { type: Date },
+    failureReason: { type: String },
+    // Sum of refunds requested and not failed; checked atomically so refunds never exceed the amount
+    refundRequestedMinor: { type: Number, default: 0, min: 0 },
+    refundedMinor: { type: Number, default: 0, min: 0 }, // Sum of succeeded refunds
+    refunds: [refundSchema],
+    // Webhook event ids already applied, so a redelivered webhook changes nothing
+    processedEventIds: { type: [String], select: false }
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ gateway: 1, gatewayReference: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
+module.exports.PAYMENT_ATTEMPT_STATUSES = PAYMENT_ATTEMPT_STATUSES;
@@ -0,0 +1,54 @@
+// models/PriceList.js
+// Customer price lists, e.g. "distributor" or "institutional". The prices themselves are quantity
+// tiers on each product dimension (Product dimensions[].priceTiers, keyed by the list's slug);
+// customers are put on a list through Customer.priceList.
+//
+// "retail" is built in and has no document: it is what guests and unassigned customers pay, and
+// what any list falls back to for a dimension or quantity it has no tier for. Retail pricing is
+// the dimension's basePrice, plus any tiers filed under "retail".
+const mongoose = require('mongoose');
+const { SLUG_PATTERN } = require('./ProductType');
+
+const RETAIL_PRICE_LIST = 'retail';
+
+const priceListSchema = new mongoose.Schema({
+    slug: { // Fixed once created; products and customers refer to the list by it
+        type: String,
+        required: [true, 'Slug is required.'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and single hyphens.'],
+        validate: [v => v !== RETAIL_PRICE_LIST, `"${RETAIL_PRICE_LIST}" is the built-in price list.`]
+    },
+    name: { // Shown in the admin panel
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    sortOrder: { // Lower numbers are listed first
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Whether a slug names a price list: the built-in retail list or an existing document.
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+priceListSchema.statics.isKnownSlug = async function(slug) {
+    return slug === RETAIL_PRICE_LIST || !!(await this.exists({ slug }));
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+module.exports = PriceList;
+module.exports.RETAIL_PRICE_LIST = RETAIL_PRICE_LIST;
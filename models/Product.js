@@ -1,6 +1,31 @@
 // models/Product.js 
 
 const mongoose = require('mongoose');
+const ProductType = require('./ProductType');
+const PriceList = require('./PriceList');
+const { RETAIL_PRICE_LIST } = require('./PriceList');
+
+// A break price: from minQuantity units of one dimension in one order, each costs unitPrice on
+// that price list. services/pricingService.js picks the tier (see models/PriceList.js).
+const priceTierSchema = new mongoose.Schema({
+    priceList: {
+        type: String,
+        required: [true, 'Price list is required.'],
+        trim: true,
+        lowercase: true
+    },
+    minQuantity: {
+        type: Number,
+        required: [true, 'Minimum quantity is required.'],
+        min: [1, 'Minimum quantity must be at least 1.'],
+        validate: [Number.isInteger, 'Minimum quantity must be a whole number.']
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, 'Unit price is required.'],
+        min: [0, 'Price cannot be negative.']
+    }
+}, {_id: false});
 
 // Define a sub-schema for product dimensions
 const dimensionSchema = new mongoose.Schema({
@@ -13,8 +38,69 @@ const dimensionSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Base price for the dimension is required.'],
         min: [0, 'Price cannot be negative.'] 
+    },
+    // Units on hand. null means stock is not tracked for this dimension (always available).
+    // Changed atomically by services/inventoryService.js when orders are placed or cancelled.
+    stockQuantity: {
+        type: Number,
+        default: null,
+        min: [0, 'Stock cannot be negative.'],
+        validate: [v => v === null || Number.isInteger(v), 'Stock must be a whole number.']
+    },
+    reorderLevel: { // Optional; the admin panel flags the dimension when stock falls to this level
+        type: Number,
+        min: [0, 'Reorder level cannot be negative.']
+    },
+    sku: { // Optional stock-keeping code, used by the catalogue spreadsheet import/export
+        type: String,
+        trim: true
+    },
+    // Packed size of one unit, for freight (services/shippingService.js). Optional; a dimension
+    // without them adds no weight.
+    weightKg: { type: Number, min: [0, 'Weight cannot be negative.'] },
+    lengthCm: { type: Number, min: [0, 'Length cannot be negative.'] },
+    widthCm: { type: Number, min: [0, 'Width cannot be negative.'] },
+    heightCm: { type: Number, min: [0, 'Height cannot be negative.'] },
+    priceTiers: {
+        type: [priceTierSchema],
+        validate: [
+            {
+                validator: tiers => new Set(tiers.map(t => `${t.priceList}:${t.minQuantity}`)).size === tiers.length,
+                message: 'A price list can only have one tier per minimum quantity.'
+            },
+            {
+                // basePrice is the retail price from one unit
+                validator: tiers => tiers.every(t => t.priceList !== RETAIL_PRICE_LIST || t.minQuantity > 1),
+                message: 'Retail tiers start at 2 units or more; the base price covers single units.'
+            },
+            {
+                validator: async tiers => {
+                    for (const slug of new Set(tiers.map(t => t.priceList))) {
+                        if (!(await PriceList.isKnownSlug(slug))) return false;
+                    }
+                    return true;
+                },
+                message: 'Unknown price list. Add it under Price Lists first.'
+            }
+        ]
     }
-    // SKU was removed previously
+});
+
+// One size of a processed image (see services/imageProcessingService.js), in both formats
+const imageVariantSchema = new mongoose.Schema({
+    webp: { type: String, trim: true },
+    jpeg: { type: String, trim: true },
+    width: { type: Number },
+    height: { type: Number }
+}, {_id: false});
+
+// The resized copies of one uploaded image. Images uploaded before variants existed have an
+// empty entry and are only available through baseImageURL / additionalImageURLs.
+// The _id is how the admin gallery endpoints address a single image.
+const productImageSchema = new mongoose.Schema({
+    thumb: imageVariantSchema,
+    card: imageVariantSchema,
+    zoom: imageVariantSchema
 });
 
 // Define the main product schema
@@ -35,10 +121,15 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Product type is required.'],
         trim: true,
         lowercase: true, 
-        // REMOVED enum: to allow any new product type string
+        // Slug of a managed ProductType (see routes/adminProductTypeRoutes.js). Also runs on
+        // findByIdAndUpdate with runValidators, so updates can't introduce unknown types.
+        validate: {
+            validator: async (value) => !!(await ProductType.exists({ slug: value })),
+            message: props => `Unknown product type "${props.value}". Add it under Product Types first.`
+        },
         index: true
     },
-    baseImageURL: { 
+    baseImageURL: { // The card-size JPEG when baseImage is set
         type: String,
         trim: true
     },
@@ -46,10 +137,18 @@ const productSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    baseImage: { type: productImageSchema, default: null },
+    // Same order as additionalImageURLs (see alignImageEntries)
+    additionalImages: [productImageSchema],
     dimensions: { 
         type: [dimensionSchema],
         validate: [v => Array.isArray(v) && v.length > 0, 'Product must have at least one dimension.'] 
     },
+    hsnCode: { // HSN code printed on GST tax invoices
+        type: String,
+        trim: true,
+        match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits.']
+    },
     gstRate: {
         type: Number,
         required: [true, 'GST rate is required.'],
@@ -68,6 +167,29 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ name: 'text', description: 'text', productType: 'text' });
 
+/**
+ * Gives every image URL a matching baseImage / additionalImages entry, so each image has an _id.
+ * Products saved before images had variants have URLs without entries. Only changes the document
+ * in memory; the caller saves it.
+ * @returns {boolean} Whether any entry was added or removed.
+ */
+productSchema.methods.alignImageEntries = function () {
+    let changed = false;
+    if (this.baseImageURL && !this.baseImage) {
+        this.baseImage = {};
+        changed = true;
+    }
+    while (this.additionalImages.length < this.additionalImageURLs.length) {
+        this.additionalImages.push({});
+        changed = true;
+    }
+    if (this.additionalImages.length > this.additionalImageURLs.length) {
+        this.additionalImages.splice(this.additionalImageURLs.length);
+        changed = true;
+    }
+    return changed;
+};
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
@@ -0,0 +1,90 @@
+// models/ProductType.js
+// Managed list of product types. Products store the type's slug in `productType`,
+// which must match one of these documents.
+const mongoose = require('mongoose');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turns a display name or free-text type into a slug, e.g. "Ring Fixator" -> "ring-fixator".
+ * @param {string} value
+ * @returns {string}
+ */
+const slugify = (value) => String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const productTypeSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: [true, 'Slug is required.'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and single hyphens.']
+    },
+    name: { // Display name shown in the admin panel and storefront filters
+        type: String,
+        required: [true, 'Display name is required.'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    sortOrder: { // Lower numbers are listed first
+        type: Number,
+        default: 0
+    },
+    parent: { // Optional parent category. Only one level of nesting is allowed.
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductType',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+productTypeSchema.index({ parent: 1, sortOrder: 1 });
+
+// Keeps the hierarchy one level deep: a parent can't itself have a parent,
+// and a type that already has children can't be moved under another type.
+productTypeSchema.pre('validate', async function() {
+    if (!this.parent) return;
+    if (this.parent.equals(this._id)) {
+        this.invalidate('parent', 'A product type cannot be its own parent.');
+        return;
+    }
+    const ProductType = this.constructor;
+    const parent = await ProductType.findById(this.parent).select('parent');
+    if (!parent) {
+        this.invalidate('parent', 'Parent product type not found.');
+    } else if (parent.parent) {
+        this.invalidate('parent', 'The parent must be a top-level product type.');
+    } else if (!this.isNew && await ProductType.exists({ parent: this._id })) {
+        this.invalidate('parent', 'This product type has sub-types, so it cannot be placed under another type.');
+    }
+});
+
+/**
+ * Slugs of the given types plus the slugs of their sub-types, so filtering by a
+ * parent category also finds products filed under its children.
+ * @param {string[]} slugs
+ * @returns {Promise<string[]>}
+ */
+productTypeSchema.statics.expandWithSubTypes = async function(slugs) {
+    const parents = await this.find({ slug: { $in: slugs } }).select('_id');
+    const children = parents.length > 0
+        ? await this.find({ parent: { $in: parents.map(p => p._id) } }).select('slug')
+        : [];
+    return [...new Set([...slugs, ...children.map(c => c.slug)])];
+};
+
+const ProductType = mongoose.model('ProductType', productTypeSchema);
+
+module.exports = ProductType;
+module.exports.slugify = slugify;
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
@@ -0,0 +1,64 @@
+// models/Promotion.js
+// Coupon promotions. A customer enters the code at checkout; the discount is worked out on the
+// server (services/promotionService.js) and taken off the order before GST.
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,29}$/;
+
+const promotionSchema = new mongoose.Schema({
+    code: { // What the customer types, stored upper case
+        type: String,
+        required: [true, 'Coupon code is required.'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [CODE_PATTERN, 'Coupon code must be 3 to 30 letters, numbers, hyphens or underscores.']
+    },
+    name: { // Shown to the customer next to the discount, e.g. "Monsoon sale"
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true
+    },
+    description: { type: String, trim: true, default: '' },
+    discountType: {
+        type: String,
+        enum: { values: DISCOUNT_TYPES, message: 'Discount type must be one of: ' + DISCOUNT_TYPES.join(', ') },
+        required: true
+    },
+    discountValue: { // Percent off for "percentage", Rs off (before GST) for "fixed"
+        type: Number,
+        required: [true, 'Discount value is required.'],
+        min: [0.01, 'Discount value must be more than 0.'],
+        validate: {
+            validator: function (value) { return this.discountType !== 'percentage' || value <= 100; },
+            message: 'A percentage discount cannot be more than 100.'
+        }
+    },
+    // The lines the discount applies to: products of these types (a parent type includes its
+    // sub-types) or these products. Both empty means every line in the order.
+    productTypes: [{ type: String, trim: true, lowercase: true }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    minOrderValue: { type: Number, default: 0, min: 0 }, // Order subtotal before GST, all lines
+    startsAt: { type: Date },
+    endsAt: {
+        type: Date,
+        validate: {
+            validator: function (value) { return !value || !this.startsAt || value > this.startsAt; },
+            message: 'The end date must be after the start date.'
+        }
+    },
+    usageLimit: { type: Number, min: 1, default: null },       // Orders in total; null = no limit
+    perCustomerLimit: { type: Number, min: 1, default: null }, // Orders per customer email or account (see PromotionRedemption); null = no limit
+    usageCount: { type: Number, default: 0, min: 0 },           // Orders placed with the code; only changed atomically
+    isActive: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+promotionSchema.index({ productTypes: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
@@ -0,0 +1,24 @@
+// models/PromotionRedemption.js
+const mongoose = require('mongoose');
+
+// One document per order that used a coupon with a per-customer limit, for each way the customer
+// is known: "customer:<account id>" and "email:<checkout email>". A customer with a limit of 3
+// has slots 0, 1 and 2; the unique index lets only one order take each slot, so two orders placed
+// at the same moment can't both take the last one (services/promotionService.js). Cancelling the
+// order deletes its documents and frees the slots.
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+    customerKey: { type: String, required: true },
+    slot: { type: Number, required: true, min: 0 },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+promotionRedemptionSchema.index({ promotion: 1, customerKey: 1, slot: 1 }, { unique: true });
+promotionRedemptionSchema.index({ order: 1 });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
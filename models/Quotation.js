@@ -0,0 +1,150 @@
+// models/Quotation.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const QUOTATION_NUMBER_PREFIX = 'GOQ';
+const BUSINESS_TIME_ZONE = 'Asia/Kolkata';
+const DEFAULT_VALIDITY_DAYS = 30; // Proposed validity of a new request; the admin sets the final date
+const DEFAULT_FREIGHT_GST_RATE = 0.18;
+
+// Requested: waiting for the admin to price it (also while a sent quotation is being revised)
+// Sent: the proforma was emailed and the customer may accept it until validUntil
+// Accepted: turned into an Order (see services/quotationService.js)
+const QUOTATION_STATUSES = ['Requested', 'Sent', 'Accepted', 'Cancelled'];
+
+// One product dimension. Prices are per unit before GST.
+const quotationLineSchema = new mongoose.Schema({
+    productId: { type: String, required: true },
+    productName: { type: String, required: true },
+    dimension: { type: String, required: true },
+    hsnCode: { type: String },
+    quantity: { type: Number, required: true, min: 1, validate: [Number.isInteger, 'Quantity must be a whole number.'] },
+    listPrice: { type: Number, required: true },  // Catalogue price when the quotation was requested
+    unitPrice: { type: Number, required: true, min: [0, 'Price cannot be negative.'] }, // Quoted price
+    discountPercent: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative.'],
+        max: [100, 'Discount cannot be more than 100%.']
+    },
+    gstRate: { type: Number, required: true, min: 0, max: 1 }
+});
+
+const statusHistoryEntrySchema = new mongoose.Schema({
+    status: { type: String, enum: QUOTATION_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: String, trim: true }, // Admin email, 'customer' or 'system'
+    note: { type: String, trim: true }
+}, {_id: false});
+
+const quotationSchema = new mongoose.Schema({
+    // e.g. "GOQ-2026-000012", assigned on the first save
+    quotationNumber: { type: String, unique: true, sparse: true, trim: true },
+
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }, // Account that requested it, if logged in
+
+    // Customer information, in the same shape as Order so accepting can copy it over
+    customerName: { type: String, required: true, trim: true },
+    customerEmail: { type: String, required: true, trim: true, lowercase: true },
+    customerMobileCode: { type: String, required: true },
+    customerMobileNumber: { type: String, required: true, trim: true },
+    customerWhatsappCode: { type: String },
+    customerWhatsappNumber: { type: String, trim: true },
+    buyerGstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN format.']
+    },
+    shippingAddress: {
+        address: { type: String, required: true, trim: true },
+        city: { type: String, required: true, trim: true },
+        state: { type: String, required: true, trim: true },
+        country: { type: String, required: true, trim: true },
+        pincode: { type: String, required: true, trim: true }
+    },
+    customerNotes: { type: String, trim: true, maxlength: [2000, 'Notes cannot be longer than 2000 characters.'] },
+
+    lines: {
+        type: [quotationLineSchema],
+        validate: [v => v.length > 0, 'A quotation must contain at least one item.']
+    },
+    freightCharge: { type: Number, default: 0, min: [0, 'Freight cannot be negative.'] }, // Before GST
+    freightGstRate: { type: Number, default: DEFAULT_FREIGHT_GST_RATE, min: 0, max: 1 },
+    validUntil: { type: Date, required: true }, // Last day the customer can accept, inclusive
+    terms: { type: String, trim: true, maxlength: [2000, 'Terms cannot be longer than 2000 characters.'] }, // Printed on the proforma
+
+    status: { type: String, enum: QUOTATION_STATUSES, default: 'Requested' },
+    statusHistory: [statusHistoryEntrySchema],
+    revision: { type: Number, default: 0 }, // Incremented each time a proforma is sent
+    sentAt: { type: Date },
+    acceptedAt: { type: Date },
+
+    // Random and unguessable: the accept link in the proforma email carries it instead of a login
+    acceptToken: { type: String, unique: true, default: () => crypto.randomBytes(18).toString('base64url') },
+
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Set once accepted
+    orderNumber: { type: String }
+}, {
+    timestamps: true,
+    optimisticConcurrency: true
+});
+
+quotationSchema.index({ status: 1 });
+quotationSchema.index({ createdAt: -1 });
+quotationSchema.index({ customerEmail: 1 });
+
+/**
+ * Formats a quotation number, e.g. GOQ-2026-000012.
+ * @param {number} year
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatQuotationNumber = (year, sequence) => `${QUOTATION_NUMBER_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+
+const getBusinessYear = (date) => Number(new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric' }).format(date));
+
+quotationSchema.pre('validate', async function () {
+    if (this.isNew && !this.quotationNumber) {
+        const year = getBusinessYear(new Date());
+        const sequence = await Counter.getNextSequence(`quotation-${year}`);
+        this.quotationNumber = formatQuotationNumber(year, sequence);
+    }
+});
+
+quotationSchema.pre('save', function (next) {
+    if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+        this.statusHistory = [{ status: this.status, changedAt: new Date(), changedBy: 'customer', note: 'Quotation requested' }];
+    }
+    next();
+});
+
+/**
+ * Whether the validity date has passed (the whole validUntil day, in IST, still counts).
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+quotationSchema.methods.isExpired = function (now = new Date()) {
+    if (!this.validUntil) return false;
+    const lastDay = new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIME_ZONE }).format(this.validUntil);
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIME_ZONE }).format(now);
+    return today > lastDay;
+};
+
+/**
+ * Changes the status and appends a history entry. Call `save()` afterwards.
+ * @param {string} newStatus
+ * @param {Object} [options] - `{ changedBy, note }`
+ */
+quotationSchema.methods.recordStatus = function (newStatus, { changedBy, note } = {}) {
+    this.status = newStatus;
+    this.statusHistory.push({ status: newStatus, changedAt: new Date(), changedBy, note });
+};
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+
+module.exports = Quotation;
+module.exports.QUOTATION_STATUSES = QUOTATION_STATUSES;
+module.exports.DEFAULT_VALIDITY_DAYS = DEFAULT_VALIDITY_DAYS;
+module.exports.formatQuotationNumber = formatQuotationNumber;
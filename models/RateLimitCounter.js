@@ -0,0 +1,19 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+// One document per rate limit key and window, e.g. { _id: 'inquiry-ip:203.0.113.7:1781000000000', count: 3 }.
+// Used by services/rateLimit/mongoStore.js so every server instance counts the same requests.
+// MongoDB deletes a window's document once it has expired (TTL index on expiresAt).
+const rateLimitCounterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+}, {
+    versionKey: false
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,69 @@
+// models/ShippingZone.js
+// Where we deliver and what freight costs there. The checkout's country, state and pincode pick a
+// zone (see services/shippingService.js); the zone's rate table prices the parcel by weight.
+// Amounts are INR rupees before GST, converted like catalogue prices for orders in another currency.
+const mongoose = require('mongoose');
+
+const RATE_METHODS = ['flat', 'per_kg'];
+const DEFAULT_FREIGHT_GST_RATE = 0.18;
+const PINCODE_PREFIX_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+
+// One band of the rate table: from minWeightKg (chargeable weight) up to the next band's minimum
+const rateBandSchema = new mongoose.Schema({
+    minWeightKg: {
+        type: Number,
+        required: [true, 'Band start weight is required.'],
+        min: [0, 'Weight cannot be negative.']
+    },
+    method: {
+        type: String,
+        enum: { values: RATE_METHODS, message: 'Rate method must be one of: ' + RATE_METHODS.join(', ') },
+        required: true
+    },
+    amount: { // Rs for the parcel ("flat") or Rs per kg of chargeable weight ("per_kg")
+        type: Number,
+        required: [true, 'Rate amount is required.'],
+        min: [0, 'Rate cannot be negative.']
+    }
+}, {_id: false});
+
+const listOf = (options = {}) => [{ type: String, trim: true, ...options }];
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: { // Shown to the customer with the freight, e.g. "North-East"
+        type: String,
+        required: [true, 'Zone name is required.'],
+        unique: true,
+        trim: true
+    },
+    // The addresses the zone covers. An empty list matches anything, so a zone with no countries
+    // is the catch-all. When several zones match, the most specific wins (pincode, then state,
+    // then country).
+    countries: listOf(),      // As in the storefront's country list, e.g. "India"
+    states: listOf(),         // e.g. "Assam"
+    pincodePrefixes: {        // e.g. "78" for pincodes starting 78
+        type: listOf({ uppercase: true }),
+        validate: [prefixes => prefixes.every(prefix => PINCODE_PREFIX_PATTERN.test(prefix)), 'Pincode prefixes must be letters and digits only.']
+    },
+    rates: {
+        type: [rateBandSchema],
+        validate: [
+            { validator: bands => bands.some(band => band.minWeightKg === 0), message: 'The rate table needs a band starting at 0 kg.' },
+            { validator: bands => new Set(bands.map(band => band.minWeightKg)).size === bands.length, message: 'Each band must start at a different weight.' }
+        ]
+    },
+    freeAboveOrderValue: { type: Number, min: 0, default: null }, // Rs of goods after coupon, before GST; null = never free
+    codAvailable: { type: Boolean, default: true }, // Cash on delivery offered (INR orders only)
+    codSurcharge: { type: Number, min: 0, default: 0 },        // Rs per COD order...
+    codSurchargePercent: { type: Number, min: 0, max: 100, default: 0 }, // ...or this % of the goods, whichever is higher
+    freightGstRate: { type: Number, min: 0, max: 1, default: DEFAULT_FREIGHT_GST_RATE }, // On freight and the COD surcharge; INR orders only
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: String, trim: true } // Admin email of the last change
+}, {
+    timestamps: true
+});
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
+module.exports.RATE_METHODS = RATE_METHODS;
@@ -0,0 +1,144 @@
+// routes/adminAuthRoutes.js
+const express = require('express');
+const router = express.Router();
+const AdminUser = require('../models/AdminUser');
+const { ADMIN_ROLES } = require('../models/AdminUser');
+const { issueAdminToken, requireAdminAuth, requireRole } = require('../middleware/authMiddleware');
+
+// POST /api/admin/auth/login - Exchange email + password for a bearer token
+router.post('/login', async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = req.body.password;
+    console.log(`Admin Auth: Login attempt for ${email || '(no email)'}`);
+
+    if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required.' });
+    }
+
+    try {
+        const adminUser = await AdminUser.findOne({ email }).select('+passwordHash');
+        // Same response for unknown user and wrong password
+        if (!adminUser || !adminUser.isActive || !(await adminUser.comparePassword(password))) {
+            console.warn(`Admin Auth: Failed login for ${email}`);
+            return res.status(401).json({ message: 'Invalid email or password.' });
+        }
+
+        const { token, expiresIn } = issueAdminToken(adminUser);
+        adminUser.lastLoginAt = new Date();
+        await adminUser.save();
+
+        console.log(`Admin Auth: ${email} logged in as ${adminUser.role}`);
+        res.status(200).json({ token, expiresIn, user: adminUser.toJSON() });
+    } catch (error) {
+        console.error("Admin Auth: Error during login:", error);
+        if (error.message === "Admin authentication is not configured.") {
+            return res.status(503).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error logging in.' });
+    }
+});
+
+// GET /api/admin/auth/me - Current admin user
+router.get('/me', requireAdminAuth, (req, res) => {
+    res.status(200).json(req.adminUser);
+});
+
+// PUT /api/admin/auth/me/password - Change own password
+router.put('/me/password', requireAdminAuth, async (req, res) => {
+    try {
+        const adminUser = await AdminUser.findById(req.adminUser._id).select('+passwordHash');
+        if (!(await adminUser.comparePassword(req.body.currentPassword))) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+        await adminUser.setPassword(req.body.newPassword);
+        await adminUser.save();
+        res.status(200).json({ message: 'Password updated.' });
+    } catch (error) {
+        console.error("Admin Auth: Error changing password:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'Error changing password.' });
+    }
+});
+
+// --- Admin user management (owner only) ---
+
+// GET /api/admin/auth/users
+router.get('/users', requireAdminAuth, requireRole('owner'), async (req, res) => {
+    try {
+        const users = await AdminUser.find().sort({ createdAt: 1 });
+        res.status(200).json(users);
+    } catch (error) {
+        console.error("Admin Auth: Error listing admin users:", error);
+        res.status(500).json({ message: 'Error fetching admin users', error: error.message });
+    }
+});
+
+// POST /api/admin/auth/users - Create an admin user
+router.post('/users', requireAdminAuth, requireRole('owner'), async (req, res) => {
+    try {
+        const adminUser = new AdminUser({
+            name: req.body.name,
+            email: req.body.email,
+            role: req.body.role
+        });
+        await adminUser.setPassword(req.body.password);
+        const savedUser = await adminUser.save();
+        console.log(`Admin Auth: ${req.adminUser.email} created admin user ${savedUser.email} (${savedUser.role})`);
+        res.status(201).json(savedUser);
+    } catch (error) {
+        console.error("Admin Auth: Error creating admin user:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'An admin user with this email already exists.' });
+        }
+        res.status(500).json({ message: error.message || 'Error creating admin user' });
+    }
+});
+
+// PUT /api/admin/auth/users/:id - Update role, active flag, name or reset password
+router.put('/users/:id', requireAdminAuth, requireRole('owner'), async (req, res) => {
+    try {
+        const adminUser = await AdminUser.findById(req.params.id);
+        if (!adminUser) {
+            return res.status(404).json({ message: 'Admin user not found' });
+        }
+        const isSelf = adminUser._id.equals(req.adminUser._id);
+
+        if (req.body.name !== undefined) adminUser.name = req.body.name;
+        if (req.body.role !== undefined) {
+            if (!ADMIN_ROLES.includes(req.body.role)) {
+                return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+            }
+            if (isSelf && req.body.role !== 'owner') {
+                return res.status(400).json({ message: 'You cannot remove your own owner role.' });
+            }
+            adminUser.role = req.body.role;
+        }
+        if (Object.prototype.hasOwnProperty.call(req.body, 'isActive')) {
+            const isActive = String(req.body.isActive).toLowerCase() === 'true';
+            if (isSelf && !isActive) {
+                return res.status(400).json({ message: 'You cannot deactivate your own account.' });
+            }
+            adminUser.isActive = isActive;
+        }
+        if (req.body.password) {
+            await adminUser.setPassword(req.body.password);
+        }
+
+        const savedUser = await adminUser.save();
+        console.log(`Admin Auth: ${req.adminUser.email} updated admin user ${savedUser.email}`);
+        res.status(200).json(savedUser);
+    } catch (error) {
+        console.error(`Admin Auth: Error updating admin user ${req.params.id}:`, error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: error.message || 'Error updating admin user' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// routes/adminCustomerRoutes.js
+// Owner-only view of storefront customer accounts (/api/admin/customers), for putting customers
+// on a price list (models/PriceList.js).
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const PriceList = require('../models/PriceList');
+const { RETAIL_PRICE_LIST } = require('../models/PriceList');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The account fields the admin panel needs; no address book or login details.
+const toAdminCustomerJSON = (customer) => ({
+    _id: customer._id,
+    name: customer.name,
+    email: customer.email,
+    mobileCode: customer.mobileCode,
+    mobileNumber: customer.mobileNumber,
+    buyerGstin: customer.buyerGstin,
+    priceList: customer.priceList || RETAIL_PRICE_LIST,
+    emailVerifiedAt: customer.emailVerifiedAt,
+    isActive: customer.isActive,
+    lastLoginAt: customer.lastLoginAt,
+    createdAt: customer.createdAt
+});
+
+// GET /api/admin/customers - List customers, newest first
+// Query: q (name, email or GSTIN, partial), priceList (slug; "retail" = none assigned), page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Customers: Received GET request to list customers", req.query);
+    try {
+        const filter = {};
+        if (req.query.q) {
+            const pattern = { $regex: escapeRegex(String(req.query.q).trim()), $options: 'i' };
+            filter.$or = [{ name: pattern }, { email: pattern }, { buyerGstin: pattern }];
+        }
+        if (req.query.priceList) {
+            const slug = String(req.query.priceList).trim().toLowerCase();
+            filter.priceList = slug === RETAIL_PRICE_LIST ? { $in: [null, ''] } : slug;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [customers, total] = await Promise.all([
+            Customer.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Customer.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            customers: customers.map(toAdminCustomerJSON),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error("Admin Customers: Error fetching customers:", error);
+        res.status(500).json({ message: 'Error fetching customers', error: error.message });
+    }
+});
+
+// PATCH /api/admin/customers/:id/price-list - Put a customer on a price list
+// Body: { priceList } (slug; "retail" or empty for retail prices). Applies to the customer's carts,
+// orders and quotation requests from now on; placed orders keep their prices.
+router.patch('/:id/price-list', async (req, res) => {
+    console.log(`Admin Customers: Price list change requested for customer ${req.params.id}:`, req.body);
+    const slug = String(req.body.priceList || '').trim().toLowerCase() || RETAIL_PRICE_LIST;
+    try {
+        if (!(await PriceList.isKnownSlug(slug))) {
+            return res.status(400).json({ message: `Unknown price list "${slug}".` });
+        }
+        // An atomic update, so the customer editing their own account at the same time is not affected
+        const customer = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Customer.findByIdAndUpdate(
+                req.params.id,
+                slug === RETAIL_PRICE_LIST ? { $unset: { priceList: 1 } } : { $set: { priceList: slug } },
+                { new: true }
+            )
+            : null;
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        console.log(`Admin Customers: ${req.adminUser.email} put ${customer.email} on price list "${slug}"`);
+        res.status(200).json(toAdminCustomerJSON(customer));
+    } catch (error) {
+        console.error(`Admin Customers: Error changing the price list of customer ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error updating customer' });
+    }
+});
+
+module.exports = router;
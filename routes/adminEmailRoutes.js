@@ -0,0 +1,132 @@
+// routes/adminEmailRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const { EMAIL_STATUSES } = require('../models/EmailMessage');
+const { requeueEmail } = require('../services/emailOutboxService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Bodies and attachment contents are left out of the list
+const LIST_FIELDS = '-html -text -attachments.content';
+
+// "failed" = dead-lettered, plus messages still being retried after a failed attempt
+const FAILED_FILTER = {
+    $or: [
+        { status: 'dead' },
+        { status: 'pending', attempts: { $gt: 0 } }
+    ]
+};
+
+// Loads the outbox message for routes with an :id param, or responds 404.
+const loadEmailMessage = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Email not found' });
+        return null;
+    }
+    const emailMessage = await EmailMessage.findById(req.params.id);
+    if (!emailMessage) {
+        console.log(`Admin Emails: Email not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Email not found' });
+        return null;
+    }
+    return emailMessage;
+};
+
+// GET /api/admin/emails - Outbox messages, newest first
+// Query: status ("failed" (default), or comma-separated statuses), reference, page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Emails: Received GET request to list outbox messages", req.query);
+    try {
+        let filter = FAILED_FILTER;
+        const statusParam = req.query.status ? String(req.query.status) : 'failed';
+        if (statusParam !== 'failed') {
+            const statuses = statusParam.split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = statuses.filter(s => !EMAIL_STATUSES.includes(s));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown status filter: ${unknown.join(', ')}` });
+            }
+            filter = { status: { $in: statuses } };
+        }
+        if (req.query.reference) {
+            filter = { $and: [filter, { reference: String(req.query.reference).trim() }] };
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [emails, total, statusCounts] = await Promise.all([
+            EmailMessage.find(filter).select(LIST_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            EmailMessage.countDocuments(filter),
+            EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.status(200).json({
+            emails,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            counts: Object.fromEntries(statusCounts.map(c => [c._id, c.count]))
+        });
+    } catch (error) {
+        console.error("Admin Emails: Error fetching outbox messages:", error);
+        res.status(500).json({ message: 'Error fetching emails', error: error.message });
+    }
+});
+
+// GET /api/admin/emails/:id - One message with its bodies (attachment contents left out)
+router.get('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+        const emailMessage = await EmailMessage.findById(req.params.id).select('-attachments.content');
+        if (!emailMessage) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+        res.status(200).json(emailMessage);
+    } catch (error) {
+        console.error(`Admin Emails: Error fetching email ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching email', error: error.message });
+    }
+});
+
+// POST /api/admin/emails/:id/retry - Send a failed message again now, with a fresh set of attempts
+router.post('/:id/retry', async (req, res) => {
+    console.log(`Admin Emails: Received retry request for email ID: ${req.params.id}`);
+    try {
+        const emailMessage = await loadEmailMessage(req, res);
+        if (!emailMessage) return;
+        if (emailMessage.status === 'sent' || emailMessage.status === 'sending') {
+            return res.status(409).json({ message: `This email is already ${emailMessage.status}.` });
+        }
+        await requeueEmail(emailMessage);
+        console.log(`Admin Emails: Email ${emailMessage._id} to ${emailMessage.to} requeued by ${req.adminUser.email}`);
+        res.status(200).json({ message: 'Email queued for sending.', status: emailMessage.status });
+    } catch (error) {
+        console.error(`Admin Emails: Error retrying email ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error retrying email' });
+    }
+});
+
+// DELETE /api/admin/emails/:id - Discard a dead message that should not be sent
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Emails: Received DELETE request for email ID: ${req.params.id}`);
+    try {
+        const emailMessage = await loadEmailMessage(req, res);
+        if (!emailMessage) return;
+        if (emailMessage.status !== 'dead') {
+            return res.status(409).json({ message: 'Only emails that have failed for good can be discarded.' });
+        }
+        await emailMessage.deleteOne();
+        console.log(`Admin Emails: Email ${emailMessage._id} to ${emailMessage.to} discarded by ${req.adminUser.email}`);
+        res.status(200).json({ message: 'Email discarded.' });
+    } catch (error) {
+        console.error(`Admin Emails: Error discarding email ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error discarding email' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// routes/adminExchangeRateRoutes.js
+// Owner-only exchange rates (/api/admin/exchange-rates) for the currencies, other than INR, that
+// orders can be placed in. A new rate applies to carts and orders from then on; placed orders
+// keep the rate they were placed at.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const Order = require('../models/Order');
+
+// Loads the exchange rate for routes with an :id param, or responds 404.
+const loadExchangeRate = async (req, res) => {
+    const exchangeRate = mongoose.Types.ObjectId.isValid(req.params.id) ? await ExchangeRate.findById(req.params.id) : null;
+    if (!exchangeRate) {
+        console.log(`Admin Exchange Rates: Exchange rate not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Exchange rate not found' });
+        return null;
+    }
+    return exchangeRate;
+};
+
+// Arrays may be sent as JSON arrays or comma-separated text
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Copies the editable fields from the request body. The currency code can only be set on creation.
+const applyExchangeRateFields = (exchangeRate, body, adminEmail) => {
+    ['name', 'inrPerUnit', 'isActive'].forEach(field => {
+        if (body[field] !== undefined) exchangeRate[field] = body[field];
+    });
+    if (body.countries !== undefined) exchangeRate.countries = parseList(body.countries);
+    exchangeRate.updatedBy = adminEmail;
+};
+
+const handleExchangeRateSaveError = (error, res, action) => {
+    console.error(`Admin Exchange Rates: Error ${action} exchange rate:`, error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'An exchange rate for this currency already exists.' });
+    }
+    res.status(500).json({ message: error.message || `Error ${action} exchange rate` });
+};
+
+// GET /api/admin/exchange-rates - Every exchange rate, by currency code, with the number of orders placed in it
+router.get('/', async (req, res) => {
+    console.log("Admin Exchange Rates: Received GET request to list exchange rates");
+    try {
+        const [exchangeRates, orderCounts] = await Promise.all([
+            ExchangeRate.find().sort({ currency: 1 }),
+            Order.aggregate([{ $group: { _id: '$currency', count: { $sum: 1 } } }])
+        ]);
+        const orderCountByCurrency = new Map(orderCounts.map(c => [c._id, c.count]));
+        res.status(200).json(exchangeRates.map(exchangeRate => ({
+            ...exchangeRate.toJSON(),
+            orderCount: orderCountByCurrency.get(exchangeRate.currency) || 0
+        })));
+    } catch (error) {
+        console.error("Admin Exchange Rates: Error fetching exchange rates:", error);
+        res.status(500).json({ message: 'Error fetching exchange rates', error: error.message });
+    }
+});
+
+// POST /api/admin/exchange-rates - Add a currency
+// Body: currency (ISO 4217 code), name, inrPerUnit, countries, isActive
+router.post('/', async (req, res) => {
+    console.log("Admin Exchange Rates: Received POST request to create exchange rate", req.body);
+    try {
+        const exchangeRate = new ExchangeRate({ currency: req.body.currency });
+        applyExchangeRateFields(exchangeRate, req.body, req.adminUser.email);
+        const savedExchangeRate = await exchangeRate.save();
+        console.log(`Admin Exchange Rates: ${req.adminUser.email} added ${savedExchangeRate.currency} at ${savedExchangeRate.inrPerUnit} Rs`);
+        res.status(201).json(savedExchangeRate);
+    } catch (error) {
+        handleExchangeRateSaveError(error, res, 'creating');
+    }
+});
+
+// PUT /api/admin/exchange-rates/:id - Update a currency's name, rate, countries or isActive
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Exchange Rates: Received PUT request for exchange rate ID: ${req.params.id}`, req.body);
+    try {
+        const exchangeRate = await loadExchangeRate(req, res);
+        if (!exchangeRate) return;
+        if (req.body.currency !== undefined && String(req.body.currency).trim().toUpperCase() !== exchangeRate.currency) {
+            return res.status(400).json({ message: 'The currency code cannot be changed. Add a new currency instead.' });
+        }
+        applyExchangeRateFields(exchangeRate, req.body, req.adminUser.email);
+        const savedExchangeRate = await exchangeRate.save();
+        console.log(`Admin Exchange Rates: ${req.adminUser.email} updated ${savedExchangeRate.currency} (${savedExchangeRate.inrPerUnit} Rs, ${savedExchangeRate.isActive ? 'active' : 'inactive'})`);
+        res.status(200).json(savedExchangeRate);
+    } catch (error) {
+        handleExchangeRateSaveError(error, res, 'updating');
+    }
+});
+
+// DELETE /api/admin/exchange-rates/:id - Delete a currency no order has been placed in
+// A currency with orders is switched off instead (isActive: false).
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Exchange Rates: Received DELETE request for exchange rate ID: ${req.params.id}`);
+    try {
+        const exchangeRate = await loadExchangeRate(req, res);
+        if (!exchangeRate) return;
+        if (await Order.exists({ currency: exchangeRate.currency })) {
+            return res.status(409).json({ message: `Orders have been placed in ${exchangeRate.currency}. Deactivate it instead.` });
+        }
+        await exchangeRate.deleteOne();
+        console.log(`Admin Exchange Rates: ${req.adminUser.email} deleted ${exchangeRate.currency}`);
+        res.status(200).json({ message: 'Exchange rate deleted successfully' });
+    } catch (error) {
+        console.error(`Admin Exchange Rates: Error deleting exchange rate ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error deleting exchange rate' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+// routes/adminInquiryRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Inquiry = require('../models/Inquiry');
+const { INQUIRY_CATEGORIES, INQUIRY_STATUSES } = require('../models/Inquiry');
+const AdminUser = require('../models/AdminUser');
+const emailService = require('../services/emailService');
+const { readAttachment } = require('../services/attachmentService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ASSIGNEE_FIELDS = 'name email role';
+const REPLY_EMAIL_FIELDS = 'status lastError sentAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loads the inquiry for routes with an :id param, or responds 404.
+const loadInquiry = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Inquiry not found' });
+        return null;
+    }
+    const inquiry = await Inquiry.findById(req.params.id);
+    if (!inquiry) {
+        console.log(`Admin Inquiries: Inquiry not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Inquiry not found' });
+        return null;
+    }
+    return inquiry;
+};
+
+// Populates what the inbox detail view shows: the assignee and each reply's delivery status.
+const populateForInbox = (inquiry) => inquiry.populate([
+    { path: 'assignedTo', select: ASSIGNEE_FIELDS },
+    { path: 'replies.email', select: REPLY_EMAIL_FIELDS }
+]);
+
+// Saves and responds with the inquiry, populated for the inbox.
+const saveAndRespond = async (inquiry, res, statusCode = 200) => {
+    const savedInquiry = await inquiry.save();
+    await populateForInbox(savedInquiry);
+    res.status(statusCode).json(savedInquiry);
+};
+
+// GET /api/admin/inquiries - Inbox with optional filters
+// Query: status (comma-separated), category, assignedTo (admin id, "me" or "unassigned"), q (ticket number, name or email), page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Inquiries: Received GET request to list inquiries", req.query);
+    try {
+        const filter = {};
+
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = statuses.filter(s => !INQUIRY_STATUSES.includes(s));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown status filter: ${unknown.join(', ')}` });
+            }
+            filter.status = { $in: statuses };
+        }
+        if (req.query.category) {
+            if (!INQUIRY_CATEGORIES.includes(req.query.category)) {
+                return res.status(400).json({ message: `Unknown category filter: ${req.query.category}` });
+            }
+            filter.category = req.query.category;
+        }
+        if (req.query.assignedTo) {
+            if (req.query.assignedTo === 'unassigned') {
+                filter.assignedTo = null;
+            } else if (req.query.assignedTo === 'me') {
+                filter.assignedTo = req.adminUser._id;
+            } else if (mongoose.Types.ObjectId.isValid(req.query.assignedTo)) {
+                filter.assignedTo = req.query.assignedTo;
+            } else {
+                return res.status(400).json({ message: 'Invalid assignedTo filter.' });
+            }
+        }
+        if (req.query.q) {
+            const pattern = escapeRegex(String(req.query.q).trim());
+            filter.$or = [
+                { ticketNumber: { $regex: pattern, $options: 'i' } },
+                { name: { $regex: pattern, $options: 'i' } },
+                { email: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [inquiries, total] = await Promise.all([
+            Inquiry.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate('assignedTo', ASSIGNEE_FIELDS),
+            Inquiry.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            inquiries,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error("Admin Inquiries: Error fetching inquiries:", error);
+        res.status(500).json({ message: 'Error fetching inquiries', error: error.message });
+    }
+});
+
+// GET /api/admin/inquiries/assignees - Active admins a ticket can be assigned to
+router.get('/assignees', async (req, res) => {
+    try {
+        const adminUsers = await AdminUser.find({ isActive: true }).select(ASSIGNEE_FIELDS).sort({ name: 1 });
+        res.status(200).json(adminUsers);
+    } catch (error) {
+        console.error("Admin Inquiries: Error fetching assignees:", error);
+        res.status(500).json({ message: 'Error fetching assignees', error: error.message });
+    }
+});
+
+// GET /api/admin/inquiries/:id - Ticket details
+router.get('/:id', async (req, res) => {
+    console.log(`Admin Inquiries: Received GET request for inquiry ID: ${req.params.id}`);
+    try {
+        const inquiry = await loadInquiry(req, res);
+        if (!inquiry) return;
+        await populateForInbox(inquiry);
+        res.status(200).json(inquiry);
+    } catch (error) {
+        console.error(`Admin Inquiries: Error fetching inquiry ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching inquiry', error: error.message });
+    }
+});
+
+// GET /api/admin/inquiries/:id/attachments/:fileId - Downloads an attachment of the ticket.
+// Customer uploads are always sent as downloads with a sandbox CSP, never rendered on this origin.
+router.get('/:id/attachments/:fileId', async (req, res) => {
+    console.log(`Admin Inquiries: Received GET request for attachment ${req.params.fileId} of inquiry ID: ${req.params.id}`);
+    try {
+        const inquiry = await loadInquiry(req, res);
+        if (!inquiry) return;
+        const attachment = inquiry.attachments.find(file => file.fileId && file.fileId.toString() === req.params.fileId);
+        const content = attachment ? await readAttachment(attachment.fileId) : null;
+        if (!content) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+        res.set('Cache-Control', 'private, no-store');
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+        res.attachment(attachment.fileName);
+        res.type(attachment.contentType || 'application/octet-stream');
+        res.status(200).send(content);
+    } catch (error) {
+        console.error(`Admin Inquiries: Error fetching attachment ${req.params.fileId} of inquiry ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching attachment', error: error.message });
+    }
+});
+
+// PATCH /api/admin/inquiries/:id/status - Body: { status }
+router.patch('/:id/status', async (req, res) => {
+    const newStatus = req.body.status;
+    if (!INQUIRY_STATUSES.includes(newStatus)) {
+        return res.status(400).json({ message: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+    }
+    try {
+        const inquiry = await loadInquiry(req, res);
+        if (!inquiry) return;
+
+        inquiry.status = newStatus;
+        console.log(`Admin Inquiries: ${inquiry.ticketNumber} set to '${newStatus}' by ${req.adminUser.email}`);
+        await saveAndRespond(inquiry, res);
+    } catch (error) {
+        console.error(`Admin Inquiries: Error updating status of inquiry ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error updating inquiry status' });
+    }
+});
+
+// PATCH /api/admin/inquiries/:id/assignee - Body: { assignedTo } (admin id, or null to unassign)
+router.patch('/:id/assignee', async (req, res) => {
+    const assigneeId = req.body.assignedTo || null;
+    try {
+        if (assigneeId) {
+            const assignee = mongoose.Types.ObjectId.isValid(assigneeId) ? await AdminUser.findById(assigneeId) : null;
+            if (!assignee || !assignee.isActive) {
+                return res.status(400).json({ message: 'Assignee must be an active admin user.' });
+            }
+        }
+
+        const inquiry = await loadInquiry(req, res);
+        if (!inquiry) return;
+
+        inquiry.assignedTo = assigneeId;
+        console.log(`Admin Inquiries: ${inquiry.ticketNumber} assigned to ${assigneeId || 'nobody'} by ${req.adminUser.email}`);
+        await saveAndRespond(inquiry, res);
+    } catch (error) {
+        console.error(`Admin Inquiries: Error assigning inquiry ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error assigning inquiry' });
+    }
+});
+
+// POST /api/admin/inquiries/:id/replies - Add a reply to the thread and queue it for the customer
+// Body: { message }
+router.post('/:id/replies', async (req, res) => {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+        return res.status(400).json({ message: 'Reply cannot be empty.' });
+    }
+    try {
+        const inquiry = await loadInquiry(req, res);
+        if (!inquiry) return;
+
+        const reply = { message, author: req.adminUser.email, authorName: req.adminUser.name };
+        // The outbox retries delivery; the thread shows each reply's status from its email message.
+        const emailMessage = await emailService.sendInquiryReplyEmail(inquiry, reply);
+        inquiry.replies.push({ ...reply, email: emailMessage._id });
+        if (inquiry.status === 'open') {
+            inquiry.status = 'in_progress';
+        }
+        if (!inquiry.assignedTo) {
+            inquiry.assignedTo = req.adminUser._id;
+        }
+        console.log(`Admin Inquiries: Reply queued on ${inquiry.ticketNumber} by ${req.adminUser.email}`);
+        await saveAndRespond(inquiry, res, 201);
+    } catch (error) {
+        console.error(`Admin Inquiries: Error replying to inquiry ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error sending reply' });
+    }
+});
+
+module.exports = router;
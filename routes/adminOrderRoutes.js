@@ -0,0 +1,337 @@
+// routes/adminOrderRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { ORDER_STATUSES, PAYMENT_STATUSES } = require('../models/Order');
+const invoiceService = require('../services/invoiceService');
+const { releaseStock } = require('../services/inventoryService');
+const { releasePromotion } = require('../services/promotionService');
+const { applyShipmentChanges, sendStatusUpdate, issueConfirmationInvoice } = require('../services/orderService');
+const { findPayment, paymentsForOrder, refundPayment } = require('../services/paymentService');
+const { minorUnitDigits } = require('../services/currencyService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Adds the statuses the UI may offer next and whether the invoice can be downloaded, so the
+// client doesn't duplicate the transition table or the invoicing rule.
+const toAdminOrderJSON = (order) => ({
+    ...order.toJSON(),
+    allowedNextStatuses: order.getAllowedNextStatuses(),
+    invoiceAvailable: !!(order.invoice && order.invoice.number) || invoiceService.canIssueInvoice(order)
+});
+
+// Loads the order for routes with an :id param, or responds 404.
+const loadOrder = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Order not found' });
+        return null;
+    }
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+        console.log(`Admin Orders: Order not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Order not found' });
+        return null;
+    }
+    return order;
+};
+
+// GET /api/admin/orders - List orders with optional filters
+// Query: orderNumber, status (comma-separated), paymentStatus, from, to (YYYY-MM-DD, inclusive), customerEmail (partial), state, page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Orders: Received GET request to list orders", req.query);
+    try {
+        const filter = {};
+
+        if (req.query.orderNumber) {
+            filter.customOrderId = String(req.query.orderNumber).trim().toUpperCase();
+        }
+
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = statuses.filter(s => !ORDER_STATUSES.includes(s));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown status filter: ${unknown.join(', ')}` });
+            }
+            filter.status = { $in: statuses };
+        }
+        if (req.query.paymentStatus) {
+            if (!PAYMENT_STATUSES.includes(req.query.paymentStatus)) {
+                return res.status(400).json({ message: `Unknown payment status filter: ${req.query.paymentStatus}` });
+            }
+            filter.paymentStatus = req.query.paymentStatus;
+        }
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) {
+                const from = new Date(req.query.from);
+                if (isNaN(from.getTime())) return res.status(400).json({ message: 'Invalid "from" date.' });
+                filter.createdAt.$gte = from;
+            }
+            if (req.query.to) {
+                const to = new Date(req.query.to);
+                if (isNaN(to.getTime())) return res.status(400).json({ message: 'Invalid "to" date.' });
+                to.setUTCHours(23, 59, 59, 999); // Include the whole "to" day
+                filter.createdAt.$lte = to;
+            }
+        }
+        if (req.query.customerEmail) {
+            filter.customerEmail = { $regex: escapeRegex(String(req.query.customerEmail).trim().toLowerCase()) };
+        }
+        if (req.query.state) {
+            filter['shippingAddress.state'] = { $regex: `^${escapeRegex(String(req.query.state).trim())}$`, $options: 'i' };
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            orders: orders.map(toAdminOrderJSON),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error("Admin Orders: Error fetching orders:", error);
+        res.status(500).json({ message: 'Error fetching orders', error: error.message });
+    }
+});
+
+// GET /api/admin/orders/:id - Order details
+router.get('/:id', async (req, res) => {
+    console.log(`Admin Orders: Received GET request for order ID: ${req.params.id}`);
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+        res.status(200).json(toAdminOrderJSON(order));
+    } catch (error) {
+        console.error(`Admin Orders: Error fetching order ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching order', error: error.message });
+    }
+});
+
+// PATCH /api/admin/orders/:id/status - Move the order to a new status and email the customer
+// Body: { status, note, shipment } (`shipment` optional, as for PUT /:id/shipment; the dispatch
+// date defaults to now when the order is shipped)
+router.patch('/:id/status', async (req, res) => {
+    console.log(`Admin Orders: Status change requested for order ${req.params.id}:`, req.body);
+    const newStatus = req.body.status;
+    if (!ORDER_STATUSES.includes(newStatus)) {
+        return res.status(400).json({ message: `Status must be one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+
+        order.transitionStatus(newStatus, { changedBy: req.adminUser.email, note: req.body.note });
+        if (req.body.shipment && typeof req.body.shipment === 'object') {
+            applyShipmentChanges(order, req.body.shipment);
+        }
+        if (newStatus === 'Shipped' && !(order.shipment && order.shipment.dispatchedAt)) {
+            applyShipmentChanges(order, { dispatchedAt: new Date() });
+        }
+        const savedOrder = await order.save();
+        console.log(`Admin Orders: Order ${savedOrder.customOrderId} moved to '${newStatus}' by ${req.adminUser.email}`);
+
+        // A status can only become 'Cancelled' once, so stock and coupon uses are never given back twice.
+        if (newStatus === 'Cancelled') {
+            try {
+                await releaseStock(savedOrder.orderItems);
+                console.log(`Admin Orders: Stock restored for cancelled order ${savedOrder.customOrderId}`);
+            } catch (stockError) {
+                console.error(`Admin Orders: Order ${savedOrder.customOrderId} cancelled but stock could not be restored:`, stockError);
+            }
+            try {
+                await releasePromotion(savedOrder);
+            } catch (promotionError) {
+                console.error(`Admin Orders: Order ${savedOrder.customOrderId} cancelled but its coupon use could not be given back:`, promotionError);
+            }
+        }
+        // The invoice is numbered only now that the confirmation is saved, and sent with its email
+        const invoicePdf = newStatus === 'Confirmed' ? await issueConfirmationInvoice(savedOrder) : null;
+        await sendStatusUpdate(savedOrder, { invoicePdf });
+        res.status(200).json(toAdminOrderJSON(savedOrder));
+    } catch (error) {
+        console.error(`Admin Orders: Error updating status of order ${req.params.id}:`, error);
+        if (error.name === 'OrderStatusTransitionError') {
+            return res.status(409).json({ message: error.message });
+        }
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'This order was changed by someone else. Reload it and try again.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: error.message || 'Error updating order status' });
+    }
+});
+
+// PUT /api/admin/orders/:id/shipment - Set the carrier, tracking number and dates
+// Body: any of { carrier, trackingNumber, dispatchedAt, expectedDeliveryAt } (empty clears).
+// Changing the carrier or tracking number of a shipped order emails the customer.
+router.put('/:id/shipment', async (req, res) => {
+    console.log(`Admin Orders: Shipment update for order ${req.params.id}:`, req.body);
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+
+        const trackingChanged = applyShipmentChanges(order, req.body);
+        const savedOrder = await order.save();
+        console.log(`Admin Orders: Shipment details of order ${savedOrder.customOrderId} updated by ${req.adminUser.email}`);
+        if (trackingChanged && savedOrder.status === 'Shipped') {
+            await sendStatusUpdate(savedOrder, { shipmentUpdated: true });
+        }
+        res.status(200).json(toAdminOrderJSON(savedOrder));
+    } catch (error) {
+        console.error(`Admin Orders: Error updating shipment of order ${req.params.id}:`, error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'This order was changed by someone else. Reload it and try again.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: error.message || 'Error updating shipment details' });
+    }
+});
+
+// PATCH /api/admin/orders/:id/payment-status - Record a manual payment status change
+// Body: { paymentStatus, note }
+router.patch('/:id/payment-status', async (req, res) => {
+    const newPaymentStatus = req.body.paymentStatus;
+    if (!PAYMENT_STATUSES.includes(newPaymentStatus)) {
+        return res.status(400).json({ message: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}` });
+    }
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+
+        const previousPaymentStatus = order.paymentStatus;
+        order.paymentStatus = newPaymentStatus;
+        order.adminNotes.push({
+            note: `Payment status changed from '${previousPaymentStatus}' to '${newPaymentStatus}'${req.body.note ? `: ${req.body.note}` : ''}`,
+            author: req.adminUser.email
+        });
+        const savedOrder = await order.save();
+        console.log(`Admin Orders: Order ${savedOrder.customOrderId} payment status set to '${newPaymentStatus}' by ${req.adminUser.email}`);
+        res.status(200).json(toAdminOrderJSON(savedOrder));
+    } catch (error) {
+        console.error(`Admin Orders: Error updating payment status of order ${req.params.id}:`, error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'This order was changed by someone else. Reload it and try again.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: error.message || 'Error updating payment status' });
+    }
+});
+
+// POST /api/admin/orders/:id/notes - Add an internal note
+// Body: { note }
+router.post('/:id/notes', async (req, res) => {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (!note) {
+        return res.status(400).json({ message: 'Note cannot be empty.' });
+    }
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+
+        order.adminNotes.push({ note, author: req.adminUser.email });
+        const savedOrder = await order.save();
+        res.status(201).json(toAdminOrderJSON(savedOrder));
+    } catch (error) {
+        console.error(`Admin Orders: Error adding note to order ${req.params.id}:`, error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'This order was changed by someone else. Reload it and try again.' });
+        }
+        res.status(500).json({ message: error.message || 'Error adding note' });
+    }
+});
+
+// GET /api/admin/orders/:id/payments - The order's online payment attempts and their refunds
+router.get('/:id/payments', async (req, res) => {
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+        res.status(200).json(await paymentsForOrder(order));
+    } catch (error) {
+        console.error(`Admin Orders: Error fetching payments of order ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error fetching payments' });
+    }
+});
+
+// POST /api/admin/orders/:id/payments/:paymentId/refund - Refund an online payment through its gateway
+// Body: { amount (in the payment's currency, optional; default everything not yet refunded), note }
+// Responds with the order and the updated payment.
+router.post('/:id/payments/:paymentId/refund', async (req, res) => {
+    console.log(`Admin Orders: Refund requested for payment ${req.params.paymentId} of order ${req.params.id}:`, req.body);
+    const hasAmount = req.body.amount !== undefined && req.body.amount !== '' && req.body.amount !== null;
+    if (hasAmount && !(Number(req.body.amount) > 0)) {
+        return res.status(400).json({ message: 'Refund amount must be a positive number.' });
+    }
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+        const payment = await findPayment(req.params.paymentId);
+        if (!payment || !payment.order.equals(order._id)) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+        const amountMinor = hasAmount ? Math.round(Number(req.body.amount) * 10 ** minorUnitDigits(payment.currency)) : undefined;
+
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        const updatedPayment = await refundPayment(payment, { amountMinor, note, requestedBy: req.adminUser.email });
+        const updatedOrder = await Order.findById(order._id);
+        res.status(200).json({ order: toAdminOrderJSON(updatedOrder), payment: updatedPayment });
+    } catch (error) {
+        console.error(`Admin Orders: Error refunding payment ${req.params.paymentId}:`, error);
+        if (error.name === 'PaymentStateError') {
+            return res.status(409).json({ message: error.message });
+        }
+        if (error.name === 'PaymentUnavailableError') {
+            return res.status(503).json({ message: error.message });
+        }
+        res.status(502).json({ message: `The payment gateway did not accept the refund: ${error.message}` });
+    }
+});
+
+// GET /api/admin/orders/:id/invoice - Download the GST tax invoice PDF
+// Confirmed orders without an invoice number (placed before invoicing existed, or whose invoice
+// could not be issued on confirmation) get one on first download. Unconfirmed orders are a 409.
+router.get('/:id/invoice', async (req, res) => {
+    console.log(`Admin Orders: Invoice requested for order ${req.params.id}`);
+    try {
+        const order = await loadOrder(req, res);
+        if (!order) return;
+
+        if (!order.invoice || !order.invoice.number) {
+            if (!invoiceService.canIssueInvoice(order)) {
+                return res.status(409).json({ message: `Order ${order.customOrderId} has not been confirmed, so no tax invoice has been issued.` });
+            }
+            await invoiceService.issueInvoice(order);
+            console.log(`Admin Orders: Assigned invoice ${order.invoice.number} to order ${order.customOrderId}`);
+        }
+
+        const pdf = await invoiceService.generateInvoicePdf(order);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Invoice-${order.invoice.number.replace(/\//g, '-')}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error(`Admin Orders: Error generating invoice for order ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error generating invoice' });
+    }
+});
+
+module.exports = router;
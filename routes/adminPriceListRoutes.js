@@ -0,0 +1,136 @@
+// routes/adminPriceListRoutes.js
+// Price lists (/api/admin/price-lists). The tiers themselves are edited with each product's
+// dimensions (routes/adminProductRoutes.js); customers are assigned in adminCustomerRoutes.js.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const { RETAIL_PRICE_LIST } = require('../models/PriceList');
+const { slugify } = require('../models/ProductType');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+
+// Loads the price list for routes with an :id param, or responds 404.
+const loadPriceList = async (req, res) => {
+    const priceList = mongoose.Types.ObjectId.isValid(req.params.id) ? await PriceList.findById(req.params.id) : null;
+    if (!priceList) {
+        console.log(`Admin Price Lists: Price list not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Price list not found' });
+        return null;
+    }
+    return priceList;
+};
+
+// Copies the editable fields from the request body. The slug can only be set on creation.
+const applyPriceListFields = (priceList, body) => {
+    if (body.name !== undefined) priceList.name = body.name;
+    if (body.description !== undefined) priceList.description = body.description;
+    if (body.sortOrder !== undefined && String(body.sortOrder).trim() !== '') priceList.sortOrder = body.sortOrder;
+};
+
+const handlePriceListSaveError = (error, res, action) => {
+    console.error(`Admin Price Lists: Error ${action} price list:`, error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A price list with this slug already exists.' });
+    }
+    res.status(500).json({ message: error.message || `Error ${action} price list` });
+};
+
+// GET /api/admin/price-lists - The built-in retail list followed by the managed lists, each with
+// the number of products that have tiers on it and the number of customers assigned to it
+router.get('/', async (req, res) => {
+    console.log("Admin Price Lists: Received GET request to list price lists");
+    try {
+        const [priceLists, productCounts, customerCounts] = await Promise.all([
+            PriceList.find().sort({ sortOrder: 1, name: 1 }),
+            Product.aggregate([
+                { $unwind: '$dimensions' },
+                { $unwind: '$dimensions.priceTiers' },
+                { $group: { _id: '$dimensions.priceTiers.priceList', products: { $addToSet: '$_id' } } },
+                { $project: { count: { $size: '$products' } } }
+            ]),
+            Customer.aggregate([
+                { $match: { priceList: { $exists: true, $nin: [null, ''] } } },
+                { $group: { _id: '$priceList', count: { $sum: 1 } } }
+            ])
+        ]);
+        const productCountBySlug = new Map(productCounts.map(c => [c._id, c.count]));
+        const customerCountBySlug = new Map(customerCounts.map(c => [c._id, c.count]));
+        const retail = {
+            _id: null,
+            slug: RETAIL_PRICE_LIST,
+            name: 'Retail',
+            description: 'Guests and customers without a price list. The base price of each dimension, plus any retail tiers.',
+            builtIn: true
+        };
+        res.status(200).json([retail, ...priceLists.map(priceList => priceList.toJSON())].map(priceList => ({
+            ...priceList,
+            productCount: productCountBySlug.get(priceList.slug) || 0,
+            customerCount: customerCountBySlug.get(priceList.slug) || 0
+        })));
+    } catch (error) {
+        console.error("Admin Price Lists: Error fetching price lists:", error);
+        res.status(500).json({ message: 'Error fetching price lists', error: error.message });
+    }
+});
+
+// POST /api/admin/price-lists - Create a price list
+// Body: name, slug (optional, derived from name), description, sortOrder
+router.post('/', async (req, res) => {
+    console.log("Admin Price Lists: Received POST request to create price list", req.body);
+    try {
+        const priceList = new PriceList({ slug: slugify(req.body.slug || req.body.name) });
+        applyPriceListFields(priceList, req.body);
+        const savedPriceList = await priceList.save();
+        console.log(`Admin Price Lists: Created price list "${savedPriceList.slug}"`);
+        res.status(201).json(savedPriceList);
+    } catch (error) {
+        handlePriceListSaveError(error, res, 'creating');
+    }
+});
+
+// PUT /api/admin/price-lists/:id - Update a price list's name, description or sort order
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Price Lists: Received PUT request for price list ID: ${req.params.id}`, req.body);
+    try {
+        const priceList = await loadPriceList(req, res);
+        if (!priceList) return;
+        applyPriceListFields(priceList, req.body);
+        res.status(200).json(await priceList.save());
+    } catch (error) {
+        handlePriceListSaveError(error, res, 'updating');
+    }
+});
+
+// DELETE /api/admin/price-lists/:id - Delete a price list
+// Its tiers are removed from every product and its customers go back to retail prices.
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Price Lists: Received DELETE request for price list ID: ${req.params.id}`);
+    try {
+        const priceList = await loadPriceList(req, res);
+        if (!priceList) return;
+
+        await priceList.deleteOne();
+        const [products, customers] = await Promise.all([
+            Product.updateMany(
+                { 'dimensions.priceTiers.priceList': priceList.slug },
+                { $pull: { 'dimensions.$[].priceTiers': { priceList: priceList.slug } } }
+            ),
+            Customer.updateMany({ priceList: priceList.slug }, { $unset: { priceList: 1 } })
+        ]);
+        console.log(`Admin Price Lists: Deleted price list "${priceList.slug}" (tiers removed from ${products.modifiedCount} product(s), ${customers.modifiedCount} customer(s) moved to retail)`);
+        res.status(200).json({
+            message: 'Price list deleted successfully',
+            productsUpdated: products.modifiedCount,
+            customersMoved: customers.modifiedCount
+        });
+    } catch (error) {
+        console.error(`Admin Price Lists: Error deleting price list ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error deleting price list' });
+    }
+});
+
+module.exports = router;
@@ -3,17 +3,21 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const Product = require('../models/Product'); 
-// Import the GCS upload service, initialization status flag, and delete function
-const { uploadFileToGCS, deleteFileFromGCS, isGCSInitialized } = require('../services/imageUploadService'); 
+const ProductType = require('../models/ProductType');
+// File storage (GCS, S3 or local disk, chosen by STORAGE_BACKEND)
+const { isStorageAvailable } = require('../services/storage');
+// Uploaded photos are checked, stripped of metadata and stored as resized WebP + JPEG variants
+const { uploadProductImage, uploadProductImages, deleteProductImage } = require('../services/imageProcessingService');
+const catalogueService = require('../services/catalogueService');
 
 // --- Multer Configuration ---
-// Store files in memory as buffers, good for passing to GCS/Cloudinary directly
+// Store files in memory as buffers for imageProcessingService
 const storage = multer.memoryStorage(); 
 const upload = multer({ 
     storage: storage,
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit per file
     fileFilter: function (req, file, cb) {
-        // Accept images only
+        // Quick check on the declared type; the image bytes are checked when the file is processed
         if (!file.mimetype.startsWith('image/')) {
             req.fileValidationError = 'Only image files are allowed!';
             // To reject this file pass `false`, like so:
@@ -24,6 +28,99 @@ const upload = multer({
     }
 });
 
+// Separate upload for catalogue spreadsheets (the product upload above only accepts images)
+const catalogueUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+    fileFilter: function (req, file, cb) {
+        if (!catalogueService.detectCatalogueFormat(file.originalname)) {
+            req.fileValidationError = 'Only .csv and .xlsx files can be imported.';
+            return cb(null, false);
+        }
+        cb(null, true);
+    }
+});
+
+// Blank stock means "not tracked" (null); anything else is cast and validated by the schema.
+const parseStockValue = (value) => (value === undefined || value === null || String(value).trim() === '') ? null : Number(value);
+const parseReorderLevel = (value) => (value === undefined || value === null || String(value).trim() === '') ? undefined : Number(value);
+// Shipping weight and packed size of one unit (see services/shippingService.js); blank means not set
+const SHIPPING_SIZE_FIELDS = ['weightKg', 'lengthCm', 'widthCm', 'heightCm'];
+const parseShippingSize = (dim) => Object.fromEntries(SHIPPING_SIZE_FIELDS.map(field => {
+    const value = dim[field];
+    return [field, (value === undefined || value === null || String(value).trim() === '') ? undefined : Number(value)];
+}));
+
+// dimensions[i][priceTiers] is a JSON list of { priceList, minQuantity, unitPrice } (see
+// models/PriceList.js). Returns undefined when not sent and null when it is not such a list;
+// the values themselves are validated by the schema.
+const PRICE_TIERS_FORMAT_MESSAGE = 'Price tiers must be a list of { priceList, minQuantity, unitPrice }.';
+const parsePriceTiers = (value) => {
+    if (value === undefined) return undefined;
+    let tiers;
+    try {
+        tiers = typeof value === 'string' ? (value.trim() === '' ? [] : JSON.parse(value)) : value;
+    } catch (error) {
+        return null;
+    }
+    if (!Array.isArray(tiers) || tiers.some(tier => !tier || typeof tier !== 'object')) return null;
+    return tiers.map(tier => ({
+        priceList: String(tier.priceList || '').trim().toLowerCase(),
+        minQuantity: Number(tier.minQuantity),
+        unitPrice: Number(tier.unitPrice)
+    }));
+};
+const hasInvalidPriceTiers = (dimensions) => dimensions.some(dim => dim && parsePriceTiers(dim.priceTiers) === null);
+
+const BASE_IMAGES_FOLDER = "gamma_ortho_products/base_images/";
+const ADDITIONAL_IMAGES_FOLDER = "gamma_ortho_products/additional_images/";
+const MAX_IMAGES_PER_UPLOAD = 5;
+const IMAGES_CHANGED_MESSAGE = "This product's images were changed by someone else. Reload the product and try again.";
+
+// The additional images as { url, image } pairs, image being the variants entry (with its _id).
+// Call product.alignImageEntries() first so every URL has an entry.
+const additionalImagePairs = (product) => product.additionalImageURLs.map((url, index) => ({ url, image: product.additionalImages[index] }));
+const additionalImageFields = (pairs) => ({
+    additionalImageURLs: pairs.map(pair => pair.url),
+    additionalImages: pairs.map(pair => pair.image)
+});
+
+// Matches the product only while its images are as they were read, so two admins editing images
+// at once can't undo each other's changes or leave each other's files orphaned.
+const unchangedImagesFilter = (product) => ({
+    _id: product._id,
+    baseImageURL: product.baseImageURL ?? null,
+    additionalImageURLs: [...product.additionalImageURLs]
+});
+
+/**
+ * Writes new image fields if the product's images haven't changed since it was loaded.
+ * @returns {Promise<Object|null>} The updated product, or null if the images had changed.
+ */
+const saveImageFields = (product, fields) => Product.findOneAndUpdate(
+    unchangedImagesFilter(product),
+    { $set: fields },
+    { new: true, runValidators: true }
+);
+
+/**
+ * Loads a product for the image endpoints, sending a 404 if it doesn't exist.
+ * @returns {Promise<Object|null>} The product with aligned image entries, or null if a response was sent.
+ */
+const loadProductForImages = async (req, res) => {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        console.log(`Admin Products: Product not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Product not found' });
+        return null;
+    }
+    product.alignImageEntries();
+    return product;
+};
+
+// Storage is cleaned up only after the database write has succeeded; failures are logged
+const deleteImagePairs = (pairs) => Promise.all(pairs.map(pair => deleteProductImage(pair.image, pair.url)));
+
 // POST /api/admin/products - Create a new product
 router.post('/', upload.fields([
     { name: 'baseImage', maxCount: 1 },         // Matches the 'name' attribute in your admin.html form
@@ -37,9 +134,9 @@ router.post('/', upload.fields([
         return res.status(400).json({ message: req.fileValidationError });
     }
 
-    if ((req.files && (req.files.baseImage || req.files.additionalImages)) && !isGCSInitialized) {
-        console.error("Admin Products: Attempted image upload, but GCS is not initialized.");
-        return res.status(503).json({ message: 'Image Storage Service (GCS) is not properly initialized on the server. Please check backend logs and configuration.' });
+    if ((req.files && (req.files.baseImage || req.files.additionalImages)) && !isStorageAvailable()) {
+        console.error("Admin Products: Attempted image upload, but file storage is not initialized.");
+        return res.status(503).json({ message: 'Image storage is not properly initialized on the server. Please check backend logs and configuration.' });
     }
 
     try {
@@ -50,16 +147,17 @@ router.post('/', upload.fields([
             return res.status(400).json({ message: 'Product type selection is required.' });
         }
         
-        let finalProductType = req.body.productTypeSelect.trim().toLowerCase();
-        if (finalProductType === 'other') {
-            if (!req.body.newProductType || req.body.newProductType.trim() === '') {
-                return res.status(400).json({ message: 'Please specify the new product type when "Other" is selected.' });
-            }
-            finalProductType = req.body.newProductType.trim().toLowerCase().replace(/\s+/g, '-');
+        // Checked before any image is uploaded, so a bad type doesn't leave orphaned files in storage
+        const finalProductType = req.body.productTypeSelect.trim().toLowerCase();
+        if (!(await ProductType.exists({ slug: finalProductType }))) {
+            return res.status(400).json({ message: `Unknown product type "${finalProductType}". Add it under Product Types first.` });
         }
         
         let parsedDimensions = [];
         console.log("Admin Products: Starting dimension parsing loop...");
+        if (Array.isArray(req.body.dimensions) && hasInvalidPriceTiers(req.body.dimensions)) {
+            return res.status(400).json({ message: PRICE_TIERS_FORMAT_MESSAGE });
+        }
         if (req.body.dimensions && Array.isArray(req.body.dimensions)) {
             req.body.dimensions.forEach((dim, index) => {
                 console.log(`Admin Products: Processing dimension index ${index} from array:`, dim);
@@ -75,7 +173,12 @@ router.post('/', upload.fields([
                 if (isDimNameValid && isDimPriceValid) {
                     parsedDimensions.push({
                         dimensionName: dimName.trim(),
-                        basePrice: parseFloat(dimPrice)
+                        basePrice: parseFloat(dimPrice),
+                        sku: dim.sku ? String(dim.sku).trim() : undefined,
+                        stockQuantity: parseStockValue(dim.stockQuantity),
+                        reorderLevel: parseReorderLevel(dim.reorderLevel),
+                        ...parseShippingSize(dim),
+                        priceTiers: parsePriceTiers(dim.priceTiers) || []
                     });
                     console.log(`  Dimension index ${index} ADDED.`);
                 } else {
@@ -93,39 +196,36 @@ router.post('/', upload.fields([
             return res.status(400).json({ message: 'At least one complete and valid dimension (name and price) is required. Check submitted dimension data.' });
         }
 
-        let baseImageURL = null; 
-        let additionalImageURLs = [];
+        let baseImage = null;
+        let additionalImages = [];
 
         if (req.files && req.files.baseImage && req.files.baseImage[0]) {
-            console.log("Uploading base image to GCS...");
-            baseImageURL = await uploadFileToGCS(
-                req.files.baseImage[0].buffer, 
-                req.files.baseImage[0].originalname, 
-                "gamma_ortho_products/base_images/" 
-            );
-            console.log("Base image uploaded to GCS:", baseImageURL);
+            console.log("Processing and uploading base image...");
+            baseImage = await uploadProductImage(req.files.baseImage[0], BASE_IMAGES_FOLDER);
+            console.log("Base image uploaded to storage:", baseImage.card.jpeg);
         }
 
         if (req.files && req.files.additionalImages && req.files.additionalImages.length > 0) {
-            console.log(`Uploading ${req.files.additionalImages.length} additional images to GCS...`);
-            const uploadPromises = req.files.additionalImages.map(file => 
-                uploadFileToGCS(
-                    file.buffer, 
-                    file.originalname, 
-                    "gamma_ortho_products/additional_images/" 
-                )
-            );
-            additionalImageURLs = await Promise.all(uploadPromises);
-            console.log("Additional images uploaded to GCS:", additionalImageURLs);
+            console.log(`Processing and uploading ${req.files.additionalImages.length} additional images...`);
+            try {
+                additionalImages = await uploadProductImages(req.files.additionalImages, ADDITIONAL_IMAGES_FOLDER);
+            } catch (uploadError) {
+                await deleteProductImage(baseImage);
+                throw uploadError;
+            }
+            console.log("Additional images uploaded to storage:", additionalImages.map(image => image.card.jpeg));
         }
         
         const newProductData = {
             name: req.body.name,
             description: req.body.description,
             productType: finalProductType, 
-            baseImageURL: baseImageURL,
-            additionalImageURLs: additionalImageURLs,
+            baseImageURL: baseImage ? baseImage.card.jpeg : null,
+            additionalImageURLs: additionalImages.map(image => image.card.jpeg),
+            baseImage: baseImage,
+            additionalImages: additionalImages,
             dimensions: parsedDimensions,
+            hsnCode: req.body.hsnCode ? req.body.hsnCode.trim() : undefined,
             gstRate: parseFloat(req.body.gstRate) || 0.12, 
             isActive: req.body.isActive === 'true' || req.body.isActive === true 
         };
@@ -140,6 +240,9 @@ router.post('/', upload.fields([
         if (error.name === 'ValidationError') {
             return res.status(400).json({ message: "Validation Error", errors: error.errors });
         }
+        if (error.name === 'ImageProcessingError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: error.message || 'Error creating product' });
     }
 });
@@ -156,6 +259,75 @@ router.get('/', async (req, res) => {
     }
 });
 
+// GET /api/admin/products/export?format=csv|xlsx - Download the whole catalogue, one row per dimension
+router.get('/export', async (req, res) => {
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ message: 'Format must be csv or xlsx.' });
+    }
+    console.log(`Admin Products: Catalogue export (${format}) requested by ${req.adminUser.email}`);
+    try {
+        const file = await catalogueService.exportCatalogue(format);
+        const date = new Date().toISOString().slice(0, 10);
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'Content-Disposition': `attachment; filename="gamma-ortho-catalogue-${date}.${format}"`,
+            'Content-Length': file.length
+        });
+        res.status(200).send(file);
+    } catch (error) {
+        console.error("Admin Products: Error exporting catalogue:", error);
+        res.status(500).json({ message: 'Error exporting catalogue', error: error.message });
+    }
+});
+
+// POST /api/admin/products/import?dryRun=true|false - Upload a catalogue file (field "file")
+// Always validates every row first. With dryRun=true (the default) nothing is saved; otherwise
+// the products are created/updated only if no row has errors.
+router.post('/import', catalogueUpload.single('file'), async (req, res) => {
+    if (req.fileValidationError) {
+        return res.status(400).json({ message: req.fileValidationError });
+    }
+    if (!req.file) {
+        return res.status(400).json({ message: 'Please choose a .csv or .xlsx file to import.' });
+    }
+    const dryRun = String(req.query.dryRun || 'true').toLowerCase() !== 'false';
+    console.log(`Admin Products: Catalogue import of "${req.file.originalname}" (dryRun=${dryRun}) by ${req.adminUser.email}`);
+
+    try {
+        const format = catalogueService.detectCatalogueFormat(req.file.originalname);
+        const rows = await catalogueService.parseCatalogueFile(req.file.buffer, format);
+        const { plan, errors, summary } = await catalogueService.planCatalogueImport(rows);
+
+        if (dryRun || errors.length > 0) {
+            return res.status(dryRun ? 200 : 400).json({
+                message: errors.length > 0
+                    ? `${errors.length} problem(s) found. Fix them and upload the file again; nothing was saved.`
+                    : 'No problems found. Confirm the import to save the changes.',
+                dryRun,
+                summary,
+                errors
+            });
+        }
+
+        const result = await catalogueService.applyCatalogueImport(plan);
+        console.log(`Admin Products: Catalogue import finished: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`);
+        res.status(200).json({
+            message: `Import finished: ${result.created} product(s) created, ${result.updated} updated${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}.`,
+            dryRun,
+            summary,
+            errors,
+            result
+        });
+    } catch (error) {
+        console.error("Admin Products: Error importing catalogue:", error);
+        if (error.name === 'CatalogueFileError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error importing catalogue', error: error.message });
+    }
+});
+
 // GET /api/admin/products/:id - Get a single product by ID (for editing)
 router.get('/:id', async (req, res) => {
     console.log(`Admin Products: Received GET request for product ID: ${req.params.id}`);
@@ -165,6 +337,20 @@ router.get('/:id', async (req, res) => {
             console.log(`Admin Products: Product not found with ID: ${req.params.id}`);
             return res.status(404).json({ message: 'Product not found' });
         }
+        // Older products get ids for their images the first time they are opened for editing,
+        // so the gallery editor can address them
+        if (product.alignImageEntries()) {
+            const updatedProduct = await saveImageFields(product, {
+                baseImage: product.baseImage,
+                additionalImages: product.additionalImages
+            });
+            if (updatedProduct) {
+                console.log(`Admin Products: Added image entries to product ${product._id}`);
+                return res.status(200).json(updatedProduct);
+            }
+            // The images changed in the meantime, and every image write stores aligned entries
+            return res.status(200).json(await Product.findById(req.params.id));
+        }
         res.status(200).json(product);
     } catch (error) {
         console.error(`Admin Products: Error fetching product ID ${req.params.id}:`, error);
@@ -184,11 +370,12 @@ router.put('/:id', upload.fields([
         return res.status(400).json({ message: req.fileValidationError });
     }
 
-    if ((req.files && (req.files.baseImage || req.files.additionalImages)) && !isGCSInitialized) {
-        console.error("Admin Products: Attempted image update, but GCS is not initialized.");
-        return res.status(503).json({ message: 'Image Storage Service (GCS) is not properly initialized on the server. Please check backend logs and configuration.' });
+    if ((req.files && (req.files.baseImage || req.files.additionalImages)) && !isStorageAvailable()) {
+        console.error("Admin Products: Attempted image update, but file storage is not initialized.");
+        return res.status(503).json({ message: 'Image storage is not properly initialized on the server. Please check backend logs and configuration.' });
     }
 
+    const uploadedImages = []; // New files, deleted again if the update fails
     try {
         const updateData = {}; 
 
@@ -196,23 +383,23 @@ router.put('/:id', upload.fields([
         if (req.body.description !== undefined) updateData.description = req.body.description;
         
         if (req.body.productTypeSelect) { 
-            if (req.body.productTypeSelect.trim().toLowerCase() === 'other') {
-                updateData.productType = req.body.newProductType ? req.body.newProductType.trim().toLowerCase().replace(/\s+/g, '-') : '';
-                if (!updateData.productType) {
-                    return res.status(400).json({ message: 'New product type cannot be empty if "Other" is selected for update.' });
-                }
-            } else {
-                updateData.productType = req.body.productTypeSelect.trim().toLowerCase();
+            updateData.productType = req.body.productTypeSelect.trim().toLowerCase();
+            if (!(await ProductType.exists({ slug: updateData.productType }))) {
+                return res.status(400).json({ message: `Unknown product type "${updateData.productType}". Add it under Product Types first.` });
             }
         }
         
         if (req.body.gstRate !== undefined) updateData.gstRate = parseFloat(req.body.gstRate);
+        if (req.body.hsnCode !== undefined) updateData.hsnCode = String(req.body.hsnCode).trim();
         
         if (Object.prototype.hasOwnProperty.call(req.body, 'isActive')) {
             updateData.isActive = String(req.body.isActive).toLowerCase() === 'true';
         }
 
 
+        if (Array.isArray(req.body.dimensions) && hasInvalidPriceTiers(req.body.dimensions)) {
+            return res.status(400).json({ message: PRICE_TIERS_FORMAT_MESSAGE });
+        }
         if (req.body.dimensions && Array.isArray(req.body.dimensions)) {
             console.log("Admin Products: Parsing dimensions from req.body.dimensions for PUT request");
             const tempParsedDimensions = req.body.dimensions.map((dim, index) => {
@@ -221,7 +408,17 @@ router.put('/:id', upload.fields([
                 const isDimNameValid = dimName && dimName.trim() !== "";
                 const isDimPriceValid = dimPrice !== undefined && String(dimPrice).trim() !== "" && !isNaN(parseFloat(dimPrice));
                 if (isDimNameValid && isDimPriceValid) {
-                    return { dimensionName: dimName.trim(), basePrice: parseFloat(dimPrice) };
+                    return {
+                        dimensionName: dimName.trim(),
+                        basePrice: parseFloat(dimPrice),
+                        sku: dim.sku ? String(dim.sku).trim() : undefined,
+                        stockQuantity: parseStockValue(dim.stockQuantity),
+                        reorderLevel: parseReorderLevel(dim.reorderLevel),
+                        ...parseShippingSize(dim),
+                        priceTiers: parsePriceTiers(dim.priceTiers), // undefined: keep the dimension's current tiers
+                        // Stock shown when the form was loaded, used below to keep sales made while it was open
+                        stockQuantityLoaded: parseStockValue(dim.stockQuantityLoaded)
+                    };
                 }
                 console.warn(`  Dimension index ${index} in update data SKIPPED due to incomplete/invalid data.`);
                 return null; 
@@ -236,86 +433,263 @@ router.put('/:id', upload.fields([
             console.log("Admin Products: Parsed dimensions for update:", updateData.dimensions);
         }
 
-        const existingProduct = await Product.findById(req.params.id);
-        if (!existingProduct) {
-             console.log(`Admin Products: Product not found for update with ID: ${req.params.id}`);
-            return res.status(404).json({ message: 'Product not found' });
+        const existingProduct = await loadProductForImages(req, res);
+        if (!existingProduct) return;
+
+        // Apply stock edits as a change relative to what the admin saw, so orders placed
+        // while the form was open are not overwritten by a stale stock figure.
+        if (updateData.dimensions) {
+            updateData.dimensions.forEach(dim => {
+                const current = existingProduct.dimensions.find(d => d.dimensionName === dim.dimensionName);
+                if (current && Number.isInteger(current.stockQuantity) && Number.isInteger(dim.stockQuantity) && Number.isInteger(dim.stockQuantityLoaded)) {
+                    dim.stockQuantity = Math.max(current.stockQuantity + (dim.stockQuantity - dim.stockQuantityLoaded), 0);
+                }
+                if (dim.priceTiers === undefined) {
+                    dim.priceTiers = current ? current.priceTiers : [];
+                }
+                delete dim.stockQuantityLoaded;
+            });
         }
 
-        // Handle Base Image Update
+        // Image changes. Replaced images are deleted from storage only once the update has been
+        // saved, so a failed update never leaves the product pointing at deleted files.
+        const replacedImages = [];
         if (req.files && req.files.baseImage && req.files.baseImage[0]) {
-            console.log("Updating base image in GCS...");
-            if (existingProduct.baseImageURL && isGCSInitialized) { // Delete old image if it exists
-                await deleteFileFromGCS(existingProduct.baseImageURL).catch(err => console.error("Failed to delete old base image from GCS:", err.message));
+            console.log("Processing and uploading new base image...");
+            const baseImage = await uploadProductImage(req.files.baseImage[0], BASE_IMAGES_FOLDER);
+            uploadedImages.push({ image: baseImage });
+            if (existingProduct.baseImageURL) {
+                replacedImages.push({ image: existingProduct.baseImage, url: existingProduct.baseImageURL });
             }
-            const baseImageResultUrl = await uploadFileToGCS(req.files.baseImage[0].buffer, req.files.baseImage[0].originalname, "gamma_ortho_products/base_images/");
-            updateData.baseImageURL = baseImageResultUrl;
+            updateData.baseImage = baseImage;
+            updateData.baseImageURL = baseImage.card.jpeg;
             console.log("Base image updated:", updateData.baseImageURL);
         } else if (Object.prototype.hasOwnProperty.call(req.body, 'baseImageURL') && (req.body.baseImageURL === '' || req.body.baseImageURL === null || req.body.baseImageURL === "null")) { 
-            if (existingProduct.baseImageURL && isGCSInitialized) { // Delete old image if requested
-                 await deleteFileFromGCS(existingProduct.baseImageURL).catch(err => console.error("Failed to delete old base image from GCS:", err.message));
+            if (existingProduct.baseImageURL) { // Delete old image if requested
+                replacedImages.push({ image: existingProduct.baseImage, url: existingProduct.baseImageURL });
             }
+            updateData.baseImage = null;
             updateData.baseImageURL = null; 
         }
 
-
-        // Handle Additional Images Update
+        // Additional images: an additionalImageURLs list (array, or '' for none) keeps only those
+        // images, in that order; uploaded additionalImages are appended. Single images are also
+        // managed through the /:id/images endpoints below.
+        let additionalPairs = additionalImagePairs(existingProduct);
+        let additionalImagesChanged = false;
+        if (Object.prototype.hasOwnProperty.call(req.body, 'additionalImageURLs')) {
+            const keptUrls = Array.isArray(req.body.additionalImageURLs)
+                ? req.body.additionalImageURLs.map(url => String(url).trim()).filter(url => url && url !== 'null')
+                : [];
+            replacedImages.push(...additionalPairs.filter(pair => !keptUrls.includes(pair.url)));
+            additionalPairs = keptUrls
+                .map(url => additionalPairs.find(pair => pair.url === url))
+                .filter(Boolean); // URLs that aren't this product's images are ignored
+            additionalImagesChanged = true;
+        }
         if (req.files && req.files.additionalImages && req.files.additionalImages.length > 0) {
-            console.log(`Uploading ${req.files.additionalImages.length} new additional images to GCS...`);
-            // For simplicity, this replaces all existing additional images.
-            // Delete old additional images first
-            if (existingProduct.additionalImageURLs && existingProduct.additionalImageURLs.length > 0 && isGCSInitialized) {
-                const deletionPromises = existingProduct.additionalImageURLs.map(url => deleteFileFromGCS(url).catch(err => console.error("Failed to delete an old additional image:", err.message)));
-                await Promise.allSettled(deletionPromises);
-            }
-            const uploadPromises = req.files.additionalImages.map(file => 
-                uploadFileToGCS(file.buffer, file.originalname, "gamma_ortho_products/additional_images/")
-            );
-            const additionalImageResults = await Promise.all(uploadPromises);
-            updateData.additionalImageURLs = additionalImageResults; 
-            console.log("Additional images updated/added:", updateData.additionalImageURLs);
-        } else if (Object.prototype.hasOwnProperty.call(req.body, 'additionalImageURLs')) {
-            // If frontend sends an array (e.g., to keep some, remove others, or clear all)
-            // This assumes req.body.additionalImageURLs is the desired final list of URLs (if any)
-            // More complex logic would be needed to compare with existingProduct.additionalImageURLs and delete only those removed.
-            // For now, if it's an empty array or string, we clear it.
-            if (Array.isArray(req.body.additionalImageURLs)) {
-                 updateData.additionalImageURLs = req.body.additionalImageURLs.map(url => String(url).trim()).filter(url => url && url !== 'null');
-            } else if (req.body.additionalImageURLs === '' || req.body.additionalImageURLs === null) {
-                if (existingProduct.additionalImageURLs && existingProduct.additionalImageURLs.length > 0 && isGCSInitialized) {
-                    const deletionPromises = existingProduct.additionalImageURLs.map(url => deleteFileFromGCS(url).catch(err => console.error("Failed to delete an old additional image:", err.message)));
-                    await Promise.allSettled(deletionPromises);
-                }
-                updateData.additionalImageURLs = [];
-            }
+            console.log(`Processing and uploading ${req.files.additionalImages.length} new additional images...`);
+            const additionalImages = await uploadProductImages(req.files.additionalImages, ADDITIONAL_IMAGES_FOLDER);
+            uploadedImages.push(...additionalImages.map(image => ({ image })));
+            additionalPairs = additionalPairs.concat(additionalImages.map(image => ({ url: image.card.jpeg, image })));
+            additionalImagesChanged = true;
+            console.log("Additional images added:", additionalImages.map(image => image.card.jpeg));
+        }
+        if (additionalImagesChanged) {
+            Object.assign(updateData, additionalImageFields(additionalPairs));
         }
         
-        if (Object.keys(updateData).length === 0 && (!req.files || (!req.files.baseImage && !req.files.additionalImages))) {
+        if (Object.keys(updateData).length === 0) {
             return res.status(400).json({ message: 'No update data provided.' });
         }
 
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id, 
+        const imagesChanged = ['baseImageURL', 'additionalImageURLs'].some(field => Object.prototype.hasOwnProperty.call(updateData, field));
+        const updatedProduct = await Product.findOneAndUpdate(
+            imagesChanged ? unchangedImagesFilter(existingProduct) : { _id: existingProduct._id },
             { $set: updateData }, 
             { new: true, runValidators: true } 
         );
 
         if (!updatedProduct) {
-            // This case should ideally be caught by the findById earlier, but as a safeguard:
+            if (imagesChanged) {
+                await deleteImagePairs(uploadedImages);
+                return res.status(409).json({ message: IMAGES_CHANGED_MESSAGE });
+            }
             console.log(`Admin Products: Product not found for update with ID: ${req.params.id}`);
             return res.status(404).json({ message: 'Product not found' });
         }
+        if (replacedImages.length > 0 && isStorageAvailable()) {
+            await deleteImagePairs(replacedImages);
+        }
         console.log("Admin Products: Product updated successfully:", updatedProduct._id);
         res.status(200).json(updatedProduct);
     } catch (error) {
         console.error(`Admin Products: Error updating product ID ${req.params.id}:`, error);
+        await deleteImagePairs(uploadedImages);
         if (error.name === 'ValidationError') {
             return res.status(400).json({ message: "Validation Error", errors: error.errors });
         }
+        if (error.name === 'ImageProcessingError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: error.message || 'Error updating product' });
     }
 });
 
+// Image gallery endpoints. The base image and each additional image are addressed by the _id of
+// their baseImage / additionalImages entry. Each responds with the updated product, or a 409 if
+// another admin changed the product's images after it was loaded.
+
+// POST /api/admin/products/:id/images - Append images (multipart field `images`, up to 5).
+// If the product has no base image, the first new image becomes it.
+router.post('/:id/images', upload.array('images', MAX_IMAGES_PER_UPLOAD), async (req, res) => {
+    console.log(`Admin Products: Received ${req.files ? req.files.length : 0} new image(s) for product ID: ${req.params.id}`);
+    if (req.fileValidationError) {
+        return res.status(400).json({ message: req.fileValidationError });
+    }
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'Choose at least one image to upload.' });
+    }
+    if (!isStorageAvailable()) {
+        console.error("Admin Products: Attempted image upload, but file storage is not initialized.");
+        return res.status(503).json({ message: 'Image storage is not properly initialized on the server. Please check backend logs and configuration.' });
+    }
+
+    let newImages = [];
+    try {
+        const product = await loadProductForImages(req, res);
+        if (!product) return;
+
+        newImages = await uploadProductImages(req.files, ADDITIONAL_IMAGES_FOLDER);
+        const newPairs = newImages.map(image => ({ url: image.card.jpeg, image }));
+        const fields = {};
+        if (!product.baseImageURL) {
+            const newBase = newPairs.shift();
+            fields.baseImage = newBase.image;
+            fields.baseImageURL = newBase.url;
+        }
+        Object.assign(fields, additionalImageFields(additionalImagePairs(product).concat(newPairs)));
+
+        const updatedProduct = await saveImageFields(product, fields);
+        if (!updatedProduct) {
+            await deleteImagePairs(newImages.map(image => ({ image })));
+            return res.status(409).json({ message: IMAGES_CHANGED_MESSAGE });
+        }
+        console.log(`Admin Products: Added ${newImages.length} image(s) to product ${product._id}`);
+        res.status(201).json(updatedProduct);
+    } catch (error) {
+        console.error(`Admin Products: Error adding images to product ID ${req.params.id}:`, error);
+        await deleteImagePairs(newImages.map(image => ({ image })));
+        if (error.name === 'ImageProcessingError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: error.message || 'Error adding images' });
+    }
+});
+
+// PUT /api/admin/products/:id/images/order - Reorder the additional images
+// Body: { imageIds: [...] } - every additional image's id, in the new order
+router.put('/:id/images/order', async (req, res) => {
+    const imageIds = Array.isArray(req.body.imageIds) ? req.body.imageIds.map(String) : null;
+    if (!imageIds) {
+        return res.status(400).json({ message: 'imageIds must be an array of image ids.' });
+    }
+    try {
+        const product = await loadProductForImages(req, res);
+        if (!product) return;
+
+        const pairs = additionalImagePairs(product);
+        const reordered = imageIds.map(id => pairs.find(pair => String(pair.image._id) === id));
+        if (reordered.includes(undefined) || new Set(imageIds).size !== pairs.length || imageIds.length !== pairs.length) {
+            return res.status(400).json({ message: "imageIds must list each of the product's additional images exactly once." });
+        }
+
+        const updatedProduct = await saveImageFields(product, additionalImageFields(reordered));
+        if (!updatedProduct) {
+            return res.status(409).json({ message: IMAGES_CHANGED_MESSAGE });
+        }
+        console.log(`Admin Products: Reordered images of product ${product._id}`);
+        res.status(200).json(updatedProduct);
+    } catch (error) {
+        console.error(`Admin Products: Error reordering images of product ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error reordering images' });
+    }
+});
+
+// POST /api/admin/products/:id/images/:imageId/promote - Make an additional image the base image.
+// The previous base image takes its place among the additional images.
+router.post('/:id/images/:imageId/promote', async (req, res) => {
+    try {
+        const product = await loadProductForImages(req, res);
+        if (!product) return;
+
+        const pairs = additionalImagePairs(product);
+        const index = pairs.findIndex(pair => String(pair.image._id) === req.params.imageId);
+        if (index === -1) {
+            const isBase = product.baseImage && String(product.baseImage._id) === req.params.imageId;
+            return res.status(isBase ? 400 : 404).json({ message: isBase ? 'This image is already the base image.' : 'Image not found on this product.' });
+        }
+
+        const promoted = pairs[index];
+        if (product.baseImageURL) {
+            pairs[index] = { url: product.baseImageURL, image: product.baseImage };
+        } else {
+            pairs.splice(index, 1);
+        }
+        const updatedProduct = await saveImageFields(product, {
+            baseImage: promoted.image,
+            baseImageURL: promoted.url,
+            ...additionalImageFields(pairs)
+        });
+        if (!updatedProduct) {
+            return res.status(409).json({ message: IMAGES_CHANGED_MESSAGE });
+        }
+        console.log(`Admin Products: Image ${req.params.imageId} is now the base image of product ${product._id}`);
+        res.status(200).json(updatedProduct);
+    } catch (error) {
+        console.error(`Admin Products: Error promoting image ${req.params.imageId} of product ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error changing the base image' });
+    }
+});
+
+// DELETE /api/admin/products/:id/images/:imageId - Remove one image (base or additional) and its files
+router.delete('/:id/images/:imageId', async (req, res) => {
+    try {
+        const product = await loadProductForImages(req, res);
+        if (!product) return;
+
+        let removed;
+        const fields = {};
+        const pairs = additionalImagePairs(product);
+        const index = pairs.findIndex(pair => String(pair.image._id) === req.params.imageId);
+        if (product.baseImage && String(product.baseImage._id) === req.params.imageId) {
+            removed = { url: product.baseImageURL, image: product.baseImage };
+            fields.baseImage = null;
+            fields.baseImageURL = null;
+        } else if (index !== -1) {
+            [removed] = pairs.splice(index, 1);
+            Object.assign(fields, additionalImageFields(pairs));
+        } else {
+            return res.status(404).json({ message: 'Image not found on this product.' });
+        }
+
+        const updatedProduct = await saveImageFields(product, fields);
+        if (!updatedProduct) {
+            return res.status(409).json({ message: IMAGES_CHANGED_MESSAGE });
+        }
+        if (isStorageAvailable()) {
+            await deleteImagePairs([removed]);
+        } else {
+            console.warn(`File storage not initialized. Files of image ${req.params.imageId} were not deleted.`);
+        }
+        console.log(`Admin Products: Removed image ${req.params.imageId} from product ${product._id}`);
+        res.status(200).json(updatedProduct);
+    } catch (error) {
+        console.error(`Admin Products: Error removing image ${req.params.imageId} from product ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error removing image' });
+    }
+});
+
 // DELETE /api/admin/products/:id - Delete a product
 router.delete('/:id', async (req, res) => {
     console.log(`Admin Products: Received DELETE request for product ID: ${req.params.id}`);
@@ -326,38 +700,34 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Product not found' });
         }
         
-        // Attempt to delete images from GCS if GCS is initialized
-        if (isGCSInitialized) {
+        // Attempt to delete images from storage if it is initialized.
+        // deleteProductImage logs failures, so a storage error never stops the DB deletion.
+        if (isStorageAvailable()) {
             const imageDeletionPromises = [];
             if (product.baseImageURL) {
-                console.log("Deleting base image from GCS:", product.baseImageURL);
-                imageDeletionPromises.push(deleteFileFromGCS(product.baseImageURL).catch(err => {
-                    console.error(`Failed to delete base image ${product.baseImageURL} from GCS:`, err.message);
-                    // Don't let GCS deletion failure stop DB deletion, but log it.
-                }));
+                console.log("Deleting base image from storage:", product.baseImageURL);
+                imageDeletionPromises.push(deleteProductImage(product.baseImage, product.baseImageURL));
             }
             if (product.additionalImageURLs && product.additionalImageURLs.length > 0) {
-                product.additionalImageURLs.forEach(url => {
-                    console.log("Deleting additional image from GCS:", url);
-                    imageDeletionPromises.push(deleteFileFromGCS(url).catch(err => {
-                        console.error(`Failed to delete additional image ${url} from GCS:`, err.message);
-                    }));
+                product.additionalImageURLs.forEach((url, index) => {
+                    console.log("Deleting additional image from storage:", url);
+                    imageDeletionPromises.push(deleteProductImage(product.additionalImages[index], url));
                 });
             }
 
             if (imageDeletionPromises.length > 0) {
                 await Promise.allSettled(imageDeletionPromises); // Wait for all deletions to attempt
-                console.log("Attempted deletion of associated GCS images.");
+                console.log("Attempted deletion of associated images.");
             }
         } else {
-            console.warn("GCS not initialized. Skipping image deletion from GCS for product ID:", product._id);
+            console.warn("File storage not initialized. Skipping image deletion for product ID:", product._id);
         }
 
         // Delete product from MongoDB
         await Product.findByIdAndDelete(req.params.id);
         
         console.log("Admin Products: Product deleted successfully from DB:", product._id);
-        res.status(200).json({ message: 'Product deleted successfully from database. Associated images deletion attempted if GCS was available.' });
+        res.status(200).json({ message: 'Product deleted successfully from database. Associated images deletion attempted if storage was available.' });
     } catch (error) {
         console.error(`Admin Products: Error deleting product ID ${req.params.id}:`, error);
         res.status(500).json({ message: 'Error deleting product', error: error.message });
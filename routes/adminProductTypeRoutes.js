@@ -0,0 +1,141 @@
+// routes/adminProductTypeRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ProductType = require('../models/ProductType');
+const { slugify } = require('../models/ProductType');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+
+// Loads the product type for routes with an :id param, or responds 404.
+const loadProductType = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Product type not found' });
+        return null;
+    }
+    const productType = await ProductType.findById(req.params.id);
+    if (!productType) {
+        console.log(`Admin Product Types: Product type not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Product type not found' });
+        return null;
+    }
+    return productType;
+};
+
+// Copies the editable fields from the request body. `parent` accepts an id, or "" / null for a top-level type.
+const applyProductTypeFields = (productType, body) => {
+    if (body.name !== undefined) productType.name = body.name;
+    if (body.slug !== undefined && String(body.slug).trim() !== '') productType.slug = slugify(body.slug);
+    if (body.description !== undefined) productType.description = body.description;
+    if (body.sortOrder !== undefined && String(body.sortOrder).trim() !== '') productType.sortOrder = body.sortOrder;
+    if (body.parent !== undefined) productType.parent = body.parent || null;
+};
+
+const handleProductTypeSaveError = (error, res, action) => {
+    console.error(`Admin Product Types: Error ${action} product type:`, error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A product type with this slug already exists.' });
+    }
+    res.status(500).json({ message: error.message || `Error ${action} product type` });
+};
+
+// GET /api/admin/product-types - List all product types with the number of products using each
+router.get('/', async (req, res) => {
+    console.log("Admin Product Types: Received GET request to list product types");
+    try {
+        const [productTypes, counts] = await Promise.all([
+            ProductType.find().sort({ sortOrder: 1, name: 1 }),
+            Product.aggregate([{ $group: { _id: '$productType', count: { $sum: 1 } } }])
+        ]);
+        const countBySlug = new Map(counts.map(c => [c._id, c.count]));
+        res.status(200).json(productTypes.map(productType => ({
+            ...productType.toJSON(),
+            productCount: countBySlug.get(productType.slug) || 0
+        })));
+    } catch (error) {
+        console.error("Admin Product Types: Error fetching product types:", error);
+        res.status(500).json({ message: 'Error fetching product types', error: error.message });
+    }
+});
+
+// POST /api/admin/product-types - Create a product type
+// Body: name, slug (optional, derived from name), description, sortOrder, parent (id, optional)
+router.post('/', async (req, res) => {
+    console.log("Admin Product Types: Received POST request to create product type", req.body);
+    try {
+        const productType = new ProductType();
+        applyProductTypeFields(productType, { ...req.body, slug: req.body.slug || req.body.name });
+        const savedProductType = await productType.save();
+        console.log(`Admin Product Types: Created product type "${savedProductType.slug}"`);
+        res.status(201).json(savedProductType);
+    } catch (error) {
+        handleProductTypeSaveError(error, res, 'creating');
+    }
+});
+
+// PUT /api/admin/product-types/:id - Update a product type
+// Changing the slug also moves every product filed under the old slug, and promotions scoped to it.
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Product Types: Received PUT request for product type ID: ${req.params.id}`, req.body);
+    try {
+        const productType = await loadProductType(req, res);
+        if (!productType) return;
+
+        const previousSlug = productType.slug;
+        applyProductTypeFields(productType, req.body);
+        const savedProductType = await productType.save();
+
+        if (savedProductType.slug !== previousSlug) {
+            const result = await Product.updateMany({ productType: previousSlug }, { $set: { productType: savedProductType.slug } });
+            await Promotion.updateMany({ productTypes: previousSlug }, { $set: { 'productTypes.$': savedProductType.slug } });
+            console.log(`Admin Product Types: Renamed "${previousSlug}" to "${savedProductType.slug}" on ${result.modifiedCount} product(s)`);
+        }
+        res.status(200).json(savedProductType);
+    } catch (error) {
+        handleProductTypeSaveError(error, res, 'updating');
+    }
+});
+
+// DELETE /api/admin/product-types/:id?reassignTo=<slug> - Delete a product type
+// A type still used by products can only be deleted by moving them to another type, which is
+// also how typo duplicates are merged. Promotions scoped to the type move with its products.
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Product Types: Received DELETE request for product type ID: ${req.params.id}`, req.query);
+    try {
+        const productType = await loadProductType(req, res);
+        if (!productType) return;
+
+        if (await ProductType.exists({ parent: productType._id })) {
+            return res.status(409).json({ message: 'This product type has sub-types. Move or delete them first.' });
+        }
+
+        const productCount = await Product.countDocuments({ productType: productType.slug });
+        if (productCount > 0) {
+            const reassignTo = req.query.reassignTo ? String(req.query.reassignTo).trim().toLowerCase() : '';
+            if (!reassignTo) {
+                return res.status(409).json({
+                    message: `${productCount} product(s) use this type. Choose another type to move them to.`,
+                    productCount
+                });
+            }
+            if (reassignTo === productType.slug || !(await ProductType.exists({ slug: reassignTo }))) {
+                return res.status(400).json({ message: `Cannot move products to "${reassignTo}". Choose a different, existing product type.` });
+            }
+            const result = await Product.updateMany({ productType: productType.slug }, { $set: { productType: reassignTo } });
+            await Promotion.updateMany({ productTypes: productType.slug }, { $set: { 'productTypes.$': reassignTo } });
+            console.log(`Admin Product Types: Moved ${result.modifiedCount} product(s) from "${productType.slug}" to "${reassignTo}"`);
+        }
+
+        await productType.deleteOne();
+        console.log(`Admin Product Types: Deleted product type "${productType.slug}"`);
+        res.status(200).json({ message: 'Product type deleted successfully', productsMoved: productCount });
+    } catch (error) {
+        console.error(`Admin Product Types: Error deleting product type ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error deleting product type' });
+    }
+});
+
+module.exports = router;
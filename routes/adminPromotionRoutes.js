@@ -0,0 +1,194 @@
+// routes/adminPromotionRoutes.js
+// Owner-only coupon promotions (/api/admin/promotions). The discount is applied at checkout by
+// services/promotionService.js.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const ProductType = require('../models/ProductType');
+const Product = require('../models/Product');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PROMOTION_STATUSES = ['running', 'scheduled', 'ended', 'inactive'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loads the promotion for routes with an :id param, or responds 404.
+const loadPromotion = async (req, res) => {
+    const promotion = mongoose.Types.ObjectId.isValid(req.params.id) ? await Promotion.findById(req.params.id) : null;
+    if (!promotion) {
+        console.log(`Admin Promotions: Promotion not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Promotion not found' });
+        return null;
+    }
+    return promotion;
+};
+
+// Arrays may be sent as JSON arrays or comma-separated text
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Blank means "no limit" / "no date"
+const blankToNull = (value) => (value === undefined || value === null || String(value).trim() === '') ? null : value;
+
+/**
+ * Copies the editable fields from the request body. The code cannot change once the promotion
+ * has been used, so orders and the usage count keep referring to the same code.
+ * @returns {Promise<string|null>} An error message for scope values that don't exist, else null.
+ */
+const applyPromotionFields = async (promotion, body) => {
+    if (body.code !== undefined && String(body.code).trim().toUpperCase() !== promotion.code) {
+        if (promotion.usageCount > 0) return 'The code of a promotion that has been used cannot be changed.';
+        promotion.code = body.code;
+    }
+    ['name', 'description', 'discountType', 'discountValue', 'isActive'].forEach(field => {
+        if (body[field] !== undefined) promotion[field] = body[field];
+    });
+    if (body.minOrderValue !== undefined) promotion.minOrderValue = blankToNull(body.minOrderValue) || 0;
+    ['startsAt', 'endsAt', 'usageLimit', 'perCustomerLimit'].forEach(field => {
+        if (body[field] !== undefined) promotion[field] = blankToNull(body[field]);
+    });
+
+    if (body.productTypes !== undefined) {
+        const slugs = [...new Set(parseList(body.productTypes).map(slug => slug.toLowerCase()))];
+        const known = await ProductType.find({ slug: { $in: slugs } }).distinct('slug');
+        const unknown = slugs.filter(slug => !known.includes(slug));
+        if (unknown.length > 0) return `Unknown product type(s): ${unknown.join(', ')}.`;
+        promotion.productTypes = slugs;
+    }
+    if (body.products !== undefined) {
+        const productIds = [...new Set(parseList(body.products))];
+        if (productIds.some(id => !mongoose.Types.ObjectId.isValid(id))) return 'Invalid product reference.';
+        if (await Product.countDocuments({ _id: { $in: productIds } }) !== productIds.length) return 'One or more products were not found.';
+        promotion.products = productIds;
+    }
+    return null;
+};
+
+const handlePromotionSaveError = (error, res, action) => {
+    console.error(`Admin Promotions: Error ${action} promotion:`, error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A promotion with this code already exists.' });
+    }
+    res.status(500).json({ message: error.message || `Error ${action} promotion` });
+};
+
+// Query conditions for a status filter, as of now
+const statusFilter = (status, now) => {
+    switch (status) {
+        case 'running':
+            return {
+                isActive: true,
+                $and: [
+                    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+                    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+                ]
+            };
+        case 'scheduled':
+            return { isActive: true, startsAt: { $gt: now } };
+        case 'ended':
+            return { endsAt: { $lte: now } };
+        default:
+            return { isActive: false };
+    }
+};
+
+// GET /api/admin/promotions - List promotions, newest first
+// Query: q (code or name, partial), status (running, scheduled, ended, inactive), page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Promotions: Received GET request to list promotions", req.query);
+    try {
+        const filter = {};
+        if (req.query.q) {
+            const pattern = { $regex: escapeRegex(String(req.query.q).trim()), $options: 'i' };
+            filter.$or = [{ code: pattern }, { name: pattern }];
+        }
+        if (req.query.status) {
+            if (!PROMOTION_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: `Status must be one of: ${PROMOTION_STATUSES.join(', ')}` });
+            }
+            Object.assign(filter, statusFilter(req.query.status, new Date()));
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [promotions, total] = await Promise.all([
+            Promotion.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Promotion.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            promotions,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error("Admin Promotions: Error fetching promotions:", error);
+        res.status(500).json({ message: 'Error fetching promotions', error: error.message });
+    }
+});
+
+// POST /api/admin/promotions - Create a promotion
+// Body: code, name, description, discountType (percentage, fixed), discountValue, productTypes,
+// products, minOrderValue, startsAt, endsAt, usageLimit, perCustomerLimit, isActive
+router.post('/', async (req, res) => {
+    console.log("Admin Promotions: Received POST request to create promotion", req.body);
+    try {
+        const promotion = new Promotion();
+        const scopeError = await applyPromotionFields(promotion, req.body);
+        if (scopeError) {
+            return res.status(400).json({ message: scopeError });
+        }
+        const savedPromotion = await promotion.save();
+        console.log(`Admin Promotions: ${req.adminUser.email} created promotion ${savedPromotion.code}`);
+        res.status(201).json(savedPromotion);
+    } catch (error) {
+        handlePromotionSaveError(error, res, 'creating');
+    }
+});
+
+// PUT /api/admin/promotions/:id - Update a promotion (same fields as POST)
+// Orders already placed keep their discount.
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Promotions: Received PUT request for promotion ID: ${req.params.id}`, req.body);
+    try {
+        const promotion = await loadPromotion(req, res);
+        if (!promotion) return;
+        const scopeError = await applyPromotionFields(promotion, req.body);
+        if (scopeError) {
+            return res.status(400).json({ message: scopeError });
+        }
+        res.status(200).json(await promotion.save());
+    } catch (error) {
+        handlePromotionSaveError(error, res, 'updating');
+    }
+});
+
+// DELETE /api/admin/promotions/:id - Delete a promotion that has never been used
+// A used promotion is switched off instead (isActive: false), so its orders keep a valid reference.
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Promotions: Received DELETE request for promotion ID: ${req.params.id}`);
+    try {
+        const promotion = await loadPromotion(req, res);
+        if (!promotion) return;
+        const deleted = await Promotion.deleteOne({ _id: promotion._id, usageCount: 0 });
+        if (deleted.deletedCount === 0) {
+            return res.status(409).json({ message: 'This promotion has been used on orders. Deactivate it instead.' });
+        }
+        console.log(`Admin Promotions: ${req.adminUser.email} deleted promotion ${promotion.code}`);
+        res.status(200).json({ message: 'Promotion deleted successfully' });
+    } catch (error) {
+        console.error(`Admin Promotions: Error deleting promotion ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error deleting promotion' });
+    }
+});
+
+module.exports = router;
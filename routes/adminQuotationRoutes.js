@@ -0,0 +1,191 @@
+// routes/adminQuotationRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const { QUOTATION_STATUSES } = require('../models/Quotation');
+const { priceQuotation } = require('../services/pricingService');
+const { generateProformaPdf, formatProformaNumber } = require('../services/invoiceService');
+const {
+    applyQuotationChanges,
+    sendProforma,
+    cancelQuotation,
+    quotationAcceptUrl
+} = require('../services/quotationService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Adds the computed totals and links, so the admin panel doesn't repeat the pricing rules.
+const toAdminQuotationJSON = (quotation) => ({
+    ...quotation.toJSON(),
+    pricing: priceQuotation(quotation),
+    proformaNumber: quotation.revision > 0 ? formatProformaNumber(quotation) : null,
+    isExpired: quotation.isExpired(),
+    acceptUrl: quotation.status === 'Sent' ? quotationAcceptUrl(quotation) : null
+});
+
+const loadQuotation = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Quotation not found' });
+        return null;
+    }
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+        console.log(`Admin Quotations: Quotation not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Quotation not found' });
+        return null;
+    }
+    return quotation;
+};
+
+const sendQuotationError = (res, error, fallbackMessage) => {
+    if (error.name === 'QuotationError') {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'QuotationStateError') {
+        return res.status(409).json({ message: error.message });
+    }
+    if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'This quotation was changed by someone else (or accepted by the customer). Reload it and try again.' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    res.status(500).json({ message: error.message || fallbackMessage });
+};
+
+// GET /api/admin/quotations - List quotations
+// Query: quotationNumber, status (comma-separated), customerEmail (partial), page, limit
+router.get('/', async (req, res) => {
+    console.log("Admin Quotations: Received GET request to list quotations", req.query);
+    try {
+        const filter = {};
+        if (req.query.quotationNumber) {
+            filter.quotationNumber = String(req.query.quotationNumber).trim().toUpperCase();
+        }
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = statuses.filter(s => !QUOTATION_STATUSES.includes(s));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown status filter: ${unknown.join(', ')}` });
+            }
+            filter.status = { $in: statuses };
+        }
+        if (req.query.customerEmail) {
+            filter.customerEmail = { $regex: escapeRegex(String(req.query.customerEmail).trim().toLowerCase()) };
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [quotations, total] = await Promise.all([
+            Quotation.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Quotation.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            quotations: quotations.map(toAdminQuotationJSON),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error("Admin Quotations: Error fetching quotations:", error);
+        res.status(500).json({ message: 'Error fetching quotations', error: error.message });
+    }
+});
+
+// GET /api/admin/quotations/:id - Quotation details
+router.get('/:id', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+        res.status(200).json(toAdminQuotationJSON(quotation));
+    } catch (error) {
+        console.error(`Admin Quotations: Error fetching quotation ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching quotation', error: error.message });
+    }
+});
+
+// PUT /api/admin/quotations/:id - Set prices, discounts, quantities, freight, validity and terms
+// Body: { lines: [{ lineId, unitPrice, discountPercent, quantity }], freightCharge, freightGstRate, validUntil (YYYY-MM-DD), terms }
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Quotations: Update requested for quotation ${req.params.id}:`, req.body);
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+
+        applyQuotationChanges(quotation, req.body, req.adminUser.email);
+        const savedQuotation = await quotation.save();
+        console.log(`Admin Quotations: Quotation ${savedQuotation.quotationNumber} updated by ${req.adminUser.email}`);
+        res.status(200).json(toAdminQuotationJSON(savedQuotation));
+    } catch (error) {
+        console.error(`Admin Quotations: Error updating quotation ${req.params.id}:`, error);
+        sendQuotationError(res, error, 'Error updating quotation');
+    }
+});
+
+// POST /api/admin/quotations/:id/send - Email the customer a new proforma revision with the accept link
+router.post('/:id/send', async (req, res) => {
+    console.log(`Admin Quotations: Proforma requested for quotation ${req.params.id}`);
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+
+        const result = await sendProforma(quotation, req.adminUser.email);
+        res.status(200).json({
+            message: result.emailQueued
+                ? `Proforma ${result.proformaNumber} sent to ${result.quotation.customerEmail}.`
+                : `Proforma ${result.proformaNumber} was issued but the email could not be queued. Send it again.`,
+            quotation: toAdminQuotationJSON(result.quotation)
+        });
+    } catch (error) {
+        console.error(`Admin Quotations: Error sending proforma for quotation ${req.params.id}:`, error);
+        sendQuotationError(res, error, 'Error sending proforma');
+    }
+});
+
+// POST /api/admin/quotations/:id/cancel - Withdraw the quotation
+// Body: { note }
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        cancelQuotation(quotation, req.adminUser.email, note);
+        const savedQuotation = await quotation.save();
+        console.log(`Admin Quotations: Quotation ${savedQuotation.quotationNumber} cancelled by ${req.adminUser.email}`);
+        res.status(200).json(toAdminQuotationJSON(savedQuotation));
+    } catch (error) {
+        console.error(`Admin Quotations: Error cancelling quotation ${req.params.id}:`, error);
+        sendQuotationError(res, error, 'Error cancelling quotation');
+    }
+});
+
+// GET /api/admin/quotations/:id/proforma - Download the proforma PDF (a preview until it is sent)
+router.get('/:id/proforma', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+
+        const draft = quotation.status === 'Requested';
+        const pdf = await generateProformaPdf(quotation, { draft });
+        const fileName = draft ? `Proforma-${quotation.quotationNumber}-draft.pdf` : `Proforma-${formatProformaNumber(quotation)}.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Content-Length': pdf.length
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error(`Admin Quotations: Error generating proforma for quotation ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error generating proforma' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+// routes/adminShippingZoneRoutes.js
+// Owner-only shipping zones (/api/admin/shipping-zones): the addresses we deliver to and their
+// freight rate tables. Changes apply to carts and orders from then on; placed orders keep the
+// freight they were charged.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ShippingZone = require('../models/ShippingZone');
+const { quoteShipping } = require('../services/shippingService');
+const { baseCurrency } = require('../services/currencyService');
+
+// Loads the shipping zone for routes with an :id param, or responds 404.
+const loadShippingZone = async (req, res) => {
+    const shippingZone = mongoose.Types.ObjectId.isValid(req.params.id) ? await ShippingZone.findById(req.params.id) : null;
+    if (!shippingZone) {
+        console.log(`Admin Shipping Zones: Shipping zone not found with ID: ${req.params.id}`);
+        res.status(404).json({ message: 'Shipping zone not found' });
+        return null;
+    }
+    return shippingZone;
+};
+
+// Arrays may be sent as JSON arrays or comma-separated text
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Blank means "none" (null); anything else is cast and validated by the schema
+const parseOptionalNumber = (value) => (value === undefined || value === null || String(value).trim() === '') ? null : Number(value);
+
+// The rate table may be sent as a JSON array or JSON text of { minWeightKg, method, amount }.
+// Returns null when it is not such a list; the values themselves are validated by the schema.
+const RATES_FORMAT_MESSAGE = 'Rates must be a list of { minWeightKg, method, amount }.';
+const parseRates = (value) => {
+    let rates;
+    try {
+        rates = typeof value === 'string' ? (value.trim() === '' ? [] : JSON.parse(value)) : value;
+    } catch (error) {
+        return null;
+    }
+    if (!Array.isArray(rates) || rates.some(rate => !rate || typeof rate !== 'object')) return null;
+    return rates
+        .map(rate => ({ minWeightKg: Number(rate.minWeightKg), method: rate.method, amount: Number(rate.amount) }))
+        .sort((a, b) => a.minWeightKg - b.minWeightKg);
+};
+
+/**
+ * Copies the editable fields from the request body.
+ * @returns {boolean} false if the rate table is malformed (nothing is changed then).
+ */
+const applyShippingZoneFields = (shippingZone, body, adminEmail) => {
+    const rates = body.rates !== undefined ? parseRates(body.rates) : undefined;
+    if (rates === null) return false;
+    ['name', 'codAvailable', 'codSurcharge', 'codSurchargePercent', 'freightGstRate', 'isActive'].forEach(field => {
+        if (body[field] !== undefined) shippingZone[field] = body[field];
+    });
+    ['countries', 'states', 'pincodePrefixes'].forEach(field => {
+        if (body[field] !== undefined) shippingZone[field] = parseList(body[field]);
+    });
+    if (body.freeAboveOrderValue !== undefined) shippingZone.freeAboveOrderValue = parseOptionalNumber(body.freeAboveOrderValue);
+    if (rates !== undefined) shippingZone.rates = rates;
+    shippingZone.updatedBy = adminEmail;
+    return true;
+};
+
+const handleShippingZoneSaveError = (error, res, action) => {
+    console.error(`Admin Shipping Zones: Error ${action} shipping zone:`, error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A shipping zone with this name already exists.' });
+    }
+    res.status(500).json({ message: error.message || `Error ${action} shipping zone` });
+};
+
+// GET /api/admin/shipping-zones - Every shipping zone, by name
+router.get('/', async (req, res) => {
+    console.log("Admin Shipping Zones: Received GET request to list shipping zones");
+    try {
+        const shippingZones = await ShippingZone.find().sort({ name: 1 });
+        res.status(200).json(shippingZones);
+    } catch (error) {
+        console.error("Admin Shipping Zones: Error fetching shipping zones:", error);
+        res.status(500).json({ message: 'Error fetching shipping zones', error: error.message });
+    }
+});
+
+// GET /api/admin/shipping-zones/quote - Try the zones on an address
+// Query: country, state, pincode, weightKg (parcel weight; rounded up to the next half kg), orderValue (Rs of
+// goods before GST), paymentMethod. Returns shippingService.quoteShipping's result in paise, or a
+// 404 with the reason when no zone covers the address.
+router.get('/quote', async (req, res) => {
+    const { country, state, pincode, paymentMethod } = req.query;
+    console.log(`Admin Shipping Zones: Quote requested for ${country}/${state}/${pincode}`);
+    try {
+        const currency = baseCurrency();
+        const orderValueMinor = Math.round((Number(req.query.orderValue) || 0) * 100);
+        const pricing = {
+            currency: currency.code,
+            exchangeRate: { inrPerUnit: currency.inrPerUnit },
+            subtotalMinor: orderValueMinor,
+            discountTotalMinor: 0,
+            orderItems: [{ variants: [{ shippingWeightKg: Number(req.query.weightKg) || 0, quantity: 1 }] }]
+        };
+        const shipping = await quoteShipping(pricing, { country, state, pincode }, { paymentMethod });
+        if (!shipping) {
+            return res.status(404).json({ message: 'No shipping zone has been set up yet, so freight is not charged.' });
+        }
+        res.status(200).json(shipping);
+    } catch (error) {
+        if (error.name === 'ShippingError') {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error("Admin Shipping Zones: Error quoting freight:", error);
+        res.status(500).json({ message: error.message || 'Error quoting freight' });
+    }
+});
+
+// POST /api/admin/shipping-zones - Add a shipping zone
+// Body: name, countries, states, pincodePrefixes, rates, freeAboveOrderValue, codAvailable,
+// codSurcharge, codSurchargePercent, freightGstRate, isActive
+router.post('/', async (req, res) => {
+    console.log("Admin Shipping Zones: Received POST request to create shipping zone", req.body);
+    try {
+        const shippingZone = new ShippingZone();
+        if (!applyShippingZoneFields(shippingZone, req.body, req.adminUser.email)) {
+            return res.status(400).json({ message: RATES_FORMAT_MESSAGE });
+        }
+        const savedShippingZone = await shippingZone.save();
+        console.log(`Admin Shipping Zones: ${req.adminUser.email} added ${savedShippingZone.name}`);
+        res.status(201).json(savedShippingZone);
+    } catch (error) {
+        handleShippingZoneSaveError(error, res, 'creating');
+    }
+});
+
+// PUT /api/admin/shipping-zones/:id - Update any of the fields above
+router.put('/:id', async (req, res) => {
+    console.log(`Admin Shipping Zones: Received PUT request for shipping zone ID: ${req.params.id}`, req.body);
+    try {
+        const shippingZone = await loadShippingZone(req, res);
+        if (!shippingZone) return;
+        if (!applyShippingZoneFields(shippingZone, req.body, req.adminUser.email)) {
+            return res.status(400).json({ message: RATES_FORMAT_MESSAGE });
+        }
+        const savedShippingZone = await shippingZone.save();
+        console.log(`Admin Shipping Zones: ${req.adminUser.email} updated ${savedShippingZone.name} (${savedShippingZone.isActive ? 'active' : 'inactive'})`);
+        res.status(200).json(savedShippingZone);
+    } catch (error) {
+        handleShippingZoneSaveError(error, res, 'updating');
+    }
+});
+
+// DELETE /api/admin/shipping-zones/:id - Delete a shipping zone
+// Placed orders keep the zone's name in their shipping details.
+router.delete('/:id', async (req, res) => {
+    console.log(`Admin Shipping Zones: Received DELETE request for shipping zone ID: ${req.params.id}`);
+    try {
+        const shippingZone = await loadShippingZone(req, res);
+        if (!shippingZone) return;
+        await shippingZone.deleteOne();
+        console.log(`Admin Shipping Zones: ${req.adminUser.email} deleted ${shippingZone.name}`);
+        res.status(200).json({ message: 'Shipping zone deleted successfully' });
+    } catch (error) {
+        console.error(`Admin Shipping Zones: Error deleting shipping zone ID ${req.params.id}:`, error);
+        res.status(500).json({ message: error.message || 'Error deleting shipping zone' });
+    }
+});
+
+module.exports = router;
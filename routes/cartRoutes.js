@@ -0,0 +1,189 @@
+// routes/cartRoutes.js
+// Public cart API used by the storefront. The cart id is the only credential: it is random and
+// is shared deliberately (the "share cart" link), so every route accepts it without login.
+// Every response is the re-priced cart from cartService.priceCart, on the price list of the
+// logged-in customer viewing it (retail for guests), so a shared cart shows each viewer their prices.
+// Every route takes an optional ?currency= (ISO 4217 code, default INR) to price the cart in, and
+// the delivery address entered so far (?country=&state=&pincode=) plus ?paymentMethod= for the freight.
+const express = require('express');
+const router = express.Router();
+const Cart = require('../models/Cart');
+const { addItemToCart, setCartItemQuantity, priceCart } = require('../services/cartService');
+const { priceListForCustomer } = require('../services/pricingService');
+const { applyCoupon, normalizeCode } = require('../services/promotionService');
+const { resolveCurrency } = require('../services/currencyService');
+const { optionalCustomerAuth } = require('../middleware/customerAuthMiddleware');
+
+const CART_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+router.use(optionalCustomerAuth);
+
+const queryText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const cartPricing = async (req) => ({
+    priceList: priceListForCustomer(req.customer),
+    customer: req.customer,
+    currency: await resolveCurrency(req.query.currency),
+    destination: { country: queryText(req.query.country), state: queryText(req.query.state), pincode: queryText(req.query.pincode) },
+    paymentMethod: queryText(req.query.paymentMethod)
+});
+
+// Loads the cart named in the URL, sending a 404 if it doesn't exist (or has expired).
+const loadCart = async (req, res) => {
+    const cart = CART_ID_PATTERN.test(req.params.cartId) ? await Cart.findById(req.params.cartId) : null;
+    if (!cart) {
+        console.log(`Carts: Cart not found: ${req.params.cartId}`);
+        res.status(404).json({ message: 'Cart not found. It may have expired.' });
+        return null;
+    }
+    return cart;
+};
+
+const sendCartError = (res, error, fallbackMessage) => {
+    if (error.name === 'CartError' || error.name === 'PromotionError' || error.name === 'CurrencyError') {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'InsufficientStockError') {
+        return res.status(409).json({ message: error.message });
+    }
+    if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'This cart was changed on another device. Reload it and try again.' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// POST /api/carts - Create a cart
+// Body: { items: [{ productId, dimension, quantity }] } (optional)
+router.post('/', async (req, res) => {
+    try {
+        const pricingOptions = await cartPricing(req);
+        const cart = new Cart();
+        const items = Array.isArray(req.body.items) ? req.body.items : [];
+        for (const item of items) {
+            await addItemToCart(cart, item);
+        }
+        await cart.save();
+        console.log(`Carts: Created cart ${cart._id} with ${cart.items.length} item(s)`);
+        res.status(201).json(await priceCart(cart, pricingOptions));
+    } catch (error) {
+        console.error('Carts: Error creating cart:', error);
+        sendCartError(res, error, 'Error creating cart');
+    }
+});
+
+// GET /api/carts/:cartId - The cart, priced against the current catalogue
+router.get('/:cartId', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error fetching cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error fetching cart');
+    }
+});
+
+// POST /api/carts/:cartId/items - Add units of a product dimension
+// Body: { productId, dimension, quantity }
+router.post('/:cartId/items', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        await addItemToCart(cart, req.body);
+        await cart.save();
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error adding to cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error updating cart');
+    }
+});
+
+// PATCH /api/carts/:cartId/items/:itemId - Change a line's quantity (0 removes it)
+// Body: { quantity }
+router.patch('/:cartId/items/:itemId', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        if (!(await setCartItemQuantity(cart, req.params.itemId, req.body.quantity))) {
+            return res.status(404).json({ message: 'Item not found in this cart.' });
+        }
+        await cart.save();
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error updating item ${req.params.itemId} of cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error updating cart');
+    }
+});
+
+// DELETE /api/carts/:cartId/items/:itemId - Remove a line
+router.delete('/:cartId/items/:itemId', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        if (!(await setCartItemQuantity(cart, req.params.itemId, 0))) {
+            return res.status(404).json({ message: 'Item not found in this cart.' });
+        }
+        await cart.save();
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error removing item ${req.params.itemId} from cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error updating cart');
+    }
+});
+
+// DELETE /api/carts/:cartId/items - Empty the cart (and remove its coupon)
+router.delete('/:cartId/items', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        cart.items = [];
+        cart.couponCode = undefined;
+        await cart.save();
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error emptying cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error updating cart');
+    }
+});
+
+// PUT /api/carts/:cartId/coupon - Check a coupon against the cart and apply it
+// Body: { code, customerEmail } (the email, when known, is checked against the per-customer limit).
+// A code that can't be used is a 400 with the reason, and the cart keeps its previous coupon.
+router.put('/:cartId/coupon', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        cart.couponCode = undefined; // Priced without the old coupon; only saved once the new one is accepted
+        const pricing = await priceCart(cart, await cartPricing(req));
+        if (pricing.orderItems.length === 0) {
+            return res.status(400).json({ message: 'Add items to your cart before applying a coupon.' });
+        }
+        await applyCoupon(req.body.code, pricing, { customer: req.customer, customerEmail: req.body.customerEmail });
+        cart.couponCode = normalizeCode(req.body.code);
+        await cart.save();
+        console.log(`Carts: Coupon ${cart.couponCode} applied to cart ${cart._id}`);
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error applying a coupon to cart ${req.params.cartId}:`, error.message);
+        sendCartError(res, error, 'Error applying coupon');
+    }
+});
+
+// DELETE /api/carts/:cartId/coupon - Remove the cart's coupon
+router.delete('/:cartId/coupon', async (req, res) => {
+    try {
+        const cart = await loadCart(req, res);
+        if (!cart) return;
+        cart.couponCode = undefined;
+        await cart.save();
+        res.status(200).json(await priceCart(cart, await cartPricing(req)));
+    } catch (error) {
+        console.error(`Carts: Error removing the coupon of cart ${req.params.cartId}:`, error);
+        sendCartError(res, error, 'Error updating cart');
+    }
+});
+
+module.exports = router;
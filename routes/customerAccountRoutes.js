@@ -0,0 +1,250 @@
+// routes/customerAccountRoutes.js
+// The logged-in customer's own account: profile, address book, order history and reorder.
+// Mounted behind requireCustomerAuth, so `req.customer` is always set.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const invoiceService = require('../services/invoiceService');
+const { addOrderToCart, priceCart } = require('../services/cartService');
+const { priceListForCustomer } = require('../services/pricingService');
+const { resolveCurrency } = require('../services/currencyService');
+const { applyProfileChanges, saveAddress, removeAddress } = require('../services/customerService');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const CART_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// What the customer may see of an order: no admin notes, and status history without who changed it.
+const toCustomerOrder = (order) => ({
+    _id: order._id,
+    customOrderId: order.customOrderId,
+    createdAt: order.createdAt,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    currency: order.currency,
+    subtotalMinor: order.subtotalMinor,
+    freightChargeMinor: order.freightChargeMinor || 0,
+    freightGstRate: order.freightGstRate || 0,
+    shipping: order.shipping ? { zoneName: order.shipping.zoneName, freeShipping: order.shipping.freeShipping, codChargeMinor: order.shipping.codChargeMinor } : null,
+    discountTotalMinor: order.discountTotalMinor || 0,
+    taxTotalMinor: order.taxTotalMinor,
+    totalMinor: order.totalMinor,
+    couponCode: order.promotion ? order.promotion.code : null,
+    quotationNumber: order.quotationNumber,
+    invoiceNumber: order.invoice && order.invoice.number ? order.invoice.number : null,
+    shippingAddress: order.shippingAddress,
+    shipment: order.shipment || null,
+    orderItems: order.orderItems.map(group => ({
+        baseProductId: group.baseProductId,
+        baseProductName: group.baseProductName,
+        variants: group.variants.map(variant => ({
+            dimension: variant.dimension,
+            quantity: variant.quantity,
+            unitPriceMinor: variant.unitPriceMinor,
+            gstRate: variant.gstRate,
+            taxMinor: variant.taxMinor,
+            discountPercent: variant.discountPercent,
+            promotionDiscountMinor: variant.promotionDiscountMinor
+        }))
+    })),
+    statusHistory: (order.statusHistory || []).map(entry => ({ status: entry.status, changedAt: entry.changedAt }))
+});
+
+const sendAccountError = (res, error, fallbackMessage) => {
+    if (error.name === 'AddressNotFoundError') {
+        return res.status(404).json({ message: error.message });
+    }
+    if (error.name === 'CurrencyError') {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Your account was changed in another window. Reload the page and try again.' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// Loads one of the customer's own orders, sending a 404 for anyone else's.
+const loadOwnOrder = async (req, res) => {
+    const order = mongoose.Types.ObjectId.isValid(req.params.orderId)
+        ? await Order.findOne({ _id: req.params.orderId, customer: req.customer._id })
+        : null;
+    if (!order) {
+        res.status(404).json({ message: 'Order not found.' });
+        return null;
+    }
+    return order;
+};
+
+// GET /api/customers/me - Profile and address book
+router.get('/', (req, res) => {
+    res.status(200).json(req.customer);
+});
+
+// PUT /api/customers/me - Update the checkout defaults
+// Body: any of { name, mobileCode, mobileNumber, whatsappCode, whatsappNumber, buyerGstin }
+router.put('/', async (req, res) => {
+    try {
+        applyProfileChanges(req.customer, req.body);
+        const savedCustomer = await req.customer.save();
+        res.status(200).json(savedCustomer);
+    } catch (error) {
+        console.error(`Customers: Error updating profile of ${req.customer.email}:`, error);
+        sendAccountError(res, error, 'Error updating your details.');
+    }
+});
+
+// PUT /api/customers/me/password - Set or change the password
+// Body: { currentPassword (required if a password is already set), newPassword }
+router.put('/password', async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer._id).select('+passwordHash');
+        if (customer.passwordHash && !(await customer.comparePassword(req.body.currentPassword))) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+        await customer.setPassword(req.body.newPassword);
+        await customer.save();
+        console.log(`Customers: ${customer.email} changed their password`);
+        res.status(200).json({ message: 'Password updated.' });
+    } catch (error) {
+        console.error(`Customers: Error changing password of ${req.customer.email}:`, error);
+        sendAccountError(res, error, 'Error changing your password.');
+    }
+});
+
+// POST /api/customers/me/addresses - Add an address
+// Body: { label, address, city, state, country, pincode, isDefault }
+router.post('/addresses', async (req, res) => {
+    try {
+        saveAddress(req.customer, req.body);
+        const savedCustomer = await req.customer.save();
+        res.status(201).json(savedCustomer);
+    } catch (error) {
+        console.error(`Customers: Error adding address for ${req.customer.email}:`, error);
+        sendAccountError(res, error, 'Error saving the address.');
+    }
+});
+
+// PUT /api/customers/me/addresses/:addressId - Edit an address or make it the default
+router.put('/addresses/:addressId', async (req, res) => {
+    try {
+        saveAddress(req.customer, req.body, req.params.addressId);
+        const savedCustomer = await req.customer.save();
+        res.status(200).json(savedCustomer);
+    } catch (error) {
+        console.error(`Customers: Error updating address ${req.params.addressId} of ${req.customer.email}:`, error);
+        sendAccountError(res, error, 'Error saving the address.');
+    }
+});
+
+// DELETE /api/customers/me/addresses/:addressId
+router.delete('/addresses/:addressId', async (req, res) => {
+    try {
+        removeAddress(req.customer, req.params.addressId);
+        const savedCustomer = await req.customer.save();
+        res.status(200).json(savedCustomer);
+    } catch (error) {
+        console.error(`Customers: Error removing address ${req.params.addressId} of ${req.customer.email}:`, error);
+        sendAccountError(res, error, 'Error removing the address.');
+    }
+});
+
+// GET /api/customers/me/orders - Order history, newest first
+// Query: page, limit
+router.get('/orders', async (req, res) => {
+    try {
+        const filter = { customer: req.customer._id };
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            orders: orders.map(toCustomerOrder),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error(`Customers: Error fetching orders of ${req.customer.email}:`, error);
+        res.status(500).json({ message: 'Error fetching your orders.' });
+    }
+});
+
+// GET /api/customers/me/orders/:orderId
+router.get('/orders/:orderId', async (req, res) => {
+    try {
+        const order = await loadOwnOrder(req, res);
+        if (!order) return;
+        res.status(200).json(toCustomerOrder(order));
+    } catch (error) {
+        console.error(`Customers: Error fetching order ${req.params.orderId}:`, error);
+        res.status(500).json({ message: 'Error fetching the order.' });
+    }
+});
+
+// GET /api/customers/me/orders/:orderId/invoice - Download the GST tax invoice PDF
+router.get('/orders/:orderId/invoice', async (req, res) => {
+    try {
+        const order = await loadOwnOrder(req, res);
+        if (!order) return;
+        if (!order.invoice || !order.invoice.number) {
+            return res.status(404).json({ message: 'No invoice has been issued for this order yet.' });
+        }
+        const pdf = await invoiceService.generateInvoicePdf(order);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Invoice-${order.invoice.number.replace(/\//g, '-')}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error(`Customers: Error generating invoice for order ${req.params.orderId}:`, error);
+        res.status(500).json({ message: 'Error generating the invoice.' });
+    }
+});
+
+// POST /api/customers/me/orders/:orderId/reorder - Put a past order's items in a cart at today's prices
+// Body: { cartId } (optional; adds to this cart, else a new cart is created)
+// Query: currency (optional, as for /api/carts; default INR), country, state, pincode and paymentMethod
+// (optional, for the freight, as for /api/carts)
+// Responds with the priced cart plus `skippedItems` that could not be added.
+router.post('/orders/:orderId/reorder', async (req, res) => {
+    try {
+        const order = await loadOwnOrder(req, res);
+        if (!order) return;
+
+        const currency = await resolveCurrency(req.query.currency);
+        const existingCart = CART_ID_PATTERN.test(req.body.cartId || '') ? await Cart.findById(req.body.cartId) : null;
+        const cart = existingCart || new Cart();
+        const skippedItems = await addOrderToCart(cart, order);
+        await cart.save();
+        console.log(`Customers: ${req.customer.email} reordered ${order.customOrderId} into cart ${cart._id} (${skippedItems.length} line(s) skipped)`);
+        const { country = '', state = '', pincode = '', paymentMethod = '' } = req.query;
+        const pricing = await priceCart(cart, {
+            priceList: priceListForCustomer(req.customer),
+            customer: req.customer,
+            currency,
+            destination: { country: String(country).trim(), state: String(state).trim(), pincode: String(pincode).trim() },
+            paymentMethod: String(paymentMethod).trim()
+        });
+        res.status(200).json({ ...pricing, skippedItems });
+    } catch (error) {
+        console.error(`Customers: Error reordering order ${req.params.orderId}:`, error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'Your cart was changed on another device. Reload the page and try again.' });
+        }
+        sendAccountError(res, error, 'Error adding the order to your cart.');
+    }
+});
+
+module.exports = router;
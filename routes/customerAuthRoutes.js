@@ -0,0 +1,140 @@
+// routes/customerAuthRoutes.js
+// Storefront customer registration and login. Responses about email links never say whether an
+// account exists for the address.
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const { issueCustomerToken, requireCustomerAccountsEnabled } = require('../middleware/customerAuthMiddleware');
+const { registerCustomer, sendLoginLink, consumeLoginToken } = require('../services/customerService');
+const { rateLimit, byClientIp, byBodyEmail } = require('../middleware/rateLimitMiddleware');
+
+const LINK_SENT_MESSAGE = 'Check your email: we have sent you a link to log in.';
+
+// Registration and login links email the address in the request, so they are capped per network
+// and per address; a legitimate customer needs only a few.
+const REGISTER_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const REGISTER_EMAIL_LIMIT = { limit: 3, windowMs: 60 * 60 * 1000 };
+const LOGIN_LINK_IP_LIMIT = { limit: 20, windowMs: 60 * 60 * 1000 };
+const LOGIN_LINK_EMAIL_LIMIT = { limit: 5, windowMs: 60 * 60 * 1000 };
+const EMAIL_RATE_LIMIT_MESSAGE = 'Too many emails have been requested from here recently.';
+
+const isNotConfigured = (error) => error.message === "Customer accounts are not configured." || error.message === "Email login links are not configured.";
+
+router.use(requireCustomerAccountsEnabled);
+
+// POST /api/customers/auth/register - Create an account; the emailed link confirms it
+// Body: { name, email, password (optional; without one the customer logs in by email link) }
+// Rate limited per IP address and per email (429).
+router.post('/register',
+  rateLimit({ name: 'register-ip', ...REGISTER_IP_LIMIT, identify: byClientIp, message: EMAIL_RATE_LIMIT_MESSAGE }),
+  rateLimit({ name: 'register-email', ...REGISTER_EMAIL_LIMIT, identify: byBodyEmail('email'), message: EMAIL_RATE_LIMIT_MESSAGE }),
+  async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    console.log(`Customer Auth: Registration requested for ${email || '(no email)'}`);
+    if (!email || !req.body.name) {
+        return res.status(400).json({ message: 'Name and email are required.' });
+    }
+
+    try {
+        await registerCustomer(req.body);
+        res.status(201).json({ message: 'Check your email: we have sent you a link to confirm your account.' });
+    } catch (error) {
+        console.error("Customer Auth: Error registering customer:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (isNotConfigured(error)) {
+            return res.status(503).json({ message: 'Customer accounts are not available right now.' });
+        }
+        res.status(500).json({ message: 'Error creating your account. Please try again later.' });
+    }
+});
+
+// POST /api/customers/auth/login - Exchange email + password for a bearer token
+router.post('/login', async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = req.body.password;
+    console.log(`Customer Auth: Login attempt for ${email || '(no email)'}`);
+
+    if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required.' });
+    }
+
+    try {
+        const customer = await Customer.findOne({ email }).select('+passwordHash');
+        // Same response for unknown customer and wrong password
+        if (!customer || !customer.isActive || !(await customer.comparePassword(password))) {
+            console.warn(`Customer Auth: Failed login for ${email}`);
+            return res.status(401).json({ message: 'Invalid email or password.' });
+        }
+        if (!customer.emailVerifiedAt) {
+            return res.status(403).json({ message: 'Please confirm your email address first, using the link we emailed you. You can ask for a new link below.' });
+        }
+
+        const { token, expiresIn } = issueCustomerToken(customer);
+        customer.lastLoginAt = new Date();
+        await customer.save();
+
+        console.log(`Customer Auth: ${email} logged in`);
+        res.status(200).json({ token, expiresIn, customer: customer.toJSON() });
+    } catch (error) {
+        console.error("Customer Auth: Error during login:", error);
+        if (isNotConfigured(error)) {
+            return res.status(503).json({ message: 'Customer accounts are not available right now.' });
+        }
+        res.status(500).json({ message: 'Error logging in.' });
+    }
+});
+
+// POST /api/customers/auth/login-link - Email a single-use login link
+// Body: { email }
+// Rate limited per IP address and per email (429).
+router.post('/login-link',
+  rateLimit({ name: 'login-link-ip', ...LOGIN_LINK_IP_LIMIT, identify: byClientIp, message: EMAIL_RATE_LIMIT_MESSAGE }),
+  rateLimit({ name: 'login-link-email', ...LOGIN_LINK_EMAIL_LIMIT, identify: byBodyEmail('email'), message: EMAIL_RATE_LIMIT_MESSAGE }),
+  async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    console.log(`Customer Auth: Login link requested for ${email || '(no email)'}`);
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    try {
+        const customer = await Customer.findOne({ email });
+        if (customer && customer.isActive) {
+            await sendLoginLink(customer, customer.emailVerifiedAt ? 'login' : 'register');
+        } else {
+            console.log(`Customer Auth: No active account for ${email}; no link sent`);
+        }
+        res.status(200).json({ message: `${LINK_SENT_MESSAGE} If it doesn't arrive, check the address or create an account.` });
+    } catch (error) {
+        console.error("Customer Auth: Error sending login link:", error);
+        if (isNotConfigured(error)) {
+            return res.status(503).json({ message: 'Email login is not available right now. Please log in with your password.' });
+        }
+        res.status(500).json({ message: 'Error sending your login link. Please try again later.' });
+    }
+});
+
+// POST /api/customers/auth/login-link/verify - Exchange the token from a login link for a bearer token
+// Body: { token }
+router.post('/login-link/verify', async (req, res) => {
+    try {
+        const result = await consumeLoginToken(req.body.token);
+        if (!result) {
+            return res.status(401).json({ message: 'This login link is invalid, already used or expired. Please ask for a new one.' });
+        }
+
+        const { token, expiresIn } = issueCustomerToken(result.customer);
+        console.log(`Customer Auth: ${result.customer.email} logged in with an email link`);
+        res.status(200).json({ token, expiresIn, customer: result.customer.toJSON(), linkedOrders: result.linkedOrders });
+    } catch (error) {
+        console.error("Customer Auth: Error verifying login link:", error);
+        if (isNotConfigured(error)) {
+            return res.status(503).json({ message: 'Customer accounts are not available right now.' });
+        }
+        res.status(500).json({ message: 'Error logging in.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/formTokenRoutes.js
+// Form tokens for the storefront's order, quotation and inquiry forms (see middleware/formProtectionMiddleware.js).
+const express = require('express');
+const router = express.Router();
+const { FORM_TOKEN_FORMS, issueFormToken } = require('../middleware/formProtectionMiddleware');
+const { rateLimit, byClientIp } = require('../middleware/rateLimitMiddleware');
+
+// A page load fetches one per form; this leaves room for many tabs and reloads
+const FORM_TOKEN_IP_LIMIT = { limit: 120, windowMs: 60 * 60 * 1000 };
+
+// GET /api/form-tokens/:form - A token for the "order", "quotation" or "inquiry" form: { token, expiresAt }.
+// The storefront sends it back as `formToken` with the submission and fetches a new one before it expires.
+router.get('/:form', rateLimit({ name: 'form-token-ip', ...FORM_TOKEN_IP_LIMIT, identify: byClientIp, message: 'Too many requests from your network.' }), (req, res) => {
+    if (!FORM_TOKEN_FORMS.includes(req.params.form)) {
+        return res.status(404).json({ message: 'Unknown form.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(issueFormToken(req.params.form));
+});
+
+module.exports = router;
@@ -2,19 +2,43 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const Inquiry = require('../models/Inquiry');
 const emailService = require('../services/emailService'); // Adjust path if necessary
+const { checkAttachments, storeAttachment, deleteAttachment } = require('../services/attachmentService');
+const { requireFormToken } = require('../middleware/formProtectionMiddleware');
+const { rateLimit, byClientIp, byBodyEmail } = require('../middleware/rateLimitMiddleware');
 
-// Configure multer for memory storage (good for attaching directly to emails)
+// Configure multer for memory storage (files are checked, then stored privately)
 const storage = multer.memoryStorage();
 // Increase file size limit if needed, e.g., 5MB per file
-const upload = multer({ 
+const upload = multer({
     storage: storage,
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit per file
-}); 
+});
+
+// Every inquiry emails the owner with its attachments, so scripted ones are capped per network and per email
+const INQUIRY_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const INQUIRY_EMAIL_LIMIT = { limit: 5, windowMs: 60 * 60 * 1000 };
+const INQUIRY_RATE_LIMIT_MESSAGE = 'Too many inquiries have been sent from here recently.';
+
+// Joins an optional country code select with the number, e.g. "+91 9876543210".
+const joinPhone = (code, number) => {
+    const trimmedNumber = typeof number === 'string' ? number.trim() : '';
+    if (!trimmedNumber) return undefined;
+    return code ? `${code} ${trimmedNumber}` : trimmedNumber;
+};
 
 // POST /api/inquiry/submit
 // 'contact-files' should match the name attribute of your file input in the HTML form
-router.post('/submit', upload.array('contact-files[]', 5), async (req, res) => { 
+// Needs a form token (`formToken`, from GET /api/form-tokens/inquiry) and an empty `contact-website`
+// honeypot, and is rate limited per IP address (before the files are read) and per contact-email (429).
+// Attachments must be PDF, image or Word/Excel files by their contents (services/attachmentService.js).
+router.post('/submit',
+  rateLimit({ name: 'inquiry-ip', ...INQUIRY_IP_LIMIT, identify: byClientIp, message: INQUIRY_RATE_LIMIT_MESSAGE }),
+  upload.array('contact-files[]', 5),
+  requireFormToken('inquiry', { honeypotField: 'contact-website' }),
+  rateLimit({ name: 'inquiry-email', ...INQUIRY_EMAIL_LIMIT, identify: byBodyEmail('contact-email'), message: INQUIRY_RATE_LIMIT_MESSAGE }),
+  async (req, res) => {
     // upload.array can take a second argument for max number of files
   console.log("Inquiry route: Received POST request on /api/inquiry/submit");
   console.log("Inquiry route: Form data (req.body):", req.body);
@@ -22,24 +46,64 @@ router.post('/submit', upload.array('contact-files[]', 5), async (req, res) => {
 
   try {
     const inquiryData = req.body; // Text fields
-    const files = req.files;       // Uploaded files (array)
+    const files = req.files || []; // Uploaded files (array)
 
     if (!inquiryData['contact-name'] || !inquiryData['contact-email'] || !inquiryData['contact-message'] || !inquiryData['contact-category']) {
         console.error("Inquiry route: Validation Error - Missing required inquiry data.");
         return res.status(400).json({ message: 'Missing required inquiry data (name, email, category, message).' });
     }
-    
-    // --- TODO: Optionally save inquiry to database here ---
 
-    await emailService.sendInquiryEmail(inquiryData, files);
-    
-    console.log('Inquiry route: Inquiry email initiated successfully.');
-    res.status(200).json({ message: 'Inquiry submitted successfully! We will get back to you soon.' });
+    const inquiry = new Inquiry({
+        name: inquiryData['contact-name'],
+        email: inquiryData['contact-email'],
+        mobile: joinPhone(inquiryData['contact-mobile-code'], inquiryData['contact-mobile']),
+        whatsapp: joinPhone(inquiryData['contact-whatsapp-code'], inquiryData['contact-whatsapp']),
+        hospital: inquiryData['contact-hospital'] || undefined,
+        category: inquiryData['contact-category'],
+        message: inquiryData['contact-message']
+    });
+
+    // Validate before uploading so a bad submission doesn't leave orphaned files in storage.
+    await inquiry.validate();
+    checkAttachments(files);
+
+    // Attachments are private (admins only); if one can't be stored, or the ticket can't be saved,
+    // the stored ones are removed again and the customer is asked to retry.
+    let savedInquiry;
+    try {
+        for (const file of files) {
+            const fileId = await storeAttachment(file);
+            inquiry.attachments.push({ fileName: file.originalname, fileId, contentType: file.mimetype, size: file.size });
+        }
+        savedInquiry = await inquiry.save();
+    } catch (saveError) {
+        for (const attachment of inquiry.attachments) {
+            await deleteAttachment(attachment.fileId).catch(deleteError => console.error(`Inquiry route: Could not remove orphaned attachment ${attachment.fileId}:`, deleteError.message));
+        }
+        throw saveError;
+    }
+    console.log("Inquiry route: Inquiry saved successfully:", savedInquiry.ticketNumber, savedInquiry._id);
+
+    // The ticket is already in the admin inbox, so an email failure must not fail the request.
+    try {
+        await emailService.sendInquiryEmail(savedInquiry);
+        console.log('Inquiry route: Inquiry email queued successfully.');
+    } catch (emailError) {
+        console.error(`Inquiry route: Inquiry ${savedInquiry.ticketNumber} saved but owner email could not be queued:`, emailError);
+    }
+
+    res.status(201).json({
+        message: `Inquiry submitted successfully! Your reference number is ${savedInquiry.ticketNumber}. We will get back to you soon.`,
+        ticketNumber: savedInquiry.ticketNumber
+    });
 
   } catch (error) {
-    console.error('Inquiry route: Error processing inquiry or sending email:', error);
-     if (error.message === "Email service misconfiguration." || error.message.includes("currently unavailable")) {
-        return res.status(503).json({ message: error.message });
+    console.error('Inquiry route: Error processing inquiry:', error);
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation Error", errors: error.errors });
+    }
+    if (error.name === 'AttachmentTypeError') {
+        return res.status(400).json({ message: error.message });
     }
     res.status(500).json({ message: 'There was an error submitting your inquiry. Please try again later.' });
   }
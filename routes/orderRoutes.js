@@ -1,10 +1,38 @@
 // routes/orderRoutes.js
 const express = require('express');
 const router = express.Router();
-const emailService = require('../services/emailService'); // Adjust path if necessary
+const Order = require('../models/Order');
+const { priceOrderItems, priceListForCustomer } = require('../services/pricingService');
+const { applyCoupon, promotionSnapshot } = require('../services/promotionService');
+const { resolveOrderCurrency, toInrMinor, formatMoney } = require('../services/currencyService');
+const { quoteShipping, applyShipping, shippingSnapshot } = require('../services/shippingService');
+const { placeOrder, findOrderForTracking, toTrackingJSON, TRACKING_RATE_LIMIT } = require('../services/orderService');
+const { isOrderPayableOnline } = require('../services/paymentService');
+const { optionalCustomerAuth } = require('../middleware/customerAuthMiddleware');
+const { requireFormToken } = require('../middleware/formProtectionMiddleware');
+const { rateLimit, byClientIp, byBodyEmail } = require('../middleware/rateLimitMiddleware');
+
+// Every order emails the customer and the owner, so scripted orders are capped per network and per email
+const ORDER_IP_LIMIT = { limit: 20, windowMs: 60 * 60 * 1000 };
+const ORDER_EMAIL_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const ORDER_RATE_LIMIT_MESSAGE = 'Too many orders have been placed from here recently.';
 
 // POST /api/orders/place-order
-router.post('/place-order', async (req, res) => {
+// Guests and logged-in customers alike; a logged-in customer's order is linked to their account.
+// An optional `couponCode` takes its promotion's discount off before GST; a code that can't be
+// used fails the order (400) rather than placing it at full price. An optional `currency` (ISO
+// 4217 code, default INR) prices the order in that currency at the current rate, without GST;
+// orders shipped within India are always in INR. Freight comes from the shipping zone covering the
+// address (a paymentMethod of "Cash on Delivery" adds the zone's COD surcharge); an address no zone
+// covers is a 400.
+// Needs a form token (`formToken`, from GET /api/form-tokens/order) and an empty `website` honeypot,
+// and is rate limited per IP address and per customerEmail (429).
+router.post('/place-order',
+  rateLimit({ name: 'order-ip', ...ORDER_IP_LIMIT, identify: byClientIp, message: ORDER_RATE_LIMIT_MESSAGE }),
+  requireFormToken('order', { honeypotField: 'website' }),
+  rateLimit({ name: 'order-email', ...ORDER_EMAIL_LIMIT, identify: byBodyEmail('customerEmail'), message: ORDER_RATE_LIMIT_MESSAGE }),
+  optionalCustomerAuth,
+  async (req, res) => {
   console.log("Order route: Received POST request on /api/orders/place-order");
   console.log("Order route: Request body:", req.body);
   try {
@@ -15,23 +43,98 @@ router.post('/place-order', async (req, res) => {
       return res.status(400).json({ message: 'Missing required order data.' });
     }
 
-    // --- TODO: In a real application, save orderData to your database here ---
-    // Example: const savedOrder = await OrderModel.create(orderData);
-    // For now, we directly proceed to sending emails.
+    // Prices, GST and totals are recomputed from the Product collection (on the customer's
+    // price list); the values posted by the storefront are never trusted.
+    const priceList = priceListForCustomer(req.customer);
+    const currency = await resolveOrderCurrency(orderData.currency, orderData.country);
+    let pricing = await priceOrderItems(orderData.orderItems, { priceList, currency });
+    let promotion = null;
+    if (orderData.couponCode) {
+      ({ pricing, promotion } = await applyCoupon(orderData.couponCode, pricing, { customer: req.customer, customerEmail: orderData.customerEmail }));
+    }
+    const destination = { country: orderData.country, state: orderData.state, pincode: orderData.pincode };
+    const shipping = await quoteShipping(pricing, destination, { paymentMethod: orderData.paymentMethod });
+    pricing = applyShipping(pricing, shipping);
+
+    const order = new Order({
+      customer: req.customer ? req.customer._id : undefined,
+      priceList,
+      customerName: orderData.customerName,
+      customerEmail: orderData.customerEmail,
+      customerMobileCode: orderData.mobileCode,
+      customerMobileNumber: orderData.mobileNumber,
+      customerWhatsappCode: orderData.whatsappNumber ? orderData.whatsappCode : undefined,
+      customerWhatsappNumber: orderData.whatsappNumber || undefined,
+      buyerGstin: orderData.buyerGstin ? String(orderData.buyerGstin).trim() : undefined,
+      shippingAddress: {
+        address: orderData.address,
+        city: orderData.city,
+        state: orderData.state,
+        country: orderData.country,
+        pincode: orderData.pincode
+      },
+      orderItems: pricing.orderItems,
+      promotion: promotion ? promotionSnapshot(promotion) : undefined,
+      currency: pricing.currency,
+      exchangeRate: pricing.exchangeRate,
+      subtotalMinor: pricing.subtotalMinor,
+      discountTotalMinor: pricing.discountTotalMinor,
+      freightChargeMinor: pricing.freightChargeMinor,
+      freightGstRate: pricing.freightGstRate,
+      shipping: shipping ? shippingSnapshot(shipping) : undefined,
+      taxTotalMinor: pricing.taxTotalMinor,
+      totalMinor: pricing.totalMinor,
+      totalInrMinor: toInrMinor(pricing.totalMinor, currency),
+      paymentMethod: orderData.paymentMethod
+    });
+    // Reserves stock, saves and queues the confirmation emails
+    const { savedOrder, emailQueued } = await placeOrder(order);
 
-    await emailService.sendOrderConfirmationEmails(orderData);
-    
-    console.log('Order route: Order emails initiated successfully.');
-    res.status(200).json({ message: 'Order placed successfully! Confirmation emails have been sent.' });
+    res.status(201).json({
+      message: emailQueued
+        ? 'Order placed successfully! A confirmation email is on its way.'
+        : 'Order placed successfully! We could not send the confirmation email, but we will contact you shortly.',
+      orderId: savedOrder._id,
+      orderNumber: savedOrder.customOrderId,
+      currency: savedOrder.currency,
+      totalMinor: savedOrder.totalMinor,
+      totalOrderValue: formatMoney(savedOrder.totalMinor, savedOrder.currency)
+    });
 
   } catch (error) {
-    console.error('Order route: Error processing order or sending email:', error);
-    // Check if the error is from emailService due to misconfiguration
-    if (error.message === "Email service misconfiguration." || error.message.includes("currently unavailable")) {
-        return res.status(503).json({ message: error.message });
+    console.error('Order route: Error processing order:', error);
+    if (error.name === 'OrderPricingError' || error.name === 'PromotionError' || error.name === 'CurrencyError' || error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'InsufficientStockError') {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: "Validation Error", errors: error.errors });
     }
     res.status(500).json({ message: 'There was an error processing your order. Please try again later.' });
   }
 });
 
+// POST /api/orders/track - Public order tracking
+// Body: { orderNumber, contact } (`contact` is the order's email address or mobile number)
+// Rate limited per IP address together with POST /api/payments/checkout (429).
+router.post('/track', rateLimit({ ...TRACKING_RATE_LIMIT, identify: byClientIp }), async (req, res) => {
+  const { orderNumber, contact } = req.body;
+  console.log(`Order route: Tracking requested for order ${orderNumber}`);
+  if (!orderNumber || !contact) {
+    return res.status(400).json({ message: 'Order number and email or mobile number are required.' });
+  }
+  try {
+    const order = await findOrderForTracking(orderNumber, contact);
+    if (!order) {
+      return res.status(404).json({ message: 'We could not find an order with these details. Please check the order number and the email or mobile number used for the order.' });
+    }
+    res.status(200).json({ ...toTrackingJSON(order), canPayOnline: isOrderPayableOnline(order) });
+  } catch (error) {
+    console.error('Order route: Error tracking order:', error);
+    res.status(500).json({ message: 'Error looking up your order. Please try again later.' });
+  }
+});
+
 module.exports = router;
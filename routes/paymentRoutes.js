@@ -0,0 +1,128 @@
+// routes/paymentRoutes.js
+// Public online payment API (/api/payments): the storefront's pay-now flow and, when
+// PAYMENT_GATEWAY=mock, the mock gateway's checkout page. Webhooks are in paymentWebhookRoutes.js.
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const { html } = require('../templates/emails/html');
+const { getPaymentGateway } = require('../services/payments');
+const { findOrderForTracking, TRACKING_RATE_LIMIT } = require('../services/orderService');
+const { startCheckout, findPayment, paymentReturnUrl } = require('../services/paymentService');
+const { formatMoney, minorUnitDigits } = require('../services/currencyService');
+const { rateLimit, byClientIp } = require('../middleware/rateLimitMiddleware');
+
+const backendUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// GET /api/payments/config - Whether the storefront should offer Pay Online
+router.get('/config', (req, res) => {
+    const gateway = getPaymentGateway();
+    res.status(200).json({ onlinePayment: !!gateway && !!process.env.FRONTEND_URL, gateway: gateway ? gateway.name : null });
+});
+
+// POST /api/payments/checkout - Start paying an order online
+// Body: { orderNumber, contact } (as for /api/orders/track). Responds with the gateway checkout URL.
+// Shares /api/orders/track's per-IP rate limit (429).
+router.post('/checkout', rateLimit({ ...TRACKING_RATE_LIMIT, identify: byClientIp }), async (req, res) => {
+    const { orderNumber, contact } = req.body;
+    console.log(`Payments: Checkout requested for order ${orderNumber}`);
+    if (!orderNumber || !contact) {
+        return res.status(400).json({ message: 'Order number and email or mobile number are required.' });
+    }
+    try {
+        const order = await findOrderForTracking(orderNumber, contact);
+        if (!order) {
+            return res.status(404).json({ message: 'We could not find an order with these details.' });
+        }
+        const { payment, checkoutUrl } = await startCheckout(order, { backendUrl: backendUrlOf(req) });
+        res.status(201).json({ paymentId: payment._id, checkoutUrl });
+    } catch (error) {
+        console.error(`Payments: Error starting checkout for order ${orderNumber}:`, error);
+        if (error.name === 'PaymentUnavailableError') {
+            return res.status(503).json({ message: error.message });
+        }
+        if (error.name === 'PaymentStateError') {
+            return res.status(409).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Could not start the online payment. Please try again later.' });
+    }
+});
+
+// The mock gateway's "hosted checkout": choose whether the payment succeeds
+if (getPaymentGateway() && getPaymentGateway().name === 'mock') {
+    const mockGateway = getPaymentGateway();
+
+    const loadMockPayment = (req) => Payment.findOne({ gateway: 'mock', gatewayReference: req.params.reference });
+
+    // GET /api/payments/mock/checkout/:reference
+    router.get('/mock/checkout/:reference', async (req, res) => {
+        let payment;
+        try {
+            payment = await loadMockPayment(req);
+        } catch (error) {
+            console.error(`Payments: Error loading mock payment ${req.params.reference}:`, error);
+            return res.status(500).send('Mock payment failed.');
+        }
+        if (!payment) {
+            return res.status(404).send('Unknown mock payment.');
+        }
+        res.status(200).type('html').send(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Mock Payment</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px;">
+  <h1>Mock Payment Gateway</h1>
+  <p>No money is charged. Choose what the gateway reports for this payment.</p>
+  <p><strong>Order:</strong> ${payment.orderNumber}<br><strong>Amount:</strong> ${formatMoney(payment.amountMinor, payment.currency)}<br><strong>Status:</strong> ${payment.status}</p>
+  <form method="POST">
+    <p><label><input type="checkbox" name="duplicate" value="true"> Deliver the webhook twice</label></p>
+    <button type="submit" name="outcome" value="paid">Pay</button>
+    <button type="submit" name="outcome" value="failed">Fail</button>
+  </form>
+</body>
+</html>`.toString());
+    });
+
+    // POST /api/payments/mock/checkout/:reference - Sends the signed webhook, then returns to the storefront
+    router.post('/mock/checkout/:reference', async (req, res) => {
+        try {
+            const payment = await loadMockPayment(req);
+            if (!payment) {
+                return res.status(404).send('Unknown mock payment.');
+            }
+            const event = req.body.outcome === 'paid'
+                ? { type: 'payment.succeeded', gatewayReference: payment.gatewayReference, gatewayPaymentId: mockGateway.newPaymentId(), amountMinor: payment.amountMinor }
+                : { type: 'payment.failed', gatewayReference: payment.gatewayReference, reason: 'Declined at the mock gateway' };
+            const { body, headers } = mockGateway.signWebhook(event);
+            const deliveries = req.body.duplicate === 'true' ? 2 : 1;
+            for (let i = 0; i < deliveries; i++) {
+                const response = await fetch(`${backendUrlOf(req)}/api/payments/webhooks/mock`, { method: 'POST', headers, body });
+                console.log(`Payments: Mock webhook ${event.type} for ${payment.gatewayReference} delivered (${response.status})`);
+            }
+            res.redirect(303, paymentReturnUrl(payment._id.toString()));
+        } catch (error) {
+            console.error(`Payments: Error completing mock payment ${req.params.reference}:`, error);
+            res.status(500).send('Mock payment failed.');
+        }
+    });
+}
+
+// GET /api/payments/:paymentId - Status of a payment, for the storefront page the gateway returns to
+router.get('/:paymentId', async (req, res) => {
+    try {
+        const payment = await findPayment(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        res.status(200).json({
+            paymentId: payment._id,
+            orderNumber: payment.orderNumber,
+            status: payment.status,
+            amount: payment.amountMinor / 10 ** minorUnitDigits(payment.currency),
+            currency: payment.currency
+        });
+    } catch (error) {
+        console.error(`Payments: Error fetching payment ${req.params.paymentId}:`, error);
+        res.status(500).json({ message: 'Error fetching the payment.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// routes/paymentWebhookRoutes.js
+// Payment gateway webhooks (/api/payments/webhooks/:gateway). server.js mounts this before the
+// JSON body parser: the signature covers the raw body, so it must arrive unparsed.
+const express = require('express');
+const router = express.Router();
+const { handleWebhook } = require('../services/paymentService');
+
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+// POST /api/payments/webhooks/:gateway
+// Any 2xx tells the gateway to stop retrying, so duplicates and ignored events also get a 200.
+router.post('/:gateway', async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+        const { type, applied } = await handleWebhook(req.params.gateway, rawBody, req.headers);
+        console.log(`Payments: Webhook from ${req.params.gateway}: ${type}${applied ? '' : ' (nothing to change)'}`);
+        res.status(200).json({ received: true });
+    } catch (error) {
+        console.error(`Payments: Error handling ${req.params.gateway} webhook:`, error.message);
+        if (error.name === 'WebhookSignatureError' || error instanceof SyntaxError) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.name === 'PaymentUnavailableError') {
+            return res.status(404).json({ message: error.message });
+        }
+        // Anything else (e.g. the database being down) is retried by the gateway
+        res.status(500).json({ message: 'Error processing the webhook.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// routes/publicCurrencyRoutes.js
+const express = require('express');
+const router = express.Router();
+const { listCurrencies } = require('../services/currencyService');
+
+// GET /api/currencies - Currencies the storefront can show prices in: INR first, then the active
+// exchange rates. Each carries inrPerUnit (rupees per unit), minorUnitDigits, the checkout
+// countries that default to it and chargesGst (only INR).
+router.get('/', async (req, res) => {
+    console.log("Public Currencies: Received GET request to list currencies");
+    try {
+        res.status(200).json(await listCurrencies());
+    } catch (error) {
+        console.error("Public Currencies: Error fetching currencies:", error);
+        res.status(500).json({ message: 'Error fetching currencies', error: error.message });
+    }
+});
+
+module.exports = router;
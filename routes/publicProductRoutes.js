@@ -1,60 +1,165 @@
 // routes/publicProductRoutes.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product'); // Adjust path if your models folder is different
+const ProductType = require('../models/ProductType');
+const { isStockTracked } = require('../services/inventoryService');
+const { dimensionPriceSchedule, priceListForCustomer } = require('../services/pricingService');
+const { optionalCustomerAuth } = require('../middleware/customerAuthMiddleware');
 
-// GET /api/products - Get all active products for customer display
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Allowed values for ?sort. "relevance" only applies to text searches and is the default when q is given.
+const SORT_STAGES = {
+    relevance: { score: -1, name: 1 },
+    name: { name: 1 },
+    '-name': { name: -1 },
+    price: { minPrice: 1, name: 1 },
+    '-price': { minPrice: -1, name: 1 },
+    newest: { createdAt: -1 }
+};
+
+// Prices are for the logged-in customer's price list (retail for guests)
+router.use(optionalCustomerAuth);
+
+// Shapes a product (document or aggregation result) for the customer site. Each dimension only
+// carries dimensionName, basePrice (the single-unit price on the price list), priceTiers (the
+// quantities from which the unit price changes, `[{ minQuantity, unitPrice }]`) and availability; the
+// frontend calculates priceIncGst and handles displaying the GST percentage.
+const toCustomerProduct = (product, priceList) => ({
+    _id: product._id, // Send the ID for "Add to cart" functionality
+    name: product.name,
+    description: product.description,
+    productType: product.productType,
+    baseImageURL: product.baseImageURL,
+    additionalImageURLs: product.additionalImageURLs,
+    // Resized WebP/JPEG variants for srcset; null / {} for images uploaded before variants existed
+    baseImage: product.baseImage || null,
+    additionalImages: product.additionalImages || [],
+    dimensions: product.dimensions.map(dim => {
+        const [singleUnit, ...priceTiers] = dimensionPriceSchedule(dim, priceList);
+        return {
+            dimensionName: dim.dimensionName,
+            basePrice: singleUnit.unitPrice,
+            priceTiers,
+            inStock: !isStockTracked(dim) || dim.stockQuantity > 0,
+            availableQuantity: isStockTracked(dim) ? dim.stockQuantity : null // null = not tracked, no limit
+        };
+    }),
+    gstRate: product.gstRate // Send GST rate for frontend calculations
+});
+
+// Parses an optional non-negative price query value. Returns undefined when absent, NaN when invalid.
+const parsePriceParam = (value) => {
+    if (value === undefined || String(value).trim() === '') return undefined;
+    const price = Number(value);
+    return price >= 0 ? price : NaN;
+};
+
+// GET /api/products - List active products for customer display
+// Query: q (full-text search), productType (comma-separated slugs; a parent category includes its sub-types),
+// minPrice, maxPrice (retail base price of any dimension),
+// sort (relevance, name, -name, price, -price, newest), page, limit
+// Facet counts per product type ignore the productType filter so the customer can see what other types would add.
 router.get('/', async (req, res) => {
-    console.log("Public Products: Received GET request to list all active products");
+    console.log("Public Products: Received GET request to list active products", req.query);
     try {
-        const products = await Product.find({ isActive: true }) // Only fetch active products
-            .select('name description productType baseImageURL additionalImageURLs dimensions gstRate') // Select only necessary fields
-            .sort({ name: 1 }); // Sort alphabetically by name, or by createdAt: -1 for newest first
-
-        // We need to ensure that the dimensions array for each product only contains
-        // dimensionName and basePrice for the frontend, and calculate priceIncGst.
-        // The frontend will handle displaying the GST percentage.
-        const productsForCustomer = products.map(product => {
-            const dimensionsForCustomer = product.dimensions.map(dim => ({
-                dimensionName: dim.dimensionName,
-                basePrice: dim.basePrice
-                // priceIncGst will be calculated on the frontend when adding to cart or displaying
-            }));
-            return {
-                _id: product._id, // Send the ID for "Add to cart" functionality
-                name: product.name,
-                description: product.description,
-                productType: product.productType,
-                baseImageURL: product.baseImageURL,
-                additionalImageURLs: product.additionalImageURLs,
-                dimensions: dimensionsForCustomer, // Send simplified dimensions
-                gstRate: product.gstRate // Send GST rate for frontend calculations
-            };
-        });
+        const q = req.query.q ? String(req.query.q).trim() : '';
+        const minPrice = parsePriceParam(req.query.minPrice);
+        const maxPrice = parsePriceParam(req.query.maxPrice);
+        if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+            return res.status(400).json({ message: 'minPrice and maxPrice must be non-negative numbers.' });
+        }
+        if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+            return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice.' });
+        }
+
+        const sortKey = req.query.sort ? String(req.query.sort) : (q ? 'relevance' : 'name');
+        if (!SORT_STAGES[sortKey] || (sortKey === 'relevance' && !q)) {
+            return res.status(400).json({ message: `Unknown sort order: ${sortKey}` });
+        }
+
+        const productTypes = req.query.productType
+            ? await ProductType.expandWithSubTypes(String(req.query.productType).split(',').map(t => t.trim().toLowerCase()).filter(Boolean))
+            : [];
 
-        res.status(200).json(productsForCustomer);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        // $text must be in the first stage so MongoDB can use the text index on name/description/productType.
+        const match = { isActive: true }; // Only fetch active products
+        if (q) match.$text = { $search: q };
+        if (minPrice !== undefined || maxPrice !== undefined) {
+            const priceRange = {};
+            if (minPrice !== undefined) priceRange.$gte = minPrice;
+            if (maxPrice !== undefined) priceRange.$lte = maxPrice;
+            match.dimensions = { $elemMatch: { basePrice: priceRange } };
+        }
+        const typeMatch = productTypes.length > 0 ? { productType: { $in: productTypes } } : {};
+
+        const [result] = await Product.aggregate([
+            { $match: match },
+            {
+                $addFields: {
+                    minPrice: { $min: '$dimensions.basePrice' },
+                    ...(q ? { score: { $meta: 'textScore' } } : {})
+                }
+            },
+            {
+                $facet: {
+                    products: [
+                        { $match: typeMatch },
+                        { $sort: { ...SORT_STAGES[sortKey], _id: 1 } }, // _id keeps paging stable between equal keys
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit }
+                    ],
+                    total: [{ $match: typeMatch }, { $count: 'count' }],
+                    productTypes: [
+                        { $group: { _id: '$productType', count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+        res.status(200).json({
+            products: result.products.map(product => toCustomerProduct(product, priceListForCustomer(req.customer))),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            facets: {
+                productTypes: result.productTypes.map(facet => ({ productType: facet._id, count: facet.count }))
+            }
+        });
     } catch (error) {
         console.error("Public Products: Error fetching active products:", error);
         res.status(500).json({ message: 'Error fetching products', error: error.message });
     }
 });
 
-// GET /api/products/:id - Get a single active product by ID (Optional - if you have a dedicated product detail page)
-// For now, the main page loads all product details needed.
-// router.get('/:id', async (req, res) => {
-//     try {
-//         const product = await Product.findOne({ _id: req.params.id, isActive: true })
-//             .select('name description productType baseImageURL additionalImageURLs dimensions gstRate');
-        
-//         if (!product) {
-//             return res.status(404).json({ message: 'Product not found or not active' });
-//         }
-//         // Similar mapping for dimensions as in the GET / route if needed
-//         res.status(200).json(product);
-//     } catch (error) {
-//         console.error(`Public Products: Error fetching product ID ${req.params.id}:`, error);
-//         res.status(500).json({ message: 'Error fetching product details', error: error.message });
-//     }
-// });
+// GET /api/products/:id - Get a single active product by ID, so products can be deep-linked
+router.get('/:id', async (req, res) => {
+    console.log(`Public Products: Received GET request for product ID: ${req.params.id}`);
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        const product = await Product.findOne({ _id: req.params.id, isActive: true })
+            .select('name description productType baseImageURL additionalImageURLs baseImage additionalImages dimensions gstRate');
+
+        if (!product) {
+            console.log(`Public Products: Product not found or not active with ID: ${req.params.id}`);
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        res.status(200).json(toCustomerProduct(product, priceListForCustomer(req.customer)));
+    } catch (error) {
+        console.error(`Public Products: Error fetching product ID ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching product details', error: error.message });
+    }
+});
 
 module.exports = router;
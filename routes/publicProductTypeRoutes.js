@@ -0,0 +1,30 @@
+// routes/publicProductTypeRoutes.js
+const express = require('express');
+const router = express.Router();
+const ProductType = require('../models/ProductType');
+
+// GET /api/product-types - Product type taxonomy for the storefront filters, in display order
+// Each type carries the slug of its parent category (or null). Product counts come with
+// GET /api/products as facets, so they follow the customer's current search.
+router.get('/', async (req, res) => {
+    console.log("Public Product Types: Received GET request to list product types");
+    try {
+        const productTypes = await ProductType.find()
+            .select('slug name description sortOrder parent')
+            .populate('parent', 'slug')
+            .sort({ sortOrder: 1, name: 1 });
+
+        res.status(200).json(productTypes.map(productType => ({
+            slug: productType.slug,
+            name: productType.name,
+            description: productType.description,
+            sortOrder: productType.sortOrder,
+            parent: productType.parent ? productType.parent.slug : null
+        })));
+    } catch (error) {
+        console.error("Public Product Types: Error fetching product types:", error);
+        res.status(500).json({ message: 'Error fetching product types', error: error.message });
+    }
+});
+
+module.exports = router;
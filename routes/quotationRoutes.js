@@ -0,0 +1,150 @@
+// routes/quotationRoutes.js
+// Public quotation API used by the storefront. Requests need no login; after that a quotation is
+// only reachable through the random accept token in the proforma email.
+const express = require('express');
+const router = express.Router();
+const Quotation = require('../models/Quotation');
+const { priceQuotation } = require('../services/pricingService');
+const { generateProformaPdf, formatProformaNumber } = require('../services/invoiceService');
+const { createQuotationRequest, acceptQuotation } = require('../services/quotationService');
+const { formatMoney } = require('../services/currencyService');
+const { optionalCustomerAuth } = require('../middleware/customerAuthMiddleware');
+const { requireFormToken } = require('../middleware/formProtectionMiddleware');
+const { rateLimit, byClientIp, byBodyEmail } = require('../middleware/rateLimitMiddleware');
+
+const ACCEPT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Every request emails the customer and the owner, so scripted ones are capped per network and per email
+const QUOTATION_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const QUOTATION_EMAIL_LIMIT = { limit: 5, windowMs: 60 * 60 * 1000 };
+const QUOTATION_RATE_LIMIT_MESSAGE = 'Too many quotations have been requested from here recently.';
+
+// What the customer may see. Prices are only shown once a proforma has been sent.
+const toCustomerQuotation = (quotation) => {
+    const priced = ['Sent', 'Accepted'].includes(quotation.status);
+    return {
+        quotationNumber: quotation.quotationNumber,
+        proformaNumber: quotation.revision > 0 ? formatProformaNumber(quotation) : null,
+        status: quotation.status,
+        customerName: quotation.customerName,
+        shippingAddress: quotation.shippingAddress,
+        validUntil: quotation.validUntil,
+        isExpired: quotation.isExpired(),
+        canAccept: quotation.status === 'Sent' && !quotation.isExpired(),
+        sentAt: quotation.sentAt,
+        terms: priced ? quotation.terms : undefined,
+        pricing: priced ? priceQuotation(quotation) : null,
+        orderNumber: quotation.orderNumber
+    };
+};
+
+const loadQuotation = async (req, res) => {
+    const quotation = ACCEPT_TOKEN_PATTERN.test(req.params.token) ? await Quotation.findOne({ acceptToken: req.params.token }) : null;
+    if (!quotation) {
+        console.log(`Quotations: No quotation for token ${req.params.token}`);
+        res.status(404).json({ message: 'Quotation not found. Please use the link from your proforma email.' });
+        return null;
+    }
+    return quotation;
+};
+
+// POST /api/quotations - Request a quotation for the cart
+// Body: the same fields as /api/orders/place-order, plus optional notes
+// A logged-in customer's quotation (and the order it becomes) is linked to their account.
+// Needs a form token (`formToken`, from GET /api/form-tokens/quotation) and an empty `website`
+// honeypot, and is rate limited per IP address and per customerEmail (429).
+router.post('/',
+  rateLimit({ name: 'quotation-ip', ...QUOTATION_IP_LIMIT, identify: byClientIp, message: QUOTATION_RATE_LIMIT_MESSAGE }),
+  requireFormToken('quotation', { honeypotField: 'website' }),
+  rateLimit({ name: 'quotation-email', ...QUOTATION_EMAIL_LIMIT, identify: byBodyEmail('customerEmail'), message: QUOTATION_RATE_LIMIT_MESSAGE }),
+  optionalCustomerAuth,
+  async (req, res) => {
+    console.log("Quotations: Received quotation request", req.body);
+    try {
+        const requestData = req.body;
+        if (!requestData || !requestData.orderItems || !requestData.customerEmail || !requestData.customerName) {
+            return res.status(400).json({ message: 'Missing required quotation data.' });
+        }
+
+        const { quotation, emailQueued } = await createQuotationRequest(requestData, req.customer);
+        res.status(201).json({
+            message: emailQueued
+                ? 'Quotation requested! We will email you a proforma invoice shortly.'
+                : 'Quotation requested! We could not send the confirmation email, but we will contact you shortly.',
+            quotationNumber: quotation.quotationNumber
+        });
+    } catch (error) {
+        console.error('Quotations: Error saving quotation request:', error);
+        if (error.name === 'OrderPricingError') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'There was an error requesting your quotation. Please try again later.' });
+    }
+});
+
+// GET /api/quotations/:token - The quotation behind an accept link
+router.get('/:token', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+        res.status(200).json(toCustomerQuotation(quotation));
+    } catch (error) {
+        console.error('Quotations: Error fetching quotation:', error);
+        res.status(500).json({ message: 'Error fetching quotation' });
+    }
+});
+
+// GET /api/quotations/:token/proforma - Download the latest proforma PDF
+router.get('/:token/proforma', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+        if (!['Sent', 'Accepted'].includes(quotation.status)) {
+            return res.status(409).json({ message: 'This quotation is being revised. You will receive an updated proforma by email shortly.' });
+        }
+        const pdf = await generateProformaPdf(quotation);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Proforma-${formatProformaNumber(quotation)}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Quotations: Error generating proforma:', error);
+        res.status(500).json({ message: 'Error generating proforma' });
+    }
+});
+
+// POST /api/quotations/:token/accept - Accept the quotation and place the order at the quoted prices
+router.post('/:token/accept', async (req, res) => {
+    try {
+        const quotation = await loadQuotation(req, res);
+        if (!quotation) return;
+
+        const { order, emailQueued } = await acceptQuotation(quotation);
+        res.status(201).json({
+            message: emailQueued
+                ? 'Quotation accepted and your order has been placed! A confirmation email is on its way.'
+                : 'Quotation accepted and your order has been placed! We could not send the confirmation email, but we will contact you shortly.',
+            orderId: order._id,
+            orderNumber: order.customOrderId,
+            currency: order.currency,
+            totalMinor: order.totalMinor,
+            totalOrderValue: formatMoney(order.totalMinor, order.currency)
+        });
+    } catch (error) {
+        console.error('Quotations: Error accepting quotation:', error);
+        if (error.name === 'QuotationStateError' || error.name === 'InsufficientStockError') {
+            return res.status(409).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'There was an error placing your order. Please try again later.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// scripts/createAdminUser.js
+// Creates (or resets the password and role of) an admin user.
+// Usage: MONGODB_URI=... ADMIN_PASSWORD=... npm run create-admin -- <email> "<name>" [owner|catalogue_editor]
+// The password is read from the environment so it does not end up in shell history.
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+const { ADMIN_ROLES } = require('../models/AdminUser');
+
+const [email, name, role = 'owner'] = process.argv.slice(2);
+const password = process.env.ADMIN_PASSWORD;
+
+const run = async () => {
+    if (!process.env.MONGODB_URI) {
+        throw new Error("MONGODB_URI environment variable is not set.");
+    }
+    if (!email || !name) {
+        throw new Error('Usage: ADMIN_PASSWORD=... npm run create-admin -- <email> "<name>" [owner|catalogue_editor]');
+    }
+    if (!password) {
+        throw new Error("ADMIN_PASSWORD environment variable is not set.");
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let adminUser = await AdminUser.findOne({ email: email.trim().toLowerCase() });
+    const isNew = !adminUser;
+    if (isNew) {
+        adminUser = new AdminUser({ email, name, role });
+    } else {
+        adminUser.name = name;
+        adminUser.role = role;
+        adminUser.isActive = true;
+    }
+    await adminUser.setPassword(password);
+    await adminUser.save();
+    console.log(`${isNew ? 'Created' : 'Updated'} admin user ${adminUser.email} with role ${adminUser.role}.`);
+};
+
+run()
+    .catch(error => {
+        console.error("Failed to create admin user:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,104 @@
+// scripts/migrateOrderMoney.js
+// Converts orders placed before money was stored in minor units.
+// Usage: MONGODB_URI=... npm run migrate-order-money [-- --dry-run]
+// Safe to run more than once: orders that already have `totalMinor` are left untouched.
+//
+// Older orders are all in INR. For each one:
+// 1. Line prices (basePrice, priceBeforeDiscount, promotionDiscount) become paise
+//    (unitPriceMinor, unitPriceBeforeDiscountMinor, promotionDiscountMinor) and each line gets
+//    its GST as taxMinor; priceIncGst is dropped.
+// 2. freightCharge and discountTotal become freightChargeMinor and discountTotalMinor, and the
+//    totals are computed from the lines. currency is set to INR at a rate of 1.
+// 3. The text total (totalOrderValue, e.g. "1344.00 Rs") is removed. Orders whose text total
+//    differs from the computed total are listed, so they can be checked by hand.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const toPaise = (rupees) => Math.round((Number(rupees) || 0) * 100);
+
+// The new money fields of an order document as stored before the migration
+const convertOrder = (order) => {
+    let subtotalMinor = 0;
+    let discountTotalMinor = 0;
+    let taxTotalMinor = 0;
+    const orderItems = (order.orderItems || []).map(group => ({
+        ...group,
+        variants: (group.variants || []).map(variant => {
+            const { basePrice, priceIncGst, priceBeforeDiscount, promotionDiscount, ...rest } = variant;
+            const unitPriceMinor = toPaise(basePrice);
+            const promotionDiscountMinor = promotionDiscount ? toPaise(promotionDiscount) : undefined;
+            const gstRate = variant.gstRate || 0;
+            const lineMinor = unitPriceMinor * variant.quantity;
+            const taxMinor = Math.round((lineMinor - (promotionDiscountMinor || 0)) * gstRate);
+            subtotalMinor += lineMinor;
+            discountTotalMinor += promotionDiscountMinor || 0;
+            taxTotalMinor += taxMinor;
+
+            const converted = { ...rest, unitPriceMinor, gstRate, taxMinor };
+            if (priceBeforeDiscount !== undefined) converted.unitPriceBeforeDiscountMinor = toPaise(priceBeforeDiscount);
+            if (promotionDiscountMinor !== undefined) converted.promotionDiscountMinor = promotionDiscountMinor;
+            return converted;
+        })
+    }));
+
+    const freightChargeMinor = toPaise(order.freightCharge);
+    const freightTaxMinor = Math.round(freightChargeMinor * (order.freightGstRate || 0));
+    taxTotalMinor += freightTaxMinor;
+    const totalMinor = subtotalMinor - discountTotalMinor + freightChargeMinor + taxTotalMinor;
+    return {
+        orderItems,
+        currency: 'INR',
+        exchangeRate: { inrPerUnit: 1 },
+        subtotalMinor,
+        freightChargeMinor,
+        discountTotalMinor,
+        taxTotalMinor,
+        totalMinor,
+        totalInrMinor: totalMinor
+    };
+};
+
+const run = async () => {
+    if (!process.env.MONGODB_URI) {
+        throw new Error("MONGODB_URI environment variable is not set.");
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(dryRun ? 'Dry run: no changes will be saved.' : 'Migrating order money fields...');
+
+    // The raw collection: these documents don't match the current schema
+    const cursor = Order.collection.find({ totalMinor: { $exists: false } });
+    let migrated = 0;
+    const mismatches = [];
+    for await (const order of cursor) {
+        const converted = convertOrder(order);
+        const storedTotalMinor = toPaise(parseFloat(order.totalOrderValue));
+        if (storedTotalMinor !== converted.totalMinor) {
+            mismatches.push(`${order.customOrderId || order._id}: stored "${order.totalOrderValue}", computed ${(converted.totalMinor / 100).toFixed(2)} Rs`);
+        }
+        if (!dryRun) {
+            await Order.collection.updateOne(
+                { _id: order._id, totalMinor: { $exists: false } },
+                {
+                    $set: converted,
+                    $unset: { totalOrderValue: '', freightCharge: '', discountTotal: '' }
+                }
+            );
+        }
+        migrated += 1;
+    }
+
+    if (mismatches.length > 0) {
+        console.warn(`  ${mismatches.length} order(s) whose stored total differs from the computed total (the computed total is kept):`);
+        mismatches.forEach(line => console.warn(`    ${line}`));
+    }
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} order(s).`);
+};
+
+run()
+    .catch(error => {
+        console.error("Failed to migrate order money fields:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// scripts/migrateProductTypes.js
+// Creates the ProductType collection from the product types already in use.
+// Usage: MONGODB_URI=... npm run migrate-product-types [-- --dry-run]
+// Safe to run more than once: existing product types are left untouched.
+//
+// 1. Adds the types the admin form used to offer as fixed options.
+// 2. Adds a type for every other distinct `productType` found on products, with a
+//    display name derived from the slug (edit it afterwards in the admin panel).
+// 3. Rewrites product values that are not valid slugs ("Ring Fixator ") to their slug form.
+const mongoose = require('mongoose');
+const ProductType = require('../models/ProductType');
+const { slugify } = require('../models/ProductType');
+const Product = require('../models/Product');
+
+// The options that were hard-coded in admin-frontend/index.html before product types were managed.
+const ORIGINAL_PRODUCT_TYPES = [
+    { slug: 'wire-pin', name: 'Wire and Pin' },
+    { slug: 'ao-fixator', name: 'A O-Fixator' },
+    { slug: 'jess-fixator', name: 'Jess Fixator' },
+    { slug: 'ring-fixator', name: 'Ring Fixator' },
+    { slug: 'rail-fixator', name: 'Rail Fixator' }
+];
+const SORT_ORDER_STEP = 10;
+
+const dryRun = process.argv.includes('--dry-run');
+
+const nameFromSlug = (slug) => slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const run = async () => {
+    if (!process.env.MONGODB_URI) {
+        throw new Error("MONGODB_URI environment variable is not set.");
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(dryRun ? 'Dry run: no changes will be saved.' : 'Migrating product types...');
+
+    const existingTypes = await ProductType.find().select('slug sortOrder');
+    const existingSlugs = new Set(existingTypes.map(t => t.slug));
+    let nextSortOrder = Math.max(0, ...existingTypes.map(t => t.sortOrder)) + SORT_ORDER_STEP;
+    let created = 0;
+
+    const ensureProductType = async (slug, name) => {
+        if (existingSlugs.has(slug)) return;
+        console.log(`  Create product type "${slug}" (${name})`);
+        if (!dryRun) {
+            await ProductType.create({ slug, name, sortOrder: nextSortOrder });
+        }
+        existingSlugs.add(slug);
+        nextSortOrder += SORT_ORDER_STEP;
+        created += 1;
+    };
+
+    for (const productType of ORIGINAL_PRODUCT_TYPES) {
+        await ensureProductType(productType.slug, productType.name);
+    }
+
+    let renamedProducts = 0;
+    const usedValues = (await Product.distinct('productType')).filter(Boolean).sort();
+    for (const value of usedValues) {
+        const slug = slugify(value);
+        if (!slug) {
+            console.warn(`  Skipping product type "${value}": it has no letters or numbers. Fix these products by hand.`);
+            continue;
+        }
+        await ensureProductType(slug, nameFromSlug(slug));
+        if (slug !== value) {
+            const count = await Product.countDocuments({ productType: value });
+            console.log(`  Rename "${value}" to "${slug}" on ${count} product(s)`);
+            if (!dryRun) {
+                await Product.updateMany({ productType: value }, { $set: { productType: slug } });
+            }
+            renamedProducts += count;
+        }
+    }
+
+    console.log(`${dryRun ? 'Would create' : 'Created'} ${created} product type(s) and ${dryRun ? 'would rename' : 'renamed'} the type on ${renamedProducts} product(s).`);
+};
+
+run()
+    .catch(error => {
+        console.error("Failed to migrate product types:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
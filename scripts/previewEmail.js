@@ -0,0 +1,19 @@
+// scripts/previewEmail.js
+// Renders an email template with its sample data, for checking layout and escaping.
+// Usage: npm run preview-email -- <template> [--text] > preview.html
+// Run without a template name to list the templates.
+const { renderEmailPreview, EMAIL_TEMPLATE_NAMES } = require('../templates/emails');
+
+const args = process.argv.slice(2);
+const name = args.find(arg => !arg.startsWith('--'));
+const asText = args.includes('--text');
+
+if (!name) {
+    console.log(`Usage: npm run preview-email -- <template> [--text]\nTemplates: ${EMAIL_TEMPLATE_NAMES.join(', ')}`);
+} else if (!EMAIL_TEMPLATE_NAMES.includes(name)) {
+    console.error(`Unknown email template "${name}". Templates: ${EMAIL_TEMPLATE_NAMES.join(', ')}`);
+    process.exitCode = 1;
+} else {
+    const email = renderEmailPreview(name);
+    process.stdout.write(asText ? `Subject: ${email.subject}\n\n${email.text}` : email.html);
+}
@@ -9,13 +9,39 @@ const orderRoutes = require('./routes/orderRoutes');
 const inquiryRoutes = require('./routes/inquiryRoutes'); 
 const adminProductRoutes = require('./routes/adminProductRoutes'); 
 const publicProductRoutes = require('./routes/publicProductRoutes'); // For customer-facing product listings
+const adminAuthRoutes = require('./routes/adminAuthRoutes'); // Admin login and user management
+const adminOrderRoutes = require('./routes/adminOrderRoutes'); // Admin order board
+const adminInquiryRoutes = require('./routes/adminInquiryRoutes'); // Admin inquiry inbox
+const adminProductTypeRoutes = require('./routes/adminProductTypeRoutes'); // Admin product type taxonomy
+const publicProductTypeRoutes = require('./routes/publicProductTypeRoutes'); // Product types for storefront filters
+const adminEmailRoutes = require('./routes/adminEmailRoutes'); // Email outbox (failed messages)
+const cartRoutes = require('./routes/cartRoutes'); // Server-side, shareable storefront carts
+const quotationRoutes = require('./routes/quotationRoutes'); // Quotation requests and accept links
+const adminQuotationRoutes = require('./routes/adminQuotationRoutes'); // Admin quotation pricing and proformas
+const adminPriceListRoutes = require('./routes/adminPriceListRoutes'); // Customer price lists
+const adminCustomerRoutes = require('./routes/adminCustomerRoutes'); // Customer accounts (price list assignment)
+const adminPromotionRoutes = require('./routes/adminPromotionRoutes'); // Coupon promotions
+const adminExchangeRateRoutes = require('./routes/adminExchangeRateRoutes'); // Currencies orders can be placed in
+const adminShippingZoneRoutes = require('./routes/adminShippingZoneRoutes'); // Delivery zones and freight rates
+const publicCurrencyRoutes = require('./routes/publicCurrencyRoutes'); // Currencies for the storefront's price display
+const customerAuthRoutes = require('./routes/customerAuthRoutes'); // Customer registration and login
+const customerAccountRoutes = require('./routes/customerAccountRoutes'); // Customer profile, addresses and order history
+const paymentRoutes = require('./routes/paymentRoutes'); // Pay-now checkout (and the mock gateway's page)
+const paymentWebhookRoutes = require('./routes/paymentWebhookRoutes'); // Signed payment gateway webhooks
+const formTokenRoutes = require('./routes/formTokenRoutes'); // Bot-check tokens for the order and inquiry forms
+const { startEmailWorker } = require('./services/emailOutboxService');
+const { mountStorageRoutes } = require('./services/storage');
+const { requireAdminAuth, requireRole } = require('./middleware/authMiddleware');
+const { requireCustomerAuth } = require('./middleware/customerAuthMiddleware');
 
 const host = '0.0.0.0';
 const port = process.env.PORT || 3001; 
 const SENDER_EMAIL_USER = process.env.SENDER_EMAIL_USER; 
-const SENDER_EMAIL_PASS = process.env.SENDER_EMAIL_PASS; 
 const OWNER_EMAIL = process.env.OWNER_EMAIL;       
 const COMPANY_NAME = 'Gamma Ortho Instruments';
+// Proxies in front of the server (Cloud Run and Render have one). Rate limits count the client IP
+// from X-Forwarded-For past this many hops; set 0 when clients connect directly.
+const TRUST_PROXY = Number.parseInt(process.env.TRUST_PROXY || '1', 10) || 0;
 
 // --- Environment Variables for CORS ---
 const CUSTOMER_FRONTEND_URL = process.env.FRONTEND_URL; 
@@ -27,8 +53,16 @@ console.log("PORT from env:", process.env.PORT, "Effective port:", port);
 console.log("CUSTOMER_FRONTEND_URL for CORS (from env):", CUSTOMER_FRONTEND_URL);
 console.log("ADMIN_FRONTEND_URL for CORS (from env):", ADMIN_FRONTEND_URL);
 console.log("MONGODB_URI configured:", process.env.MONGODB_URI ? "Yes" : "No - Database connection will fail!");
-console.log("SENDER_EMAIL_USER configured:", SENDER_EMAIL_USER ? "Yes" : "No - Email sending will fail if credentials missing");
+console.log("EMAIL_TRANSPORT:", process.env.EMAIL_TRANSPORT || "(not set - chosen from SMTP_HOST / SENDER_EMAIL_USER, else local files)");
+console.log("SENDER_EMAIL_USER configured:", SENDER_EMAIL_USER ? "Yes" : "No - Gmail transport unavailable");
 console.log("OWNER_EMAIL configured:", OWNER_EMAIL ? "Yes" : "No - Owner emails will fail if missing");
+console.log("STORAGE_BACKEND:", process.env.STORAGE_BACKEND || (process.env.GCS_BUCKET_NAME ? "(not set - gcs, from GCS_BUCKET_NAME)" : "(not set - local disk)"));
+console.log("ADMIN_JWT_SECRET configured:", process.env.ADMIN_JWT_SECRET ? "Yes" : "No - Admin login will be disabled!");
+console.log("PAYMENT_GATEWAY:", process.env.PAYMENT_GATEWAY || "(not set - online payment disabled)");
+console.log("CUSTOMER_JWT_SECRET configured:", process.env.CUSTOMER_JWT_SECRET ? "Yes" : "No - Customer accounts will be disabled (guest checkout still works)");
+console.log("FORM_TOKEN_SECRET configured:", process.env.FORM_TOKEN_SECRET ? "Yes" : "No - Form tokens only work on the instance that issued them");
+console.log("RATE_LIMIT_STORE:", process.env.RATE_LIMIT_STORE || "(not set - memory, per instance)");
+console.log("TRUST_PROXY (proxy hops):", TRUST_PROXY);
 
 // --- Construct allowedOrigins array ---
 const allowedOrigins = [];
@@ -60,7 +94,16 @@ if (!process.env.MONGODB_URI) {
     process.exit(1); 
 } else {
     mongoose.connect(process.env.MONGODB_URI)
-      .then(() => console.log('Successfully connected to MongoDB database via Mongoose.'))
+      .then(() => {
+        console.log('Successfully connected to MongoDB database via Mongoose.');
+        // A bad email configuration stops the server here rather than silently losing mail.
+        try {
+          startEmailWorker();
+        } catch (emailError) {
+          console.error('FATAL ERROR: Email outbox worker could not start:', emailError.message);
+          process.exit(1);
+        }
+      })
       .catch(err => {
         console.error('MongoDB connection error:', err.message);
         console.error('Full MongoDB connection error object:', err);
@@ -72,6 +115,8 @@ if (!process.env.MONGODB_URI) {
     });
 }
 
+app.set('trust proxy', TRUST_PROXY);
+
 // --- Configure CORS ---
 const corsOptions = {
   origin: function (origin, callback) {
@@ -89,30 +134,56 @@ const corsOptions = {
   },
   methods: "GET,HEAD,PUT,PATCH,POST,DELETE", 
   allowedHeaders: ['Content-Type', 'Authorization'], 
+  exposedHeaders: ['Content-Disposition'], // Lets the admin panel read the invoice file name
   credentials: true, 
   optionsSuccessStatus: 200 
 };
 
+// Pages served by this backend itself (the mock payment gateway's checkout form) post back with
+// the backend's own origin, which is not cross-origin and never in the frontend list.
+const corsOptionsDelegate = (req, callback) => {
+  const ownOrigin = `${req.protocol}://${req.get('host')}`;
+  callback(null, req.header('Origin') === ownOrigin ? { ...corsOptions, origin: true } : corsOptions);
+};
+
 // Apply CORS middleware to all routes. This should handle preflight OPTIONS requests.
-app.use(cors(corsOptions));
+app.use(cors(corsOptionsDelegate));
 // Explicitly handle preflight requests for all routes as a fallback.
-app.options('*', cors(corsOptions)); 
+app.options('*', cors(corsOptionsDelegate)); 
 
+// Webhook signatures cover the raw body, so these routes read it before the JSON parser does
+app.use('/api/payments/webhooks', paymentWebhookRoutes);
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-if (SENDER_EMAIL_USER && SENDER_EMAIL_PASS) {
-    console.log("Nodemailer credentials are set for emailService.");
-} else {
-    console.warn("Email credentials not found. Email sending will be disabled via emailService.");
-}
+// Uploaded files, when they are stored on this server's disk (STORAGE_BACKEND=local)
+mountStorageRoutes(app);
 
 // --- API Routes ---
 app.use('/api/orders', orderRoutes);       
 app.use('/api/inquiry', inquiryRoutes);    
-app.use('/api/admin/products', adminProductRoutes); 
+app.use('/api/admin/auth', adminAuthRoutes); // Login is public; the rest is protected inside the router
+app.use('/api/admin/products', requireAdminAuth, requireRole('owner', 'catalogue_editor'), adminProductRoutes); 
+app.use('/api/admin/orders', requireAdminAuth, requireRole('owner'), adminOrderRoutes);
+app.use('/api/admin/inquiries', requireAdminAuth, requireRole('owner', 'catalogue_editor'), adminInquiryRoutes);
+app.use('/api/admin/product-types', requireAdminAuth, requireRole('owner', 'catalogue_editor'), adminProductTypeRoutes);
+app.use('/api/admin/emails', requireAdminAuth, requireRole('owner'), adminEmailRoutes);
+app.use('/api/admin/quotations', requireAdminAuth, requireRole('owner'), adminQuotationRoutes);
+app.use('/api/admin/price-lists', requireAdminAuth, requireRole('owner', 'catalogue_editor'), adminPriceListRoutes);
+app.use('/api/admin/customers', requireAdminAuth, requireRole('owner'), adminCustomerRoutes);
+app.use('/api/admin/promotions', requireAdminAuth, requireRole('owner'), adminPromotionRoutes);
+app.use('/api/admin/exchange-rates', requireAdminAuth, requireRole('owner'), adminExchangeRateRoutes);
+app.use('/api/admin/shipping-zones', requireAdminAuth, requireRole('owner'), adminShippingZoneRoutes);
 app.use('/api/products', publicProductRoutes); // Mount public product routes
+app.use('/api/product-types', publicProductTypeRoutes);
+app.use('/api/currencies', publicCurrencyRoutes);
+app.use('/api/carts', cartRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/customers/auth', customerAuthRoutes);
+app.use('/api/customers/me', requireCustomerAuth, customerAccountRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/form-tokens', formTokenRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
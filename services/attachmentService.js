@@ -0,0 +1,130 @@
+// services/attachmentService.js
+// Checks customer uploads (inquiry attachments) against an allow-list of file types. The type is
+// read from the file's first bytes, not its name or the browser's MIME type, so a renamed script
+// or executable is refused. Accepted files get the detected MIME type and a matching extension
+// before they are stored or emailed.
+//
+// Accepted files are kept in MongoDB (GridFS bucket "inquiryAttachments"), not in the public file
+// storage (services/storage): customers send prescriptions and X-rays, so only signed-in admins
+// may open them (routes/adminInquiryRoutes.js).
+const path = require('path');
+const mongoose = require('mongoose');
+
+const ATTACHMENT_BUCKET_NAME = 'inquiryAttachments';
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Office files are ZIP archives; their part names are stored uncompressed, so the bytes tell a
+// Word document from a spreadsheet. Macro-enabled files (with a vbaProject.bin part) are refused.
+const isOfficeFile = (buffer, mainPart) => buffer.subarray(0, 4).equals(ZIP_SIGNATURE)
+    && buffer.includes(mainPart, 0, 'latin1')
+    && !buffer.includes('vbaProject.bin', 0, 'latin1');
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+    && buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+const ALLOWED_ATTACHMENT_TYPES = [
+    { label: 'PDF', contentType: 'application/pdf', extensions: ['.pdf'], matches: buffer => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]) }, // %PDF-
+    { label: 'JPEG', contentType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+    { label: 'PNG', contentType: 'image/png', extensions: ['.png'], matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { label: 'GIF', contentType: 'image/gif', extensions: ['.gif'], matches: buffer => startsWith(buffer, [0x47, 0x49, 0x46, 0x38]) }, // GIF8
+    {
+        label: 'WebP', contentType: 'image/webp', extensions: ['.webp'],
+        matches: buffer => startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8) // RIFF....WEBP
+    },
+    {
+        label: 'HEIC', contentType: 'image/heic', extensions: ['.heic', '.heif'], // iPhone photos
+        matches: buffer => startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4) && HEIF_BRANDS.includes(buffer.toString('latin1', 8, 12)) // ftyp + brand
+    },
+    {
+        label: 'Word (.docx)', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'],
+        matches: buffer => isOfficeFile(buffer, 'word/document.xml')
+    },
+    {
+        label: 'Excel (.xlsx)', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'],
+        matches: buffer => isOfficeFile(buffer, 'xl/workbook.xml')
+    }
+];
+
+/**
+ * Error thrown when an upload is not one of the allowed file types. Routes map it to a 400.
+ */
+class AttachmentTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AttachmentTypeError';
+    }
+}
+
+/**
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Object|null} The matching entry of ALLOWED_ATTACHMENT_TYPES, or null.
+ */
+const detectAttachmentType = (buffer) => ALLOWED_ATTACHMENT_TYPES.find(type => type.matches(buffer)) || null;
+
+/**
+ * Checks every uploaded file and corrects its `mimetype`, and its `originalname` extension when
+ * that doesn't match the contents (e.g. "scan.txt" holding a PDF becomes "scan.txt.pdf").
+ * @param {Array<Object>} files - multer files (`buffer`, `originalname`, `mimetype`); changed in place.
+ * @returns {Array<Object>} The same files.
+ * @throws {AttachmentTypeError} Naming every file that is not an allowed type; nothing is changed then.
+ */
+const checkAttachments = (files) => {
+    const types = files.map(file => detectAttachmentType(file.buffer));
+    const refused = files.filter((file, index) => !types[index]).map(file => `"${file.originalname}"`);
+    if (refused.length > 0) {
+        throw new AttachmentTypeError(`${refused.join(', ')} ${refused.length === 1 ? 'is not a file type' : 'are not file types'} we accept. Please attach ${ALLOWED_ATTACHMENT_TYPES.map(type => type.label).join(', ')} files only.`);
+    }
+    files.forEach((file, index) => {
+        const type = types[index];
+        file.mimetype = type.contentType;
+        if (!type.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+            file.originalname = `${file.originalname}${type.extensions[0]}`;
+        }
+    });
+    return files;
+};
+
+// Opened per call: the bucket needs the connection's database, which is only there once connected.
+const attachmentBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: ATTACHMENT_BUCKET_NAME });
+
+/**
+ * Stores a checked file privately.
+ * @param {Object} file - A multer file that passed checkAttachments.
+ * @returns {Promise<mongoose.Types.ObjectId>} The stored file's id.
+ */
+const storeAttachment = (file) => new Promise((resolve, reject) => {
+    const upload = attachmentBucket().openUploadStream(file.originalname, { metadata: { contentType: file.mimetype } });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(file.buffer);
+});
+
+/**
+ * @param {mongoose.Types.ObjectId|string} fileId
+ * @returns {Promise<Buffer|null>} The file contents, or null if there is no such file.
+ */
+const readAttachment = (fileId) => new Promise((resolve, reject) => {
+    const chunks = [];
+    attachmentBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId))
+        .on('data', chunk => chunks.push(chunk))
+        .once('error', error => (error.message.startsWith('FileNotFound') ? resolve(null) : reject(error)))
+        .once('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * Deletes a stored file, e.g. when the inquiry it was uploaded with could not be saved.
+ * @param {mongoose.Types.ObjectId|string} fileId
+ * @returns {Promise<void>}
+ */
+const deleteAttachment = (fileId) => attachmentBucket().delete(new mongoose.Types.ObjectId(fileId));
+
+module.exports = {
+    ALLOWED_ATTACHMENT_TYPES,
+    detectAttachmentType,
+    checkAttachments,
+    storeAttachment,
+    readAttachment,
+    deleteAttachment,
+    AttachmentTypeError
+};
@@ -0,0 +1,263 @@
+// services/cartService.js
+// Server-side carts (models/Cart.js). A cart stores only product ids, dimension names and
+// quantities; every time it is shown it is re-priced against the Product collection, so a shared
+// or week-old cart always reflects current prices, GST rates, stock and availability.
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { dimensionUnitPrice, dimensionPriceSchedule, totalOrderItems } = require('./pricingService');
+const { baseCurrency, toMinor, chargesGst } = require('./currencyService');
+const { RETAIL_PRICE_LIST } = require('../models/PriceList');
+const { isStockTracked, InsufficientStockError } = require('./inventoryService');
+const { applyCoupon } = require('./promotionService');
+const { dimensionShippingWeightKg, isCompleteDestination, quoteShipping, applyShipping } = require('./shippingService');
+
+/**
+ * Error thrown when an item cannot be added to a cart (unknown or inactive product, unknown
+ * dimension, bad quantity, full cart). Routes map it to a 400.
+ */
+class CartError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CartError';
+    }
+}
+
+const parseQuantity = (value) => {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > Cart.MAX_ITEM_QUANTITY) {
+        throw new CartError(`Quantity must be a whole number from 1 to ${Cart.MAX_ITEM_QUANTITY}.`);
+    }
+    return quantity;
+};
+
+// Loads the product and dimension an item refers to, rejecting anything that can't be ordered.
+const findOrderableDimension = async (productId, dimensionName) => {
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        throw new CartError('Invalid product reference.');
+    }
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+        throw new CartError('This product is no longer available.');
+    }
+    const dimension = product.dimensions.find(d => d.dimensionName === dimensionName);
+    if (!dimension) {
+        throw new CartError(`Dimension "${dimensionName}" is not available for "${product.name}".`);
+    }
+    return { product, dimension };
+};
+
+const checkStock = (product, dimension, quantity) => {
+    if (isStockTracked(dimension) && quantity > dimension.stockQuantity) {
+        throw new InsufficientStockError(product.name, dimension.dimensionName);
+    }
+};
+
+/**
+ * Adds units of a product dimension to the cart (merged with a line already in the cart).
+ * Changes the document in memory; the caller saves it.
+ * @param {Object} cart - Cart document.
+ * @param {Object} item - `{ productId, dimension, quantity }` from the request.
+ * @throws {CartError|InsufficientStockError}
+ */
+const addItemToCart = async (cart, item) => {
+    const input = item || {};
+    const dimensionName = typeof input.dimension === 'string' ? input.dimension.trim() : '';
+    const quantity = parseQuantity(input.quantity);
+    const { product, dimension } = await findOrderableDimension(input.productId, dimensionName);
+
+    const existing = cart.items.find(line => line.product.equals(product._id) && line.dimension === dimensionName);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    if (newQuantity > Cart.MAX_ITEM_QUANTITY) {
+        throw new CartError(`Quantity must be a whole number from 1 to ${Cart.MAX_ITEM_QUANTITY}.`);
+    }
+    checkStock(product, dimension, newQuantity);
+
+    if (existing) {
+        existing.quantity = newQuantity;
+    } else {
+        if (cart.items.length >= Cart.MAX_CART_ITEMS) {
+            throw new CartError(`A cart can hold at most ${Cart.MAX_CART_ITEMS} items.`);
+        }
+        cart.items.push({ product: product._id, dimension: dimensionName, quantity });
+    }
+};
+
+/**
+ * Sets the quantity of one cart line; 0 removes it. Changes the document in memory.
+ * @param {Object} cart - Cart document.
+ * @param {string} itemId - The line's _id.
+ * @param {*} quantity - From the request.
+ * @returns {Promise<boolean>} false if the cart has no such line.
+ * @throws {CartError|InsufficientStockError}
+ */
+const setCartItemQuantity = async (cart, itemId, quantity) => {
+    const line = cart.items.id(itemId);
+    if (!line) return false;
+    if (Number(quantity) === 0) {
+        line.deleteOne();
+        return true;
+    }
+    const newQuantity = parseQuantity(quantity);
+    // Lowering the quantity of a line that is no longer orderable is allowed; raising it is not
+    if (newQuantity > line.quantity) {
+        const { product, dimension } = await findOrderableDimension(line.product, line.dimension);
+        checkStock(product, dimension, newQuantity);
+    }
+    line.quantity = newQuantity;
+    return true;
+};
+
+/**
+ * Adds every line of a past order to the cart ("reorder"). Lines that can no longer be ordered
+ * (product or dimension gone, not enough stock, cart full) are skipped rather than failing the
+ * whole reorder; prices are whatever the catalogue says now. Changes the document in memory.
+ * @param {Object} cart - Cart document.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Array<Object>>} The skipped lines: `{ productName, dimension, quantity, reason }`.
+ */
+const addOrderToCart = async (cart, order) => {
+    const skippedItems = [];
+    for (const group of order.orderItems) {
+        for (const variant of group.variants) {
+            try {
+                await addItemToCart(cart, { productId: group.baseProductId, dimension: variant.dimension, quantity: variant.quantity });
+            } catch (error) {
+                if (error.name !== 'CartError' && error.name !== 'InsufficientStockError') throw error;
+                skippedItems.push({
+                    productName: group.baseProductName,
+                    dimension: variant.dimension,
+                    quantity: variant.quantity,
+                    reason: error.message
+                });
+            }
+        }
+    }
+    return skippedItems;
+};
+
+// The cart's coupon applied to its pricing. The coupon stays on the cart when it stops applying
+// (e.g. the cart fell below its minimum order value), so it comes back if the cart changes again.
+const applyCartCoupon = async (cart, pricing, customer) => {
+    if (!cart.couponCode || pricing.orderItems.length === 0) {
+        return pricing;
+    }
+    try {
+        const { pricing: discounted, promotion } = await applyCoupon(cart.couponCode, pricing, { customer });
+        return {
+            ...discounted,
+            coupon: { code: promotion.code, name: promotion.name, description: promotion.description, applied: true }
+        };
+    } catch (error) {
+        if (error.name !== 'PromotionError') throw error;
+        return { ...pricing, coupon: { code: cart.couponCode, applied: false, message: error.message } };
+    }
+};
+
+// Freight for the delivery address the buyer has entered so far. Problems are reported in
+// `shippingMessage` rather than failing the cart; placing the order checks again.
+const applyCartShipping = async (pricing, destination, paymentMethod) => {
+    if (pricing.orderItems.length === 0) {
+        return { ...applyShipping(pricing, null), shippingMessage: null };
+    }
+    if (!isCompleteDestination(destination)) {
+        return { ...applyShipping(pricing, null), shippingMessage: 'Freight is worked out once the delivery country, state and pincode are entered.' };
+    }
+    try {
+        return { ...applyShipping(pricing, await quoteShipping(pricing, destination, { paymentMethod })), shippingMessage: null };
+    } catch (error) {
+        if (error.name !== 'ShippingError') throw error;
+        return { ...applyShipping(pricing, null), shippingMessage: error.message };
+    }
+};
+
+/**
+ * Prices a cart against the current catalogue, on the price list of whoever is viewing it and in
+ * the currency they chose, with the cart's coupon (if any) applied and freight to the delivery
+ * address entered at checkout.
+ * @param {Object} cart - Cart document.
+ * @param {Object} [options]
+ * @param {string} [options.priceList] - Price list slug (default retail).
+ * @param {Object} [options.customer] - Logged-in Customer document, for the coupon's per-customer limit.
+ * @param {Object} [options.currency] - From currencyService.resolveCurrency (default INR).
+ * @param {Object} [options.destination] - `{ country, state, pincode }`; freight is left out until all three are known.
+ * @param {string} [options.paymentMethod] - "Cash on Delivery" adds the zone's COD surcharge to the freight.
+ * @returns {Promise<Object>} `{ cartId, updatedAt, currency, exchangeRate, orderItems, unavailableItems,
+ *   subtotalMinor, discountTotalMinor, freightChargeMinor, freightGstRate, freightTaxMinor, taxTotalMinor,
+ *   totalMinor, shipping, shippingMessage, coupon }`, amounts in minor units of the currency.
+ *   `orderItems` has the same product-group shape as an order (and can be posted to
+ *   /api/orders/place-order); each variant also carries its cart `itemId`, `availableQuantity`
+ *   (null when stock isn't tracked), `nextPriceTier` (`{ minQuantity, unitPriceMinor }` of the next
+ *   cheaper quantity tier, or null), `shippingWeightKg` and `promotionDiscountMinor` when the coupon
+ *   covers it. Lines whose product or dimension is gone or inactive are listed in `unavailableItems`
+ *   with a `reason` and left out of the totals. `subtotalMinor` is before the discount. `shipping` is
+ *   shippingService.quoteShipping's result, or null with the reason in `shippingMessage` (null too
+ *   while no shipping zone is set up). `coupon` is null without a coupon, else `{ code, name,
+ *   description, applied }`, with the reason in `message` when it no longer applies.
+ */
+const priceCart = async (cart, { priceList = RETAIL_PRICE_LIST, customer, currency = baseCurrency(), destination, paymentMethod } = {}) => {
+    const products = await Product.find({ _id: { $in: cart.items.map(line => line.product) } });
+    const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+    const groupsByProduct = new Map();
+    const unavailableItems = [];
+
+    cart.items.forEach(line => {
+        const product = productsById.get(line.product.toString());
+        const dimension = product ? product.dimensions.find(d => d.dimensionName === line.dimension) : null;
+        if (!product || !product.isActive || !dimension) {
+            unavailableItems.push({
+                itemId: line._id,
+                productId: line.product,
+                productName: product ? product.name : null,
+                dimension: line.dimension,
+                quantity: line.quantity,
+                reason: !product || !product.isActive ? 'This product is no longer available.' : `Dimension "${line.dimension}" is no longer available.`
+            });
+            return;
+        }
+
+        if (!groupsByProduct.has(product._id.toString())) {
+            groupsByProduct.set(product._id.toString(), {
+                baseProductId: product._id.toString(),
+                baseProductName: product.name,
+                variants: []
+            });
+        }
+        const unitPrice = dimensionUnitPrice(dimension, line.quantity, priceList).unitPrice;
+        const nextTier = dimensionPriceSchedule(dimension, priceList)
+            .find(tier => tier.minQuantity > line.quantity && tier.unitPrice < unitPrice);
+        groupsByProduct.get(product._id.toString()).variants.push({
+            itemId: line._id,
+            variantId: `${product._id}-${line.dimension.replace(/\s+/g, '-')}`,
+            dimension: line.dimension,
+            quantity: line.quantity,
+            unitPriceMinor: toMinor(unitPrice, currency),
+            gstRate: chargesGst(currency.code) ? product.gstRate : 0,
+            availableQuantity: isStockTracked(dimension) ? dimension.stockQuantity : null,
+            shippingWeightKg: dimensionShippingWeightKg(dimension),
+            nextPriceTier: nextTier ? { minQuantity: nextTier.minQuantity, unitPriceMinor: toMinor(nextTier.unitPrice, currency) } : null
+        });
+    });
+
+    const orderItems = Array.from(groupsByProduct.values());
+    const pricing = {
+        cartId: cart._id,
+        updatedAt: cart.updatedAt,
+        currency: currency.code,
+        exchangeRate: { inrPerUnit: currency.inrPerUnit, asOf: currency.asOf },
+        orderItems,
+        unavailableItems,
+        ...totalOrderItems(orderItems),
+        coupon: null
+    };
+    return applyCartShipping(await applyCartCoupon(cart, pricing, customer), destination, paymentMethod);
+};
+
+module.exports = {
+    addItemToCart,
+    setCartItemQuantity,
+    addOrderToCart,
+    priceCart,
+    CartError
+};
@@ -0,0 +1,341 @@
+// services/catalogueService.js
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductType = require('../models/ProductType');
+
+// One spreadsheet row per product dimension. Product-level columns repeat on every row of the product.
+const CATALOGUE_COLUMNS = [
+    { key: 'productId', header: 'productId', width: 26 },
+    { key: 'name', header: 'name', width: 32 },
+    { key: 'productType', header: 'productType', width: 18 },
+    { key: 'description', header: 'description', width: 48 },
+    { key: 'hsnCode', header: 'hsnCode', width: 10 },
+    { key: 'gstRate', header: 'gstRate', width: 8 },
+    { key: 'isActive', header: 'isActive', width: 8 },
+    { key: 'dimensionName', header: 'dimensionName', width: 22 },
+    { key: 'sku', header: 'sku', width: 16 },
+    { key: 'basePrice', header: 'basePrice', width: 10 },
+    { key: 'stockQuantity', header: 'stockQuantity', width: 12 },
+    { key: 'reorderLevel', header: 'reorderLevel', width: 12 },
+    { key: 'weightKg', header: 'weightKg', width: 10 },
+    { key: 'lengthCm', header: 'lengthCm', width: 10 },
+    { key: 'widthCm', header: 'widthCm', width: 10 },
+    { key: 'heightCm', header: 'heightCm', width: 10 }
+];
+const PRODUCT_FIELDS = ['name', 'productType', 'description', 'hsnCode', 'gstRate', 'isActive'];
+const DIMENSION_FIELDS = ['sku', 'basePrice', 'stockQuantity', 'reorderLevel', 'weightKg', 'lengthCm', 'widthCm', 'heightCm'];
+const REQUIRED_COLUMNS = ['name', 'dimensionName', 'basePrice'];
+const CATALOGUE_FORMATS = ['csv', 'xlsx'];
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Error for files that can't be read as a catalogue at all (wrong format,
+ * missing columns, too many rows). Routes map it to a 400.
+ */
+class CatalogueFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CatalogueFileError';
+    }
+}
+
+// Cell values from ExcelJS can be numbers, booleans, dates, rich text or formula results.
+const cellToString = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') {
+        if (value instanceof Date) return value.toISOString();
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+        if (value.text !== undefined) return cellToString(value.text);
+        if (value.result !== undefined) return cellToString(value.result);
+        return '';
+    }
+    return String(value).trim();
+};
+
+/**
+ * Picks the file format from the uploaded file name.
+ * @param {string} fileName
+ * @returns {string|null} 'csv', 'xlsx' or null.
+ */
+const detectCatalogueFormat = (fileName) => {
+    const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+    const extension = match ? match[1].toLowerCase() : '';
+    return CATALOGUE_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Builds the catalogue spreadsheet for every product.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @returns {Promise<Buffer>}
+ */
+const exportCatalogue = async (format) => {
+    const products = await Product.find().sort({ name: 1 });
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Catalogue');
+    worksheet.columns = CATALOGUE_COLUMNS;
+
+    products.forEach(product => {
+        product.dimensions.forEach(dim => {
+            worksheet.addRow({
+                productId: product._id.toString(),
+                name: product.name,
+                productType: product.productType,
+                description: product.description,
+                hsnCode: product.hsnCode || '',
+                gstRate: product.gstRate,
+                isActive: product.isActive ? 'true' : 'false',
+                dimensionName: dim.dimensionName,
+                sku: dim.sku || '',
+                basePrice: dim.basePrice,
+                stockQuantity: typeof dim.stockQuantity === 'number' ? dim.stockQuantity : '',
+                reorderLevel: typeof dim.reorderLevel === 'number' ? dim.reorderLevel : '',
+                weightKg: typeof dim.weightKg === 'number' ? dim.weightKg : '',
+                lengthCm: typeof dim.lengthCm === 'number' ? dim.lengthCm : '',
+                widthCm: typeof dim.widthCm === 'number' ? dim.widthCm : '',
+                heightCm: typeof dim.heightCm === 'number' ? dim.heightCm : ''
+            });
+        });
+    });
+
+    if (format === 'csv') {
+        return Buffer.from(await workbook.csv.writeBuffer());
+    }
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Reads a catalogue spreadsheet into plain row objects.
+ * @param {Buffer} buffer - File contents.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @returns {Promise<Array<Object>>} Rows keyed by column name, each with its spreadsheet `rowNumber`.
+ * @throws {CatalogueFileError}
+ */
+const parseCatalogueFile = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+        if (format === 'csv') {
+            // Keep every cell as text; the default parser turns "0402" into 402 and some sizes into dates.
+            worksheet = await workbook.csv.read(Readable.from(buffer), { map: datum => datum });
+        } else {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        }
+    } catch (error) {
+        throw new CatalogueFileError(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+    }
+    if (!worksheet || worksheet.rowCount === 0) {
+        throw new CatalogueFileError('The file is empty.');
+    }
+
+    // Match headers case-insensitively so hand-made sheets work too.
+    const columnByIndex = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        const header = cellToString(cell.value).toLowerCase();
+        const column = CATALOGUE_COLUMNS.find(col => col.key.toLowerCase() === header);
+        if (column) columnByIndex[colNumber] = column.key;
+    });
+    const foundColumns = Object.values(columnByIndex);
+    const missingColumns = REQUIRED_COLUMNS.filter(key => !foundColumns.includes(key));
+    if (missingColumns.length > 0) {
+        throw new CatalogueFileError(`Missing required column(s): ${missingColumns.join(', ')}. Expected headers: ${CATALOGUE_COLUMNS.map(col => col.key).join(', ')}.`);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = { rowNumber };
+        let hasData = false;
+        Object.entries(columnByIndex).forEach(([colNumber, key]) => {
+            values[key] = cellToString(row.getCell(Number(colNumber)).value);
+            if (values[key] !== '') hasData = true;
+        });
+        if (hasData) rows.push(values);
+    });
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new CatalogueFileError(`The file has ${rows.length} rows; the limit is ${MAX_IMPORT_ROWS} per import.`);
+    }
+    return rows;
+};
+
+// Accepts "0.12", "12%" or "12 %" for the GST rate.
+const parseGstRate = (value) => {
+    const percentMatch = /^(\d+(?:\.\d+)?)\s*%$/.exec(value);
+    return percentMatch ? Number(percentMatch[1]) / 100 : value;
+};
+
+/**
+ * Validates catalogue rows against the Product schema without saving anything.
+ *
+ * Rows are grouped into products by `productId`, or by name when `productId` is blank.
+ * Existing products are matched by id or (case-insensitive) name and their dimensions
+ * are upserted by dimension name; dimensions missing from the file are kept. A blank
+ * cell leaves the existing value unchanged (for new products, the schema default applies).
+ *
+ * @param {Array<Object>} rows - Output of parseCatalogueFile.
+ * @returns {Promise<{plan: Array, errors: Array, summary: Object}>} `plan` holds unsaved
+ *   Product documents; `errors` holds `{ row, field, message }` entries.
+ */
+const planCatalogueImport = async (rows) => {
+    const errors = [];
+    const addError = (row, field, message) => errors.push({ row, field, message });
+
+    const existingProducts = await Product.find();
+    const productsById = new Map(existingProducts.map(p => [p._id.toString(), p]));
+    const productsByName = new Map(existingProducts.map(p => [p.name.trim().toLowerCase(), p]));
+    // The productType column accepts a slug or a display name ("Ring Fixator")
+    const productTypeSlugs = new Map();
+    (await ProductType.find().select('slug name')).forEach(type => {
+        productTypeSlugs.set(type.name.trim().toLowerCase(), type.slug);
+        productTypeSlugs.set(type.slug, type.slug);
+    });
+
+    // Group rows by product, in file order
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = row.productId ? `id:${row.productId}` : `name:${(row.name || '').toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    const plan = [];
+    const claimedProductIds = new Map(); // Product id -> first row that referenced it
+    for (const groupRows of groups.values()) {
+        const firstRow = groupRows[0];
+        let product;
+        if (firstRow.productId) {
+            product = mongoose.Types.ObjectId.isValid(firstRow.productId) ? productsById.get(firstRow.productId) : null;
+            if (!product) {
+                groupRows.forEach(row => addError(row.rowNumber, 'productId', `No product with id "${firstRow.productId}". Clear the productId to create a new product.`));
+                continue;
+            }
+        } else {
+            product = productsByName.get((firstRow.name || '').toLowerCase()) || null;
+        }
+        const isNew = !product;
+        if (isNew) {
+            product = new Product({ dimensions: [] });
+        } else if (claimedProductIds.has(product._id.toString())) {
+            // Same product referenced once by id and once by name
+            groupRows.forEach(row => addError(row.rowNumber, 'name', `"${product.name}" already appears from row ${claimedProductIds.get(product._id.toString())}. Use the same productId on all of its rows.`));
+            continue;
+        } else {
+            claimedProductIds.set(product._id.toString(), firstRow.rowNumber);
+        }
+
+        // Product-level values: a later row may leave them blank, but must not contradict the first row that sets them.
+        const productValues = {};
+        let groupHasConflict = false;
+        groupRows.forEach(row => {
+            PRODUCT_FIELDS.forEach(field => {
+                const value = row[field];
+                if (value === undefined || value === '') return;
+                if (productValues[field] === undefined) {
+                    productValues[field] = value;
+                } else if (productValues[field] !== value) {
+                    addError(row.rowNumber, field, `Conflicts with "${productValues[field]}" on an earlier row of the same product.`);
+                    groupHasConflict = true;
+                }
+            });
+        });
+        if (groupHasConflict) continue;
+
+        if (productValues.name !== undefined) product.name = productValues.name;
+        // Unknown types are passed through so the Product schema reports them against the row
+        if (productValues.productType !== undefined) {
+            product.productType = productTypeSlugs.get(productValues.productType.trim().toLowerCase()) || productValues.productType;
+        }
+        if (productValues.description !== undefined) product.description = productValues.description;
+        if (productValues.hsnCode !== undefined) product.hsnCode = productValues.hsnCode;
+        if (productValues.gstRate !== undefined) product.gstRate = parseGstRate(productValues.gstRate);
+        if (productValues.isActive !== undefined) product.isActive = productValues.isActive.toLowerCase();
+
+        // Dimensions, upserted by name. Remember which dimension each row wrote to so validator paths map back to rows.
+        const rowByDimensionIndex = new Map();
+        const seenDimensions = new Map();
+        groupRows.forEach(row => {
+            const dimensionName = row.dimensionName || '';
+            const dimensionKey = dimensionName.toLowerCase();
+            if (seenDimensions.has(dimensionKey)) {
+                addError(row.rowNumber, 'dimensionName', `Duplicate dimension "${dimensionName}" (also on row ${seenDimensions.get(dimensionKey)}).`);
+                return;
+            }
+            seenDimensions.set(dimensionKey, row.rowNumber);
+
+            let index = product.dimensions.findIndex(dim => dim.dimensionName.toLowerCase() === dimensionKey);
+            if (index === -1) {
+                product.dimensions.push({ dimensionName });
+                index = product.dimensions.length - 1;
+            }
+            const dimension = product.dimensions[index];
+            DIMENSION_FIELDS.forEach(field => {
+                if (row[field] !== undefined && row[field] !== '') dimension[field] = row[field];
+            });
+            rowByDimensionIndex.set(index, row.rowNumber);
+        });
+
+        try {
+            await product.validate();
+        } catch (validationError) {
+            if (validationError.name !== 'ValidationError') throw validationError;
+            Object.entries(validationError.errors).forEach(([path, error]) => {
+                const dimensionMatch = /^dimensions\.(\d+)\.(\w+)$/.exec(path);
+                if (dimensionMatch) {
+                    // Errors on dimensions kept from the database (not in the file) are reported against the first row.
+                    const rowNumber = rowByDimensionIndex.get(Number(dimensionMatch[1])) || firstRow.rowNumber;
+                    addError(rowNumber, dimensionMatch[2], error.message);
+                } else if (!/^dimensions\.\d+$/.test(path)) { // The subdocument summary error repeats the field error above
+                    addError(firstRow.rowNumber, path, error.message);
+                }
+            });
+            continue;
+        }
+
+        plan.push({ action: isNew ? 'create' : 'update', product, rowNumbers: groupRows.map(row => row.rowNumber) });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return {
+        plan,
+        errors,
+        summary: {
+            rowsRead: rows.length,
+            productsToCreate: plan.filter(item => item.action === 'create').length,
+            productsToUpdate: plan.filter(item => item.action === 'update').length,
+            errorCount: errors.length
+        }
+    };
+};
+
+/**
+ * Saves the products from a validated import plan.
+ * @param {Array} plan - `plan` from planCatalogueImport.
+ * @returns {Promise<{created: number, updated: number, failed: Array}>}
+ */
+const applyCatalogueImport = async (plan) => {
+    const result = { created: 0, updated: 0, failed: [] };
+    for (const item of plan) {
+        try {
+            await item.product.save();
+            result[item.action === 'create' ? 'created' : 'updated'] += 1;
+        } catch (error) {
+            console.error(`Catalogue import: Could not save "${item.product.name}":`, error);
+            result.failed.push({ rows: item.rowNumbers, name: item.product.name, message: error.message });
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    exportCatalogue,
+    parseCatalogueFile,
+    planCatalogueImport,
+    applyCatalogueImport,
+    detectCatalogueFormat,
+    CatalogueFileError,
+    CATALOGUE_COLUMNS
+};
@@ -0,0 +1,114 @@
+// services/currencyService.js
+// Money on carts, orders and payments is an integer number of minor units (paise, cents) of the
+// order's currency. Catalogue, quotation and promotion amounts are INR rupees; they are converted
+// with the currency's rate from models/ExchangeRate.js, and GST is only charged in INR.
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, minorUnitDigits } = require('../models/ExchangeRate');
+
+const HOME_COUNTRY = 'India';
+
+/**
+ * Error thrown when an order or cart asks for a currency that can't be used. Routes map it to a 400.
+ */
+class CurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CurrencyError';
+    }
+}
+
+// The rate snapshot of the base currency
+const baseCurrency = () => ({ code: BASE_CURRENCY, inrPerUnit: 1, asOf: null });
+
+/**
+ * Looks up a currency for pricing.
+ * @param {string} [code] - ISO 4217 code (case-insensitive); blank means INR.
+ * @returns {Promise<{code: string, inrPerUnit: number, asOf: Date|null}>}
+ * @throws {CurrencyError} If the currency is unknown or inactive.
+ */
+const resolveCurrency = async (code) => {
+    const currency = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!currency || currency === BASE_CURRENCY) return baseCurrency();
+    const rate = await ExchangeRate.findOne({ currency, isActive: true });
+    if (!rate) {
+        throw new CurrencyError(`Prices are not available in ${currency}.`);
+    }
+    return { code: rate.currency, inrPerUnit: rate.inrPerUnit, asOf: rate.updatedAt };
+};
+
+/**
+ * The currency of a new order: orders shipped within India are always in INR, so GST is charged.
+ * @param {string} [code] - Requested currency.
+ * @param {string} [country] - Shipping country.
+ * @returns {Promise<Object>} As resolveCurrency.
+ * @throws {CurrencyError}
+ */
+const resolveOrderCurrency = async (code, country) => {
+    const currency = await resolveCurrency(code);
+    if (currency.code !== BASE_CURRENCY && String(country || '').trim().toLowerCase() === HOME_COUNTRY.toLowerCase()) {
+        throw new CurrencyError(`Orders shipped within ${HOME_COUNTRY} are billed in ${BASE_CURRENCY}.`);
+    }
+    return currency;
+};
+
+/**
+ * Converts rupees to minor units of a currency, rounded to the nearest unit.
+ * @param {number} amountInr
+ * @param {Object} currency - `{ code, inrPerUnit }` from resolveCurrency.
+ * @returns {number}
+ */
+const toMinor = (amountInr, currency) => Math.round(amountInr / currency.inrPerUnit * 10 ** minorUnitDigits(currency.code));
+
+/**
+ * The INR value, in paise, of an amount in another currency (for reporting across currencies).
+ * @param {number} amountMinor
+ * @param {Object} currency - `{ code, inrPerUnit }`.
+ * @returns {number}
+ */
+const toInrMinor = (amountMinor, currency) => (currency.code === BASE_CURRENCY
+    ? amountMinor
+    : Math.round(amountMinor / 10 ** minorUnitDigits(currency.code) * currency.inrPerUnit * 100));
+
+/**
+ * Formats minor units for display, e.g. "1344.00 Rs" or "16.15 USD".
+ * @param {number} amountMinor
+ * @param {string} [currency] - ISO 4217 code (default INR).
+ * @returns {string}
+ */
+const formatMoney = (amountMinor, currency = BASE_CURRENCY) => {
+    const digits = minorUnitDigits(currency);
+    return `${(amountMinor / 10 ** digits).toFixed(digits)} ${currency === BASE_CURRENCY ? 'Rs' : currency}`;
+};
+
+/**
+ * Whether GST is charged on orders in this currency.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {boolean}
+ */
+const chargesGst = (currency) => currency === BASE_CURRENCY;
+
+/**
+ * The currencies a buyer can choose: INR first, then the active exchange rates.
+ * @returns {Promise<Array<{currency: string, name: string, inrPerUnit: number, minorUnitDigits: number, countries: string[], chargesGst: boolean}>>}
+ */
+const listCurrencies = async () => {
+    const rates = await ExchangeRate.find({ isActive: true }).sort({ currency: 1 });
+    return [
+        { currency: BASE_CURRENCY, name: 'Indian Rupee', inrPerUnit: 1, countries: [HOME_COUNTRY] },
+        ...rates.map(rate => ({ currency: rate.currency, name: rate.name, inrPerUnit: rate.inrPerUnit, countries: rate.countries }))
+    ].map(entry => ({ ...entry, minorUnitDigits: minorUnitDigits(entry.currency), chargesGst: chargesGst(entry.currency) }));
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    baseCurrency,
+    resolveCurrency,
+    resolveOrderCurrency,
+    toMinor,
+    toInrMinor,
+    formatMoney,
+    chargesGst,
+    listCurrencies,
+    minorUnitDigits,
+    CurrencyError
+};
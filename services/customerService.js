@@ -0,0 +1,200 @@
+// services/customerService.js
+// Storefront customer accounts: registration, email login links, the address book and linking
+// orders placed as a guest. Sessions themselves are issued by middleware/customerAuthMiddleware.js.
+const Customer = require('../models/Customer');
+const { hashLoginToken, LOGIN_LINK_TTL_MINUTES } = require('../models/Customer');
+const Order = require('../models/Order');
+const Quotation = require('../models/Quotation');
+const emailService = require('./emailService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+
+const PROFILE_FIELDS = ['name', 'mobileCode', 'mobileNumber', 'whatsappCode', 'whatsappNumber', 'buyerGstin'];
+const ADDRESS_FIELDS = ['label', 'address', 'city', 'state', 'country', 'pincode'];
+
+/**
+ * Error thrown when an address id is not in the customer's address book. Routes map it to a 404.
+ */
+class AddressNotFoundError extends Error {
+    constructor() {
+        super('Address not found.');
+        this.name = 'AddressNotFoundError';
+    }
+}
+
+/**
+ * The storefront link that logs the customer in with an emailed token, or null if FRONTEND_URL
+ * isn't set (login links can't be sent then).
+ * @param {string} token
+ * @returns {string|null}
+ */
+const customerLoginUrl = (token) => {
+    if (!FRONTEND_URL) return null;
+    return `${FRONTEND_URL.trim().replace(/\/+$/, '')}/?login=${encodeURIComponent(token)}#account`;
+};
+
+const normalizeEmail = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+/**
+ * Emails the customer a single-use login link (replacing any earlier one).
+ * @param {Object} customer - Customer document.
+ * @param {string} purpose - 'register' (confirms a new account) or 'login'.
+ * @throws {Error} If FRONTEND_URL is not set or the email cannot be queued.
+ */
+const sendLoginLink = async (customer, purpose) => {
+    const token = customer.createLoginToken();
+    const loginUrl = customerLoginUrl(token);
+    if (!loginUrl) {
+        throw new Error("Email login links are not configured.");
+    }
+    await customer.save();
+    await emailService.sendCustomerLoginLinkEmail(customer, { loginUrl, purpose, validMinutes: LOGIN_LINK_TTL_MINUTES });
+};
+
+/**
+ * Registers a customer and emails the link that confirms the address. The password is optional
+ * (without one the customer always logs in by email link). Registering an address that is
+ * already confirmed just emails a login link, so the response never reveals who has an account;
+ * an unconfirmed registration is replaced, so nobody can hold an address they don't own.
+ * @param {Object} body - `{ name, email, password }`
+ * @throws {Error} ValidationError for a bad name, email or password.
+ */
+const registerCustomer = async (body) => {
+    const email = normalizeEmail(body.email);
+    const existing = email ? await Customer.findOne({ email }) : null;
+    if (existing && existing.emailVerifiedAt) {
+        console.log(`Customers: Registration for existing account ${email}; sending a login link instead`);
+        if (existing.isActive) await sendLoginLink(existing, 'login');
+        return;
+    }
+
+    const customer = existing || new Customer({ email });
+    customer.name = body.name;
+    if (body.password) {
+        await customer.setPassword(body.password);
+    } else {
+        customer.passwordHash = undefined;
+    }
+    await customer.validate();
+    await sendLoginLink(customer, 'register');
+    console.log(`Customers: ${existing ? 'Re-sent' : 'Sent'} registration link to ${email}`);
+};
+
+/**
+ * Links guest orders and quotations placed with the customer's (confirmed) email to the account.
+ * @param {Object} customer - Customer document with `emailVerifiedAt` set.
+ * @returns {Promise<number>} How many orders were linked.
+ */
+const linkGuestOrders = async (customer) => {
+    const filter = { customerEmail: customer.email, customer: { $exists: false } };
+    const [orders] = await Promise.all([
+        Order.updateMany(filter, { $set: { customer: customer._id } }),
+        Quotation.updateMany(filter, { $set: { customer: customer._id } })
+    ]);
+    if (orders.modifiedCount > 0) {
+        console.log(`Customers: Linked ${orders.modifiedCount} guest order(s) to ${customer.email}`);
+    }
+    return orders.modifiedCount;
+};
+
+/**
+ * Uses an emailed login token. The token is cleared atomically, so a link works only once.
+ * The first use confirms the email address and links earlier guest orders.
+ * @param {string} token
+ * @returns {Promise<{customer: Object, linkedOrders: number}|null>} null if the token is unknown,
+ *   used or expired.
+ */
+const consumeLoginToken = async (token) => {
+    if (typeof token !== 'string' || !token) return null;
+    const now = new Date();
+    const customer = await Customer.findOneAndUpdate(
+        { loginTokenHash: hashLoginToken(token), loginTokenExpiresAt: { $gt: now }, isActive: true },
+        { $unset: { loginTokenHash: 1, loginTokenExpiresAt: 1 }, $set: { lastLoginAt: now } },
+        { new: true }
+    );
+    if (!customer) return null;
+
+    let linkedOrders = 0;
+    if (!customer.emailVerifiedAt) {
+        customer.emailVerifiedAt = now;
+        await customer.save();
+        console.log(`Customers: ${customer.email} confirmed their email address`);
+        linkedOrders = await linkGuestOrders(customer);
+    }
+    return { customer, linkedOrders };
+};
+
+/**
+ * Updates the checkout defaults (name, phone numbers, GSTIN). Call `save()` afterwards.
+ * @param {Object} customer - Customer document.
+ * @param {Object} body - Any of PROFILE_FIELDS; empty strings clear the optional ones.
+ */
+const applyProfileChanges = (customer, body) => {
+    PROFILE_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        customer[field] = value === '' && field !== 'name' ? undefined : value;
+    });
+};
+
+/**
+ * Adds an address to the address book or updates one. The first address, or one sent with
+ * `isDefault: true`, becomes the default. Call `save()` afterwards.
+ * @param {Object} customer - Customer document.
+ * @param {Object} body - ADDRESS_FIELDS plus optional `isDefault`.
+ * @param {string} [addressId] - Updates this address instead of adding one.
+ * @returns {Object} The saved address subdocument.
+ * @throws {AddressNotFoundError} If `addressId` is not in the address book.
+ */
+const saveAddress = (customer, body, addressId) => {
+    let address;
+    if (addressId) {
+        address = customer.addresses.id(addressId);
+        if (!address) {
+            throw new AddressNotFoundError();
+        }
+    } else {
+        customer.addresses.push({});
+        address = customer.addresses[customer.addresses.length - 1];
+    }
+    ADDRESS_FIELDS.forEach(field => {
+        if (body[field] !== undefined) address[field] = body[field];
+    });
+
+    const makeDefault = String(body.isDefault).toLowerCase() === 'true' || customer.addresses.length === 1;
+    if (makeDefault) {
+        customer.addresses.forEach(other => { other.isDefault = other._id.equals(address._id); });
+    }
+    return address;
+};
+
+/**
+ * Removes an address; if it was the default, the first remaining one becomes the default.
+ * Call `save()` afterwards.
+ * @param {Object} customer - Customer document.
+ * @param {string} addressId
+ * @throws {AddressNotFoundError}
+ */
+const removeAddress = (customer, addressId) => {
+    const address = customer.addresses.id(addressId);
+    if (!address) {
+        throw new AddressNotFoundError();
+    }
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && customer.addresses.length > 0) {
+        customer.addresses[0].isDefault = true;
+    }
+};
+
+module.exports = {
+    registerCustomer,
+    sendLoginLink,
+    consumeLoginToken,
+    linkGuestOrders,
+    applyProfileChanges,
+    saveAddress,
+    removeAddress,
+    customerLoginUrl,
+    AddressNotFoundError
+};
@@ -0,0 +1,210 @@
+// services/emailOutboxService.js
+// Durable outgoing mail. Routes only write EmailMessage documents (enqueueEmail); a worker started
+// by server.js sends them, retrying failures with exponential backoff and dead-lettering messages
+// that still fail after maxAttempts. Claims are atomic, so several server instances can run the
+// worker against the same database without sending a message twice.
+const EmailMessage = require('../models/EmailMessage');
+const { createEmailTransport } = require('./emailTransport');
+const { readAttachment } = require('./attachmentService');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 15000;
+const BASE_RETRY_DELAY_MS = 60 * 1000;            // 1 min, 2 min, 4 min, ...
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;    // ... capped at 6 hours
+const STALE_LOCK_MS = 10 * 60 * 1000;             // A 'sending' message older than this is reclaimed
+const MAX_MESSAGES_PER_RUN = 50;
+const MAX_INLINE_ATTACHMENT_BYTES = 4 * 1024 * 1024; // Per message; larger files are stored and referenced by fileId
+
+let transport = null;
+let pollTimer = null;
+let runningBatch = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createEmailTransport();
+    }
+    return transport;
+};
+
+/**
+ * Delay before the next attempt after `attempts` failed ones.
+ * @param {number} attempts - Attempts made so far (>= 1).
+ * @returns {number} Milliseconds.
+ */
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// SMTP 5xx replies (unknown mailbox, rejected content) will not succeed on a retry.
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Adds a message to the outbox and nudges the worker so it goes out straight away.
+ * @param {Object} mailOptions - nodemailer options: from, to, replyTo, subject, html, text, attachments.
+ *   An attachment has `filename`, `contentType` and either `content` (a Buffer) or `fileId` (a stored
+ *   inquiry attachment, read when the message is sent).
+ * @param {Object} [meta]
+ * @param {string} [meta.template] - Template name, shown in the admin outbox.
+ * @param {string} [meta.reference] - Order or ticket number the email belongs to.
+ * @returns {Promise<Object>} The saved EmailMessage.
+ */
+const enqueueEmail = async (mailOptions, { template, reference } = {}) => {
+    const attachments = mailOptions.attachments || [];
+    const inlineBytes = attachments.reduce((sum, a) => sum + (a.content ? a.content.length : 0), 0);
+    if (inlineBytes > MAX_INLINE_ATTACHMENT_BYTES) {
+        throw new Error(`Email attachments of ${inlineBytes} bytes are too large to queue; store the files and attach them by fileId.`);
+    }
+    const message = await EmailMessage.create({
+        template,
+        reference,
+        from: mailOptions.from,
+        to: mailOptions.to,
+        replyTo: mailOptions.replyTo,
+        subject: mailOptions.subject,
+        html: mailOptions.html,
+        text: mailOptions.text,
+        attachments: attachments.map(a => ({
+            filename: a.filename,
+            content: a.content,
+            fileId: a.fileId,
+            contentType: a.contentType
+        })),
+        maxAttempts: DEFAULT_MAX_ATTEMPTS
+    });
+    console.log(`Email Outbox: Queued "${message.subject}" to ${message.to} (${message._id})`);
+    wakeWorker();
+    return message;
+};
+
+// Atomically marks the next due message as 'sending' and counts the attempt.
+const claimNextMessage = () => {
+    const now = new Date();
+    return EmailMessage.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+            ]
+        },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+// Reads referenced files at send time. A file deleted since the message was queued is left out.
+const loadAttachments = async (message) => {
+    const attachments = [];
+    for (const a of message.attachments) {
+        const content = a.fileId ? await readAttachment(a.fileId) : a.content;
+        if (!content) {
+            console.warn(`Email Outbox: Attachment "${a.filename}" (${a.fileId}) of ${message._id} no longer exists; sending without it.`);
+            continue;
+        }
+        attachments.push({ filename: a.filename, content, contentType: a.contentType });
+    }
+    return attachments;
+};
+
+const deliverMessage = async (message) => {
+    try {
+        const info = await getTransport().sendMail({
+            from: message.from,
+            to: message.to,
+            replyTo: message.replyTo,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            attachments: await loadAttachments(message)
+        });
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.messageId = info.messageId;
+        message.lastError = undefined;
+        console.log(`Email Outbox: Sent "${message.subject}" to ${message.to} (${message._id}, attempt ${message.attempts})`);
+    } catch (error) {
+        message.lastError = error.message;
+        if (message.attempts >= message.maxAttempts || isPermanentFailure(error)) {
+            message.status = 'dead';
+            console.error(`Email Outbox: Giving up on "${message.subject}" to ${message.to} (${message._id}) after ${message.attempts} attempt(s):`, error.message);
+        } else {
+            message.status = 'pending';
+            message.nextAttemptAt = new Date(Date.now() + retryDelayMs(message.attempts));
+            console.warn(`Email Outbox: Attempt ${message.attempts} for ${message._id} failed, retrying at ${message.nextAttemptAt.toISOString()}:`, error.message);
+        }
+    }
+    message.lockedAt = undefined;
+    await message.save();
+};
+
+/**
+ * Sends every message that is due. Overlapping calls share the run already in progress.
+ * @returns {Promise<number>} Number of messages attempted.
+ */
+const processOutbox = () => {
+    if (!runningBatch) {
+        runningBatch = (async () => {
+            let attempted = 0;
+            while (attempted < MAX_MESSAGES_PER_RUN) {
+                const message = await claimNextMessage();
+                if (!message) break;
+                await deliverMessage(message);
+                attempted += 1;
+            }
+            return attempted;
+        })().finally(() => {
+            runningBatch = null;
+        });
+    }
+    return runningBatch;
+};
+
+const runOutbox = () => processOutbox().catch(error => console.error("Email Outbox: Error processing outbox:", error));
+
+// Sends newly queued mail now rather than on the next poll. Does nothing unless this process runs the worker.
+const wakeWorker = () => {
+    if (pollTimer) {
+        setImmediate(runOutbox);
+    }
+};
+
+/**
+ * Starts polling the outbox. Call once the database connection is open.
+ * @throws {Error} If the configured transport is invalid (see services/emailTransport.js), or if
+ *   NODE_ENV is production and mail would only be written to local files.
+ */
+const startEmailWorker = () => {
+    if (pollTimer) return;
+    const { name, description } = getTransport();
+    if (process.env.NODE_ENV === 'production' && (name === 'file' || name === 'json')) {
+        throw new Error(`Email would be written to local files (${description}) instead of delivered. Set EMAIL_TRANSPORT to smtp or gmail with its credentials.`);
+    }
+    console.log(`Email Outbox: Worker started, sending via ${description}, polling every ${POLL_INTERVAL_MS} ms.`);
+    pollTimer = setInterval(runOutbox, POLL_INTERVAL_MS);
+    runOutbox();
+};
+
+const stopEmailWorker = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+};
+
+/**
+ * Puts a dead (or waiting) message back in the queue with a fresh set of attempts.
+ * @param {Object} message - The EmailMessage document.
+ * @returns {Promise<Object>} The saved message.
+ */
+const requeueEmail = async (message) => {
+    message.status = 'pending';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date();
+    const savedMessage = await message.save();
+    wakeWorker();
+    return savedMessage;
+};
+
+module.exports = {
+    enqueueEmail,
+    processOutbox,
+    startEmailWorker,
+    stopEmailWorker,
+    requeueEmail,
+    retryDelayMs
+};
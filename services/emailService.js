@@ -1,207 +1,203 @@
 // services/emailService.js
-const nodemailer = require('nodemailer');
+// Subjects, HTML and plain-text bodies come from the templates; values are escaped there
+const { renderEmail } = require('../templates/emails');
+const { COMPANY_NAME } = require('../templates/emails/layout');
+// Messages go to the outbox and are delivered (and retried) by its worker, so these functions
+// only fail if the message cannot be stored.
+const { enqueueEmail } = require('./emailOutboxService');
+const { priceQuotation } = require('./pricingService');
 
-const SENDER_EMAIL_USER = process.env.SENDER_EMAIL_USER;
-const SENDER_EMAIL_PASS = process.env.SENDER_EMAIL_PASS;
+// EMAIL_FROM is for SMTP providers whose login is not the sending address
+const SENDER_ADDRESS = process.env.EMAIL_FROM || process.env.SENDER_EMAIL_USER;
 const OWNER_EMAIL = process.env.OWNER_EMAIL;
-const COMPANY_NAME = 'Gamma Ortho Instruments';
-
-let transporter;
-
-if (SENDER_EMAIL_USER && SENDER_EMAIL_PASS) {
-    transporter = nodemailer.createTransport({
-      service: 'gmail', // Or your configured email provider
-      auth: {
-        user: SENDER_EMAIL_USER,
-        pass: SENDER_EMAIL_PASS 
-      }
-    });
-    console.log("Nodemailer transporter configured successfully in emailService.");
-} else {
-    console.warn("Email credentials not found in emailService. Email sending will be disabled.");
-    transporter = { // Dummy transporter if credentials are not set
-        sendMail: (mailOptions) => {
-            console.error("Dummy transporter: sendMail called, but emails are disabled.", mailOptions.subject);
-            return Promise.resolve({ messageId: 'dummy-id-email-disabled' });
-        }
-    };
-}
 
-const sendOrderConfirmationEmails = async (orderData) => {
-    if (typeof transporter.sendMail !== 'function') {
-        console.error("Email transporter not properly configured. Cannot send order confirmation emails.");
-        throw new Error("Email service misconfiguration.");
-    }
-    // --- Prepare Email for Customer ---
-    let customerEmailHtml = `
-      <h1>Thank you for your order, ${orderData.customerName}!</h1>
-      <p>We've received your order inquiry. We will contact you shortly to confirm the details and proceed with your order.</p>
-      <h2>Order Summary:</h2>
-      <table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%; font-family: Arial, sans-serif;">
-        <thead style="background-color: #f2f2f2;">
-          <tr>
-            <th style="text-align: left;">Product</th>
-            <th style="text-align: left;">Dimension</th>
-            <th style="text-align: center;">Qty</th>
-            <th style="text-align: right;">Base Price/Unit</th>
-            <th style="text-align: right;">GST/Unit</th>
-            <th style="text-align: right;">Total/Unit (Incl. GST)</th>
-            <th style="text-align: right;">Subtotal (Incl. GST)</th>
-          </tr>
-        </thead>
-        <tbody>
-    `;
-    orderData.orderItems.forEach(productGroup => {
-        productGroup.variants.forEach(variant => {
-            customerEmailHtml += `
-              <tr>
-                <td>${productGroup.baseProductName}</td>
-                <td>${variant.dimension}</td>
-                <td style="text-align: center;">${variant.quantity}</td>
-                <td style="text-align: right;">${variant.basePrice.toFixed(2)} Rs</td>
-                <td style="text-align: right;">${(variant.basePrice * variant.gstRate).toFixed(2)} Rs (${(variant.gstRate * 100).toFixed(0)}%)</td>
-                <td style="text-align: right;">${variant.priceIncGst.toFixed(2)} Rs</td>
-                <td style="text-align: right;">${(variant.priceIncGst * variant.quantity).toFixed(2)} Rs</td>
-              </tr>
-            `;
-        });
-    });
-    customerEmailHtml += `
-        </tbody>
-        <tfoot>
-          <tr>
-            <td colspan="6" style="text-align: right; font-weight: bold; padding-top: 10px;">Total Order Value:</td>
-            <td style="font-weight: bold; text-align: right; padding-top: 10px;">${orderData.totalOrderValue}</td>
-          </tr>
-        </tfoot>
-      </table>
-      <h3>Your Details:</h3>
-      <p>Name: ${orderData.customerName}</p>
-      <p>Email: ${orderData.customerEmail}</p>
-      <p>Mobile: ${orderData.mobileCode} ${orderData.mobileNumber}</p>
-      ${orderData.whatsappNumber ? `<p>WhatsApp: ${orderData.whatsappCode} ${orderData.whatsappNumber}</p>` : ''}
-      <p>Address: ${orderData.address}, ${orderData.city}, ${orderData.state}, ${orderData.pincode}, ${orderData.country}</p>
-      <p>Thank you for choosing ${COMPANY_NAME}!</p>
-    `;
+// Inquiry attachments are emailed up to this total; mail servers commonly refuse messages over
+// 20-25 MB, and attachments grow by a third when encoded. The rest stay in the admin Inbox.
+const MAX_EMAILED_ATTACHMENT_BYTES = 15 * 1024 * 1024;
 
+/**
+ * Queues the order confirmation to the customer and the new-order notice to the owner. The tax
+ * invoice follows with the status update once the order is confirmed.
+ * @param {Object} order - The saved Order document (prices and `customOrderId` already set).
+ */
+const sendOrderConfirmationEmails = async (order) => {
     const customerMailOptions = {
-      from: `"${COMPANY_NAME}" <${SENDER_EMAIL_USER}>`,
-      to: orderData.customerEmail,
-      subject: `Your Order Confirmation from ${COMPANY_NAME} (#${Date.now().toString().slice(-6)})`,
-      html: customerEmailHtml
+      from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+      to: order.customerEmail,
+      ...renderEmail('order-confirmation', { order })
     };
 
-    // --- Prepare Email for Owner/Manager ---
-    let ownerEmailHtml = `
-      <h1>New Order Placed! (#${Date.now().toString().slice(-6)})</h1>
-      <h2>Customer Details:</h2>
-      <p>Name: ${orderData.customerName}</p>
-      <p>Email: ${orderData.customerEmail}</p>
-      <p>Mobile: ${orderData.mobileCode} ${orderData.mobileNumber}</p>
-      ${orderData.whatsappNumber ? `<p>WhatsApp: ${orderData.whatsappCode} ${orderData.whatsappNumber}</p>` : ''}
-      <p>Address: ${orderData.address}</p>
-      <p>City / District: ${orderData.city}</p>
-      <p>State: ${orderData.state}</p>
-      <p>Country: ${orderData.country}</p>
-      <p>Pincode: ${orderData.pincode}</p>
-      
-      <h2>Order Items:</h2>
-      <table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%; font-family: Arial, sans-serif;">
-         <thead style="background-color: #f2f2f2;">
-          <tr>
-            <th style="text-align: left;">Product</th>
-            <th style="text-align: left;">Dimension</th>
-            <th style="text-align: center;">Qty</th>
-            <th style="text-align: right;">Base Price/Unit</th>
-            <th style="text-align: right;">GST/Unit</th>
-            <th style="text-align: right;">Total/Unit (Incl. GST)</th>
-            <th style="text-align: right;">Subtotal (Incl. GST)</th>
-          </tr>
-        </thead>
-        <tbody>
-    `;
-    orderData.orderItems.forEach(productGroup => {
-        productGroup.variants.forEach(variant => {
-            ownerEmailHtml += `
-              <tr>
-                <td>${productGroup.baseProductName}</td>
-                <td>${variant.dimension}</td>
-                <td style="text-align: center;">${variant.quantity}</td>
-                <td style="text-align: right;">${variant.basePrice.toFixed(2)} Rs</td>
-                <td style="text-align: right;">${(variant.basePrice * variant.gstRate).toFixed(2)} Rs (${(variant.gstRate * 100).toFixed(0)}%)</td>
-                <td style="text-align: right;">${variant.priceIncGst.toFixed(2)} Rs</td>
-                <td style="text-align: right;">${(variant.priceIncGst * variant.quantity).toFixed(2)} Rs</td>
-              </tr>
-            `;
-        });
-    });
-    ownerEmailHtml += `
-        </tbody>
-        <tfoot>
-          <tr>
-            <td colspan="6" style="text-align: right; font-weight: bold; padding-top: 10px;">Total Order Value:</td>
-            <td style="font-weight: bold; text-align: right; padding-top: 10px;">${orderData.totalOrderValue}</td>
-          </tr>
-        </tfoot>
-      </table>
-      <p>Please follow up with the customer.</p>
-    `;
-
     const ownerMailOptions = {
-      from: `"${COMPANY_NAME} Website" <${SENDER_EMAIL_USER}>`,
+      from: `"${COMPANY_NAME} Website" <${SENDER_ADDRESS}>`,
       to: OWNER_EMAIL,
-      subject: `New Order Inquiry - ${orderData.customerName} (#${Date.now().toString().slice(-6)})`,
-      html: ownerEmailHtml
+      ...renderEmail('order-notification', { order })
     };
 
+    const meta = { reference: order.customOrderId };
     await Promise.all([
-        transporter.sendMail(customerMailOptions),
-        transporter.sendMail(ownerMailOptions)
+        enqueueEmail(customerMailOptions, { ...meta, template: 'order-confirmation' }),
+        enqueueEmail(ownerMailOptions, { ...meta, template: 'order-notification' })
     ]);
-    console.log('Order confirmation mail sent successfully.');
+    console.log('Order confirmation mail queued successfully.');
 };
 
-const sendInquiryEmail = async (inquiryData, files) => {
-    if (typeof transporter.sendMail !== 'function') {
-        console.error("Email transporter not properly configured. Cannot send inquiry email.");
-        throw new Error("Email service misconfiguration.");
-    }
+/**
+ * Queues the status update (or shipment details update) to the customer. Replies go to the owner.
+ * @param {Object} order - The saved Order document.
+ * @param {Object} [options]
+ * @param {string} [options.trackingUrl] - Storefront tracking page for the order.
+ * @param {boolean} [options.shipmentUpdated] - Only the shipment details changed.
+ * @param {Buffer} [options.invoicePdf] - GST tax invoice PDF to attach (sent when the order is confirmed).
+ * @returns {Promise<Object>} The queued EmailMessage.
+ */
+const sendOrderStatusEmail = async (order, { trackingUrl, shipmentUpdated = false, invoicePdf } = {}) => {
+    const mailOptions = {
+        from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+        to: order.customerEmail,
+        replyTo: OWNER_EMAIL,
+        ...renderEmail('order-status-update', { order, trackingUrl, shipmentUpdated, invoiceAttached: !!invoicePdf }),
+        attachments: invoicePdf ? [{
+            filename: `Invoice-${order.invoice.number.replace(/\//g, '-')}.pdf`,
+            content: invoicePdf,
+            contentType: 'application/pdf'
+        }] : []
+    };
+
+    const message = await enqueueEmail(mailOptions, { template: 'order-status-update', reference: order.customOrderId });
+    console.log(`Status update (${order.status}) for order ${order.customOrderId} queued for ${order.customerEmail}.`);
+    return message;
+};
 
-    let inquiryEmailHtml = `
-        <h1>New Inquiry Received</h1>
-        <h2>Inquiry Details:</h2>
-        <p><strong>Name:</strong> ${inquiryData['contact-name'] || 'N/A'}</p>
-        <p><strong>Email:</strong> ${inquiryData['contact-email'] || 'N/A'}</p>
-        <p><strong>Mobile:</strong> ${inquiryData['contact-mobile'] || 'N/A'}</p>
-        ${inquiryData['contact-whatsapp'] ? `<p><strong>WhatsApp:</strong> ${inquiryData['contact-whatsapp']}</p>` : ''}
-        ${inquiryData['contact-hospital'] ? `<p><strong>Hospital/Clinic:</strong> ${inquiryData['contact-hospital']}</p>` : ''}
-        <p><strong>Category:</strong> ${inquiryData['contact-category'] || 'N/A'}</p>
-        <p><strong>Message:</strong></p>
-        <p style="white-space: pre-wrap;">${inquiryData['contact-message'] || 'N/A'}</p>
-    `;
-
-    if (files && files.length > 0) {
-        inquiryEmailHtml += `<h2>Attachments:</h2><p>${files.length} file(s) attached.</p>`;
+/**
+ * Queues the owner notification about a new inquiry ticket. Its stored attachments are attached by
+ * reference (the outbox worker reads them when it sends), up to MAX_EMAILED_ATTACHMENT_BYTES.
+ * @param {Object} inquiry - The saved Inquiry document (`ticketNumber` already set).
+ */
+const sendInquiryEmail = async (inquiry) => {
+    const attachments = [];
+    let attachedBytes = 0;
+    const storedFiles = (inquiry.attachments || []).filter(file => file.fileId);
+    for (const file of storedFiles) {
+        if (attachedBytes + (file.size || 0) > MAX_EMAILED_ATTACHMENT_BYTES) continue;
+        attachedBytes += file.size || 0;
+        attachments.push({ filename: file.fileName, fileId: file.fileId, contentType: file.contentType });
     }
 
     const mailOptions = {
-        from: `"${COMPANY_NAME} Inquiry" <${SENDER_EMAIL_USER}>`,
+        from: `"${COMPANY_NAME} Inquiry" <${SENDER_ADDRESS}>`,
+        to: OWNER_EMAIL,
+        ...renderEmail('inquiry-notification', {
+            inquiry,
+            attachmentCount: attachments.length,
+            notAttachedCount: storedFiles.length - attachments.length
+        }),
+        attachments
+    };
+
+    await enqueueEmail(mailOptions, { template: 'inquiry-notification', reference: inquiry.ticketNumber });
+    console.log('Inquiry email queued successfully for owner.');
+};
+
+/**
+ * Queues an admin reply on an inquiry ticket to the customer. Customer replies go to the owner.
+ * @param {Object} inquiry - The Inquiry document.
+ * @param {Object} reply - `{ message, authorName }`
+ * @returns {Promise<Object>} The queued EmailMessage.
+ */
+const sendInquiryReplyEmail = async (inquiry, reply) => {
+    const mailOptions = {
+        from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+        to: inquiry.email,
+        replyTo: OWNER_EMAIL,
+        ...renderEmail('inquiry-reply', { inquiry, reply })
+    };
+
+    const message = await enqueueEmail(mailOptions, { template: 'inquiry-reply', reference: inquiry.ticketNumber });
+    console.log(`Inquiry reply for ${inquiry.ticketNumber} queued for ${inquiry.email}.`);
+    return message;
+};
+
+/**
+ * Queues the acknowledgement of a quotation request to the customer and the notice to the owner.
+ * @param {Object} quotation - The saved Quotation document (`quotationNumber` already set).
+ */
+const sendQuotationRequestEmails = async (quotation) => {
+    const data = { quotation, pricing: priceQuotation(quotation) };
+    const customerMailOptions = {
+        from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+        to: quotation.customerEmail,
+        replyTo: OWNER_EMAIL,
+        ...renderEmail('quotation-received', data)
+    };
+    const ownerMailOptions = {
+        from: `"${COMPANY_NAME} Website" <${SENDER_ADDRESS}>`,
         to: OWNER_EMAIL,
-        subject: `New Inquiry: ${inquiryData['contact-category']} - ${inquiryData['contact-name']}`,
-        html: inquiryEmailHtml,
-        attachments: files && files.length > 0 ? files.map(file => ({
-            filename: file.originalname,
-            content: file.buffer,
-            contentType: file.mimetype
-        })) : []
+        replyTo: quotation.customerEmail,
+        ...renderEmail('quotation-request', data)
+    };
+
+    const meta = { reference: quotation.quotationNumber };
+    await Promise.all([
+        enqueueEmail(customerMailOptions, { ...meta, template: 'quotation-received' }),
+        enqueueEmail(ownerMailOptions, { ...meta, template: 'quotation-request' })
+    ]);
+    console.log(`Quotation request emails for ${quotation.quotationNumber} queued successfully.`);
+};
+
+/**
+ * Queues the proforma invoice to the customer. Replies go to the owner.
+ * @param {Object} quotation - The sent Quotation document.
+ * @param {Object} options
+ * @param {string} options.proformaNumber
+ * @param {Buffer} options.proformaPdf
+ * @param {string} [options.acceptUrl] - Storefront link that accepts the quotation.
+ * @returns {Promise<Object>} The queued EmailMessage.
+ */
+const sendProformaEmail = async (quotation, { proformaNumber, proformaPdf, acceptUrl }) => {
+    const mailOptions = {
+        from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+        to: quotation.customerEmail,
+        replyTo: OWNER_EMAIL,
+        ...renderEmail('quotation-proforma', { quotation, pricing: priceQuotation(quotation), proformaNumber, acceptUrl }),
+        attachments: [{
+            filename: `Proforma-${proformaNumber}.pdf`,
+            content: proformaPdf,
+            contentType: 'application/pdf'
+        }]
     };
 
-    await transporter.sendMail(mailOptions);
-    console.log('Inquiry email sent successfully to owner.');
+    const message = await enqueueEmail(mailOptions, { template: 'quotation-proforma', reference: quotation.quotationNumber });
+    console.log(`Proforma ${proformaNumber} queued for ${quotation.customerEmail}.`);
+    return message;
 };
 
+/**
+ * Queues a customer account confirmation or login link.
+ * @param {Object} customer - The Customer document.
+ * @param {Object} options
+ * @param {string} options.loginUrl - Storefront link carrying the single-use login token.
+ * @param {string} options.purpose - 'register' or 'login'.
+ * @param {number} options.validMinutes - How long the link works.
+ * @returns {Promise<Object>} The queued EmailMessage.
+ */
+const sendCustomerLoginLinkEmail = async (customer, { loginUrl, purpose, validMinutes }) => {
+    const mailOptions = {
+        from: `"${COMPANY_NAME}" <${SENDER_ADDRESS}>`,
+        to: customer.email,
+        ...renderEmail('customer-login-link', { customer, loginUrl, purpose, validMinutes })
+    };
+
+    const message = await enqueueEmail(mailOptions, { template: 'customer-login-link' });
+    console.log(`Customer ${purpose} link queued for ${customer.email}.`);
+    return message;
+};
 
 module.exports = {
     sendOrderConfirmationEmails,
-    sendInquiryEmail
+    sendOrderStatusEmail,
+    sendInquiryEmail,
+    sendInquiryReplyEmail,
+    sendQuotationRequestEmails,
+    sendProformaEmail,
+    sendCustomerLoginLinkEmail
 };
@@ -0,0 +1,93 @@
+// services/emailTransport.js
+// Builds the nodemailer transport used by the outbox worker (services/emailOutboxService.js).
+// EMAIL_TRANSPORT picks one of:
+//   smtp  - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   gmail - Gmail with SENDER_EMAIL_USER / SENDER_EMAIL_PASS (app password)
+//   file  - writes each message as an .eml file to EMAIL_FILE_DIR (development)
+//   json  - writes each message as a .json file to EMAIL_FILE_DIR (development and tests)
+// When unset: smtp if SMTP_HOST is set, else gmail if the Gmail credentials are set, else file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EMAIL_TRANSPORTS = ['smtp', 'gmail', 'file', 'json'];
+const DEFAULT_EMAIL_FILE_DIR = path.join(os.tmpdir(), 'gamma-ortho-mail');
+
+const resolveTransportName = () => {
+    if (process.env.EMAIL_TRANSPORT) {
+        return process.env.EMAIL_TRANSPORT.trim().toLowerCase();
+    }
+    if (process.env.SMTP_HOST) return 'smtp';
+    if (process.env.SENDER_EMAIL_USER && process.env.SENDER_EMAIL_PASS) return 'gmail';
+    return 'file';
+};
+
+// Wraps a buffering nodemailer transport so every message also ends up as a file on disk.
+const createFileTransport = (name, transportOptions, extension) => {
+    const directory = process.env.EMAIL_FILE_DIR || DEFAULT_EMAIL_FILE_DIR;
+    fs.mkdirSync(directory, { recursive: true });
+    const transport = nodemailer.createTransport(transportOptions);
+    return {
+        name,
+        description: `${extension} files in ${directory}`,
+        sendMail: async (mailOptions) => {
+            const info = await transport.sendMail(mailOptions);
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.${extension}`;
+            await fs.promises.writeFile(path.join(directory, fileName), info.message);
+            return info;
+        }
+    };
+};
+
+/**
+ * Creates the transport selected by the environment (see the top of this file).
+ * @returns {{ name: string, description: string, sendMail: function(Object): Promise<Object> }}
+ * @throws {Error} For an unknown EMAIL_TRANSPORT or missing credentials, so a misconfigured
+ *   server fails loudly instead of dropping mail.
+ */
+const createEmailTransport = () => {
+    const name = resolveTransportName();
+    switch (name) {
+        case 'smtp': {
+            if (!process.env.SMTP_HOST) {
+                throw new Error("EMAIL_TRANSPORT is 'smtp' but SMTP_HOST is not set.");
+            }
+            const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+            const user = process.env.SMTP_USER || process.env.SENDER_EMAIL_USER;
+            const pass = process.env.SMTP_PASS || process.env.SENDER_EMAIL_PASS;
+            const transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                // Implicit TLS on 465; other ports upgrade with STARTTLS
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: user ? { user, pass } : undefined
+            });
+            return { name, description: `SMTP ${process.env.SMTP_HOST}:${port}`, sendMail: options => transport.sendMail(options) };
+        }
+        case 'gmail': {
+            if (!process.env.SENDER_EMAIL_USER || !process.env.SENDER_EMAIL_PASS) {
+                throw new Error("EMAIL_TRANSPORT is 'gmail' but SENDER_EMAIL_USER / SENDER_EMAIL_PASS are not set.");
+            }
+            const transport = nodemailer.createTransport({
+                service: 'gmail',
+                auth: {
+                    user: process.env.SENDER_EMAIL_USER,
+                    pass: process.env.SENDER_EMAIL_PASS
+                }
+            });
+            return { name, description: 'Gmail', sendMail: options => transport.sendMail(options) };
+        }
+        case 'file':
+            return createFileTransport(name, { streamTransport: true, buffer: true, newline: 'unix' }, 'eml');
+        case 'json':
+            return createFileTransport(name, { jsonTransport: true }, 'json');
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${EMAIL_TRANSPORTS.join(', ')}.`);
+    }
+};
+
+module.exports = {
+    createEmailTransport,
+    EMAIL_TRANSPORTS
+};
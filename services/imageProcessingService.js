@@ -0,0 +1,164 @@
+// services/imageProcessingService.js
+// Turns an uploaded product photo into resized WebP + JPEG variants and stores them.
+// The file type is taken from the image bytes (not the name or the browser's MIME type), the
+// photo is rotated upright from its EXIF orientation, and all metadata (EXIF, GPS, ICC) is dropped.
+const sharp = require('sharp');
+const { storeObject, deleteFile, safeBaseName } = require('./storage');
+
+// Longest side in pixels. Images smaller than a variant are never enlarged.
+const IMAGE_VARIANTS = {
+    thumb: 240,  // Cart, admin lists
+    card: 640,   // Storefront product cards
+    zoom: 1600   // Full-screen view
+};
+const ACCEPTED_INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff', 'avif'];
+const MAX_INPUT_PIXELS = 60 * 1000 * 1000; // Rejects decompression bombs; larger than any phone camera
+const WEBP_QUALITY = 80;
+const JPEG_QUALITY = 82;
+
+/**
+ * Error thrown when an upload is not a usable image. Routes map it to a 400.
+ */
+class ImageProcessingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageProcessingError';
+    }
+}
+
+/**
+ * Checks the image bytes and renders every variant in both formats.
+ * @param {Buffer} buffer - The uploaded file.
+ * @param {string} originalFilename - Only used in error messages.
+ * @returns {Promise<Object>} `{ thumb: { webp: {data, width, height}, jpeg: {...} }, card: ..., zoom: ... }`
+ * @throws {ImageProcessingError} If the file is not an image in an accepted format.
+ */
+const renderImageVariants = async (buffer, originalFilename) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw new ImageProcessingError(`"${originalFilename}" is not a readable image.`);
+    }
+    if (!ACCEPTED_INPUT_FORMATS.includes(metadata.format)) {
+        throw new ImageProcessingError(`"${originalFilename}" is a ${metadata.format || 'unknown'} file. Upload a JPEG, PNG, WebP, GIF, TIFF or AVIF image.`);
+    }
+    if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+        throw new ImageProcessingError(`"${originalFilename}" is too large (${metadata.width} x ${metadata.height} pixels).`);
+    }
+
+    const rendered = {};
+    try {
+        for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+            // rotate() applies the EXIF orientation; sharp writes no metadata unless asked to
+            const resized = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+            const [webp, jpeg] = await Promise.all([
+                resized().webp({ quality: WEBP_QUALITY }).toBuffer({ resolveWithObject: true }),
+                // JPEG has no transparency, so transparent PNG backgrounds become white
+                resized().flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true })
+            ]);
+            rendered[variant] = {
+                webp: { data: webp.data, width: webp.info.width, height: webp.info.height },
+                jpeg: { data: jpeg.data, width: jpeg.info.width, height: jpeg.info.height }
+            };
+        }
+    } catch (error) {
+        throw new ImageProcessingError(`"${originalFilename}" could not be processed: ${error.message}`);
+    }
+    return rendered;
+};
+
+/**
+ * Every stored URL of a product image, for deletion.
+ * @param {Object} image - A Product `baseImage` / `additionalImages` entry.
+ * @returns {string[]}
+ */
+const productImageUrls = (image) => {
+    if (!image) return [];
+    return Object.keys(IMAGE_VARIANTS)
+        .filter(variant => image[variant])
+        .flatMap(variant => [image[variant].webp, image[variant].jpeg])
+        .filter(Boolean);
+};
+
+/**
+ * Deletes every variant of a product image. Failures are logged, not thrown, so a missing file
+ * never blocks a product update.
+ * @param {Object} [image] - A Product `baseImage` / `additionalImages` entry.
+ * @param {string} [legacyUrl] - The plain URL of an image uploaded before variants existed.
+ */
+const deleteProductImage = async (image, legacyUrl) => {
+    const urls = productImageUrls(image);
+    if (urls.length === 0 && legacyUrl) {
+        urls.push(legacyUrl);
+    }
+    await Promise.all(urls.map(url => deleteFile(url).catch(err => console.error(`Failed to delete image ${url}:`, err.message))));
+};
+
+/**
+ * Validates, resizes and stores an uploaded product image.
+ * Keys look like `<folder><name>-<timestamp>/<variant>.<webp|jpg>`.
+ * @param {Object} file - A multer file (`buffer`, `originalname`).
+ * @param {string} destinationFolderPath - Must end with a slash.
+ * @returns {Promise<Object>} `{ thumb: { webp, jpeg, width, height }, card: ..., zoom: ... }` with public URLs.
+ * @throws {ImageProcessingError} If the file is not a usable image (nothing is stored).
+ */
+const uploadProductImage = async (file, destinationFolderPath) => {
+    const rendered = await renderImageVariants(file.buffer, file.originalname);
+    const folder = `${destinationFolderPath}${safeBaseName(file.originalname)}-${Date.now()}/`;
+
+    const image = {};
+    const storedUrls = [];
+    const store = async (key, data, contentType) => {
+        const url = await storeObject(key, data, contentType);
+        storedUrls.push(url);
+        return url;
+    };
+    try {
+        for (const [variant, formats] of Object.entries(rendered)) {
+            image[variant] = {
+                webp: await store(`${folder}${variant}.webp`, formats.webp.data, 'image/webp'),
+                jpeg: await store(`${folder}${variant}.jpg`, formats.jpeg.data, 'image/jpeg'),
+                width: formats.jpeg.width,
+                height: formats.jpeg.height
+            };
+        }
+    } catch (error) {
+        // Don't leave half an image behind
+        await Promise.all(storedUrls.map(url => deleteFile(url).catch(err => console.error(`Failed to delete image ${url}:`, err.message))));
+        throw error;
+    }
+    console.log(`${file.originalname} processed into ${Object.keys(image).join(', ')} variants under ${folder}`);
+    return image;
+};
+
+/**
+ * Uploads several images one after another (resizing is CPU-heavy). If one fails, the ones
+ * already stored are deleted again.
+ * @param {Object[]} files - Multer files.
+ * @param {string} destinationFolderPath - Must end with a slash.
+ * @returns {Promise<Object[]>} One image (see uploadProductImage) per file, in order.
+ */
+const uploadProductImages = async (files, destinationFolderPath) => {
+    const images = [];
+    try {
+        for (const file of files) {
+            images.push(await uploadProductImage(file, destinationFolderPath));
+        }
+    } catch (error) {
+        await Promise.all(images.map(image => deleteProductImage(image)));
+        throw error;
+    }
+    return images;
+};
+
+module.exports = {
+    uploadProductImage,
+    uploadProductImages,
+    deleteProductImage,
+    productImageUrls,
+    IMAGE_VARIANTS,
+    ImageProcessingError
+};
@@ -0,0 +1,96 @@
+// services/inventoryService.js
+const Product = require('../models/Product');
+
+/**
+ * Error thrown when an order asks for more units than are in stock.
+ * Routes map it to a 409.
+ */
+class InsufficientStockError extends Error {
+    constructor(productName, dimensionName) {
+        super(`Not enough stock for "${productName}" (${dimensionName}). Please reduce the quantity or choose another size.`);
+        this.name = 'InsufficientStockError';
+    }
+}
+
+/**
+ * Whether a dimension has stock tracking enabled.
+ * @param {Object} dimension - Product dimension subdocument.
+ * @returns {boolean}
+ */
+const isStockTracked = (dimension) => dimension.stockQuantity !== null && dimension.stockQuantity !== undefined;
+
+// Atomically takes `quantity` units from one dimension. Matches nothing when the
+// dimension is untracked or short of stock, so the caller can tell the two apart.
+const decrementDimensionStock = (productId, dimensionName, quantity) => Product.updateOne(
+    { _id: productId, dimensions: { $elemMatch: { dimensionName, stockQuantity: { $gte: quantity } } } },
+    { $inc: { 'dimensions.$.stockQuantity': -quantity } }
+);
+
+const incrementDimensionStock = (productId, dimensionName, quantity) => Product.updateOne(
+    { _id: productId, dimensions: { $elemMatch: { dimensionName, stockQuantity: { $ne: null } } } },
+    { $inc: { 'dimensions.$.stockQuantity': quantity } }
+);
+
+/**
+ * Reserves stock for every line of an order. Each line is decremented with a
+ * conditional update, so two orders can never take the same last unit. If any
+ * line is short, the lines already reserved are put back and the error is thrown.
+ * Sets `stockReserved` on each variant whose dimension tracks stock.
+ * @param {Array} orderItems - Priced order items (product groups with variants), e.g. `order.orderItems`.
+ * @throws {InsufficientStockError}
+ */
+const reserveStock = async (orderItems) => {
+    const reserved = [];
+    try {
+        for (const group of orderItems) {
+            for (const variant of group.variants) {
+                const result = await decrementDimensionStock(group.baseProductId, variant.dimension, variant.quantity);
+                if (result.modifiedCount === 1) {
+                    variant.stockReserved = true;
+                    reserved.push({ productId: group.baseProductId, dimensionName: variant.dimension, quantity: variant.quantity });
+                    continue;
+                }
+
+                const product = await Product.findById(group.baseProductId).select('dimensions');
+                const dimension = product && product.dimensions.find(d => d.dimensionName === variant.dimension);
+                if (dimension && !isStockTracked(dimension)) {
+                    variant.stockReserved = false;
+                    continue;
+                }
+                throw new InsufficientStockError(group.baseProductName, variant.dimension);
+            }
+        }
+    } catch (error) {
+        for (const line of reserved) {
+            await incrementDimensionStock(line.productId, line.dimensionName, line.quantity)
+                .catch(rollbackError => console.error(`Inventory: Could not roll back ${line.quantity} x ${line.dimensionName} of product ${line.productId}:`, rollbackError));
+        }
+        orderItems.forEach(group => group.variants.forEach(variant => { variant.stockReserved = false; }));
+        throw error;
+    }
+};
+
+/**
+ * Puts reserved stock back, e.g. when an order is cancelled or could not be saved.
+ * Only variants with `stockReserved` are restored.
+ * @param {Array} orderItems - Order items as stored on the order.
+ */
+const releaseStock = async (orderItems) => {
+    for (const group of orderItems) {
+        for (const variant of group.variants) {
+            if (!variant.stockReserved) continue;
+            const result = await incrementDimensionStock(group.baseProductId, variant.dimension, variant.quantity);
+            if (result.modifiedCount !== 1) {
+                // Product or dimension was deleted or stopped tracking stock since the order was placed.
+                console.warn(`Inventory: Could not restore ${variant.quantity} x "${variant.dimension}" for product ${group.baseProductId}.`);
+            }
+        }
+    }
+};
+
+module.exports = {
+    reserveStock,
+    releaseStock,
+    isStockTracked,
+    InsufficientStockError
+};
@@ -0,0 +1,379 @@
+// services/invoiceService.js
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { quotationOrderItems } = require('./pricingService');
+const { BASE_CURRENCY, minorUnitDigits, chargesGst } = require('./currencyService');
+
+const COMPANY_NAME = 'Gamma Ortho Instruments';
+const COMPANY_GSTIN = process.env.COMPANY_GSTIN || '24ABCFG6367R1ZR';
+// Orders shipped within this state are intra-state supplies (CGST + SGST); everything else is IGST.
+const COMPANY_HOME_STATE = process.env.COMPANY_HOME_STATE || 'Gujarat';
+const COMPANY_ADDRESS_LINES = [
+    'Plot No. 17, Bhumi Industrial Area - 2, Anand Liner Gate',
+    'Veraval - Shapar, Rajkot - 360 024 (Gujarat) India'
+];
+const INVOICE_NUMBER_PREFIX = 'GOI';
+const FREIGHT_SAC_CODE = '9965'; // Goods transport services
+const BUSINESS_TIME_ZONE = 'Asia/Kolkata';
+// An order is invoiced once it is confirmed; orders still waiting, or cancelled before that, never are
+const INVOICED_STATUSES = ['Confirmed', 'Processing', 'Shipped', 'Delivered'];
+
+/**
+ * Indian financial year (April to March) for a date, in IST.
+ * @param {Date} date
+ * @returns {string} e.g. "2026-27"
+ */
+const getFinancialYear = (date) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: 'numeric' }).formatToParts(date);
+    const year = Number(parts.find(p => p.type === 'year').value);
+    const month = Number(parts.find(p => p.type === 'month').value);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Formats an invoice number such as "GOI/26-27/000123" (16 characters, within the GST limit).
+ * @param {string} financialYear - e.g. "2026-27"
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatInvoiceNumber = (financialYear, sequence) => `${INVOICE_NUMBER_PREFIX}/${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+/**
+ * @param {Object} order - Order document.
+ * @returns {boolean} Whether the order has been confirmed, so it can be given an invoice number.
+ */
+const canIssueInvoice = (order) => INVOICED_STATUSES.includes(order.status)
+    || (order.statusHistory || []).some(entry => entry.status === 'Confirmed');
+
+/**
+ * Gives a saved, confirmed order the next invoice number for the current financial year, if it
+ * doesn't have one yet. The number is written by its own update straight after it is taken, never
+ * with a save that could still fail, so a rejected order can't leave a gap in the sequence.
+ * @param {Object} order - Saved Order document; its `invoice` is set in place.
+ * @returns {Promise<Object>} The same order.
+ * @throws {Error} If the order has not been confirmed (see canIssueInvoice).
+ */
+const issueInvoice = async (order) => {
+    if (order.invoice && order.invoice.number) {
+        return order;
+    }
+    if (!canIssueInvoice(order)) {
+        throw new Error(`Order ${order.customOrderId} is ${order.status}; an invoice is issued once it is confirmed.`);
+    }
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const sequence = await Counter.getNextSequence(`invoice-${financialYear}`);
+    const invoice = {
+        number: formatInvoiceNumber(financialYear, sequence),
+        financialYear,
+        issuedAt
+    };
+    // Only the first of two concurrent requests writes its number
+    const result = await Order.updateOne({ _id: order._id, 'invoice.number': null }, { $set: { invoice } });
+    if (result.modifiedCount === 0) {
+        const current = await Order.findById(order._id).select('invoice');
+        console.warn(`Invoices: Invoice number ${invoice.number} left unused; order ${order.customOrderId} was invoiced by another request.`);
+        order.invoice = current.invoice;
+        return order;
+    }
+    order.invoice = invoice;
+    return order;
+};
+
+const isIntraStateSupply = (shippingAddress) => {
+    if (!shippingAddress) return false;
+    const country = String(shippingAddress.country || '').trim().toLowerCase();
+    const state = String(shippingAddress.state || '').trim().toLowerCase();
+    return country === 'india' && state === COMPANY_HOME_STATE.toLowerCase();
+};
+
+// Minor units as a plain amount in the currency, e.g. 134400 -> "1344.00"
+const formatAmount = (amountMinor, currency = BASE_CURRENCY) => {
+    const digits = minorUnitDigits(currency);
+    return (amountMinor / 10 ** digits).toFixed(digits);
+};
+const formatRate = (rate) => `${+(rate * 100).toFixed(2)}%`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: BUSINESS_TIME_ZONE, day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Computes invoice lines and the CGST/SGST or IGST split for an order, in minor units of its
+ * currency. Freight, when charged, is the last line. A line's coupon discount
+ * (`promotionDiscountMinor`) comes off its taxable value, and its stored `taxMinor` is used so the
+ * invoice matches the order total.
+ * @param {Object} order - Order document or plain object.
+ * @returns {{isIntraState: boolean, currency: string, lines: Array, totals: Object}}
+ */
+const buildInvoiceData = (order) => {
+    const isIntraState = isIntraStateSupply(order.shippingAddress);
+    const currency = order.currency || BASE_CURRENCY;
+    const lines = [];
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, grandTotal: 0 };
+
+    const addLine = ({ description, hsnCode, quantity, unitPrice, gstRate, discount = 0, tax }) => {
+        const taxableValue = unitPrice * quantity - discount;
+        const taxAmount = tax !== undefined ? tax : Math.round(taxableValue * gstRate);
+        // Split so that CGST + SGST always equals the full tax amount
+        const cgst = isIntraState ? Math.round(taxAmount / 2) : 0;
+        const sgst = isIntraState ? taxAmount - cgst : 0;
+        const igst = isIntraState ? 0 : taxAmount;
+
+        lines.push({
+            description,
+            hsnCode: hsnCode || '',
+            quantity,
+            unitPrice,
+            gstRate,
+            taxableValue,
+            cgst,
+            sgst,
+            igst,
+            total: taxableValue + taxAmount
+        });
+
+        totals.taxableValue += taxableValue;
+        totals.cgst += cgst;
+        totals.sgst += sgst;
+        totals.igst += igst;
+    };
+
+    (order.orderItems || []).forEach(group => {
+        group.variants.forEach(variant => {
+            const discount = variant.discountPercent
+                ? ` (${formatAmount(variant.unitPriceBeforeDiscountMinor, currency)} less ${+variant.discountPercent.toFixed(2)}% discount)`
+                : '';
+            const couponDiscount = variant.promotionDiscountMinor
+                ? ` (less ${formatAmount(variant.promotionDiscountMinor, currency)} coupon discount)`
+                : '';
+            addLine({
+                description: `${group.baseProductName} - ${variant.dimension}${discount}${couponDiscount}`,
+                hsnCode: variant.hsnCode,
+                quantity: variant.quantity,
+                unitPrice: variant.unitPriceMinor,
+                gstRate: variant.gstRate,
+                discount: variant.promotionDiscountMinor || 0,
+                tax: variant.taxMinor
+            });
+        });
+    });
+    if (order.freightChargeMinor > 0) {
+        const shipping = order.shipping;
+        const freightDetails = shipping ? [
+            shipping.zoneName,
+            shipping.codChargeMinor > 0 && `incl. ${formatAmount(shipping.codChargeMinor, currency)} cash on delivery charge`
+        ].filter(Boolean).join(', ') : '';
+        addLine({
+            description: `Freight and packing${freightDetails ? ` (${freightDetails})` : ''}`,
+            hsnCode: FREIGHT_SAC_CODE,
+            quantity: 1,
+            unitPrice: order.freightChargeMinor,
+            gstRate: order.freightGstRate || 0
+        });
+    }
+
+    totals.totalTax = totals.cgst + totals.sgst + totals.igst;
+    totals.grandTotal = totals.taxableValue + totals.totalTax;
+
+    return { isIntraState, currency, lines, totals };
+};
+
+/**
+ * Renders a GST document (tax invoice or proforma) for an order-shaped object as a PDF.
+ * @param {Object} order - Customer fields, `shippingAddress`, `orderItems` and optional freight.
+ * @param {Object} layout
+ * @param {string} layout.title - e.g. "TAX INVOICE".
+ * @param {string[]} layout.referenceLines - Printed under the title (number, dates).
+ * @param {string} layout.totalLabel - Label of the grand total row.
+ * @param {string} [layout.notes] - Printed under the totals, e.g. the quotation terms.
+ * @param {string} layout.footer - Small print at the bottom.
+ * @returns {Promise<Buffer>}
+ */
+const renderGstDocumentPdf = (order, { title, referenceLines, totalLabel, notes, footer }) => {
+    return new Promise((resolve, reject) => {
+        const { isIntraState, currency, lines, totals } = buildInvoiceData(order);
+        const amount = (amountMinor) => formatAmount(amountMinor, currency);
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        // --- Header ---
+        doc.font('Helvetica-Bold').fontSize(16).text(COMPANY_NAME, left, 40);
+        doc.font('Helvetica').fontSize(9);
+        COMPANY_ADDRESS_LINES.forEach(line => doc.text(line));
+        doc.text(`GSTIN: ${COMPANY_GSTIN}`);
+        doc.font('Helvetica-Bold').fontSize(14).text(title, left, 40, { width: contentWidth, align: 'right' });
+        doc.font('Helvetica').fontSize(9);
+        referenceLines.forEach(line => doc.text(line, { width: contentWidth, align: 'right' }));
+
+        // --- Buyer ---
+        const address = order.shippingAddress || {};
+        doc.moveDown(2);
+        const buyerTop = Math.max(doc.y, 120);
+        doc.font('Helvetica-Bold').fontSize(10).text('Bill To / Ship To', left, buyerTop);
+        doc.font('Helvetica').fontSize(9)
+            .text(order.customerName)
+            .text(address.address || '')
+            .text(`${address.city || ''}, ${address.state || ''} - ${address.pincode || ''}, ${address.country || ''}`)
+            .text(`Email: ${order.customerEmail}`)
+            .text(`Buyer GSTIN: ${order.buyerGstin || 'Unregistered'}`);
+        const buyerBottom = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text('Place of Supply', left + contentWidth / 2, buyerTop, { width: contentWidth / 2, align: 'right' });
+        doc.font('Helvetica').fontSize(9).text(`${address.state || ''}${address.country ? `, ${address.country}` : ''}`, { width: contentWidth / 2, align: 'right' });
+        const supplyType = !chargesGst(currency) ? 'Export supply' : isIntraState ? 'Intra-state supply (CGST + SGST)' : 'Inter-state supply (IGST)';
+        doc.text(supplyType, { width: contentWidth / 2, align: 'right' });
+        doc.y = Math.max(doc.y, buyerBottom);
+
+        // --- Line items ---
+        const columns = isIntraState
+            ? [['#', 20, 'left'], ['Description', 150, 'left'], ['HSN', 45, 'left'], ['Qty', 30, 'right'], ['Rate', 50, 'right'], ['Taxable', 60, 'right'], ['CGST', 55, 'right'], ['SGST', 55, 'right'], ['Total', 50, 'right']]
+            : [['#', 20, 'left'], ['Description', 190, 'left'], ['HSN', 45, 'left'], ['Qty', 30, 'right'], ['Rate', 55, 'right'], ['Taxable', 65, 'right'], ['IGST', 60, 'right'], ['Total', 50, 'right']];
+        const scale = contentWidth / columns.reduce((sum, col) => sum + col[1], 0);
+
+        const drawRow = (values, { bold = false } = {}) => {
+            const rowTop = doc.y;
+            let x = left;
+            let rowBottom = rowTop;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            columns.forEach((col, index) => {
+                const width = col[1] * scale;
+                doc.text(String(values[index]), x + 2, rowTop, { width: width - 4, align: col[2] });
+                rowBottom = Math.max(rowBottom, doc.y);
+                x += width;
+            });
+            doc.moveTo(left, rowBottom + 3).lineTo(left + contentWidth, rowBottom + 3).strokeColor('#cccccc').stroke();
+            doc.y = rowBottom + 6;
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+                doc.addPage();
+            }
+        };
+
+        doc.moveDown(2);
+        doc.x = left;
+        drawRow(columns.map(col => col[0]), { bold: true });
+        lines.forEach((line, index) => {
+            const taxCells = isIntraState
+                ? [`${amount(line.cgst)}\n@${formatRate(line.gstRate / 2)}`, `${amount(line.sgst)}\n@${formatRate(line.gstRate / 2)}`]
+                : [`${amount(line.igst)}\n@${formatRate(line.gstRate)}`];
+            drawRow([index + 1, line.description, line.hsnCode, line.quantity, amount(line.unitPrice), amount(line.taxableValue), ...taxCells, amount(line.total)]);
+        });
+
+        // --- Totals ---
+        const summaryRows = [];
+        if (order.discountTotalMinor > 0) {
+            summaryRows.push(
+                ['Value Before Discount', totals.taxableValue + order.discountTotalMinor],
+                [`Coupon Discount${order.promotion ? ` (${order.promotion.code})` : ''}`, -order.discountTotalMinor]
+            );
+        }
+        summaryRows.push(['Total Taxable Value', totals.taxableValue]);
+        if (isIntraState) {
+            summaryRows.push(['CGST', totals.cgst], ['SGST', totals.sgst]);
+        } else {
+            summaryRows.push(['IGST', totals.igst]);
+        }
+        summaryRows.push([totalLabel, totals.grandTotal]);
+
+        doc.moveDown();
+        summaryRows.forEach(([label, value], index) => {
+            const isLast = index === summaryRows.length - 1;
+            const rowTop = doc.y;
+            doc.font(isLast ? 'Helvetica-Bold' : 'Helvetica').fontSize(isLast ? 10 : 9);
+            doc.text(label, left + contentWidth * 0.5, rowTop, { width: contentWidth * 0.3, align: 'right' });
+            doc.text(amount(value), left + contentWidth * 0.8, rowTop, { width: contentWidth * 0.2, align: 'right' });
+        });
+
+        if (!chargesGst(currency)) {
+            doc.moveDown();
+            doc.font('Helvetica').fontSize(8).text(`Export supply invoiced in ${currency} at ${order.exchangeRate.inrPerUnit} Rs per ${currency}; no GST charged.`, left, doc.y, { width: contentWidth });
+        }
+
+        if (notes) {
+            doc.moveDown(2);
+            doc.font('Helvetica-Bold').fontSize(9).text('Terms', left, doc.y, { width: contentWidth });
+            doc.font('Helvetica').fontSize(8).text(notes, { width: contentWidth });
+        }
+
+        doc.moveDown(3);
+        doc.font('Helvetica').fontSize(8).fillColor('#555555')
+            .text(footer, left, doc.y, { width: contentWidth, align: 'center' });
+
+        doc.end();
+    });
+};
+
+/**
+ * Renders the GST tax invoice for an order as a PDF.
+ * The order must already have an invoice number (see issueInvoice).
+ * @param {Object} order - Order document.
+ * @returns {Promise<Buffer>} The PDF file contents.
+ */
+const generateInvoicePdf = async (order) => {
+    if (!order.invoice || !order.invoice.number) {
+        throw new Error("Order has no invoice number. Call issueInvoice first.");
+    }
+    return renderGstDocumentPdf(order, {
+        title: 'TAX INVOICE',
+        referenceLines: [
+            `Invoice No: ${order.invoice.number}`,
+            `Invoice Date: ${formatDate(order.invoice.issuedAt)}`,
+            `Order No: ${order.customOrderId || order._id}`
+        ],
+        totalLabel: `Invoice Total (${order.currency && order.currency !== BASE_CURRENCY ? order.currency : 'Rs'})`,
+        footer: 'This is a computer-generated invoice and does not require a signature.'
+    });
+};
+
+/**
+ * Proforma number of the sent revision, e.g. "GOQ-2026-000012" or "GOQ-2026-000012-R2".
+ * @param {Object} quotation
+ * @returns {string}
+ */
+const formatProformaNumber = (quotation) => quotation.revision > 1 ? `${quotation.quotationNumber}-R${quotation.revision}` : quotation.quotationNumber;
+
+/**
+ * Renders the proforma invoice for a quotation at its quoted prices, discounts and freight.
+ * @param {Object} quotation - Quotation document.
+ * @param {Object} [options]
+ * @param {boolean} [options.draft] - Preview of unsent changes: marked as a draft, without a number.
+ * @returns {Promise<Buffer>} The PDF file contents.
+ */
+const generateProformaPdf = (quotation, { draft = false } = {}) => {
+    const order = {
+        customerName: quotation.customerName,
+        customerEmail: quotation.customerEmail,
+        buyerGstin: quotation.buyerGstin,
+        shippingAddress: quotation.shippingAddress,
+        currency: BASE_CURRENCY,
+        orderItems: quotationOrderItems(quotation),
+        freightChargeMinor: Math.round((quotation.freightCharge || 0) * 100),
+        freightGstRate: quotation.freightGstRate
+    };
+    return renderGstDocumentPdf(order, {
+        title: draft ? 'PROFORMA INVOICE (DRAFT)' : 'PROFORMA INVOICE',
+        referenceLines: [
+            `Proforma No: ${draft ? 'Draft' : formatProformaNumber(quotation)}`,
+            `Date: ${formatDate(draft ? new Date() : quotation.sentAt)}`,
+            `Valid Until: ${formatDate(quotation.validUntil)}`
+        ],
+        totalLabel: 'Quotation Total (Rs)',
+        notes: quotation.terms,
+        footer: 'This proforma invoice is a quotation, not a tax invoice. A tax invoice is issued when the order is confirmed.'
+    });
+};
+
+module.exports = {
+    canIssueInvoice,
+    issueInvoice,
+    buildInvoiceData,
+    generateInvoicePdf,
+    generateProformaPdf,
+    formatProformaNumber,
+    getFinancialYear,
+    formatInvoiceNumber
+};
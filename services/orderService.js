@@ -0,0 +1,192 @@
+// services/orderService.js
+// The steps every new order goes through, whether it comes from the storefront checkout
+// (routes/orderRoutes.js) or from an accepted quotation (services/quotationService.js), and
+// what the customer sees of it afterwards: public tracking and status update emails.
+const Order = require('../models/Order');
+const emailService = require('./emailService');
+const invoiceService = require('./invoiceService');
+const { reserveStock, releaseStock } = require('./inventoryService');
+const { redeemPromotion, releasePromotion } = require('./promotionService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+
+const SHIPMENT_TEXT_FIELDS = ['carrier', 'trackingNumber'];
+const SHIPMENT_DATE_FIELDS = ['dispatchedAt', 'expectedDeliveryAt'];
+const MIN_MOBILE_DIGITS = 6;
+// Public tracking lookups (POST /api/orders/track, POST /api/payments/checkout) share one per-IP
+// limit, so order numbers and contact details can't be guessed by rotating between the two routes
+const TRACKING_RATE_LIMIT = {
+    name: 'track-ip',
+    limit: 30,
+    windowMs: 60 * 60 * 1000,
+    message: 'Too many order lookups have been made from here recently.'
+};
+
+/**
+ * Reserves stock, counts the use of the order's coupon, saves the order and queues the
+ * confirmation emails. If the order cannot be saved, the reserved stock and the coupon use are
+ * given back. The order is invoiced later, when an admin confirms it (see issueConfirmationInvoice).
+ * @param {Object} order - A new, priced Order document.
+ * @returns {Promise<{savedOrder: Object, emailQueued: boolean}>} `emailQueued` is false if the
+ *   order was saved but its emails could not be queued.
+ * @throws {InsufficientStockError} If any line is short (nothing is saved or reserved).
+ * @throws {PromotionError} If the coupon's last use was taken by another order.
+ */
+const placeOrder = async (order) => {
+    // Takes the stock atomically; throws InsufficientStockError (and takes nothing) if any line is short.
+    await reserveStock(order.orderItems);
+    try {
+        await redeemPromotion(order);
+    } catch (promotionError) {
+        await releaseStock(order.orderItems).catch(releaseError => console.error("Orders: Could not release stock after a rejected coupon:", releaseError));
+        throw promotionError;
+    }
+    let savedOrder;
+    try {
+        savedOrder = await order.save();
+    } catch (saveError) {
+        await releaseStock(order.orderItems).catch(releaseError => console.error("Orders: Could not release stock after failed save:", releaseError));
+        await releasePromotion(order).catch(releaseError => console.error("Orders: Could not give back the coupon use after failed save:", releaseError));
+        throw saveError;
+    }
+    console.log("Orders: Order saved successfully:", savedOrder.customOrderId, savedOrder._id);
+
+    // The order is already persisted, so an email failure must not fail the request.
+    // Delivery problems are retried by the outbox; this only fails if the emails cannot be queued.
+    let emailQueued = true;
+    try {
+        await emailService.sendOrderConfirmationEmails(savedOrder);
+        console.log('Orders: Order emails queued successfully.');
+    } catch (emailError) {
+        emailQueued = false;
+        console.error(`Orders: Order ${savedOrder.customOrderId} saved but confirmation emails could not be queued:`, emailError);
+    }
+
+    return { savedOrder, emailQueued };
+};
+
+/**
+ * The storefront tracking page for an order, or null if FRONTEND_URL isn't set.
+ * @param {Object} order
+ * @returns {string|null}
+ */
+const orderTrackingUrl = (order) => {
+    if (!FRONTEND_URL) return null;
+    return `${FRONTEND_URL.trim().replace(/\/+$/, '')}/?track=${encodeURIComponent(order.customOrderId)}#track-order`;
+};
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+// The customer proves they placed the order with its email, or its mobile number with or
+// without the country code.
+const contactMatchesOrder = (order, contact) => {
+    const value = typeof contact === 'string' ? contact.trim() : '';
+    if (value.includes('@')) {
+        return value.toLowerCase() === order.customerEmail;
+    }
+    const digits = digitsOf(value);
+    const mobileDigits = digitsOf(order.customerMobileNumber);
+    if (digits.length < MIN_MOBILE_DIGITS || !mobileDigits) return false;
+    return digits === mobileDigits || digits === `${digitsOf(order.customerMobileCode)}${mobileDigits}`;
+};
+
+/**
+ * Finds an order for the public tracking page. Unknown order numbers and wrong contact
+ * details give the same result, so the lookup can't be used to discover orders.
+ * @param {string} orderNumber - e.g. GOI-2026-000123 (case-insensitive).
+ * @param {string} contact - The order's email address or mobile number.
+ * @returns {Promise<Object|null>} The Order document, or null.
+ */
+const findOrderForTracking = async (orderNumber, contact) => {
+    const customOrderId = typeof orderNumber === 'string' ? orderNumber.trim().toUpperCase() : '';
+    if (!customOrderId || !contact) return null;
+    const order = await Order.findOne({ customOrderId });
+    return order && contactMatchesOrder(order, contact) ? order : null;
+};
+
+/**
+ * What the public tracking page shows: status timeline, shipment and items, but no prices,
+ * contact details, street address or admin notes.
+ * @param {Object} order - Order document.
+ * @returns {Object}
+ */
+const toTrackingJSON = (order) => ({
+    orderNumber: order.customOrderId,
+    placedAt: order.createdAt,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    statusHistory: (order.statusHistory || []).map(entry => ({ status: entry.status, changedAt: entry.changedAt })),
+    shipment: order.shipment || null,
+    shipTo: { city: order.shippingAddress.city, state: order.shippingAddress.state },
+    items: order.orderItems.flatMap(group => group.variants.map(variant => ({
+        productName: group.baseProductName,
+        dimension: variant.dimension,
+        quantity: variant.quantity
+    })))
+});
+
+/**
+ * Applies the admin's shipment details. Empty values clear a field. Call `save()` afterwards;
+ * unparseable dates fail validation there.
+ * @param {Object} order - Order document.
+ * @param {Object} body - Any of `carrier`, `trackingNumber`, `dispatchedAt`, `expectedDeliveryAt`.
+ * @returns {boolean} Whether the carrier or tracking number changed.
+ */
+const applyShipmentChanges = (order, body) => {
+    if (!order.shipment) order.shipment = {};
+    const before = SHIPMENT_TEXT_FIELDS.map(field => order.shipment[field] || '').join('|');
+    [...SHIPMENT_TEXT_FIELDS, ...SHIPMENT_DATE_FIELDS].forEach(field => {
+        if (body[field] === undefined) return;
+        const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        order.shipment[field] = value === '' || value === null ? undefined : value;
+    });
+    return SHIPMENT_TEXT_FIELDS.map(field => order.shipment[field] || '').join('|') !== before;
+};
+
+/**
+ * Queues the status update email for the order's current status (with the shipment details
+ * and tracking link). Never throws: the status change is already saved.
+ * @param {Object} order - The saved Order document.
+ * @param {Object} [options]
+ * @param {boolean} [options.shipmentUpdated] - The shipment details changed, not the status.
+ * @param {Buffer} [options.invoicePdf] - Tax invoice to attach (on confirmation).
+ * @returns {Promise<boolean>} Whether the email was queued.
+ */
+const sendStatusUpdate = async (order, { shipmentUpdated = false, invoicePdf } = {}) => {
+    try {
+        await emailService.sendOrderStatusEmail(order, { trackingUrl: orderTrackingUrl(order), shipmentUpdated, invoicePdf });
+        return true;
+    } catch (emailError) {
+        console.error(`Orders: Status update email for order ${order.customOrderId} could not be queued:`, emailError);
+        return false;
+    }
+};
+
+/**
+ * Issues the tax invoice of an order an admin has just confirmed (and saved) and renders it for
+ * the status update email. A failure is logged and doesn't undo the confirmation; the invoice is
+ * then issued when it is first downloaded from the admin panel.
+ * @param {Object} order - Saved Order document, status 'Confirmed'.
+ * @returns {Promise<Buffer|null>} The invoice PDF, or null if it could not be issued or rendered.
+ */
+const issueConfirmationInvoice = async (order) => {
+    try {
+        await invoiceService.issueInvoice(order);
+        console.log(`Orders: Issued invoice ${order.invoice.number} for order ${order.customOrderId}`);
+        return await invoiceService.generateInvoicePdf(order);
+    } catch (invoiceError) {
+        console.error(`Orders: Could not issue the invoice for confirmed order ${order.customOrderId}:`, invoiceError);
+        return null;
+    }
+};
+
+module.exports = {
+    placeOrder,
+    issueConfirmationInvoice,
+    findOrderForTracking,
+    TRACKING_RATE_LIMIT,
+    toTrackingJSON,
+    applyShipmentChanges,
+    sendStatusUpdate,
+    orderTrackingUrl
+};
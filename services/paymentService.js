@@ -0,0 +1,297 @@
+// services/paymentService.js
+// Online payments for saved orders: starting a gateway checkout, applying the gateway's webhooks
+// to the order's paymentStatus, and refunds. Every webhook is applied with a conditional, atomic
+// update, so a redelivered or out-of-order webhook never counts a payment or refund twice.
+// The gateway itself is chosen in services/payments/index.js.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getPaymentGateway } = require('./payments');
+const { formatMoney } = require('./currencyService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+
+/**
+ * Error thrown when online payment is switched off or misconfigured. Routes map it to a 503.
+ */
+class PaymentUnavailableError extends Error {
+    constructor(message = 'Online payment is not available right now.') {
+        super(message);
+        this.name = 'PaymentUnavailableError';
+    }
+}
+
+/**
+ * Error thrown when the order or payment is in the wrong state (already paid, nothing left to
+ * refund, ...). Routes map it to a 409.
+ */
+class PaymentStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentStateError';
+    }
+}
+
+// Where the gateway sends the customer back to; the storefront shows the payment result there.
+const paymentReturnUrl = (paymentId) => {
+    if (!FRONTEND_URL) return null;
+    return `${FRONTEND_URL.trim().replace(/\/+$/, '')}/?payment=${encodeURIComponent(paymentId)}#track-order`;
+};
+
+/**
+ * Whether the customer can pay this order online now.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const isOrderPayableOnline = (order) => !!getPaymentGateway() && !!FRONTEND_URL
+    && ['Pending', 'Failed'].includes(order.paymentStatus)
+    && !['Cancelled', 'Refunded'].includes(order.status);
+
+// Records a payment event on the order: paymentStatus (optionally only from certain statuses) and
+// an admin note. Bumps the version so an admin editing a stale copy gets a VersionError.
+const updateOrderPayment = (orderId, { paymentStatus, onlyFrom, paymentMethod, note }) => {
+    const filter = { _id: orderId };
+    if (onlyFrom) filter.paymentStatus = { $in: onlyFrom };
+    const update = { $push: { adminNotes: { note, author: 'system' } }, $inc: { __v: 1 } };
+    if (paymentStatus || paymentMethod) {
+        update.$set = {};
+        if (paymentStatus) update.$set.paymentStatus = paymentStatus;
+        if (paymentMethod) update.$set.paymentMethod = paymentMethod;
+    }
+    return Order.findOneAndUpdate(filter, update);
+};
+
+/**
+ * Starts a gateway checkout for an order.
+ * @param {Object} order - Order document.
+ * @param {Object} options
+ * @param {string} options.backendUrl - This server's base URL (the mock gateway's checkout page lives here).
+ * @returns {Promise<{payment: Object, checkoutUrl: string}>}
+ * @throws {PaymentUnavailableError|PaymentStateError}
+ */
+const startCheckout = async (order, { backendUrl }) => {
+    const gateway = getPaymentGateway();
+    if (!gateway || !FRONTEND_URL) {
+        throw new PaymentUnavailableError();
+    }
+    if (!isOrderPayableOnline(order)) {
+        throw new PaymentStateError(['Cancelled', 'Refunded'].includes(order.status)
+            ? 'This order has been cancelled.'
+            : `This order cannot be paid online (payment status: ${order.paymentStatus}).`);
+    }
+    const amountMinor = order.totalMinor;
+    if (!Number.isInteger(amountMinor) || amountMinor <= 0) {
+        throw new PaymentStateError('This order has no amount to pay.');
+    }
+
+    const paymentId = new mongoose.Types.ObjectId();
+    const { gatewayReference, checkoutUrl } = await gateway.createCheckout({
+        paymentId: paymentId.toString(),
+        amountMinor,
+        currency: order.currency,
+        order,
+        returnUrl: paymentReturnUrl(paymentId.toString()),
+        backendUrl
+    });
+    const payment = await Payment.create({
+        _id: paymentId,
+        order: order._id,
+        orderNumber: order.customOrderId,
+        gateway: gateway.name,
+        gatewayReference,
+        amountMinor,
+        currency: order.currency
+    });
+    console.log(`Payments: Started ${gateway.name} checkout ${gatewayReference} for order ${order.customOrderId} (${formatMoney(amountMinor, order.currency)})`);
+    return { payment, checkoutUrl };
+};
+
+const markPaid = async (gateway, event) => {
+    const payment = await Payment.findOneAndUpdate(
+        { gateway: gateway.name, gatewayReference: event.gatewayReference, status: { $in: ['created', 'failed'] }, processedEventIds: { $ne: event.eventId } },
+        { $set: { status: 'paid', gatewayPaymentId: event.gatewayPaymentId, paidAt: new Date() }, $unset: { failureReason: 1 }, $push: { processedEventIds: event.eventId } },
+        { new: true }
+    );
+    if (!payment) return false;
+
+    const amountNote = event.amountMinor && event.amountMinor !== payment.amountMinor
+        ? ` WARNING: the gateway reported ${formatMoney(event.amountMinor, payment.currency)}, expected ${formatMoney(payment.amountMinor, payment.currency)}.`
+        : '';
+    const previousOrder = await updateOrderPayment(payment.order, {
+        paymentStatus: 'Paid',
+        paymentMethod: `Online (${gateway.name})`,
+        note: `Online payment of ${formatMoney(payment.amountMinor, payment.currency)} received (${gateway.name} payment ${event.gatewayPaymentId}).${amountNote}`
+    });
+    if (previousOrder && previousOrder.paymentStatus === 'Paid') {
+        console.warn(`Payments: Order ${payment.orderNumber} was paid twice; refund one of its payments.`);
+        await updateOrderPayment(payment.order, { note: 'This order was already paid. Refund one of its online payments.' });
+    }
+    console.log(`Payments: Order ${payment.orderNumber} paid online (${gateway.name} ${event.gatewayPaymentId})`);
+    return true;
+};
+
+const markFailed = async (gateway, event) => {
+    const payment = await Payment.findOneAndUpdate(
+        { gateway: gateway.name, gatewayReference: event.gatewayReference, status: 'created', processedEventIds: { $ne: event.eventId } },
+        { $set: { status: 'failed', failureReason: event.reason || 'Payment failed' }, $push: { processedEventIds: event.eventId } },
+        { new: true }
+    );
+    if (!payment) return false;
+
+    await updateOrderPayment(payment.order, {
+        paymentStatus: 'Failed',
+        onlyFrom: ['Pending'],
+        note: `Online payment attempt failed: ${payment.failureReason}.`
+    });
+    console.log(`Payments: Online payment for order ${payment.orderNumber} failed: ${payment.failureReason}`);
+    return true;
+};
+
+/**
+ * Settles a refund (from the refund API's answer or a webhook). A refund made in the gateway's
+ * dashboard, unknown to us, is added first. Settling only applies to a pending refund, so
+ * repeats are ignored.
+ * @returns {Promise<boolean>} Whether anything changed.
+ */
+const settleRefund = async (gateway, { gatewayPaymentId, gatewayRefundId, amountMinor, succeeded }) => {
+    if (gatewayPaymentId && amountMinor) {
+        await Payment.updateOne(
+            { gateway: gateway.name, gatewayPaymentId, 'refunds.gatewayRefundId': { $ne: gatewayRefundId } },
+            { $push: { refunds: { gatewayRefundId, amountMinor, requestedBy: 'gateway' } }, $inc: { refundRequestedMinor: amountMinor } }
+        );
+    }
+
+    const pendingRefund = { $elemMatch: { gatewayRefundId, status: 'pending' } };
+    const payment = await Payment.findOne({ gateway: gateway.name, refunds: pendingRefund });
+    const refund = payment && payment.refunds.find(entry => entry.gatewayRefundId === gatewayRefundId);
+    if (!refund) return false;
+
+    const update = succeeded
+        ? { $set: { 'refunds.$.status': 'succeeded', 'refunds.$.settledAt': new Date() }, $inc: { refundedMinor: refund.amountMinor } }
+        : { $set: { 'refunds.$.status': 'failed', 'refunds.$.settledAt': new Date() }, $inc: { refundRequestedMinor: -refund.amountMinor } };
+    const settled = await Payment.findOneAndUpdate({ _id: payment._id, refunds: pendingRefund }, update, { new: true });
+    if (!settled) return false;
+
+    if (!succeeded) {
+        await updateOrderPayment(settled.order, { note: `Refund ${gatewayRefundId} of ${formatMoney(refund.amountMinor, settled.currency)} failed at ${gateway.name}.` });
+        console.warn(`Payments: Refund ${gatewayRefundId} for order ${settled.orderNumber} failed`);
+        return true;
+    }
+
+    const fullyRefunded = settled.refundedMinor >= settled.amountMinor;
+    await Payment.updateOne({ _id: settled._id }, { $set: { status: fullyRefunded ? 'refunded' : 'partially_refunded' } });
+    // The order only counts as refunded once no other payment for it is still held
+    const stillPaid = fullyRefunded && await Payment.exists({ order: settled.order, status: { $in: ['paid', 'partially_refunded'] }, _id: { $ne: settled._id } });
+    await updateOrderPayment(settled.order, {
+        paymentStatus: fullyRefunded && !stillPaid ? 'Refunded' : undefined,
+        note: `Refund of ${formatMoney(refund.amountMinor, settled.currency)} completed (${gateway.name} refund ${gatewayRefundId}).`
+    });
+    console.log(`Payments: Refund ${gatewayRefundId} of ${formatMoney(refund.amountMinor, settled.currency)} for order ${settled.orderNumber} completed`);
+    return true;
+};
+
+/**
+ * Verifies and applies a gateway webhook.
+ * @param {string} gatewayName - From the webhook URL; must be the configured gateway.
+ * @param {Buffer} rawBody - The request body exactly as received (the signature covers it).
+ * @param {Object} headers - Request headers.
+ * @returns {Promise<{type: string, applied: boolean}>} `applied` is false for duplicates and
+ *   events that don't change anything.
+ * @throws {PaymentUnavailableError} For a gateway that isn't configured.
+ * @throws {WebhookSignatureError} For a bad signature.
+ */
+const handleWebhook = async (gatewayName, rawBody, headers) => {
+    const gateway = getPaymentGateway();
+    if (!gateway || gateway.name !== gatewayName) {
+        throw new PaymentUnavailableError(`Payment gateway "${gatewayName}" is not configured.`);
+    }
+    const event = gateway.parseWebhook(rawBody, headers);
+
+    let applied = false;
+    if (event.type === 'payment.succeeded') {
+        applied = await markPaid(gateway, event);
+    } else if (event.type === 'payment.failed') {
+        applied = await markFailed(gateway, event);
+    } else if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+        applied = await settleRefund(gateway, { ...event, succeeded: event.type === 'refund.succeeded' });
+    }
+    return { type: event.type, applied };
+};
+
+/**
+ * Refunds all or part of a payment through its gateway.
+ * @param {Object} payment - Payment document (status 'paid' or 'partially_refunded').
+ * @param {Object} options
+ * @param {number} [options.amountMinor] - In minor units of the payment's currency; defaults to everything not yet refunded.
+ * @param {string} [options.note]
+ * @param {string} options.requestedBy - Admin email.
+ * @returns {Promise<Object>} The updated Payment document.
+ * @throws {PaymentUnavailableError|PaymentStateError}
+ */
+const refundPayment = async (payment, { amountMinor, note, requestedBy }) => {
+    const gateway = getPaymentGateway();
+    if (!gateway || gateway.name !== payment.gateway) {
+        throw new PaymentUnavailableError(`Refunds through ${payment.gateway} are not available right now.`);
+    }
+    const amount = amountMinor === undefined ? payment.amountMinor - payment.refundRequestedMinor : amountMinor;
+    if (!Number.isInteger(amount) || amount <= 0) {
+        throw new PaymentStateError('There is nothing left to refund on this payment.');
+    }
+
+    // Reserve the amount first, so two refunds at once can't exceed the payment
+    const reserved = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['paid', 'partially_refunded'] }, $expr: { $lte: [{ $add: ['$refundRequestedMinor', amount] }, '$amountMinor'] } },
+        { $inc: { refundRequestedMinor: amount } },
+        { new: true }
+    );
+    if (!reserved) {
+        throw new PaymentStateError(`Cannot refund ${formatMoney(amount, payment.currency)}: only ${formatMoney(Math.max(payment.amountMinor - payment.refundRequestedMinor, 0), payment.currency)} of this payment is left to refund.`);
+    }
+
+    let result;
+    try {
+        result = await gateway.refund({ gatewayPaymentId: payment.gatewayPaymentId, amountMinor: amount, paymentId: payment._id.toString(), note });
+    } catch (gatewayError) {
+        await Payment.updateOne({ _id: payment._id }, { $inc: { refundRequestedMinor: -amount } });
+        throw gatewayError;
+    }
+    const recorded = await Payment.updateOne({ _id: payment._id, 'refunds.gatewayRefundId': { $ne: result.gatewayRefundId } }, {
+        $push: { refunds: { gatewayRefundId: result.gatewayRefundId, amountMinor: amount, requestedBy, note } }
+    });
+    if (recorded.modifiedCount === 0) {
+        // Its webhook arrived first and already added (and reserved) the refund
+        await Payment.updateOne({ _id: payment._id }, { $inc: { refundRequestedMinor: -amount } });
+    }
+    console.log(`Payments: ${requestedBy} requested refund ${result.gatewayRefundId} of ${formatMoney(amount, payment.currency)} for order ${payment.orderNumber}`);
+
+    if (result.status !== 'pending') {
+        await settleRefund(gateway, { gatewayRefundId: result.gatewayRefundId, succeeded: result.status === 'succeeded' });
+    } else {
+        await updateOrderPayment(payment.order, { note: `Refund of ${formatMoney(amount, payment.currency)} requested by ${requestedBy}${note ? `: ${note}` : ''}. Waiting for ${gateway.name} to confirm it.` });
+    }
+    return Payment.findById(payment._id);
+};
+
+/**
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} The Payment document, or null for an unknown or malformed id.
+ */
+const findPayment = (paymentId) => (mongoose.Types.ObjectId.isValid(paymentId) ? Payment.findById(paymentId) : Promise.resolve(null));
+
+/**
+ * @param {Object} order
+ * @returns {Promise<Object[]>} The order's payment attempts, newest first.
+ */
+const paymentsForOrder = (order) => Payment.find({ order: order._id }).sort({ createdAt: -1 });
+
+module.exports = {
+    startCheckout,
+    handleWebhook,
+    refundPayment,
+    findPayment,
+    paymentsForOrder,
+    paymentReturnUrl,
+    isOrderPayableOnline,
+    PaymentUnavailableError,
+    PaymentStateError
+};
@@ -0,0 +1,51 @@
+// services/payments/index.js
+// Online payment gateways. PAYMENT_GATEWAY picks one of:
+//   razorpay - Razorpay Payment Links (services/payments/razorpayGateway.js)
+//   mock     - a local stand-in for development and tests (services/payments/mockGateway.js)
+// When unset, online payment is off and orders are paid offline as before.
+//
+// A gateway is an object with `name`, `description` and:
+//   createCheckout({ paymentId, amountMinor, currency, order, returnUrl, backendUrl })
+//       -> { gatewayReference, checkoutUrl }  (the customer is redirected to checkoutUrl)
+//   parseWebhook(rawBody, headers)
+//       -> { eventId, type, gatewayReference, gatewayPaymentId, gatewayRefundId, amountMinor, reason }
+//       where type is 'payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'
+//       or 'ignored'; throws WebhookSignatureError for a bad signature
+//   refund({ gatewayPaymentId, amountMinor, paymentId, note })
+//       -> { gatewayRefundId, status: 'pending' | 'succeeded' | 'failed' }
+const PAYMENT_GATEWAYS = {
+    razorpay: () => require('./razorpayGateway').createRazorpayGateway(),
+    mock: () => require('./mockGateway').createMockGateway()
+};
+
+console.log("--- services/payments: Initializing payment gateway ---");
+
+// A misconfigured gateway leaves the server running with online payment unavailable (503).
+let gateway = null;
+const configuredName = (process.env.PAYMENT_GATEWAY || '').trim().toLowerCase();
+if (!configuredName) {
+    console.log("Payments: PAYMENT_GATEWAY is not set. Online payment is disabled.");
+} else {
+    try {
+        if (!PAYMENT_GATEWAYS[configuredName]) {
+            throw new Error(`Unknown PAYMENT_GATEWAY "${configuredName}". Use one of: ${Object.keys(PAYMENT_GATEWAYS).join(', ')}.`);
+        }
+        gateway = PAYMENT_GATEWAYS[configuredName]();
+        console.log(`Payments: Using ${gateway.description}.`);
+        if (gateway.name === 'mock' && process.env.NODE_ENV === 'production') {
+            console.warn("Payments: WARNING - the mock gateway accepts payments without charging anyone. Set PAYMENT_GATEWAY.");
+        }
+    } catch (error) {
+        console.error("FATAL ERROR during payment gateway initialization:", error.message);
+        console.error("Online payment will be unavailable until the gateway is configured.");
+    }
+}
+
+/**
+ * @returns {Object|null} The configured gateway, or null when online payment is off.
+ */
+const getPaymentGateway = () => gateway;
+
+module.exports = {
+    getPaymentGateway
+};
@@ -0,0 +1,53 @@
+// services/payments/mockGateway.js
+// A stand-in gateway for development and tests: the "checkout" is a page served by this backend
+// (routes/paymentRoutes.js) where you choose whether the payment succeeds. Its webhooks are signed
+// and posted to /api/payments/webhooks/mock like a real gateway's, so the whole flow runs offline.
+// Refunds succeed immediately.
+const crypto = require('crypto');
+const { signBody, verifySignature } = require('./signature');
+
+const MOCK_CHECKOUT_PATH = '/api/payments/mock/checkout';
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(9).toString('base64url')}`;
+
+/**
+ * @returns {Object} Payment gateway (see services/payments/index.js), plus `signWebhook(event)`
+ *   for the mock checkout page.
+ */
+const createMockGateway = () => {
+    // Without a configured secret, webhooks only verify within this process (which is all the mock needs)
+    const webhookSecret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+    return {
+        name: 'mock',
+        description: 'mock gateway (no real payments)',
+
+        createCheckout: async ({ backendUrl }) => {
+            const gatewayReference = randomId('mock_pay');
+            return { gatewayReference, checkoutUrl: `${backendUrl}${MOCK_CHECKOUT_PATH}/${gatewayReference}` };
+        },
+
+        parseWebhook: (rawBody, headers) => {
+            verifySignature(webhookSecret, rawBody, headers[MOCK_SIGNATURE_HEADER]);
+            const event = JSON.parse(rawBody.toString('utf8'));
+            return { ...event, eventId: event.id };
+        },
+
+        refund: async () => ({ gatewayRefundId: randomId('mock_rfnd'), status: 'succeeded' }),
+
+        /**
+         * Builds a signed webhook request for a normalized event.
+         * @param {Object} event - `{ type, gatewayReference, gatewayPaymentId, amountMinor, reason }`
+         * @returns {{ body: string, headers: Object }}
+         */
+        signWebhook: (event) => {
+            const body = JSON.stringify({ id: randomId('mock_evt'), ...event });
+            return { body, headers: { 'Content-Type': 'application/json', [MOCK_SIGNATURE_HEADER]: signBody(webhookSecret, body) } };
+        },
+
+        newPaymentId: () => randomId('mock_txn')
+    };
+};
+
+module.exports = { createMockGateway, MOCK_CHECKOUT_PATH };
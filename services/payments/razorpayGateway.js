@@ -0,0 +1,112 @@
+// services/payments/razorpayGateway.js
+// Razorpay, through its REST API. Checkout uses Payment Links: the customer is redirected to
+// Razorpay's hosted page and back to the storefront. In the Razorpay dashboard, point a webhook
+// at /api/payments/webhooks/razorpay with the events payment_link.paid, payment_link.expired,
+// payment_link.cancelled, refund.processed and refund.failed.
+const { verifySignature } = require('./signature');
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * @returns {Object} Payment gateway (see services/payments/index.js).
+ * @throws {Error} If the key id, key secret or webhook secret is not set.
+ */
+const createRazorpayGateway = () => {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!keyId || !keySecret || !webhookSecret) {
+        throw new Error("RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must all be set to use Razorpay.");
+    }
+    const authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+    const callApi = async (path, body) => {
+        const response = await fetch(`${RAZORPAY_API_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Authorization': authorization, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const description = result.error && result.error.description;
+            throw new Error(`Razorpay ${path} failed (${response.status})${description ? `: ${description}` : ''}`);
+        }
+        return result;
+    };
+
+    return {
+        name: 'razorpay',
+        description: `Razorpay (key ${keyId})`,
+
+        createCheckout: async ({ paymentId, amountMinor, currency, order, returnUrl }) => {
+            const link = await callApi('/payment_links', {
+                amount: amountMinor,
+                currency,
+                reference_id: paymentId,
+                description: `Order ${order.customOrderId}`,
+                customer: {
+                    name: order.customerName,
+                    email: order.customerEmail,
+                    contact: `${order.customerMobileCode || ''}${order.customerMobileNumber || ''}`.replace(/[^\d+]/g, '')
+                },
+                notify: { sms: false, email: false },
+                callback_url: returnUrl,
+                callback_method: 'get',
+                notes: { paymentId, orderNumber: order.customOrderId }
+            });
+            return { gatewayReference: link.id, checkoutUrl: link.short_url };
+        },
+
+        // Razorpay signs the raw body and sends a unique id per event (repeated on redelivery).
+        parseWebhook: (rawBody, headers) => {
+            verifySignature(webhookSecret, rawBody, headers['x-razorpay-signature']);
+            const body = JSON.parse(rawBody.toString('utf8'));
+            const eventId = headers['x-razorpay-event-id'] || `${body.event}:${body.created_at}:${body.account_id}`;
+            const payload = body.payload || {};
+            const entity = (name) => (payload[name] && payload[name].entity) || {};
+
+            switch (body.event) {
+                case 'payment_link.paid':
+                    return {
+                        eventId,
+                        type: 'payment.succeeded',
+                        gatewayReference: entity('payment_link').id,
+                        gatewayPaymentId: entity('payment').id,
+                        amountMinor: entity('payment').amount
+                    };
+                case 'payment_link.expired':
+                case 'payment_link.cancelled':
+                    return {
+                        eventId,
+                        type: 'payment.failed',
+                        gatewayReference: entity('payment_link').id,
+                        reason: body.event === 'payment_link.expired' ? 'Payment link expired' : 'Payment link cancelled'
+                    };
+                case 'refund.processed':
+                case 'refund.failed':
+                    return {
+                        eventId,
+                        type: body.event === 'refund.processed' ? 'refund.succeeded' : 'refund.failed',
+                        gatewayPaymentId: entity('refund').payment_id,
+                        gatewayRefundId: entity('refund').id,
+                        amountMinor: entity('refund').amount
+                    };
+                default:
+                    return { eventId, type: 'ignored', gatewayEvent: body.event };
+            }
+        },
+
+        refund: async ({ gatewayPaymentId, amountMinor, paymentId, note }) => {
+            const refund = await callApi(`/payments/${encodeURIComponent(gatewayPaymentId)}/refund`, {
+                amount: amountMinor,
+                notes: { paymentId, note: note || '' }
+            });
+            return {
+                gatewayRefundId: refund.id,
+                status: refund.status === 'processed' ? 'succeeded' : refund.status === 'failed' ? 'failed' : 'pending'
+            };
+        }
+    };
+};
+
+module.exports = { createRazorpayGateway };
@@ -0,0 +1,41 @@
+// services/payments/signature.js
+// HMAC-SHA256 webhook signatures, as used by Razorpay and the mock gateway.
+const crypto = require('crypto');
+
+/**
+ * Error thrown when a webhook's signature is missing or wrong. The webhook route answers 400.
+ */
+class WebhookSignatureError extends Error {
+    constructor(message = 'Invalid webhook signature.') {
+        super(message);
+        this.name = 'WebhookSignatureError';
+    }
+}
+
+/**
+ * @param {string} secret
+ * @param {Buffer|string} rawBody - The request body exactly as received.
+ * @returns {string} Hex HMAC-SHA256 of the body.
+ */
+const signBody = (secret, rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+/**
+ * Checks a hex signature against the body in constant time.
+ * @param {string} secret
+ * @param {Buffer|string} rawBody
+ * @param {string} signature - From the webhook's signature header.
+ * @throws {WebhookSignatureError}
+ */
+const verifySignature = (secret, rawBody, signature) => {
+    const expected = Buffer.from(signBody(secret, rawBody), 'hex');
+    const received = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        throw new WebhookSignatureError();
+    }
+};
+
+module.exports = {
+    signBody,
+    verifySignature,
+    WebhookSignatureError
+};
@@ -0,0 +1,293 @@
+// services/pricingService.js
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { RETAIL_PRICE_LIST } = require('../models/PriceList');
+const { baseCurrency, toMinor, chargesGst } = require('./currencyService');
+const { dimensionShippingWeightKg } = require('./shippingService');
+
+/**
+ * Error thrown when submitted order items cannot be priced (unknown product,
+ * inactive product, unknown dimension, bad quantity). Routes map it to a 400.
+ */
+class OrderPricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderPricingError';
+    }
+}
+
+// Round to paise; for the rupee amounts of the catalogue and quotations.
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The price list a customer buys on: the one an admin assigned, or retail for guests.
+ * @param {Object} [customer] - Customer document.
+ * @returns {string} Price list slug.
+ */
+const priceListForCustomer = (customer) => (customer && customer.priceList) || RETAIL_PRICE_LIST;
+
+// The tier of one price list that applies to a quantity (the highest minQuantity reached), if any
+const applicableTier = (dimension, priceList, quantity) => (dimension.priceTiers || [])
+    .filter(tier => tier.priceList === priceList && tier.minQuantity <= quantity)
+    .reduce((best, tier) => (!best || tier.minQuantity > best.minQuantity ? tier : best), null);
+
+/**
+ * Unit price (before GST) of a product dimension for a quantity on a price list: that list's tier
+ * for the quantity, else the retail tier, else the dimension's basePrice.
+ * @param {Object} dimension - Product dimension.
+ * @param {number} quantity - Units of this dimension in the cart or order.
+ * @param {string} [priceList] - Price list slug (default retail).
+ * @returns {{unitPrice: number, minQuantity: number|null}} `minQuantity` of the tier used; null for basePrice.
+ */
+const dimensionUnitPrice = (dimension, quantity, priceList = RETAIL_PRICE_LIST) => {
+    const tier = (priceList !== RETAIL_PRICE_LIST && applicableTier(dimension, priceList, quantity))
+        || applicableTier(dimension, RETAIL_PRICE_LIST, quantity);
+    return tier
+        ? { unitPrice: roundCurrency(tier.unitPrice), minQuantity: tier.minQuantity }
+        : { unitPrice: roundCurrency(dimension.basePrice), minQuantity: null };
+};
+
+/**
+ * A dimension's unit prices on a price list for display: the price from one unit, then each
+ * quantity at which it changes.
+ * @param {Object} dimension - Product dimension.
+ * @param {string} [priceList] - Price list slug (default retail).
+ * @returns {Array<{minQuantity: number, unitPrice: number}>} Starts at `minQuantity` 1.
+ */
+const dimensionPriceSchedule = (dimension, priceList = RETAIL_PRICE_LIST) => {
+    const breakpoints = new Set([1]);
+    (dimension.priceTiers || []).forEach(tier => {
+        if (tier.priceList === priceList || tier.priceList === RETAIL_PRICE_LIST) breakpoints.add(tier.minQuantity);
+    });
+    const schedule = [];
+    [...breakpoints].sort((a, b) => a - b).forEach(minQuantity => {
+        const { unitPrice } = dimensionUnitPrice(dimension, minQuantity, priceList);
+        if (schedule.length === 0 || schedule[schedule.length - 1].unitPrice !== unitPrice) {
+            schedule.push({ minQuantity, unitPrice });
+        }
+    });
+    return schedule;
+};
+
+/**
+ * Sets each line's `taxMinor` (GST on the line after its coupon discount, rounded per line as on
+ * the tax invoice) and adds up the lines.
+ * @param {Array} orderItems - Product groups whose variants have `unitPriceMinor`, `quantity`,
+ *   `gstRate` and optional `promotionDiscountMinor`. Changed in place.
+ * @returns {{subtotalMinor: number, discountTotalMinor: number, taxTotalMinor: number, totalMinor: number}}
+ */
+const totalOrderItems = (orderItems) => {
+    let subtotalMinor = 0;
+    let discountTotalMinor = 0;
+    let taxTotalMinor = 0;
+    orderItems.forEach(group => group.variants.forEach(variant => {
+        const lineMinor = variant.unitPriceMinor * variant.quantity;
+        const discountMinor = variant.promotionDiscountMinor || 0;
+        variant.taxMinor = Math.round((lineMinor - discountMinor) * variant.gstRate);
+        subtotalMinor += lineMinor;
+        discountTotalMinor += discountMinor;
+        taxTotalMinor += variant.taxMinor;
+    }));
+    return { subtotalMinor, discountTotalMinor, taxTotalMinor, totalMinor: subtotalMinor - discountTotalMinor + taxTotalMinor };
+};
+
+/**
+ * Re-prices the items posted by the storefront against the Product collection.
+ * Client-supplied prices, GST rates and totals are ignored; only product IDs,
+ * dimension names and quantities are trusted. Each dimension is priced on the customer's
+ * price list at its total quantity in the order, then converted to the order's currency.
+ * @param {Array} requestedItems - The `orderItems` array from the request body (product groups with variants).
+ * @param {Object} [options]
+ * @param {string} [options.priceList] - Price list slug (default retail; see priceListForCustomer).
+ * @param {Object} [options.currency] - From currencyService.resolveCurrency (default INR). GST
+ *   is only charged in INR.
+ * @returns {Promise<Object>} `{ currency, exchangeRate: { inrPerUnit, asOf }, orderItems,
+ *   subtotalMinor, discountTotalMinor, taxTotalMinor, totalMinor }`, amounts in minor units of the currency.
+ */
+const priceOrderItems = async (requestedItems, { priceList = RETAIL_PRICE_LIST, currency = baseCurrency() } = {}) => {
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+        throw new OrderPricingError('Order must contain at least one item.');
+    }
+
+    const productIds = requestedItems.map(group => group && group.baseProductId);
+    if (productIds.some(id => !id || !mongoose.Types.ObjectId.isValid(id))) {
+        throw new OrderPricingError('Order contains an invalid product reference.');
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+    const orderItems = [];
+
+    for (const group of requestedItems) {
+        const product = productsById.get(String(group.baseProductId));
+        if (!product) {
+            throw new OrderPricingError(`Product ${group.baseProductId} was not found.`);
+        }
+        if (!product.isActive) {
+            throw new OrderPricingError(`"${product.name}" is no longer available.`);
+        }
+        if (!Array.isArray(group.variants) || group.variants.length === 0) {
+            throw new OrderPricingError(`No dimensions selected for "${product.name}".`);
+        }
+
+        const variantsByDimension = new Map();
+        for (const requestedVariant of group.variants) {
+            const dimensionName = requestedVariant && typeof requestedVariant.dimension === 'string' ? requestedVariant.dimension.trim() : '';
+            const dimension = product.dimensions.find(d => d.dimensionName === dimensionName);
+            if (!dimension) {
+                throw new OrderPricingError(`Dimension "${dimensionName}" is not available for "${product.name}".`);
+            }
+            const quantity = Number(requestedVariant.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new OrderPricingError(`Invalid quantity for "${product.name}" (${dimensionName}).`);
+            }
+
+            // Merge duplicate lines for the same dimension; the tier depends on the total.
+            const existing = variantsByDimension.get(dimensionName);
+            if (existing) {
+                existing.quantity += quantity;
+                continue;
+            }
+            variantsByDimension.set(dimensionName, { dimension, quantity });
+        }
+
+        const variants = Array.from(variantsByDimension.values()).map(({ dimension, quantity }) => {
+            const { unitPrice, minQuantity } = dimensionUnitPrice(dimension, quantity, priceList);
+            return {
+                variantId: `${product._id}-${dimension.dimensionName.replace(/\s+/g, '-')}`,
+                dimension: dimension.dimensionName,
+                quantity: quantity,
+                unitPriceMinor: toMinor(unitPrice, currency),
+                gstRate: chargesGst(currency.code) ? product.gstRate : 0,
+                hsnCode: product.hsnCode,
+                priceTierMinQuantity: minQuantity || undefined,
+                shippingWeightKg: dimensionShippingWeightKg(dimension)
+            };
+        });
+
+        orderItems.push({
+            baseProductId: product._id.toString(),
+            baseProductName: product.name,
+            variants: variants
+        });
+    }
+
+    return {
+        currency: currency.code,
+        exchangeRate: { inrPerUnit: currency.inrPerUnit, asOf: currency.asOf },
+        orderItems,
+        ...totalOrderItems(orderItems)
+    };
+};
+
+/**
+ * Prices a quotation at its quoted prices (not the catalogue). Works on a Quotation document or
+ * a plain object with the same fields. Amounts are rounded per line, as on the tax invoice.
+ * @param {Object} quotation - `{ lines, freightCharge, freightGstRate }`
+ * @returns {{lines: Array, goodsTotal: number, freightCharge: number, freightTax: number, totalTax: number, grandTotal: number}}
+ *   Each line adds `lineId`, `netUnitPrice` (after discount), `taxableValue`, `taxAmount` and `total`.
+ */
+const priceQuotation = (quotation) => {
+    let goodsTotal = 0;
+    let totalTax = 0;
+    const lines = (quotation.lines || []).map(line => {
+        const netUnitPrice = roundCurrency(line.unitPrice * (1 - (line.discountPercent || 0) / 100));
+        const taxableValue = roundCurrency(netUnitPrice * line.quantity);
+        const taxAmount = roundCurrency(taxableValue * line.gstRate);
+        goodsTotal += taxableValue;
+        totalTax += taxAmount;
+        return {
+            lineId: line._id,
+            productId: line.productId,
+            productName: line.productName,
+            dimension: line.dimension,
+            hsnCode: line.hsnCode,
+            quantity: line.quantity,
+            listPrice: line.listPrice,
+            unitPrice: line.unitPrice,
+            discountPercent: line.discountPercent || 0,
+            gstRate: line.gstRate,
+            netUnitPrice,
+            taxableValue,
+            taxAmount,
+            total: roundCurrency(taxableValue + taxAmount)
+        };
+    });
+
+    const freightCharge = roundCurrency(quotation.freightCharge || 0);
+    const freightTax = roundCurrency(freightCharge * (quotation.freightGstRate || 0));
+    goodsTotal = roundCurrency(goodsTotal);
+    totalTax = roundCurrency(totalTax + freightTax);
+    return {
+        lines,
+        goodsTotal,
+        freightCharge,
+        freightTax,
+        totalTax,
+        grandTotal: roundCurrency(goodsTotal + freightCharge + totalTax)
+    };
+};
+
+/**
+ * Order items (product groups with variants, as stored on Order) at a quotation's prices, in
+ * paise. `unitPriceMinor` is the discounted price; the quoted price and discount are kept
+ * alongside it. Each line's `taxMinor` is set.
+ * @param {Object} quotation - Quotation document or plain object.
+ * @returns {Array}
+ */
+const quotationOrderItems = (quotation) => {
+    const groupsByProduct = new Map();
+    priceQuotation(quotation).lines.forEach(line => {
+        if (!groupsByProduct.has(line.productId)) {
+            groupsByProduct.set(line.productId, { baseProductId: line.productId, baseProductName: line.productName, variants: [] });
+        }
+        groupsByProduct.get(line.productId).variants.push({
+            variantId: `${line.productId}-${line.dimension.replace(/\s+/g, '-')}`,
+            dimension: line.dimension,
+            quantity: line.quantity,
+            unitPriceMinor: Math.round(line.netUnitPrice * 100),
+            gstRate: line.gstRate,
+            hsnCode: line.hsnCode,
+            unitPriceBeforeDiscountMinor: Math.round(line.unitPrice * 100),
+            discountPercent: line.discountPercent
+        });
+    });
+    const orderItems = Array.from(groupsByProduct.values());
+    totalOrderItems(orderItems);
+    return orderItems;
+};
+
+/**
+ * The money fields of the order placed by accepting a quotation (always INR).
+ * @param {Object} quotation - Quotation document or plain object.
+ * @returns {Object} `{ orderItems, subtotalMinor, freightChargeMinor, freightGstRate, taxTotalMinor, totalMinor }`
+ */
+const quotationOrderTotals = (quotation) => {
+    const orderItems = quotationOrderItems(quotation);
+    const { subtotalMinor, taxTotalMinor } = totalOrderItems(orderItems);
+    const freightChargeMinor = Math.round((quotation.freightCharge || 0) * 100);
+    const freightGstRate = quotation.freightGstRate || 0;
+    const freightTaxMinor = Math.round(freightChargeMinor * freightGstRate);
+    return {
+        orderItems,
+        subtotalMinor,
+        freightChargeMinor,
+        freightGstRate,
+        taxTotalMinor: taxTotalMinor + freightTaxMinor,
+        totalMinor: subtotalMinor + freightChargeMinor + taxTotalMinor + freightTaxMinor
+    };
+};
+
+module.exports = {
+    priceOrderItems,
+    priceListForCustomer,
+    dimensionUnitPrice,
+    dimensionPriceSchedule,
+    totalOrderItems,
+    priceQuotation,
+    quotationOrderItems,
+    quotationOrderTotals,
+    roundCurrency,
+    OrderPricingError
+};
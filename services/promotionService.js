@@ -0,0 +1,209 @@
+// services/promotionService.js
+// Coupon promotions (models/Promotion.js): checking a code against an order or cart, taking the
+// discount off the lines it covers (before GST) and counting the code's uses as orders are placed.
+// A promotion's rupee amounts are converted to the currency of the order or cart.
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const ProductType = require('../models/ProductType');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { totalOrderItems } = require('./pricingService');
+const { toMinor, formatMoney, chargesGst } = require('./currencyService');
+
+/**
+ * Error thrown when a coupon cannot be used (unknown, expired, used up, order too small, nothing
+ * in the order it applies to). Routes map it to a 400.
+ */
+class PromotionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromotionError';
+    }
+}
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Ids of the ordered products the promotion covers
+const coveredProductIds = async (promotion, orderItems) => {
+    const productIds = orderItems.map(group => String(group.baseProductId));
+    if (promotion.productTypes.length === 0 && promotion.products.length === 0) {
+        return new Set(productIds);
+    }
+    const listedProducts = new Set(promotion.products.map(String));
+    const productTypes = promotion.productTypes.length > 0 ? await ProductType.expandWithSubTypes(promotion.productTypes) : [];
+    const products = await Product.find({ _id: { $in: productIds } }).select('productType');
+    return new Set(products
+        .filter(product => listedProducts.has(String(product._id)) || productTypes.includes(product.productType))
+        .map(product => String(product._id)));
+};
+
+// The ways a customer is known for the per-customer limit (see models/PromotionRedemption.js)
+const customerKeys = (customerId, customerEmail) => {
+    const keys = [];
+    if (customerId) keys.push(`customer:${customerId}`);
+    if (customerEmail) keys.push(`email:${String(customerEmail).trim().toLowerCase()}`);
+    return keys;
+};
+
+// Orders placed with the promotion by this customer (account or checkout email), not cancelled
+const customerUseCount = async (promotion, { customer, customerEmail }) => {
+    const counts = await Promise.all(customerKeys(customer && customer._id, customerEmail)
+        .map(customerKey => PromotionRedemption.countDocuments({ promotion: promotion._id, customerKey })));
+    return Math.max(0, ...counts);
+};
+
+// Takes the first free slot below the limit for one customer key; false if all are taken.
+const claimCustomerSlot = async (promotion, customerKey, order) => {
+    for (let slot = 0; slot < promotion.perCustomerLimit; slot++) {
+        try {
+            await PromotionRedemption.create({ promotion: promotion._id, customerKey, slot, order: order._id });
+            return true;
+        } catch (error) {
+            if (error.code !== 11000) throw error; // Duplicate key: another order has this slot
+        }
+    }
+    return false;
+};
+
+/**
+ * Applies a promotion to priced order items, after checking that it can be used. The discount is
+ * spread over the covered lines in proportion to their value and GST is charged on what is left.
+ * @param {Object} promotion - Promotion document.
+ * @param {Object} pricing - `{ currency, exchangeRate, orderItems, subtotalMinor }` from
+ *   pricingService.priceOrderItems or cartService.priceCart.
+ * @param {Object} [context]
+ * @param {Object} [context.customer] - Logged-in Customer document.
+ * @param {string} [context.customerEmail] - Checkout email. Without it (or a customer) the
+ *   per-customer limit is not checked.
+ * @returns {Promise<Object>} A copy of `pricing` whose covered variants carry `promotionDiscountMinor`,
+ *   with `discountTotalMinor`, the lines' `taxMinor`, `taxTotalMinor` and `totalMinor` recomputed.
+ *   `subtotalMinor` stays the value before the discount.
+ * @throws {PromotionError}
+ */
+const applyPromotion = async (promotion, pricing, { customer, customerEmail } = {}) => {
+    const currency = { code: pricing.currency, inrPerUnit: pricing.exchangeRate.inrPerUnit };
+    const now = new Date();
+    if (!promotion.isActive || (promotion.endsAt && promotion.endsAt <= now)) {
+        throw new PromotionError(`The coupon ${promotion.code} has expired.`);
+    }
+    if (promotion.startsAt && promotion.startsAt > now) {
+        throw new PromotionError(`The coupon ${promotion.code} is not valid yet.`);
+    }
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+        throw new PromotionError(`The coupon ${promotion.code} has been fully used.`);
+    }
+    const minOrderMinor = toMinor(promotion.minOrderValue, currency);
+    if (pricing.subtotalMinor < minOrderMinor) {
+        throw new PromotionError(`The coupon ${promotion.code} needs an order of at least ${formatMoney(minOrderMinor, currency.code)}${chargesGst(currency.code) ? ' before GST' : ''}.`);
+    }
+
+    const orderItems = pricing.orderItems.map(group => ({
+        ...group,
+        variants: group.variants.map(variant => ({ ...variant, promotionDiscountMinor: undefined }))
+    }));
+    const covered = await coveredProductIds(promotion, orderItems);
+    const coveredVariants = orderItems
+        .filter(group => covered.has(String(group.baseProductId)))
+        .flatMap(group => group.variants);
+    const coveredMinor = coveredVariants.reduce((sum, variant) => sum + variant.unitPriceMinor * variant.quantity, 0);
+    if (coveredMinor <= 0) {
+        throw new PromotionError(`The coupon ${promotion.code} does not apply to any item in your order.`);
+    }
+    if (promotion.perCustomerLimit && await customerUseCount(promotion, { customer, customerEmail }) >= promotion.perCustomerLimit) {
+        throw new PromotionError(`You have already used the coupon ${promotion.code}.`);
+    }
+
+    const discountMinor = promotion.discountType === 'percentage'
+        ? Math.round(coveredMinor * promotion.discountValue / 100)
+        : Math.min(toMinor(promotion.discountValue, currency), coveredMinor);
+    // Proportional shares in whole minor units; the last line takes what rounding left over
+    let remaining = discountMinor;
+    coveredVariants.forEach((variant, index) => {
+        const lineMinor = variant.unitPriceMinor * variant.quantity;
+        const share = index === coveredVariants.length - 1
+            ? remaining
+            : Math.round(discountMinor * lineMinor / coveredMinor);
+        variant.promotionDiscountMinor = Math.min(Math.max(share, 0), lineMinor);
+        remaining -= variant.promotionDiscountMinor;
+    });
+
+    return {
+        ...pricing,
+        orderItems,
+        ...totalOrderItems(orderItems)
+    };
+};
+
+/**
+ * Looks up a coupon code and applies it (see applyPromotion).
+ * @param {string} code - As typed by the customer (case-insensitive).
+ * @param {Object} pricing
+ * @param {Object} [context] - `{ customer, customerEmail }`
+ * @returns {Promise<{pricing: Object, promotion: Object}>}
+ * @throws {PromotionError} If the code is unknown or cannot be used.
+ */
+const applyCoupon = async (code, pricing, context = {}) => {
+    const normalizedCode = normalizeCode(code);
+    const promotion = normalizedCode ? await Promotion.findOne({ code: normalizedCode }) : null;
+    if (!promotion) {
+        throw new PromotionError(`The coupon code "${String(code || '').trim()}" is not valid.`);
+    }
+    return { pricing: await applyPromotion(promotion, pricing, context), promotion };
+};
+
+/**
+ * The coupon details stored on an order.
+ * @param {Object} promotion - Promotion document.
+ * @returns {{promotionId: Object, code: string, name: string}}
+ */
+const promotionSnapshot = (promotion) => ({ promotionId: promotion._id, code: promotion.code, name: promotion.name });
+
+/**
+ * Counts one use of the order's coupon, if it has uses left in total and for this customer.
+ * Called by orderService.placeOrder before the order is saved; both limits are taken atomically,
+ * so two orders can't both take the last use.
+ * @param {Object} order - New Order document; orders without a coupon are ignored.
+ * @throws {PromotionError} If a usage limit has been reached or the promotion was deleted.
+ */
+const redeemPromotion = async (order) => {
+    if (!order.promotion) return;
+    const promotion = await Promotion.findOneAndUpdate(
+        { _id: order.promotion.promotionId, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] },
+        { $inc: { usageCount: 1 } }
+    );
+    if (!promotion) {
+        throw new PromotionError(`The coupon ${order.promotion.code} can no longer be used.`);
+    }
+    if (!promotion.perCustomerLimit) return;
+
+    try {
+        for (const customerKey of customerKeys(order.customer, order.customerEmail)) {
+            if (!await claimCustomerSlot(promotion, customerKey, order)) {
+                throw new PromotionError(`You have already used the coupon ${order.promotion.code}.`);
+            }
+        }
+    } catch (error) {
+        await releasePromotion(order).catch(releaseError => console.error("Promotions: Could not give back the coupon use after a rejected redemption:", releaseError));
+        throw error;
+    }
+};
+
+/**
+ * Gives back the use counted by redeemPromotion, when the order could not be saved or was
+ * cancelled. Call it once per order.
+ * @param {Object} order
+ */
+const releasePromotion = async (order) => {
+    if (!order.promotion) return;
+    await Promotion.updateOne({ _id: order.promotion.promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+    await PromotionRedemption.deleteMany({ order: order._id });
+};
+
+module.exports = {
+    applyPromotion,
+    applyCoupon,
+    normalizeCode,
+    promotionSnapshot,
+    redeemPromotion,
+    releasePromotion,
+    PromotionError
+};
@@ -0,0 +1,304 @@
+// services/quotationService.js
+// Quotation workflow for customers (hospitals) who need a formal quote before raising a PO:
+//   request (storefront cart) -> admin prices it -> proforma emailed -> customer accepts -> Order.
+// Accepting places a normal order through services/orderService.js at the quoted prices.
+const Quotation = require('../models/Quotation');
+const Order = require('../models/Order');
+const { priceOrderItems, priceQuotation, quotationOrderTotals, priceListForCustomer } = require('./pricingService');
+const { generateProformaPdf, formatProformaNumber } = require('./invoiceService');
+const { placeOrder } = require('./orderService');
+const emailService = require('./emailService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error thrown for invalid quotation input (bad price, discount, date). Routes map it to a 400.
+ */
+class QuotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuotationError';
+    }
+}
+
+/**
+ * Error thrown when the quotation's status doesn't allow the action (accepting an expired or
+ * withdrawn quotation, editing an accepted one). Routes map it to a 409.
+ */
+class QuotationStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuotationStateError';
+    }
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+
+// A YYYY-MM-DD date from the admin panel, stored as the start of that day in IST.
+const parseValidUntil = (value) => {
+    const date = DATE_PATTERN.test(String(value)) ? new Date(`${value}T00:00:00+05:30`) : null;
+    if (!date || isNaN(date.getTime())) {
+        throw new QuotationError('Valid until must be a date (YYYY-MM-DD).');
+    }
+    return date;
+};
+
+const parseNumber = (value, label, { min = 0, max = Infinity, integer = false } = {}) => {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        const range = max === Infinity ? `${min} or more` : `from ${min} to ${max}`;
+        throw new QuotationError(`${label} must be ${integer ? 'a whole number' : 'a number'} ${range}.`);
+    }
+    return number;
+};
+
+/**
+ * Storefront link that shows the quotation and lets the customer accept it.
+ * @param {Object} quotation
+ * @returns {string|null} null when FRONTEND_URL is not configured.
+ */
+const quotationAcceptUrl = (quotation) => {
+    if (!FRONTEND_URL) return null;
+    return `${FRONTEND_URL.trim().replace(/\/+$/, '')}/?quotation=${encodeURIComponent(quotation.acceptToken)}#quotation`;
+};
+
+/**
+ * Saves a quotation request for the posted items, priced at the current catalogue prices (on the
+ * customer's price list, in INR) as a starting point, and queues the acknowledgement and owner notice.
+ * @param {Object} requestData - The same body as /api/orders/place-order, plus optional `notes`.
+ * @param {Object} [customer] - The logged-in Customer, if any.
+ * @returns {Promise<{quotation: Object, emailQueued: boolean}>}
+ * @throws {OrderPricingError} If the items cannot be priced.
+ */
+const createQuotationRequest = async (requestData, customer) => {
+    const pricing = await priceOrderItems(requestData.orderItems, { priceList: priceListForCustomer(customer) });
+    const lines = pricing.orderItems.flatMap(group => group.variants.map(variant => ({
+        productId: group.baseProductId,
+        productName: group.baseProductName,
+        dimension: variant.dimension,
+        hsnCode: variant.hsnCode,
+        quantity: variant.quantity,
+        listPrice: variant.unitPriceMinor / 100,
+        unitPrice: variant.unitPriceMinor / 100,
+        discountPercent: 0,
+        gstRate: variant.gstRate
+    })));
+
+    const validUntil = new Date();
+    validUntil.setDate(validUntil.getDate() + Quotation.DEFAULT_VALIDITY_DAYS);
+
+    const quotation = new Quotation({
+        customer: customer ? customer._id : undefined,
+        customerName: requestData.customerName,
+        customerEmail: requestData.customerEmail,
+        customerMobileCode: requestData.mobileCode,
+        customerMobileNumber: requestData.mobileNumber,
+        customerWhatsappCode: requestData.whatsappNumber ? requestData.whatsappCode : undefined,
+        customerWhatsappNumber: requestData.whatsappNumber || undefined,
+        buyerGstin: requestData.buyerGstin ? String(requestData.buyerGstin).trim() : undefined,
+        shippingAddress: {
+            address: requestData.address,
+            city: requestData.city,
+            state: requestData.state,
+            country: requestData.country,
+            pincode: requestData.pincode
+        },
+        customerNotes: typeof requestData.notes === 'string' && requestData.notes.trim() ? requestData.notes.trim() : undefined,
+        lines,
+        validUntil
+    });
+    await quotation.save();
+    console.log(`Quotations: Quotation ${quotation.quotationNumber} requested by ${quotation.customerEmail}`);
+
+    let emailQueued = true;
+    try {
+        await emailService.sendQuotationRequestEmails(quotation);
+    } catch (emailError) {
+        emailQueued = false;
+        console.error(`Quotations: ${quotation.quotationNumber} saved but its emails could not be queued:`, emailError);
+    }
+    return { quotation, emailQueued };
+};
+
+/**
+ * Applies the admin's prices, discounts, quantities, freight, validity and terms. Revising a
+ * quotation that was already sent takes it back to Requested, so the customer can't accept the
+ * old proforma until the revised one is sent. Call `save()` afterwards.
+ * @param {Object} quotation - Quotation document.
+ * @param {Object} changes - `{ lines: [{ lineId, unitPrice, discountPercent, quantity }], freightCharge, freightGstRate, validUntil, terms }`, all optional.
+ * @param {string} changedBy - Admin email.
+ * @throws {QuotationError|QuotationStateError}
+ */
+const applyQuotationChanges = (quotation, changes, changedBy) => {
+    if (!['Requested', 'Sent'].includes(quotation.status)) {
+        throw new QuotationStateError(`A quotation that is ${quotation.status.toLowerCase()} can no longer be changed.`);
+    }
+    const input = changes || {};
+
+    if (input.lines !== undefined) {
+        if (!Array.isArray(input.lines)) {
+            throw new QuotationError('lines must be an array.');
+        }
+        input.lines.forEach(change => {
+            const line = change && quotation.lines.id(change.lineId);
+            if (!line) {
+                throw new QuotationError(`Line ${change && change.lineId} is not on this quotation.`);
+            }
+            const label = `${line.productName} (${line.dimension})`;
+            if (change.unitPrice !== undefined) line.unitPrice = parseNumber(change.unitPrice, `Price of ${label}`);
+            if (change.discountPercent !== undefined) line.discountPercent = parseNumber(change.discountPercent, `Discount on ${label}`, { max: 100 });
+            if (change.quantity !== undefined) line.quantity = parseNumber(change.quantity, `Quantity of ${label}`, { min: 1, integer: true });
+        });
+    }
+    if (input.freightCharge !== undefined) quotation.freightCharge = parseNumber(input.freightCharge, 'Freight');
+    if (input.freightGstRate !== undefined) quotation.freightGstRate = parseNumber(input.freightGstRate, 'Freight GST rate', { max: 1 });
+    if (input.validUntil !== undefined) quotation.validUntil = parseValidUntil(input.validUntil);
+    if (input.terms !== undefined) quotation.terms = typeof input.terms === 'string' ? input.terms.trim() : '';
+
+    if (quotation.status === 'Sent' && quotation.isModified()) {
+        quotation.recordStatus('Requested', { changedBy, note: `Revising proforma ${formatProformaNumber(quotation)}` });
+    }
+};
+
+/**
+ * Emails the customer a numbered proforma (a new revision each time) with the accept link.
+ * The quotation is saved as Sent before the email is queued.
+ * @param {Object} quotation - Quotation document in Requested or Sent status.
+ * @param {string} sentBy - Admin email.
+ * @returns {Promise<{quotation: Object, proformaNumber: string, emailQueued: boolean}>}
+ * @throws {QuotationError|QuotationStateError}
+ */
+const sendProforma = async (quotation, sentBy) => {
+    if (!['Requested', 'Sent'].includes(quotation.status)) {
+        throw new QuotationStateError(`A quotation that is ${quotation.status.toLowerCase()} cannot be sent.`);
+    }
+    if (quotation.isExpired()) {
+        throw new QuotationError(`The validity date (${formatDate(quotation.validUntil)}) has passed. Set a new one before sending.`);
+    }
+    if (priceQuotation(quotation).grandTotal <= 0) {
+        throw new QuotationError('The quotation total is zero. Check the prices before sending.');
+    }
+
+    quotation.revision += 1;
+    quotation.sentAt = new Date();
+    const proformaNumber = formatProformaNumber(quotation);
+    quotation.recordStatus('Sent', { changedBy: sentBy, note: `Proforma ${proformaNumber} sent` });
+    // Rendered before saving, so a PDF failure doesn't leave the quotation marked as sent
+    const proformaPdf = await generateProformaPdf(quotation);
+    const savedQuotation = await quotation.save();
+    console.log(`Quotations: Proforma ${proformaNumber} issued by ${sentBy}`);
+
+    const acceptUrl = quotationAcceptUrl(savedQuotation);
+    if (!acceptUrl) {
+        console.warn(`Quotations: FRONTEND_URL is not set; proforma ${proformaNumber} is sent without an accept link.`);
+    }
+    let emailQueued = true;
+    try {
+        await emailService.sendProformaEmail(savedQuotation, { proformaNumber, proformaPdf, acceptUrl });
+    } catch (emailError) {
+        emailQueued = false;
+        console.error(`Quotations: Proforma ${proformaNumber} saved but the email could not be queued:`, emailError);
+    }
+    return { quotation: savedQuotation, proformaNumber, emailQueued };
+};
+
+/**
+ * Turns a sent quotation into an Order at the quoted prices, discounts and freight. The
+ * quotation is claimed atomically first, so a double click can't place two orders; if the order
+ * can't be placed (e.g. out of stock), the quotation goes back to Sent.
+ * @param {Object} quotation - Quotation document.
+ * @returns {Promise<{order: Object, emailQueued: boolean}>}
+ * @throws {QuotationStateError|InsufficientStockError}
+ */
+const acceptQuotation = async (quotation) => {
+    if (quotation.status === 'Accepted') {
+        throw new QuotationStateError(`This quotation has already been accepted${quotation.orderNumber ? ` (order ${quotation.orderNumber})` : ''}.`);
+    }
+    if (quotation.status === 'Requested') {
+        throw new QuotationStateError('This quotation is being revised. You will receive an updated proforma by email shortly.');
+    }
+    if (quotation.status !== 'Sent') {
+        throw new QuotationStateError('This quotation has been withdrawn. Please contact us for a new one.');
+    }
+    if (quotation.isExpired()) {
+        throw new QuotationStateError(`This quotation expired on ${formatDate(quotation.validUntil)}. Please reply to the proforma email for an updated quotation.`);
+    }
+
+    const proformaNumber = formatProformaNumber(quotation);
+    // $inc __v so an admin edit loaded before the claim fails with a VersionError
+    const claimed = await Quotation.findOneAndUpdate(
+        { _id: quotation._id, status: 'Sent', revision: quotation.revision },
+        {
+            $set: { status: 'Accepted', acceptedAt: new Date() },
+            $push: { statusHistory: { status: 'Accepted', changedAt: new Date(), changedBy: 'customer', note: `Proforma ${proformaNumber} accepted` } },
+            $inc: { __v: 1 }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new QuotationStateError('This quotation was just changed. Reload the page and try again.');
+    }
+
+    const totals = quotationOrderTotals(claimed);
+    const order = new Order({
+        customer: claimed.customer,
+        customerName: claimed.customerName,
+        customerEmail: claimed.customerEmail,
+        customerMobileCode: claimed.customerMobileCode,
+        customerMobileNumber: claimed.customerMobileNumber,
+        customerWhatsappCode: claimed.customerWhatsappCode,
+        customerWhatsappNumber: claimed.customerWhatsappNumber,
+        buyerGstin: claimed.buyerGstin,
+        shippingAddress: claimed.shippingAddress.toObject(),
+        ...totals, // Quotations are in INR
+        totalInrMinor: totals.totalMinor,
+        quotation: claimed._id,
+        quotationNumber: claimed.quotationNumber,
+        paymentMethod: 'Pending',
+        statusHistory: [{ status: 'Pending Confirmation', changedAt: new Date(), changedBy: 'customer', note: `Placed by accepting proforma ${proformaNumber}` }]
+    });
+
+    let placed;
+    try {
+        placed = await placeOrder(order);
+    } catch (orderError) {
+        await Quotation.updateOne(
+            { _id: claimed._id, status: 'Accepted', order: { $exists: false } },
+            { $set: { status: 'Sent' }, $unset: { acceptedAt: 1 }, $pop: { statusHistory: 1 }, $inc: { __v: 1 } }
+        ).catch(revertError => console.error(`Quotations: Could not reopen ${claimed.quotationNumber} after a failed order:`, revertError));
+        throw orderError;
+    }
+
+    await Quotation.updateOne(
+        { _id: claimed._id },
+        { $set: { order: placed.savedOrder._id, orderNumber: placed.savedOrder.customOrderId }, $inc: { __v: 1 } }
+    );
+    console.log(`Quotations: ${claimed.quotationNumber} accepted as order ${placed.savedOrder.customOrderId}`);
+    return { order: placed.savedOrder, emailQueued: placed.emailQueued };
+};
+
+/**
+ * Withdraws a quotation that hasn't been accepted. Call `save()` afterwards.
+ * @param {Object} quotation - Quotation document.
+ * @param {string} changedBy - Admin email.
+ * @param {string} [note]
+ * @throws {QuotationStateError}
+ */
+const cancelQuotation = (quotation, changedBy, note) => {
+    if (!['Requested', 'Sent'].includes(quotation.status)) {
+        throw new QuotationStateError(`A quotation that is ${quotation.status.toLowerCase()} cannot be cancelled.`);
+    }
+    quotation.recordStatus('Cancelled', { changedBy, note: note || undefined });
+};
+
+module.exports = {
+    createQuotationRequest,
+    applyQuotationChanges,
+    sendProforma,
+    acceptQuotation,
+    cancelQuotation,
+    quotationAcceptUrl,
+    QuotationError,
+    QuotationStateError
+};
@@ -0,0 +1,58 @@
+// services/rateLimit/index.js
+// Request counting for the rate limits on public forms (middleware/rateLimitMiddleware.js).
+// RATE_LIMIT_STORE picks one of:
+//   memory - counters in this process (services/rateLimit/memoryStore.js)
+//   mongo  - counters in MongoDB, shared by every instance (services/rateLimit/mongoStore.js)
+// When unset: memory. Run more than one instance (e.g. Cloud Run scaling out) with mongo.
+//
+// A store is an object with `name`, `description` and `increment(key, expiresAt)`, which adds one
+// to the key's count (starting it at 1 if the key is new) and resolves to the new count.
+// Keys name a fixed window, so a store never has to reset a count.
+const RATE_LIMIT_STORES = {
+    memory: () => require('./memoryStore').createMemoryStore(),
+    mongo: () => require('./mongoStore').createMongoStore()
+};
+
+console.log("--- services/rateLimit: Initializing rate limit store ---");
+
+// A misconfigured store falls back to memory: limiting per instance beats not limiting at all.
+let store;
+try {
+    const storeName = (process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+    if (!RATE_LIMIT_STORES[storeName]) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}". Use one of: ${Object.keys(RATE_LIMIT_STORES).join(', ')}.`);
+    }
+    store = RATE_LIMIT_STORES[storeName]();
+} catch (error) {
+    console.error("ERROR during rate limit store initialization:", error.message);
+    store = RATE_LIMIT_STORES.memory();
+}
+console.log(`Rate Limit: Using ${store.description}.`);
+
+/**
+ * Counts one request against a limit.
+ * @param {string} name - The limit, e.g. "inquiry-ip".
+ * @param {string} identity - Who is counted, e.g. the client IP or a lower-cased email address.
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window.
+ * @param {number} options.windowMs - Window length; windows are fixed (they start on multiples of it).
+ * @returns {Promise<{allowed: boolean, count: number, retryAfterSeconds: number}>} A store
+ *   failure is logged and allows the request, so an outage of the store never blocks orders.
+ */
+const hitRateLimit = async (name, identity, { limit, windowMs }) => {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const expiresAt = new Date(windowStart + windowMs);
+    const retryAfterSeconds = Math.ceil((expiresAt.getTime() - now) / 1000);
+    try {
+        const count = await store.increment(`${name}:${identity}:${windowStart}`, expiresAt);
+        return { allowed: count <= limit, count, retryAfterSeconds };
+    } catch (error) {
+        console.error(`Rate Limit: Could not count ${name} for ${identity}; allowing the request:`, error.message);
+        return { allowed: true, count: 0, retryAfterSeconds: 0 };
+    }
+};
+
+module.exports = {
+    hitRateLimit
+};
@@ -0,0 +1,37 @@
+// services/rateLimit/memoryStore.js
+// Counts requests in this process's memory. Right for a single server; with several instances each
+// one counts separately, so a client gets the limit once per instance (use the mongo store then).
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @returns {Object} Rate limit store (see services/rateLimit/index.js).
+ */
+const createMemoryStore = () => {
+    const windows = new Map(); // key -> { count, expiresAt (ms) }
+
+    // Expired windows are dropped once a minute, so memory stays bounded by the active clients
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.expiresAt <= now) windows.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    return {
+        name: 'memory',
+        description: 'in-memory counters (this server only)',
+
+        increment: async (key, expiresAt) => {
+            const entry = windows.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                entry.count += 1;
+                return entry.count;
+            }
+            windows.set(key, { count: 1, expiresAt: expiresAt.getTime() });
+            return 1;
+        }
+    };
+};
+
+module.exports = { createMemoryStore };
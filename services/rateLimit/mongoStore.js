@@ -0,0 +1,28 @@
+// services/rateLimit/mongoStore.js
+// Counts requests in MongoDB (models/RateLimitCounter.js), shared by every server instance.
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+/**
+ * @returns {Object} Rate limit store (see services/rateLimit/index.js).
+ */
+const createMongoStore = () => ({
+    name: 'mongo',
+    description: 'MongoDB counters (shared by all instances)',
+
+    increment: async (key, expiresAt) => {
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { _id: key },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { new: true, upsert: true }
+        );
+        try {
+            return (await update()).count;
+        } catch (error) {
+            // Two first requests of a window raced to insert it; the loser's retry finds the document
+            if (error.code !== 11000) throw error;
+            return (await update()).count;
+        }
+    }
+});
+
+module.exports = { createMongoStore };
@@ -0,0 +1,193 @@
+// services/shippingService.js
+// Freight for carts and checkout orders. The delivery address picks a shipping zone
+// (models/ShippingZone.js) and the parcel's chargeable weight picks a band of its rate table.
+// Freight is worked out after any coupon, is taxed at the zone's GST rate (INR orders only) and is
+// invoiced as its own line. Orders from quotations keep the freight the admin quoted.
+const ShippingZone = require('../models/ShippingZone');
+const { toMinor, chargesGst } = require('./currencyService');
+
+const COD_PAYMENT_METHOD = 'Cash on Delivery';
+const VOLUMETRIC_DIVISOR = 5000; // cm³ per kg, as couriers bill bulky parcels
+const WEIGHT_STEP_KG = 0.5;      // Chargeable weight is rounded up to the next half kg
+
+/**
+ * Error thrown when an order can't be shipped as asked (no zone covers the address, or cash on
+ * delivery is not offered there). Routes map it to a 400.
+ */
+class ShippingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShippingError';
+    }
+}
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Shipping weight of one unit of a product dimension: its weight, or its volumetric weight
+ * (length x width x height / 5000) when that is higher. Dimensions without a size weigh nothing.
+ * @param {Object} dimension - Product dimension.
+ * @returns {number} Kilograms.
+ */
+const dimensionShippingWeightKg = (dimension) => {
+    const weightKg = dimension.weightKg || 0;
+    const volumetricKg = (dimension.lengthCm || 0) * (dimension.widthCm || 0) * (dimension.heightCm || 0) / VOLUMETRIC_DIVISOR;
+    return Math.round(Math.max(weightKg, volumetricKg) * 1000) / 1000;
+};
+
+/**
+ * Whether the address has what zone matching needs.
+ * @param {Object} [destination] - `{ country, state, pincode }`.
+ * @returns {boolean}
+ */
+const isCompleteDestination = (destination) => Boolean(destination
+    && String(destination.country || '').trim()
+    && String(destination.state || '').trim()
+    && String(destination.pincode || '').trim());
+
+// How specifically a zone matches an address, or null if it doesn't: [pincode prefix length,
+// state listed, country listed], compared in that order.
+const zoneMatch = (zone, { country, state, pincode }) => {
+    if (zone.countries.length > 0 && !zone.countries.some(entry => sameText(entry, country))) return null;
+    if (zone.states.length > 0 && !zone.states.some(entry => sameText(entry, state))) return null;
+    let prefixLength = 0;
+    if (zone.pincodePrefixes.length > 0) {
+        const normalizedPincode = String(pincode || '').replace(/\s+/g, '').toUpperCase();
+        const matched = zone.pincodePrefixes.filter(prefix => normalizedPincode.startsWith(prefix));
+        if (matched.length === 0) return null;
+        prefixLength = Math.max(...matched.map(prefix => prefix.length));
+    }
+    return [prefixLength, zone.states.length > 0 ? 1 : 0, zone.countries.length > 0 ? 1 : 0];
+};
+
+const isMoreSpecific = (a, b) => {
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index !== -1 && a[index] > b[index];
+};
+
+/**
+ * The active zone that covers an address, the most specific one when several do (the oldest
+ * wins a tie).
+ * @param {Object} destination - `{ country, state, pincode }`.
+ * @returns {Promise<Object|null>} ShippingZone document.
+ */
+const findShippingZone = async (destination) => {
+    const zones = await ShippingZone.find({ isActive: true }).sort({ createdAt: 1 });
+    let best = null;
+    zones.forEach(zone => {
+        const match = zoneMatch(zone, destination);
+        if (match && (!best || isMoreSpecific(match, best.match))) best = { zone, match };
+    });
+    return best ? best.zone : null;
+};
+
+/**
+ * Freight before GST, in rupees, for a chargeable weight on a zone's rate table.
+ * @param {Object} zone - ShippingZone document.
+ * @param {number} chargeableWeightKg
+ * @returns {number}
+ */
+const zoneFreightInr = (zone, chargeableWeightKg) => {
+    const band = zone.rates
+        .filter(rate => rate.minWeightKg <= chargeableWeightKg)
+        .reduce((best, rate) => (!best || rate.minWeightKg > best.minWeightKg ? rate : best), null);
+    if (!band) return 0;
+    return band.method === 'per_kg' ? band.amount * chargeableWeightKg : band.amount;
+};
+
+/**
+ * Works out the freight of priced order items.
+ * @param {Object} pricing - From pricingService.priceOrderItems or cartService.priceCart (after any
+ *   coupon); variants carry `shippingWeightKg` per unit.
+ * @param {Object} destination - `{ country, state, pincode }`.
+ * @param {Object} [options]
+ * @param {string} [options.paymentMethod] - "Cash on Delivery" adds the zone's COD surcharge.
+ * @returns {Promise<Object|null>} null while no shipping zone has been set up (freight is not
+ *   charged), else `{ zoneId, zoneName, chargeableWeightKg, freeShipping, codAvailable,
+ *   codChargeMinor, freightChargeMinor, freightGstRate }`. `freightChargeMinor` (before GST)
+ *   includes `codChargeMinor`.
+ * @throws {ShippingError} If no zone covers the address, or COD is asked for where it isn't offered.
+ */
+const quoteShipping = async (pricing, destination, { paymentMethod } = {}) => {
+    const zone = await findShippingZone(destination);
+    if (!zone) {
+        if (!(await ShippingZone.exists({ isActive: true }))) return null;
+        throw new ShippingError(`We do not deliver to ${[destination.state, destination.country].filter(Boolean).join(', ')} (${destination.pincode}) yet. Please request a quotation and we will arrange the freight.`);
+    }
+
+    const currency = { code: pricing.currency, inrPerUnit: pricing.exchangeRate.inrPerUnit };
+    const weightKg = pricing.orderItems.reduce((sum, group) => sum + group.variants
+        .reduce((groupSum, variant) => groupSum + (variant.shippingWeightKg || 0) * variant.quantity, 0), 0);
+    const chargeableWeightKg = Math.ceil(weightKg / WEIGHT_STEP_KG) * WEIGHT_STEP_KG;
+    const goodsMinor = pricing.subtotalMinor - (pricing.discountTotalMinor || 0);
+    const freeShipping = zone.freeAboveOrderValue !== null && zone.freeAboveOrderValue !== undefined
+        && goodsMinor >= toMinor(zone.freeAboveOrderValue, currency);
+
+    // Cash is collected in rupees, so COD is only offered on INR orders
+    const codAvailable = zone.codAvailable && chargesGst(currency.code);
+    const isCod = paymentMethod === COD_PAYMENT_METHOD;
+    if (isCod && !codAvailable) {
+        throw new ShippingError(`Cash on delivery is not available for ${zone.name}${chargesGst(currency.code) ? '' : ` on orders in ${currency.code}`}.`);
+    }
+    const codChargeMinor = isCod
+        ? Math.max(toMinor(zone.codSurcharge, currency), Math.round(goodsMinor * zone.codSurchargePercent / 100))
+        : 0;
+
+    return {
+        zoneId: zone._id,
+        zoneName: zone.name,
+        chargeableWeightKg,
+        freeShipping,
+        codAvailable,
+        codChargeMinor,
+        freightChargeMinor: (freeShipping ? 0 : toMinor(zoneFreightInr(zone, chargeableWeightKg), currency)) + codChargeMinor,
+        freightGstRate: chargesGst(currency.code) ? zone.freightGstRate : 0
+    };
+};
+
+/**
+ * Adds freight and its GST to the totals of priced order items.
+ * @param {Object} pricing - `{ subtotalMinor, discountTotalMinor, taxTotalMinor, totalMinor, ... }`.
+ * @param {Object|null} shipping - From quoteShipping; null leaves the totals as they are.
+ * @returns {Object} A copy of `pricing` with `shipping`, `freightChargeMinor`, `freightGstRate`,
+ *   `freightTaxMinor` and the new `taxTotalMinor` and `totalMinor`.
+ */
+const applyShipping = (pricing, shipping) => {
+    if (!shipping) {
+        return { ...pricing, shipping: null, freightChargeMinor: 0, freightGstRate: 0, freightTaxMinor: 0 };
+    }
+    const freightTaxMinor = Math.round(shipping.freightChargeMinor * shipping.freightGstRate);
+    return {
+        ...pricing,
+        shipping,
+        freightChargeMinor: shipping.freightChargeMinor,
+        freightGstRate: shipping.freightGstRate,
+        freightTaxMinor,
+        taxTotalMinor: pricing.taxTotalMinor + freightTaxMinor,
+        totalMinor: pricing.totalMinor + shipping.freightChargeMinor + freightTaxMinor
+    };
+};
+
+/**
+ * The shipping details stored on an order.
+ * @param {Object} shipping - From quoteShipping.
+ * @returns {{zoneId: Object, zoneName: string, chargeableWeightKg: number, freeShipping: boolean, codChargeMinor: number}}
+ */
+const shippingSnapshot = (shipping) => ({
+    zoneId: shipping.zoneId,
+    zoneName: shipping.zoneName,
+    chargeableWeightKg: shipping.chargeableWeightKg,
+    freeShipping: shipping.freeShipping,
+    codChargeMinor: shipping.codChargeMinor
+});
+
+module.exports = {
+    COD_PAYMENT_METHOD,
+    dimensionShippingWeightKg,
+    isCompleteDestination,
+    findShippingZone,
+    quoteShipping,
+    applyShipping,
+    shippingSnapshot,
+    ShippingError
+};
@@ -0,0 +1,73 @@
+// services/storage/gcsStorage.js
+// Google Cloud Storage backend. Objects are public through bucket-level IAM (Uniform Bucket-Level
+// Access), so nothing is made public per object.
+const { Storage } = require('@google-cloud/storage');
+
+/**
+ * @returns {Object} Storage backend (see services/storage/index.js).
+ * @throws {Error} If GCS_BUCKET_NAME or the credentials are missing or invalid.
+ */
+const createGcsStorage = () => {
+    console.log("Raw GCS_BUCKET_NAME from env:", process.env.GCS_BUCKET_NAME);
+    const rawGcsCredentialsJson = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
+    if (rawGcsCredentialsJson) {
+        console.log("Raw GOOGLE_APPLICATION_CREDENTIALS_JSON from env is SET (length):", rawGcsCredentialsJson.length);
+    } else {
+        console.warn("WARNING: GOOGLE_APPLICATION_CREDENTIALS_JSON from env is NOT SET or is empty.");
+    }
+    console.log("Raw GOOGLE_APPLICATION_CREDENTIALS file path from env:", process.env.GOOGLE_APPLICATION_CREDENTIALS);
+
+    const bucketName = process.env.GCS_BUCKET_NAME;
+    if (!bucketName) {
+        throw new Error("GCS_BUCKET_NAME environment variable is not set. Cannot initialize GCS bucket.");
+    }
+
+    let storage;
+    if (rawGcsCredentialsJson) {
+        let credentials;
+        try {
+            credentials = JSON.parse(rawGcsCredentialsJson);
+            console.log("Successfully parsed GOOGLE_APPLICATION_CREDENTIALS_JSON.");
+        } catch (e) {
+            console.error("ERROR parsing GOOGLE_APPLICATION_CREDENTIALS_JSON:", e.message);
+            throw new Error("Invalid JSON in GOOGLE_APPLICATION_CREDENTIALS_JSON environment variable.");
+        }
+        storage = new Storage({ credentials });
+        console.log("Google Cloud Storage configured using JSON credentials from env var GOOGLE_APPLICATION_CREDENTIALS_JSON.");
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        storage = new Storage({ keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS });
+        console.log("Google Cloud Storage configured using keyFile path from env var GOOGLE_APPLICATION_CREDENTIALS.");
+    } else {
+        storage = new Storage();
+        console.warn("Google Cloud Storage attempting to use default application credentials. Ensure this is configured on the platform if not using explicit credentials.");
+    }
+    const bucket = storage.bucket(bucketName);
+
+    return {
+        name: 'gcs',
+        description: `GCS bucket ${bucketName}`,
+        publicUrlPrefix: `https://storage.googleapis.com/${bucketName}/`,
+
+        putObject: (key, buffer, contentType) => new Promise((resolve, reject) => {
+            const stream = bucket.file(key).createWriteStream({
+                metadata: { contentType },
+                resumable: false
+            });
+            stream.on('error', reject);
+            stream.on('finish', resolve);
+            stream.end(buffer);
+        }),
+
+        deleteObject: async (key) => {
+            try {
+                await bucket.file(key).delete();
+            } catch (error) {
+                if (error.code === 404) return false;
+                throw error;
+            }
+            return true;
+        }
+    };
+};
+
+module.exports = { createGcsStorage };
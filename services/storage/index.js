@@ -0,0 +1,163 @@
+// services/storage/index.js
+// Public file storage for product images. STORAGE_BACKEND picks one of:
+//   gcs   - Google Cloud Storage (services/storage/gcsStorage.js)
+//   s3    - S3 or an S3-compatible server such as MinIO (services/storage/s3Storage.js)
+//   local - a directory on this server, served at /uploads (services/storage/localStorage.js)
+// When unset: gcs if GCS_BUCKET_NAME is set, otherwise local.
+//
+// A backend is an object with `name`, `description`, `publicUrlPrefix` (every URL it returns
+// starts with this), `putObject(key, buffer, contentType)` and `deleteObject(key)` (resolves to
+// false if the object did not exist).
+const path = require('path');
+const express = require('express');
+
+const STORAGE_BACKENDS = {
+    gcs: () => require('./gcsStorage').createGcsStorage(),
+    s3: () => require('./s3Storage').createS3Storage(),
+    local: () => require('./localStorage').createLocalStorage()
+};
+
+const CONTENT_TYPES_BY_EXTENSION = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf'
+};
+
+const resolveBackendName = () => {
+    if (process.env.STORAGE_BACKEND) {
+        return process.env.STORAGE_BACKEND.trim().toLowerCase();
+    }
+    return process.env.GCS_BUCKET_NAME ? 'gcs' : 'local';
+};
+
+console.log("--- services/storage: Initializing file storage ---");
+
+// A misconfigured backend leaves the server running; uploads then answer 503 (see isStorageAvailable).
+let backend = null;
+let initializationError = null;
+try {
+    const backendName = resolveBackendName();
+    if (!STORAGE_BACKENDS[backendName]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}.`);
+    }
+    backend = STORAGE_BACKENDS[backendName]();
+    console.log(`Storage: Using ${backend.description}. Public URLs start with ${backend.publicUrlPrefix}`);
+    if (backend.name === 'local' && process.env.NODE_ENV === 'production') {
+        console.warn("Storage: WARNING - files are stored on the local disk. They are lost when a Cloud Run instance restarts. Set STORAGE_BACKEND.");
+    }
+} catch (error) {
+    initializationError = error;
+    console.error("FATAL ERROR during storage initialization:", error.message);
+    console.error("Image uploads and deletions will fail until storage is configured.");
+}
+
+const unavailableError = () => new Error(`File storage is not properly initialized on the server (${initializationError ? initializationError.message : 'unknown error'}). Please check backend logs and configuration.`);
+
+/**
+ * The file name without its extension, reduced to characters that are safe in any object key.
+ * @param {string} originalFilename
+ * @returns {string}
+ */
+const safeBaseName = (originalFilename) => path.basename(originalFilename, path.extname(originalFilename)).replace(/[^a-zA-Z0-9_-]+/g, '_') || 'file';
+
+/**
+ * @returns {boolean} Whether uploads can be attempted. Routes answer 503 when this is false.
+ */
+const isStorageAvailable = () => !!backend;
+
+/**
+ * Stores a file under the given key, replacing any object already there.
+ * @param {string} key - Object key, e.g. "gamma_ortho_products/images/plate-1718000000000/card.webp".
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} contentType - MIME type.
+ * @returns {Promise<string>} The public URL of the stored file.
+ */
+const storeObject = async (key, buffer, contentType) => {
+    if (!backend) {
+        throw unavailableError();
+    }
+    await backend.putObject(key, buffer, contentType);
+    return `${backend.publicUrlPrefix}${key}`;
+};
+
+/**
+ * Stores a file under a unique name and returns its public URL.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} originalFilename - The uploaded file's name (used for the extension and as part of the key).
+ * @param {string} destinationFolderPath - Folder for the key, e.g. "gamma_ortho_products/base_images/". Must end with a slash.
+ * @param {string} [contentType] - MIME type; derived from the extension when omitted.
+ * @returns {Promise<string>} The public URL of the stored file.
+ */
+const uploadFile = async (buffer, originalFilename, destinationFolderPath, contentType) => {
+    const ext = path.extname(originalFilename).toLowerCase();
+    const key = `${destinationFolderPath}${safeBaseName(originalFilename)}-${Date.now()}${ext}`;
+
+    const publicUrl = await storeObject(key, buffer, contentType || CONTENT_TYPES_BY_EXTENSION[ext] || 'application/octet-stream');
+    console.log(`${originalFilename} uploaded to ${backend.name} storage. Public URL: ${publicUrl}`);
+    return publicUrl;
+};
+
+/**
+ * Deletes a file by the URL uploadFile returned. URLs from another backend (e.g. images uploaded
+ * before the backend was switched) are left alone with a warning.
+ * @param {string} fileUrl - The public URL of the file.
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (fileUrl) => {
+    if (!backend) {
+        throw unavailableError();
+    }
+    if (!fileUrl || typeof fileUrl !== 'string') {
+        console.warn("deleteFile: Invalid or empty fileUrl provided.");
+        return;
+    }
+    if (!fileUrl.startsWith(backend.publicUrlPrefix)) {
+        console.warn(`deleteFile: URL "${fileUrl}" does not belong to the ${backend.name} storage (${backend.publicUrlPrefix}). Not deleted.`);
+        return;
+    }
+    const key = decodeURIComponent(fileUrl.substring(backend.publicUrlPrefix.length));
+    if (!key) {
+        console.warn(`deleteFile: Could not extract the object key from URL "${fileUrl}".`);
+        return;
+    }
+
+    console.log(`Attempting to delete ${backend.name} object: ${key}`);
+    const existed = await backend.deleteObject(key);
+    if (existed === false) {
+        console.warn(`deleteFile: File not found (or already deleted): ${fileUrl}`);
+    } else {
+        console.log(`Successfully deleted ${backend.name} object: ${key}`);
+    }
+};
+
+/**
+ * Serves the local backend's files. Does nothing for the other backends.
+ * @param {Object} app - The Express app.
+ */
+const mountStorageRoutes = (app) => {
+    if (backend && backend.name === 'local') {
+        app.use(backend.route, express.static(backend.directory, {
+            maxAge: '7d',
+            index: false,
+            // Never let a stored file run script on this origin
+            setHeaders: (res) => {
+                res.set('X-Content-Type-Options', 'nosniff');
+                res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+            }
+        }));
+        console.log(`Storage: Serving ${backend.directory} at ${backend.route}`);
+    }
+};
+
+module.exports = {
+    uploadFile,
+    storeObject,
+    safeBaseName,
+    deleteFile,
+    isStorageAvailable,
+    mountStorageRoutes
+};
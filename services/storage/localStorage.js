@@ -0,0 +1,53 @@
+// services/storage/localStorage.js
+// Local disk backend for development and single-server installs. Files live under STORAGE_LOCAL_DIR
+// and are served by server.js at /uploads. Not for Cloud Run: its disk is wiped on every restart.
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_STORAGE_ROUTE = '/uploads';
+
+/**
+ * @returns {Object} Storage backend (see services/storage/index.js), plus `directory` and
+ *   `route` for the static file handler.
+ */
+const createLocalStorage = () => {
+    const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+    fs.mkdirSync(directory, { recursive: true });
+    // Image URLs are stored on products and loaded by the storefront, so they must be absolute.
+    const publicBaseUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}${LOCAL_STORAGE_ROUTE}`).replace(/\/+$/, '');
+
+    // Keys are generated by services/storage/index.js, but never let one escape the directory.
+    const filePathFor = (key) => {
+        const filePath = path.resolve(directory, key);
+        if (!filePath.startsWith(directory + path.sep)) {
+            throw new Error(`Invalid storage key "${key}".`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        description: `local directory ${directory}`,
+        publicUrlPrefix: `${publicBaseUrl}/`,
+        directory,
+        route: LOCAL_STORAGE_ROUTE,
+
+        putObject: async (key, buffer) => {
+            const filePath = filePathFor(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        deleteObject: async (key) => {
+            try {
+                await fs.promises.unlink(filePathFor(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+            return true;
+        }
+    };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,62 @@
+// services/storage/s3Storage.js
+// S3-compatible backend: AWS S3, or MinIO / any S3 API via S3_ENDPOINT. The bucket (or the path
+// the objects are served from) must allow public reads; objects are not given ACLs.
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * @returns {Object} Storage backend (see services/storage/index.js).
+ * @throws {Error} If S3_BUCKET is not set.
+ */
+const createS3Storage = () => {
+    const bucketName = process.env.S3_BUCKET;
+    if (!bucketName) {
+        throw new Error("S3_BUCKET environment variable is not set. Cannot initialize S3 storage.");
+    }
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : undefined;
+    // MinIO and most S3 stand-ins only understand http://host/bucket/key addressing
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!endpoint;
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Without explicit keys the SDK uses its default chain (env vars, instance role, ...)
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    let publicBaseUrl = process.env.S3_PUBLIC_URL;
+    if (!publicBaseUrl) {
+        if (endpoint) {
+            publicBaseUrl = forcePathStyle ? `${endpoint}/${bucketName}` : endpoint.replace('://', `://${bucketName}.`);
+        } else {
+            publicBaseUrl = `https://${bucketName}.s3.${region}.amazonaws.com`;
+        }
+    }
+
+    return {
+        name: 's3',
+        description: `S3 bucket ${bucketName}${endpoint ? ` at ${endpoint}` : ` (${region})`}`,
+        publicUrlPrefix: `${publicBaseUrl.replace(/\/+$/, '')}/`,
+
+        putObject: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucketName,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        // S3 deletes are idempotent: a missing key is not an error
+        deleteObject: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+            return true;
+        }
+    };
+};
+
+module.exports = { createS3Storage };
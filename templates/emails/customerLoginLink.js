@@ -0,0 +1,41 @@
+// templates/emails/customerLoginLink.js
+// Sent to a customer to confirm a new account or log in without a password.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines } = require('./partials');
+const { sampleCustomer } = require('./sampleData');
+
+module.exports = {
+    subject: ({ purpose }) => purpose === 'register'
+        ? `Confirm your ${COMPANY_NAME} account`
+        : `Your ${COMPANY_NAME} login link`,
+
+    html: ({ customer, loginUrl, purpose, validMinutes }) => html`
+      <p>Dear ${customer.name},</p>
+      <p>${purpose === 'register'
+        ? 'Thank you for creating an account. Please confirm your email address to start using it:'
+        : 'Use the button below to log in to your account:'}</p>
+      <p><a href="${loginUrl}" style="display: inline-block; padding: 10px 18px; background-color: #1f2937; color: #ffffff; text-decoration: none; border-radius: 4px;">${purpose === 'register' ? 'Confirm and log in' : 'Log in'}</a></p>
+      <p>This link works once and expires in ${validMinutes} minutes. Any earlier orders placed with this email address will appear under My Orders.</p>
+      <p style="color: #666666;">If you did not ask for this email, you can ignore it.</p>`,
+
+    text: ({ customer, loginUrl, purpose, validMinutes }) => lines(
+        `Dear ${customer.name},`,
+        '',
+        purpose === 'register'
+            ? 'Thank you for creating an account. Please confirm your email address to start using it:'
+            : 'Use this link to log in to your account:',
+        loginUrl,
+        '',
+        `This link works once and expires in ${validMinutes} minutes. Any earlier orders placed with this email address will appear under My Orders.`,
+        '',
+        'If you did not ask for this email, you can ignore it.'
+    ),
+
+    sampleData: {
+        customer: sampleCustomer,
+        loginUrl: 'https://www.example.com/?login=Sample-Login-Token#account',
+        purpose: 'register',
+        validMinutes: 30
+    }
+};
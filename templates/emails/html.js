@@ -0,0 +1,56 @@
+// templates/emails/html.js
+// Auto-escaping HTML for email templates. Every value interpolated into an html`...`
+// template is escaped, unless it is itself the output of html`...` (a partial) or was
+// explicitly marked trusted with raw(). Arrays are rendered item by item and joined.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escapes text for use in HTML element content and quoted attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// null, undefined and false render as nothing, so `${condition && html`...`}` works.
+const renderValue = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+};
+
+/**
+ * Tagged template that escapes all interpolated values.
+ * @returns {SafeHtml}
+ */
+const html = (strings, ...values) => new SafeHtml(
+    strings.reduce((out, string, index) => out + string + (index < values.length ? renderValue(values[index]) : ''), '')
+);
+
+/**
+ * Marks a string as trusted HTML. Only use it for markup written in this codebase, never for user input.
+ * @param {string} value
+ * @returns {SafeHtml}
+ */
+const raw = (value) => new SafeHtml(String(value));
+
+module.exports = {
+    html,
+    raw,
+    escapeHtml,
+    SafeHtml
+};
@@ -0,0 +1,54 @@
+// templates/emails/index.js
+// Renders emails from the templates in this folder. Each template module exports
+// subject(data), html(data) (the body, built with the auto-escaping html tag),
+// text(data) (the plain-text body) and sampleData for previews.
+const { htmlLayout, textLayout } = require('./layout');
+
+const EMAIL_TEMPLATES = {
+    'order-confirmation': require('./orderConfirmation'),
+    'order-notification': require('./orderNotification'),
+    'order-status-update': require('./orderStatusUpdate'),
+    'inquiry-notification': require('./inquiryNotification'),
+    'inquiry-reply': require('./inquiryReply'),
+    'quotation-request': require('./quotationRequest'),
+    'quotation-received': require('./quotationReceived'),
+    'quotation-proforma': require('./quotationProforma'),
+    'customer-login-link': require('./customerLoginLink')
+};
+
+/**
+ * Renders an email template.
+ * @param {string} name - One of EMAIL_TEMPLATE_NAMES.
+ * @param {Object} data - Values for the template (see the template module).
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderEmail = (name, data) => {
+    const template = EMAIL_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const subject = template.subject(data);
+    return {
+        subject,
+        html: htmlLayout({ title: subject, body: template.html(data) }).toString(),
+        text: textLayout(template.text(data))
+    };
+};
+
+/**
+ * Renders a template with its built-in sample data.
+ * @param {string} name
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderEmailPreview = (name) => {
+    if (!EMAIL_TEMPLATES[name]) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return renderEmail(name, EMAIL_TEMPLATES[name].sampleData);
+};
+
+module.exports = {
+    renderEmail,
+    renderEmailPreview,
+    EMAIL_TEMPLATE_NAMES: Object.keys(EMAIL_TEMPLATES)
+};
@@ -0,0 +1,48 @@
+// templates/emails/inquiryNotification.js
+// Sent to the owner when a new inquiry ticket arrives from the contact form.
+const { html } = require('./html');
+const { lines } = require('./partials');
+const { sampleInquiry } = require('./sampleData');
+
+const detailRows = (inquiry) => [
+    ['Name', inquiry.name || 'N/A'],
+    ['Email', inquiry.email || 'N/A'],
+    ['Mobile', inquiry.mobile || 'N/A'],
+    inquiry.whatsapp && ['WhatsApp', inquiry.whatsapp],
+    inquiry.hospital && ['Hospital/Clinic', inquiry.hospital],
+    ['Category', inquiry.category || 'N/A']
+].filter(Boolean);
+
+const ADMIN_REPLY_HINT = 'Reply to the customer from the Inbox tab of the admin panel so the reply is kept with the ticket.';
+const notAttachedNote = (count) => `${count} more file(s) too large to email; download them from the Inbox tab of the admin panel.`;
+
+module.exports = {
+    subject: ({ inquiry }) => `New Inquiry ${inquiry.ticketNumber}: ${inquiry.category} - ${inquiry.name}`,
+
+    html: ({ inquiry, attachmentCount, notAttachedCount }) => html`
+      <h1>New Inquiry Received</h1>
+      <p><strong>Ticket Number:</strong> ${inquiry.ticketNumber}</p>
+      <h2>Inquiry Details:</h2>
+      ${detailRows(inquiry).map(([label, value]) => html`<p><strong>${label}:</strong> ${value}</p>`)}
+      <p><strong>Message:</strong></p>
+      <p style="white-space: pre-wrap;">${inquiry.message || 'N/A'}</p>
+      ${(attachmentCount > 0 || notAttachedCount > 0) && html`<h2>Attachments:</h2><p>${attachmentCount} file(s) attached.</p>`}
+      ${notAttachedCount > 0 && html`<p>${notAttachedNote(notAttachedCount)}</p>`}
+      <p>${ADMIN_REPLY_HINT}</p>`,
+
+    text: ({ inquiry, attachmentCount, notAttachedCount }) => lines(
+        'New Inquiry Received',
+        `Ticket Number: ${inquiry.ticketNumber}`,
+        '',
+        detailRows(inquiry).map(([label, value]) => `${label}: ${value}`),
+        '',
+        'Message:',
+        inquiry.message || 'N/A',
+        '',
+        (attachmentCount > 0 || notAttachedCount > 0) && `Attachments: ${attachmentCount} file(s) attached.`,
+        notAttachedCount > 0 && notAttachedNote(notAttachedCount),
+        ADMIN_REPLY_HINT
+    ),
+
+    sampleData: { inquiry: sampleInquiry, attachmentCount: 2, notAttachedCount: 1 }
+};
@@ -0,0 +1,33 @@
+// templates/emails/inquiryReply.js
+// An admin's reply on an inquiry ticket, sent to the customer.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines } = require('./partials');
+const { sampleInquiry, sampleReply } = require('./sampleData');
+
+module.exports = {
+    subject: ({ inquiry }) => `Re: Your inquiry ${inquiry.ticketNumber} - ${COMPANY_NAME}`,
+
+    html: ({ inquiry, reply }) => html`
+      <p>Dear ${inquiry.name},</p>
+      <p style="white-space: pre-wrap;">${reply.message}</p>
+      <p>Regards,<br>${reply.authorName || 'Team'}<br>${COMPANY_NAME}</p>
+      <hr>
+      <p style="color: #666666;"><strong>Your inquiry (${inquiry.ticketNumber}):</strong></p>
+      <p style="white-space: pre-wrap; color: #666666;">${inquiry.message}</p>`,
+
+    text: ({ inquiry, reply }) => lines(
+        `Dear ${inquiry.name},`,
+        '',
+        reply.message,
+        '',
+        'Regards,',
+        reply.authorName || 'Team',
+        COMPANY_NAME,
+        '',
+        `> Your inquiry (${inquiry.ticketNumber}):`,
+        inquiry.message.split('\n').map(line => `> ${line}`)
+    ),
+
+    sampleData: { inquiry: sampleInquiry, reply: sampleReply }
+};
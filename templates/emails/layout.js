@@ -0,0 +1,38 @@
+// templates/emails/layout.js
+// Shared outer layout for every email: the HTML document shell and the plain-text footer.
+const { html } = require('./html');
+
+const COMPANY_NAME = 'Gamma Ortho Instruments';
+
+/**
+ * Wraps an email body in the common HTML document.
+ * @param {Object} params
+ * @param {string} params.title - Used as the document title.
+ * @param {SafeHtml} params.body - Rendered body (output of html`...`).
+ * @returns {SafeHtml}
+ */
+const htmlLayout = ({ title, body }) => html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 16px; font-family: Arial, sans-serif; font-size: 14px; color: #222222;">
+  ${body}
+  <p style="margin-top: 24px; color: #888888; font-size: 12px;">${COMPANY_NAME}</p>
+</body>
+</html>`;
+
+/**
+ * Appends the common footer to a plain-text body.
+ * @param {string} body
+ * @returns {string}
+ */
+const textLayout = (body) => `${body.trim()}\n\n--\n${COMPANY_NAME}\n`;
+
+module.exports = {
+    htmlLayout,
+    textLayout,
+    COMPANY_NAME
+};
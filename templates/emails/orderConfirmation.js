@@ -0,0 +1,38 @@
+// templates/emails/orderConfirmation.js
+// Sent to the customer when an order is placed.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines, orderNumberOf, orderItemsTable, orderItemsText, customerDetails, customerDetailsText } = require('./partials');
+const { sampleOrder } = require('./sampleData');
+
+module.exports = {
+    subject: ({ order }) => `Your Order Confirmation from ${COMPANY_NAME} (#${orderNumberOf(order)})`,
+
+    html: ({ order }) => html`
+      <h1>Thank you for your order, ${order.customerName}!</h1>
+      <p>We've received your order inquiry. We will contact you shortly to confirm the details and proceed with your order.</p>
+      <p><strong>Order Number:</strong> ${orderNumberOf(order)}</p>
+      <h2>Order Summary:</h2>
+      ${orderItemsTable(order)}
+      <h3>Your Details:</h3>
+      ${customerDetails(order)}
+      <p>Thank you for choosing ${COMPANY_NAME}!</p>`,
+
+    text: ({ order }) => lines(
+        `Thank you for your order, ${order.customerName}!`,
+        '',
+        "We've received your order inquiry. We will contact you shortly to confirm the details and proceed with your order.",
+        '',
+        `Order Number: ${orderNumberOf(order)}`,
+        '',
+        'Order Summary:',
+        orderItemsText(order),
+        '',
+        'Your Details:',
+        customerDetailsText(order),
+        '',
+        `Thank you for choosing ${COMPANY_NAME}!`
+    ),
+
+    sampleData: { order: sampleOrder }
+};
@@ -0,0 +1,33 @@
+// templates/emails/orderNotification.js
+// Sent to the owner when a customer places an order.
+const { html } = require('./html');
+const { lines, orderNumberOf, orderItemsTable, orderItemsText, customerDetails, customerDetailsText } = require('./partials');
+const { sampleOrder } = require('./sampleData');
+
+module.exports = {
+    subject: ({ order }) => `New Order Inquiry - ${order.customerName} (#${orderNumberOf(order)})`,
+
+    html: ({ order }) => html`
+      <h1>New Order Placed! (#${orderNumberOf(order)})</h1>
+      ${order.quotationNumber && html`<p>Placed by accepting quotation ${order.quotationNumber}.</p>`}
+      <h2>Customer Details:</h2>
+      ${customerDetails(order)}
+      <h2>Order Items:</h2>
+      ${orderItemsTable(order)}
+      <p>Please follow up with the customer.</p>`,
+
+    text: ({ order }) => lines(
+        `New Order Placed! (#${orderNumberOf(order)})`,
+        order.quotationNumber && `Placed by accepting quotation ${order.quotationNumber}.`,
+        '',
+        'Customer Details:',
+        customerDetailsText(order),
+        '',
+        'Order Items:',
+        orderItemsText(order),
+        '',
+        'Please follow up with the customer.'
+    ),
+
+    sampleData: { order: sampleOrder }
+};
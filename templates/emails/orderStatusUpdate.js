@@ -0,0 +1,66 @@
+// templates/emails/orderStatusUpdate.js
+// Sent to the customer whenever an admin changes the order status, and when the shipment
+// details of a shipped order change. The confirmation carries the tax invoice.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines, formatDate, orderNumberOf } = require('./partials');
+const { sampleShippedOrder } = require('./sampleData');
+
+const STATUS_MESSAGES = {
+    'Confirmed': 'We have confirmed your order and will start preparing it shortly.',
+    'Processing': 'Your order is being prepared for dispatch.',
+    'Shipped': 'Your order is on its way.',
+    'Delivered': 'Your order has been delivered. We hope everything arrived in good condition.',
+    'Cancelled': 'Your order has been cancelled. If you did not expect this, please reply to this email.',
+    'Refunded': 'The payment for your order has been refunded.'
+};
+
+const statusMessage = (order, shipmentUpdated) => shipmentUpdated
+    ? 'The shipping details of your order have been updated.'
+    : STATUS_MESSAGES[order.status] || `Your order status is now: ${order.status}.`;
+
+// [label, value] pairs for the shipment details that are filled in
+const shipmentRows = (shipment) => (shipment ? [
+    ['Carrier', shipment.carrier],
+    ['Tracking Number', shipment.trackingNumber],
+    ['Dispatched On', shipment.dispatchedAt && formatDate(shipment.dispatchedAt)],
+    ['Expected Delivery', shipment.expectedDeliveryAt && formatDate(shipment.expectedDeliveryAt)]
+] : []).filter(([, value]) => value);
+
+module.exports = {
+    subject: ({ order, shipmentUpdated }) => shipmentUpdated
+        ? `Shipping details for your ${COMPANY_NAME} order (#${orderNumberOf(order)})`
+        : `Your ${COMPANY_NAME} order is ${order.status} (#${orderNumberOf(order)})`,
+
+    html: ({ order, trackingUrl, shipmentUpdated, invoiceAttached }) => {
+        const rows = shipmentRows(order.shipment);
+        return html`
+      <p>Dear ${order.customerName},</p>
+      <p>${statusMessage(order, shipmentUpdated)}</p>
+      <p><strong>Order Number:</strong> ${orderNumberOf(order)}<br><strong>Status:</strong> ${order.status}</p>
+      ${invoiceAttached && html`<p>Your GST tax invoice (${order.invoice.number}) is attached.</p>`}
+      ${rows.length > 0 && html`<h3>Shipment</h3>
+      <p>${rows.map(([label, value]) => html`<strong>${label}:</strong> ${value}<br>`)}</p>`}
+      ${trackingUrl && html`<p><a href="${trackingUrl}">Track your order</a></p>`}
+      <p>Thank you for choosing ${COMPANY_NAME}!</p>`;
+    },
+
+    text: ({ order, trackingUrl, shipmentUpdated, invoiceAttached }) => {
+        const rows = shipmentRows(order.shipment);
+        return lines(
+            `Dear ${order.customerName},`,
+            '',
+            statusMessage(order, shipmentUpdated),
+            '',
+            `Order Number: ${orderNumberOf(order)}`,
+            `Status: ${order.status}`,
+            invoiceAttached && `Your GST tax invoice (${order.invoice.number}) is attached.`,
+            rows.length > 0 && ['', 'Shipment:', ...rows.map(([label, value]) => `${label}: ${value}`)],
+            trackingUrl && ['', `Track your order: ${trackingUrl}`],
+            '',
+            `Thank you for choosing ${COMPANY_NAME}!`
+        );
+    },
+
+    sampleData: { order: sampleShippedOrder, trackingUrl: 'https://www.example.com/?track=GOI-2026-000042#track-order', shipmentUpdated: false }
+};
@@ -0,0 +1,182 @@
+// templates/emails/partials.js
+// Blocks shared by several emails. Each has an HTML and a plain-text version.
+const { html } = require('./html');
+const { formatMoney } = require('../../services/currencyService');
+
+const TABLE_STYLE = 'border-collapse: collapse; width: 100%; font-family: Arial, sans-serif;';
+const CELL_RIGHT = 'text-align: right;';
+
+const formatRs = (amount) => `${Number(amount).toFixed(2)} Rs`;
+const formatPercent = (rate) => `${+(rate * 100).toFixed(2)}%`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+
+// Joins the non-empty lines of a plain-text block. null, undefined and false lines are dropped.
+const lines = (...items) => items.flat().filter(item => item !== null && item !== undefined && item !== false).join('\n');
+
+// Same number in every subject and heading (and in the database and API response)
+const orderNumberOf = (order) => order.customOrderId || order._id.toString();
+
+// Order amounts are minor units of the order's currency
+const orderMoney = (order, amountMinor) => formatMoney(amountMinor, order.currency);
+
+// Line value incl. GST, before any coupon discount, in minor units. GST is rounded per line, as in
+// the order's stored taxMinor; that is after the coupon, so only a discounted line works it out again.
+const lineTotalMinor = (variant) => {
+    const lineMinor = variant.unitPriceMinor * variant.quantity;
+    const lineGstMinor = variant.promotionDiscountMinor ? Math.round(lineMinor * variant.gstRate) : variant.taxMinor;
+    return lineMinor + lineGstMinor;
+};
+
+// One entry per ordered variant, with the amounts every order email shows.
+const orderLines = (order) => order.orderItems.flatMap(productGroup => productGroup.variants.map(variant => {
+    const unitGstMinor = Math.round(variant.unitPriceMinor * variant.gstRate);
+    return {
+        productName: productGroup.baseProductName,
+        dimension: variant.dimension,
+        quantity: variant.quantity,
+        basePrice: orderMoney(order, variant.unitPriceMinor),
+        gstPerUnit: `${orderMoney(order, unitGstMinor)} (${(variant.gstRate * 100).toFixed(0)}%)`,
+        priceIncGst: orderMoney(order, variant.unitPriceMinor + unitGstMinor),
+        lineTotal: orderMoney(order, lineTotalMinor(variant))
+    };
+}));
+
+// Freight incl. GST, in minor units
+const freightIncGstMinor = (order) => (order.freightChargeMinor || 0) + Math.round((order.freightChargeMinor || 0) * (order.freightGstRate || 0));
+
+// The coupon discount as the customer sees it: the discount before GST plus the GST it saved.
+// Worked out from the total, so the rows of the table always add up to it.
+const orderDiscountIncGst = (order) => order.orderItems
+    .reduce((sum, productGroup) => sum + productGroup.variants.reduce((groupSum, variant) => groupSum + lineTotalMinor(variant), 0), 0)
+    + freightIncGstMinor(order) - order.totalMinor;
+
+const couponLabel = (order) => `Coupon ${order.promotion.code}${order.promotion.name ? ` (${order.promotion.name})` : ''}`;
+
+const orderItemsTable = (order) => html`
+  <table border="1" cellpadding="5" cellspacing="0" style="${TABLE_STYLE}">
+    <thead style="background-color: #f2f2f2;">
+      <tr>
+        <th style="text-align: left;">Product</th>
+        <th style="text-align: left;">Dimension</th>
+        <th style="text-align: center;">Qty</th>
+        <th style="${CELL_RIGHT}">Base Price/Unit</th>
+        <th style="${CELL_RIGHT}">GST/Unit</th>
+        <th style="${CELL_RIGHT}">Total/Unit (Incl. GST)</th>
+        <th style="${CELL_RIGHT}">Subtotal (Incl. GST)</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${orderLines(order).map(line => html`
+      <tr>
+        <td>${line.productName}</td>
+        <td>${line.dimension}</td>
+        <td style="text-align: center;">${line.quantity}</td>
+        <td style="${CELL_RIGHT}">${line.basePrice}</td>
+        <td style="${CELL_RIGHT}">${line.gstPerUnit}</td>
+        <td style="${CELL_RIGHT}">${line.priceIncGst}</td>
+        <td style="${CELL_RIGHT}">${line.lineTotal}</td>
+      </tr>`)}
+    </tbody>
+    <tfoot>
+      ${order.freightChargeMinor > 0 && html`
+      <tr>
+        <td colspan="6" style="${CELL_RIGHT}">Freight (Incl. GST):</td>
+        <td style="${CELL_RIGHT}">${orderMoney(order, freightIncGstMinor(order))}</td>
+      </tr>`}
+      ${order.discountTotalMinor > 0 && html`
+      <tr>
+        <td colspan="6" style="${CELL_RIGHT}">${couponLabel(order)} discount (Incl. GST):</td>
+        <td style="${CELL_RIGHT}">-${orderMoney(order, orderDiscountIncGst(order))}</td>
+      </tr>`}
+      <tr>
+        <td colspan="6" style="${CELL_RIGHT} font-weight: bold; padding-top: 10px;">Total Order Value:</td>
+        <td style="${CELL_RIGHT} font-weight: bold; padding-top: 10px;">${orderMoney(order, order.totalMinor)}</td>
+      </tr>
+    </tfoot>
+  </table>`;
+
+const orderItemsText = (order) => lines(
+    orderLines(order).map(line => `- ${line.productName} (${line.dimension}) x ${line.quantity}: ${line.priceIncGst} each incl. GST, subtotal ${line.lineTotal}`),
+    order.freightChargeMinor > 0 && `- Freight: ${orderMoney(order, freightIncGstMinor(order))} incl. GST`,
+    order.discountTotalMinor > 0 && `- ${couponLabel(order)} discount: -${orderMoney(order, orderDiscountIncGst(order))} incl. GST`,
+    '',
+    `Total Order Value: ${orderMoney(order, order.totalMinor)}`
+);
+
+// Quoted lines and totals, from pricingService.priceQuotation.
+const quotationLinesTable = (pricing) => html`
+  <table border="1" cellpadding="5" cellspacing="0" style="${TABLE_STYLE}">
+    <thead style="background-color: #f2f2f2;">
+      <tr>
+        <th style="text-align: left;">Product</th>
+        <th style="text-align: left;">Dimension</th>
+        <th style="text-align: center;">Qty</th>
+        <th style="${CELL_RIGHT}">Price/Unit</th>
+        <th style="${CELL_RIGHT}">Discount</th>
+        <th style="${CELL_RIGHT}">GST</th>
+        <th style="${CELL_RIGHT}">Subtotal (Incl. GST)</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${pricing.lines.map(line => html`
+      <tr>
+        <td>${line.productName}</td>
+        <td>${line.dimension}</td>
+        <td style="text-align: center;">${line.quantity}</td>
+        <td style="${CELL_RIGHT}">${formatRs(line.unitPrice)}</td>
+        <td style="${CELL_RIGHT}">${line.discountPercent ? `${line.discountPercent}%` : '-'}</td>
+        <td style="${CELL_RIGHT}">${formatPercent(line.gstRate)}</td>
+        <td style="${CELL_RIGHT}">${formatRs(line.total)}</td>
+      </tr>`)}
+    </tbody>
+    <tfoot>
+      ${pricing.freightCharge > 0 && html`
+      <tr>
+        <td colspan="6" style="${CELL_RIGHT}">Freight (Incl. GST):</td>
+        <td style="${CELL_RIGHT}">${formatRs(pricing.freightCharge + pricing.freightTax)}</td>
+      </tr>`}
+      <tr>
+        <td colspan="6" style="${CELL_RIGHT} font-weight: bold; padding-top: 10px;">Total:</td>
+        <td style="${CELL_RIGHT} font-weight: bold; padding-top: 10px;">${formatRs(pricing.grandTotal)}</td>
+      </tr>
+    </tfoot>
+  </table>`;
+
+const quotationLinesText = (pricing) => lines(
+    pricing.lines.map(line => `- ${line.productName} (${line.dimension}) x ${line.quantity}: ${formatRs(line.unitPrice)} each${line.discountPercent ? ` less ${line.discountPercent}%` : ''} + ${formatPercent(line.gstRate)} GST, subtotal ${formatRs(line.total)}`),
+    pricing.freightCharge > 0 && `- Freight: ${formatRs(pricing.freightCharge + pricing.freightTax)} incl. GST`,
+    '',
+    `Total: ${formatRs(pricing.grandTotal)}`
+);
+
+// Contact and shipping details of the customer on an order (or quotation, which has the same fields).
+const customerDetailRows = (order) => [
+    ['Name', order.customerName],
+    ['Email', order.customerEmail],
+    ['Mobile', `${order.customerMobileCode} ${order.customerMobileNumber}`],
+    order.customerWhatsappNumber && ['WhatsApp', `${order.customerWhatsappCode} ${order.customerWhatsappNumber}`],
+    order.buyerGstin && ['GSTIN', order.buyerGstin],
+    ['Address', order.shippingAddress.address],
+    ['City / District', order.shippingAddress.city],
+    ['State', order.shippingAddress.state],
+    ['Country', order.shippingAddress.country],
+    ['Pincode', order.shippingAddress.pincode]
+].filter(Boolean);
+
+const customerDetails = (order) => html`
+  ${customerDetailRows(order).map(([label, value]) => html`<p style="margin: 4px 0;">${label}: ${value}</p>`)}`;
+
+const customerDetailsText = (order) => lines(customerDetailRows(order).map(([label, value]) => `${label}: ${value}`));
+
+module.exports = {
+    formatRs,
+    formatDate,
+    lines,
+    orderNumberOf,
+    orderItemsTable,
+    orderItemsText,
+    quotationLinesTable,
+    quotationLinesText,
+    customerDetails,
+    customerDetailsText
+};
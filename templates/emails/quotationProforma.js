@@ -0,0 +1,43 @@
+// templates/emails/quotationProforma.js
+// Sent to the customer with the proforma invoice PDF and the link to accept the quotation.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines, formatDate, quotationLinesTable, quotationLinesText } = require('./partials');
+const { sampleQuotation, sampleQuotationPricing } = require('./sampleData');
+
+module.exports = {
+    subject: ({ proformaNumber }) => `Quotation ${proformaNumber} from ${COMPANY_NAME}`,
+
+    html: ({ quotation, pricing, proformaNumber, acceptUrl }) => html`
+      <h1>Your quotation from ${COMPANY_NAME}</h1>
+      <p>Dear ${quotation.customerName},</p>
+      <p>Thank you for your request. Our proforma invoice <strong>${proformaNumber}</strong> is attached. The quoted prices are valid until <strong>${formatDate(quotation.validUntil)}</strong>.</p>
+      ${quotationLinesTable(pricing)}
+      ${quotation.terms && html`
+      <h3>Terms:</h3>
+      <p style="white-space: pre-wrap;">${quotation.terms}</p>`}
+      ${acceptUrl
+        ? html`<p><a href="${acceptUrl}" style="display: inline-block; padding: 10px 18px; background-color: #1f2937; color: #ffffff; text-decoration: none; border-radius: 4px;">Review and accept this quotation</a></p>
+      <p>Accepting places the order at these prices. If you need changes, simply reply to this email.</p>`
+        : html`<p>To accept this quotation or ask for changes, simply reply to this email.</p>`}`,
+
+    text: ({ quotation, pricing, proformaNumber, acceptUrl }) => lines(
+        `Dear ${quotation.customerName},`,
+        '',
+        `Thank you for your request. Our proforma invoice ${proformaNumber} is attached. The quoted prices are valid until ${formatDate(quotation.validUntil)}.`,
+        '',
+        quotationLinesText(pricing),
+        '',
+        quotation.terms ? lines('Terms:', quotation.terms, '') : null,
+        acceptUrl
+            ? lines(`Review and accept this quotation: ${acceptUrl}`, 'Accepting places the order at these prices. If you need changes, simply reply to this email.')
+            : 'To accept this quotation or ask for changes, simply reply to this email.'
+    ),
+
+    sampleData: {
+        quotation: sampleQuotation,
+        pricing: sampleQuotationPricing,
+        proformaNumber: 'GOQ-2026-000012-R2',
+        acceptUrl: 'https://www.example.com/?quotation=Sample-Accept-Token#quotation'
+    }
+};
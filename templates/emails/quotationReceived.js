@@ -0,0 +1,33 @@
+// templates/emails/quotationReceived.js
+// Sent to the customer when their quotation request is received.
+const { html } = require('./html');
+const { COMPANY_NAME } = require('./layout');
+const { lines, quotationLinesTable, quotationLinesText } = require('./partials');
+const { sampleQuotation, sampleQuotationPricing } = require('./sampleData');
+
+module.exports = {
+    subject: ({ quotation }) => `Your Quotation Request to ${COMPANY_NAME} (#${quotation.quotationNumber})`,
+
+    html: ({ quotation, pricing }) => html`
+      <h1>Thank you for your quotation request, ${quotation.customerName}!</h1>
+      <p>We will review your request and email you a proforma invoice with our quoted prices shortly.</p>
+      <p><strong>Quotation Number:</strong> ${quotation.quotationNumber}</p>
+      <h2>Requested Items (current catalogue prices):</h2>
+      ${quotationLinesTable(pricing)}
+      <p>Thank you for choosing ${COMPANY_NAME}!</p>`,
+
+    text: ({ quotation, pricing }) => lines(
+        `Thank you for your quotation request, ${quotation.customerName}!`,
+        '',
+        'We will review your request and email you a proforma invoice with our quoted prices shortly.',
+        '',
+        `Quotation Number: ${quotation.quotationNumber}`,
+        '',
+        'Requested Items (current catalogue prices):',
+        quotationLinesText(pricing),
+        '',
+        `Thank you for choosing ${COMPANY_NAME}!`
+    ),
+
+    sampleData: { quotation: sampleQuotation, pricing: sampleQuotationPricing }
+};
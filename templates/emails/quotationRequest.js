@@ -0,0 +1,37 @@
+// templates/emails/quotationRequest.js
+// Sent to the owner when a customer asks for a quotation.
+const { html } = require('./html');
+const { lines, quotationLinesTable, quotationLinesText, customerDetails, customerDetailsText } = require('./partials');
+const { sampleQuotation, sampleQuotationPricing } = require('./sampleData');
+
+const ADMIN_QUOTATION_HINT = 'Set prices, discounts, freight and validity in the Quotations tab of the admin panel, then send the proforma.';
+
+module.exports = {
+    subject: ({ quotation }) => `New Quotation Request - ${quotation.customerName} (#${quotation.quotationNumber})`,
+
+    html: ({ quotation, pricing }) => html`
+      <h1>New Quotation Request (#${quotation.quotationNumber})</h1>
+      <h2>Customer Details:</h2>
+      ${customerDetails(quotation)}
+      ${quotation.customerNotes && html`
+      <h2>Customer Notes:</h2>
+      <p style="white-space: pre-wrap;">${quotation.customerNotes}</p>`}
+      <h2>Requested Items (catalogue prices):</h2>
+      ${quotationLinesTable(pricing)}
+      <p>${ADMIN_QUOTATION_HINT}</p>`,
+
+    text: ({ quotation, pricing }) => lines(
+        `New Quotation Request (#${quotation.quotationNumber})`,
+        '',
+        'Customer Details:',
+        customerDetailsText(quotation),
+        '',
+        quotation.customerNotes ? lines('Customer Notes:', quotation.customerNotes, '') : null,
+        'Requested Items (catalogue prices):',
+        quotationLinesText(pricing),
+        '',
+        ADMIN_QUOTATION_HINT
+    ),
+
+    sampleData: { quotation: sampleQuotation, pricing: sampleQuotationPricing }
+};
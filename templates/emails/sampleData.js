@@ -0,0 +1,117 @@
+// templates/emails/sampleData.js
+// Example data for previewing the email templates (scripts/previewEmail.js).
+// Includes characters that must be escaped, so previews show escaping working.
+const { priceQuotation } = require('../../services/pricingService');
+
+const sampleOrder = {
+    _id: '665f1b2c9d3e4a0012345678',
+    customOrderId: 'GOI-2026-000042',
+    customerName: 'Dr. Asha Mehta & Team',
+    customerEmail: 'asha.mehta@example.com',
+    customerMobileCode: '+91',
+    customerMobileNumber: '9876543210',
+    customerWhatsappCode: '+91',
+    customerWhatsappNumber: '9876543210',
+    buyerGstin: '24ABCDE1234F1Z5',
+    shippingAddress: {
+        address: '12, Shanti Nagar <Near City Hospital>',
+        city: 'Ahmedabad',
+        state: 'Gujarat',
+        pincode: '380015',
+        country: 'India'
+    },
+    orderItems: [
+        {
+            baseProductName: 'Ring Fixator',
+            variants: [
+                { dimension: '160 mm', quantity: 2, unitPriceMinor: 150000, gstRate: 0.12, promotionDiscountMinor: 30000, taxMinor: 32400 },
+                { dimension: '180 mm', quantity: 1, unitPriceMinor: 165000, gstRate: 0.12, promotionDiscountMinor: 16500, taxMinor: 17820 }
+            ]
+        },
+        {
+            baseProductName: 'K-Wire "Steel"',
+            variants: [
+                { dimension: '1.5 mm x 250 mm', quantity: 10, unitPriceMinor: 4500, gstRate: 0.12, taxMinor: 5400 }
+            ]
+        }
+    ],
+    promotion: { code: 'FIXATOR10', name: 'Fixators <10% off>' },
+    currency: 'INR',
+    exchangeRate: { inrPerUnit: 1 },
+    subtotalMinor: 510000,
+    discountTotalMinor: 46500,
+    freightChargeMinor: 25000,
+    freightGstRate: 0.18,
+    shipping: { zoneName: 'Gujarat', chargeableWeightKg: 6.5, freeShipping: false, codChargeMinor: 0 },
+    taxTotalMinor: 60120,
+    totalMinor: 548620,
+    totalInrMinor: 548620,
+    invoice: { number: 'GOI/26-27/000042' }
+};
+
+const sampleShippedOrder = {
+    ...sampleOrder,
+    status: 'Shipped',
+    shipment: {
+        carrier: 'Blue Dart',
+        trackingNumber: '81234567890',
+        dispatchedAt: new Date('2026-10-14T11:00:00+05:30'),
+        expectedDeliveryAt: new Date('2026-10-17T00:00:00+05:30')
+    }
+};
+
+const sampleQuotation = {
+    quotationNumber: 'GOQ-2026-000012',
+    customerName: 'Purchase Dept., City <General> Hospital',
+    customerEmail: 'purchase@example.com',
+    customerMobileCode: '+91',
+    customerMobileNumber: '9988776655',
+    buyerGstin: '27ABCDE1234F1Z5',
+    shippingAddress: {
+        address: 'Stores, Block B, City General Hospital',
+        city: 'Pune',
+        state: 'Maharashtra',
+        pincode: '411001',
+        country: 'India'
+    },
+    customerNotes: 'Quotation needed for our purchase committee meeting on the 25th.',
+    lines: [
+        { productId: '665f1b2c9d3e4a0012345601', productName: 'Ring Fixator', dimension: '160 mm', quantity: 20, listPrice: 1500, unitPrice: 1500, discountPercent: 10, gstRate: 0.12 },
+        { productId: '665f1b2c9d3e4a0012345602', productName: 'K-Wire "Steel"', dimension: '1.5 mm x 250 mm', quantity: 200, listPrice: 45, unitPrice: 42, discountPercent: 0, gstRate: 0.12 }
+    ],
+    freightCharge: 750,
+    freightGstRate: 0.18,
+    validUntil: new Date('2026-11-30T00:00:00+05:30'),
+    terms: 'Payment: 50% advance, balance before dispatch.\nDelivery: within 2 weeks of PO.'
+};
+
+const sampleCustomer = {
+    name: 'Dr. Asha Mehta & Team',
+    email: 'asha.mehta@example.com'
+};
+
+const sampleInquiry = {
+    ticketNumber: 'INQ-2026-000017',
+    name: 'Rahul Shah',
+    email: 'rahul.shah@example.com',
+    mobile: '+91 9123456789',
+    whatsapp: '',
+    hospital: 'Shah Ortho Clinic',
+    category: 'product_related',
+    message: 'Do you have the 200 mm ring in stock?\nWe need 4 sets by next week. <b>Urgent</b>'
+};
+
+const sampleReply = {
+    message: 'Yes, the 200 mm ring is in stock.\nWe can dispatch 4 sets on Monday.',
+    authorName: 'Priya (Sales)'
+};
+
+module.exports = {
+    sampleOrder,
+    sampleShippedOrder,
+    sampleQuotation,
+    sampleQuotationPricing: priceQuotation(sampleQuotation),
+    sampleCustomer,
+    sampleInquiry,
+    sampleReply
+};